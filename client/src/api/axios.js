@@ -6,7 +6,9 @@ import axios from 'axios';
  * - In development: Vite proxies /api to the backend (see vite.config.js),
  *   so we use '' as the base URL (relative paths).
  * - In production: VITE_API_URL should be set to the full API URL.
- * - withCredentials: true ensures the HttpOnly auth cookie is sent.
+ * - withCredentials: true ensures the HttpOnly auth cookies are sent.
+ * - The access token is short-lived: a 401 triggers one refresh (shared by
+ *   all requests failing at the same time) and a retry of the request.
  */
 const api = axios.create({
     baseURL: import.meta.env.VITE_API_URL || '/api',
@@ -16,4 +18,44 @@ const api = axios.create({
     },
 });
 
+// A 401 from these means wrong credentials or no session, not an expired token
+const NO_REFRESH = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshing = null;
+let onSessionExpired = null;
+
+/**
+ * Register what happens when the session cannot be refreshed (signed out,
+ * revoked or expired), e.g. resetting the auth state.
+ * @param {(() => void)|null} handler
+ */
+export function setSessionExpiredHandler(handler) {
+    onSessionExpired = handler;
+}
+
+api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config._retried
+            || NO_REFRESH.some((path) => config.url?.startsWith(path))) {
+            throw error;
+        }
+
+        if (!refreshing) {
+            refreshing = api.post('/auth/refresh').finally(() => {
+                refreshing = null;
+            });
+        }
+        try {
+            await refreshing;
+        } catch {
+            onSessionExpired?.();
+            throw error;
+        }
+
+        return api({ ...config, _retried: true });
+    }
+);
+
 export default api;
@@ -1,8 +1,16 @@
 import { useState } from 'react';
 import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
 
+/**
+ * Invite someone into the organization. Only admins can invite admins.
+ *
+ * @param {{ onClose: Function }} props
+ */
 function AdminInviteModal({ onClose }) {
+    const { isAdmin } = useAuth();
     const [email, setEmail] = useState('');
+    const [asAdmin, setAsAdmin] = useState(isAdmin);
     const [expiresInHours, setExpiresInHours] = useState(48);
     const [result, setResult] = useState(null);
     const [error, setError] = useState('');
@@ -14,7 +22,7 @@ function AdminInviteModal({ onClose }) {
         setError('');
         setLoading(true);
         try {
-            const res = await api.post('/admin/invite', { email, expiresInHours });
+            const res = await api.post('/admin/invite', { email, expiresInHours, asAdmin });
             setResult(res.data.invite);
         } catch (err) {
             setError(err.response?.data?.error || 'Failed to create invite');
@@ -35,7 +43,7 @@ function AdminInviteModal({ onClose }) {
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal-content" onClick={(e) => e.stopPropagation()}>
                 <div className="modal-header">
-                    <h2>✉️ Invite New Admin</h2>
+                    <h2>✉️ Invite to Organization</h2>
                     <button className="modal-close" onClick={onClose}>
                         ✕
                     </button>
@@ -52,7 +60,7 @@ function AdminInviteModal({ onClose }) {
                                 type="email"
                                 value={email}
                                 onChange={(e) => setEmail(e.target.value)}
-                                placeholder="newadmin@example.com"
+                                placeholder="colleague@example.com"
                                 required
                             />
                         </div>
@@ -71,6 +79,17 @@ function AdminInviteModal({ onClose }) {
                             </select>
                         </div>
 
+                        {isAdmin && (
+                            <label className="org-settings-check">
+                                <input
+                                    type="checkbox"
+                                    checked={asAdmin}
+                                    onChange={(e) => setAsAdmin(e.target.checked)}
+                                />
+                                Invite as admin
+                            </label>
+                        )}
+
                         <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
                             {loading ? 'Creating...' : 'Generate Invite Link'}
                         </button>
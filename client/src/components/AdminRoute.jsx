@@ -2,11 +2,12 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 /**
- * Route guard: requires authentication AND admin privileges.
- * Redirects non-admins to /dashboard.
+ * Route guard: requires authentication AND at least one admin permission,
+ * or being a team manager (the admin API scopes managers to their teams).
+ * Redirects everyone else to /dashboard, and unverified users to /verify-email.
  */
 function AdminRoute({ children }) {
-    const { isAuthenticated, isAdmin, loading } = useAuth();
+    const { isAuthenticated, user, permissions, isManager, loading } = useAuth();
 
     if (loading) return null;
 
@@ -14,7 +15,11 @@ function AdminRoute({ children }) {
         return <Navigate to="/login" replace />;
     }
 
-    if (!isAdmin) {
+    if (user?.mustVerifyEmail) {
+        return <Navigate to="/verify-email" replace />;
+    }
+
+    if (permissions.length === 0 && !isManager) {
         return <Navigate to="/dashboard" replace />;
     }
 
@@ -1,7 +1,10 @@
 import { useState } from 'react';
 import api from '../api/axios';
+import { formatFlexHours } from '../utils/progress';
 
-function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange }) {
+function AdminUserTable({
+    users, onPromote, onResetTwoFactor, onForceLogout, onUnlock, date, periodView, onPeriodChange,
+}) {
     const [expandedUser, setExpandedUser] = useState(null);
     const [sessions, setSessions] = useState([]);
     const [loadingSessions, setLoadingSessions] = useState(false);
@@ -66,6 +69,7 @@ function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange })
                         <th>Hours Today</th>
                         <th>Goal</th>
                         <th>Progress</th>
+                        <th title="Worked minus goal over finished days">Flex</th>
                         <th>Status</th>
                         <th>Role</th>
                         <th>Actions</th>
@@ -96,10 +100,23 @@ function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange })
                                         <span className="user-avatar-small">
                                             {user.name?.[0]?.toUpperCase()}
                                         </span>
-                                        {user.name}
+                                        <div>
+                                            {user.name}
+                                            {user.teamName && <div className="timesheet-sub">{user.teamName}</div>}
+                                        </div>
                                     </div>
                                 </td>
-                                <td className="email-cell">{user.email}</td>
+                                <td className="email-cell">
+                                    {user.email}
+                                    {!user.emailVerifiedAt && (
+                                        <span
+                                            className="role-badge unverified"
+                                            title="Has not followed the link mailed at registration yet"
+                                        >
+                                            Unverified
+                                        </span>
+                                    )}
+                                </td>
                                 <td className="hours-cell">{user.totalFormatted}</td>
 
                                 <td>{user.goalHours}h</td>
@@ -116,6 +133,9 @@ function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange })
                                         </span>
                                     </div>
                                 </td>
+                                <td className={user.flexBalanceHours < 0 ? 'flex-negative' : ''}>
+                                    {formatFlexHours(user.flexBalanceHours ?? 0)}
+                                </td>
                                 <td>
                                     <span className={`status-dot ${user.isOnline ? 'online' : 'offline'}`} />
                                     {user.isOnline ? 'Online' : 'Offline'}
@@ -126,6 +146,22 @@ function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange })
                                     ) : (
                                         <span className="role-badge employee">Employee</span>
                                     )}
+                                    {user.roles?.map((role) => (
+                                        <span key={role._id} className="role-badge custom">{role.name}</span>
+                                    ))}
+                                    {user.lockedUntil && (
+                                        <span
+                                            className="role-badge locked"
+                                            title={`Too many failed sign-ins; locked until ${formatTime(user.lockedUntil)}`}
+                                        >
+                                            Locked
+                                        </span>
+                                    )}
+                                    {user.twoFactorEnabled && (
+                                        <span className="role-badge custom" title="Two-factor authentication on">
+                                            2FA
+                                        </span>
+                                    )}
                                 </td>
                                 <td className="actions-cell">
                                     <button
@@ -135,13 +171,42 @@ function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange })
                                     >
                                         👁️
                                     </button>
-                                    <button
-                                        className="btn btn-sm btn-ghost"
-                                        onClick={() => onPromote(user._id, !user.isAdmin)}
-                                        title={user.isAdmin ? 'Demote from admin' : 'Promote to admin'}
-                                    >
-                                        {user.isAdmin ? '⬇️' : '⬆️'}
-                                    </button>
+                                    {onPromote && (
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => onPromote(user._id, !user.isAdmin)}
+                                            title={user.isAdmin ? 'Demote from admin' : 'Promote to admin'}
+                                        >
+                                            {user.isAdmin ? '⬇️' : '⬆️'}
+                                        </button>
+                                    )}
+                                    {onResetTwoFactor && user.twoFactorEnabled && (
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => onResetTwoFactor(user)}
+                                            title="Reset two-factor authentication"
+                                        >
+                                            🔓
+                                        </button>
+                                    )}
+                                    {onUnlock && user.lockedUntil && (
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => onUnlock(user)}
+                                            title="Unlock account"
+                                        >
+                                            🔑
+                                        </button>
+                                    )}
+                                    {onForceLogout && (
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => onForceLogout(user)}
+                                            title="Sign out on all devices"
+                                        >
+                                            🚪
+                                        </button>
+                                    )}
                                 </td>
 
                                 {/* Period column: worked / goal */}
@@ -161,7 +226,7 @@ function AdminUserTable({ users, onPromote, date, periodView, onPeriodChange })
                             {/* Expanded sessions row */}
                             {expandedUser === user._id && (
                                 <tr key={`${user._id}-sessions`} className="sessions-row">
-                                    <td colSpan="9">
+                                    <td colSpan="10">
                                         <div className="sessions-drawer">
                                             <h4>Sessions for {user.name} — {date}</h4>
                                             {loadingSessions ? (
@@ -2,12 +2,47 @@ import { useState, useEffect } from 'react';
 import api from '../api/axios';
 
 const ACTION_LABELS = {
+    ORG_CREATED: { label: 'Organization Created', color: '#4aff8c' },
+    PROFILE_UPDATED: { label: 'Profile Updated', color: '#93c5fd' },
+    PASSWORD_CHANGED: { label: 'Password Changed', color: '#fbbf24' },
+    PASSWORD_RESET_REQUESTED: { label: 'Reset Requested', color: '#fcd34d' },
+    PASSWORD_RESET: { label: 'Password Reset', color: '#f59e0b' },
+    EMAIL_VERIFIED: { label: 'Email Verified', color: '#4ade80' },
+    TWO_FACTOR_ENABLED: { label: '2FA On', color: '#34d399' },
+    TWO_FACTOR_DISABLED: { label: '2FA Off', color: '#f87171' },
+    TWO_FACTOR_RESET: { label: '2FA Reset', color: '#fb923c' },
+    RECOVERY_CODES_REGENERATED: { label: 'New Recovery Codes', color: '#a3e635' },
+    RECOVERY_CODE_USED: { label: 'Recovery Code Used', color: '#fdba74' },
+    REFRESH_TOKEN_REUSED: { label: 'Token Reuse Blocked', color: '#ef4444' },
+    FORCE_LOGOUT: { label: 'Signed Out by Admin', color: '#fb7185' },
+    ACCOUNT_LOCKED: { label: 'Account Locked', color: '#ef4444' },
+    ACCOUNT_UNLOCKED: { label: 'Account Unlocked', color: '#4ade80' },
+    SSO_USER_PROVISIONED: { label: 'SSO Account Created', color: '#60a5fa' },
+    SSO_ACCOUNT_LINKED: { label: 'SSO Linked', color: '#60a5fa' },
     ADMIN_LOGIN: { label: 'Admin Login', color: '#4a9eff' },
     ADMIN_LOGIN_DENIED: { label: 'Login Denied', color: '#ff4a6e' },
     PROMOTE: { label: 'Promoted', color: '#4aff8c' },
     DEMOTE: { label: 'Demoted', color: '#ffaa4a' },
     INVITE_CREATED: { label: 'Invite Sent', color: '#c084fc' },
     INVITE_USED: { label: 'Invite Used', color: '#22d3ee' },
+    SESSION_UPDATED: { label: 'Session Edited', color: '#facc15' },
+    SESSION_DELETED: { label: 'Session Deleted', color: '#f87171' },
+    PROJECT_CREATED: { label: 'Project Created', color: '#60a5fa' },
+    PROJECT_UPDATED: { label: 'Project Updated', color: '#93c5fd' },
+    CLIENT_CREATED: { label: 'Client Created', color: '#a5b4fc' },
+    SETTINGS_UPDATED: { label: 'Settings Updated', color: '#fbbf24' },
+    TIMESHEET_SUBMITTED: { label: 'Timesheet Submitted', color: '#60a5fa' },
+    TIMESHEET_APPROVED: { label: 'Timesheet Approved', color: '#34d399' },
+    TIMESHEET_REJECTED: { label: 'Timesheet Rejected', color: '#f87171' },
+    CORRECTION_REQUESTED: { label: 'Correction Requested', color: '#60a5fa' },
+    CORRECTION_APPROVED: { label: 'Correction Approved', color: '#34d399' },
+    CORRECTION_REJECTED: { label: 'Correction Rejected', color: '#f87171' },
+    LEAVE_REQUESTED: { label: 'Leave Requested', color: '#60a5fa' },
+    LEAVE_APPROVED: { label: 'Leave Approved', color: '#34d399' },
+    LEAVE_REJECTED: { label: 'Leave Rejected', color: '#f87171' },
+    LEAVE_CANCELLED: { label: 'Leave Cancelled', color: '#9ca3af' },
+    HOLIDAY_CREATED: { label: 'Holiday Added', color: '#a78bfa' },
+    HOLIDAY_DELETED: { label: 'Holiday Removed', color: '#c4b5fd' },
 };
 
 function AuditLogViewer() {
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+/**
+ * Banner listing sessions the server closed automatically because the user
+ * forgot to end them. Each one can be confirmed as-is or opened for review
+ * (jumping to its date so the times can be corrected in the session list).
+ *
+ * @param {{ sessions: Array, timezone: string, onReview: Function, onConfirmed: Function }} props
+ */
+function AutoCloseNotice({ sessions, timezone, onReview, onConfirmed }) {
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState('');
+
+    if (!sessions || sessions.length === 0) return null;
+
+    const zone = timezone || 'local';
+    const format = (iso, fmt) => DateTime.fromISO(iso, { zone }).toFormat(fmt);
+
+    const handleConfirm = async (sessionId) => {
+        setBusyId(sessionId);
+        setError('');
+        try {
+            await api.patch(`/sessions/${sessionId}/confirm`);
+            onConfirmed?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to confirm session');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="auto-close-notice" role="status">
+            <p className="auto-close-title">
+                ⚠️ {sessions.length === 1 ? 'A session was' : `${sessions.length} sessions were`} still
+                running and got closed automatically. Please check the hours are right.
+            </p>
+            {error && <div className="alert alert-error">{error}</div>}
+            <ul className="auto-close-list">
+                {sessions.map((s) => (
+                    <li key={s._id} className="auto-close-item">
+                        <span>
+                            {format(s.startAt, 'ccc dd LLL')} · {format(s.startAt, 'hh:mm a')} → {format(s.endAt, 'hh:mm a')}
+                        </span>
+                        <span className="session-actions">
+                            <button
+                                className="session-action-btn"
+                                onClick={() => onReview?.(DateTime.fromISO(s.startAt, { zone }).toISODate())}
+                            >
+                                Review
+                            </button>
+                            <button
+                                className="session-action-btn"
+                                onClick={() => handleConfirm(s._id)}
+                                disabled={busyId === s._id}
+                            >
+                                ✓ Confirm
+                            </button>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default AutoCloseNotice;
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+
+/**
+ * Lets a user override the organization's auto-close policy for forgotten
+ * sessions. Leaving a field empty falls back to the organization default.
+ */
+function AutoClosePreferences() {
+    const [data, setData] = useState(null);
+    const [maxHours, setMaxHours] = useState('');
+    const [cutoff, setCutoff] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        api.get('/user/auto-close')
+            .then((res) => {
+                setData(res.data);
+                setMaxHours(res.data.own.maxSessionHours ?? '');
+                setCutoff(res.data.own.dailyCutoffTime ?? '');
+            })
+            .catch((err) => console.error('Failed to load auto-close settings', err));
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage('');
+        try {
+            const res = await api.put('/user/auto-close', {
+                maxSessionHours: maxHours === '' ? null : Number(maxHours),
+                dailyCutoffTime: cutoff || null,
+            });
+            setData(res.data);
+            setMessage('Saved');
+        } catch (err) {
+            setMessage(err.response?.data?.error || 'Failed to save');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!data) return null;
+
+    const describe = ({ maxSessionHours, dailyCutoffTime }) => {
+        const parts = [];
+        if (maxSessionHours) parts.push(`after ${maxSessionHours}h`);
+        if (dailyCutoffTime) parts.push(`at ${dailyCutoffTime}`);
+        return parts.length ? parts.join(' or ') : 'never';
+    };
+
+    return (
+        <form className="auto-close-prefs" onSubmit={handleSubmit}>
+            <h3 className="section-title">
+                <span className="section-icon">⏰</span>
+                Auto-stop
+            </h3>
+            <p className="auto-close-hint">
+                Forgotten sessions stop {describe(data.effective)}.
+                Leave blank to use your organization&apos;s default ({describe(data.org)}).
+            </p>
+            <div className="manual-entry-row">
+                <label className="manual-entry-field">
+                    <span className="time-label">Max hours</span>
+                    <input
+                        type="number"
+                        min="1"
+                        max="72"
+                        step="0.5"
+                        value={maxHours}
+                        onChange={(e) => setMaxHours(e.target.value)}
+                        placeholder={data.org.maxSessionHours ?? '—'}
+                    />
+                </label>
+                <label className="manual-entry-field">
+                    <span className="time-label">Daily cutoff</span>
+                    <input
+                        type="time"
+                        value={cutoff}
+                        onChange={(e) => setCutoff(e.target.value)}
+                    />
+                </label>
+                <button type="submit" className="btn btn-primary btn-save" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+            {message && <p className="auto-close-hint">{message}</p>}
+        </form>
+    );
+}
+
+export default AutoClosePreferences;
@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const ACTION_LABELS = {
+    create: 'new',
+    overwrite: 'replaces',
+    unchanged: 'unchanged',
+    locked: 'locked',
+};
+
+/**
+ * Set one goal across a range of dates picked on the calendar, optionally
+ * only on some weekdays. Shows a preview of which goals will be created or
+ * overwritten before applying.
+ *
+ * @param {{ range: { start: string, end: string }, onApplied?: Function, onClose: Function }} props
+ */
+function BulkGoalEditor({ range, onApplied, onClose }) {
+    const [goalHours, setGoalHours] = useState('8');
+    const [weekdays, setWeekdays] = useState([]);
+    const [preview, setPreview] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const payload = {
+        startDate: range.start,
+        endDate: range.end,
+        goalHours: Number(goalHours),
+        ...(weekdays.length ? { weekdays } : {}),
+    };
+
+    const toggleWeekday = (weekday) => {
+        setPreview(null);
+        setWeekdays((prev) => (prev.includes(weekday)
+            ? prev.filter((d) => d !== weekday)
+            : [...prev, weekday].sort((a, b) => a - b)));
+    };
+
+    const run = async (request) => {
+        setBusy(true);
+        setError('');
+        setMessage('');
+        try {
+            return await request();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update goals');
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePreview = async () => {
+        const res = await run(() => api.post('/goals/bulk/preview', payload));
+        if (res) setPreview(res.data);
+    };
+
+    const handleApply = async () => {
+        const res = await run(() => api.put('/goals/bulk', payload));
+        if (!res) return;
+        const { create, overwrite } = res.data.counts;
+        setMessage(`Saved ${create + overwrite} goal(s)`);
+        setPreview(null);
+        onApplied?.();
+    };
+
+    const formatDate = (date) => DateTime.fromISO(date).toFormat('ccc dd LLL');
+
+    return (
+        <div className="bulk-goal-editor">
+            <div className="bulk-goal-header">
+                <h3 className="section-title">
+                    <span className="section-icon">🎯</span>
+                    {range.start === range.end
+                        ? formatDate(range.start)
+                        : `${formatDate(range.start)} – ${formatDate(range.end)}`}
+                </h3>
+                <button className="session-action-btn" onClick={onClose} title="Clear selection">✕</button>
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <div className="schedule-row">
+                <span className="schedule-day">Goal</span>
+                <input
+                    type="number"
+                    min="0.5"
+                    max="24"
+                    step="0.5"
+                    value={goalHours}
+                    onChange={(e) => {
+                        setGoalHours(e.target.value);
+                        setPreview(null);
+                    }}
+                    aria-label="Goal hours for the range"
+                />
+                <span className="time-label">hrs</span>
+            </div>
+
+            <div className="bulk-goal-weekdays">
+                {WEEKDAYS.map((name, i) => (
+                    <label key={name} className="schedule-toggle">
+                        <input
+                            type="checkbox"
+                            checked={weekdays.includes(i + 1)}
+                            onChange={() => toggleWeekday(i + 1)}
+                        />
+                        {name}
+                    </label>
+                ))}
+            </div>
+            <p className="auto-close-hint">
+                {weekdays.length ? 'Only the ticked weekdays are changed.' : 'Every day in the range is changed.'}
+            </p>
+
+            {preview && (
+                <>
+                    <p className="auto-close-hint">
+                        {preview.counts.create} new · {preview.counts.overwrite} overwritten
+                        {preview.counts.unchanged > 0 && <> · {preview.counts.unchanged} unchanged</>}
+                        {preview.counts.locked > 0 && <> · {preview.counts.locked} locked (skipped)</>}
+                    </p>
+                    <ul className="correction-history bulk-goal-preview">
+                        {preview.dates.map((d) => (
+                            <li key={d.date} className={`bulk-goal-${d.action}`}>
+                                {formatDate(d.date)} — {ACTION_LABELS[d.action]}
+                                {d.action === 'overwrite' && <> {d.previousGoalHours}h</>}
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            <div className="manual-entry-row">
+                <button className="btn btn-ghost" onClick={handlePreview} disabled={busy || !goalHours}>
+                    Preview
+                </button>
+                <button className="btn btn-primary btn-save" onClick={handleApply} disabled={busy || !preview}>
+                    {busy ? 'Saving...' : 'Apply'}
+                </button>
+            </div>
+            {message && <p className="auto-close-hint">{message}</p>}
+        </div>
+    );
+}
+
+export default BulkGoalEditor;
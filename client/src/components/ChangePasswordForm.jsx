@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * Change the signed-in user's password. Needs the current password.
+ */
+function ChangePasswordForm() {
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaved(false);
+        if (newPassword !== confirm) {
+            setError('New passwords do not match');
+            return;
+        }
+        setSaving(true);
+        setError('');
+        try {
+            await api.post('/auth/change-password', { currentPassword, newPassword });
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirm('');
+            setSaved(true);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to change password');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="card auth-form" onSubmit={handleSubmit}>
+            <h3 className="section-title">
+                <span className="section-icon">🔒</span>
+                Password
+            </h3>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <div className="form-group">
+                <label htmlFor="currentPassword">Current Password</label>
+                <input
+                    id="currentPassword"
+                    type="password"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                    required
+                    autoComplete="current-password"
+                />
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="newPassword">New Password</label>
+                <input
+                    id="newPassword"
+                    type="password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    placeholder="At least 6 characters"
+                    required
+                    minLength={6}
+                    autoComplete="new-password"
+                />
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="confirmNewPassword">Confirm New Password</label>
+                <input
+                    id="confirmNewPassword"
+                    type="password"
+                    value={confirm}
+                    onChange={(e) => setConfirm(e.target.value)}
+                    required
+                    minLength={6}
+                    autoComplete="new-password"
+                />
+            </div>
+
+            <div className="settings-actions">
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : 'Change Password'}
+                </button>
+                {saved && <span className="settings-saved">✓ Password changed</span>}
+            </div>
+        </form>
+    );
+}
+
+export default ChangePasswordForm;
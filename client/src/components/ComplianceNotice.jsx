@@ -0,0 +1,29 @@
+/**
+ * Banner for working-time rules: warnings while a limit is coming up during
+ * a running session, and rules the selected day has already broken.
+ *
+ * @param {{ compliance?: { violations: Array, warnings: Array } }} props
+ */
+function ComplianceNotice({ compliance }) {
+    const warnings = compliance?.warnings || [];
+    const violations = compliance?.violations || [];
+    if (warnings.length === 0 && violations.length === 0) return null;
+
+    return (
+        <div
+            className={`compliance-notice ${violations.length > 0 ? 'compliance-violation' : ''}`}
+            role={warnings.length > 0 ? 'alert' : 'status'}
+        >
+            <ul className="auto-close-list">
+                {warnings.map((w) => (
+                    <li key={w.rule} className="auto-close-item">⏳ {w.message}</li>
+                ))}
+                {violations.map((v) => (
+                    <li key={v.rule} className="auto-close-item">⛔ {v.message}</li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default ComplianceNotice;
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+const RULE_LABELS = {
+    maxDailyHours: 'Daily maximum',
+    minRest: 'Rest between days',
+    breakRequired: 'Break',
+};
+
+/**
+ * Admin report of working-time rule violations across all employees for a
+ * date range (the last 7 days by default).
+ */
+function ComplianceReport() {
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [report, setReport] = useState(null);
+    const [rule, setRule] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        try {
+            const params = {};
+            if (from) params.from = from;
+            if (to) params.to = to;
+            const res = await api.get('/admin/compliance', { params });
+            setReport(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load compliance report');
+        } finally {
+            setLoading(false);
+        }
+    }, [from, to]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const violations = report?.violations.filter((v) => !rule || v.rule === rule) || [];
+
+    return (
+        <div className="compliance-report">
+            <div className="project-form">
+                <input
+                    type="date"
+                    className="admin-date-picker"
+                    value={from || report?.from || ''}
+                    onChange={(e) => setFrom(e.target.value)}
+                    aria-label="From"
+                />
+                <input
+                    type="date"
+                    className="admin-date-picker"
+                    value={to || report?.to || ''}
+                    onChange={(e) => setTo(e.target.value)}
+                    aria-label="To"
+                />
+            </div>
+
+            {report && (
+                <div className="period-toggle">
+                    <button
+                        className={`period-toggle-btn ${rule === '' ? 'active' : ''}`}
+                        onClick={() => setRule('')}
+                    >
+                        All ({report.violations.length})
+                    </button>
+                    {Object.entries(RULE_LABELS).map(([key, label]) => (
+                        <button
+                            key={key}
+                            className={`period-toggle-btn ${rule === key ? 'active' : ''}`}
+                            onClick={() => setRule(key)}
+                        >
+                            {label} ({report.counts[key]})
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {loading ? (
+                <p className="audit-loading">Loading report...</p>
+            ) : violations.length === 0 ? (
+                <p className="audit-empty">No violations in this range</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Employee</th>
+                            <th>Rule</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {violations.map((v) => (
+                            <tr key={`${v.userId}-${v.date}-${v.rule}`}>
+                                <td>{DateTime.fromISO(v.date).toFormat('ccc, dd LLL yyyy')}</td>
+                                <td>
+                                    {v.name}
+                                    <div className="timesheet-sub">{v.email}</div>
+                                </td>
+                                <td>
+                                    <span className={`compliance-rule compliance-rule-${v.rule}`}>
+                                        {RULE_LABELS[v.rule]}
+                                    </span>
+                                </td>
+                                <td>{v.message}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default ComplianceReport;
@@ -0,0 +1,203 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+const STATUS_ICONS = { pending: '⏳', approved: '✅', rejected: '↩️' };
+
+/**
+ * Propose changes to a day's finished sessions — retime, remove, or add
+ * missed ones — with a reason. Nothing changes until an admin approves.
+ * Also lists the user's requests for the day and their outcome.
+ *
+ * @param {{ date: string, sessions: Array, timezone: string, onSubmitted?: Function }} props
+ */
+function CorrectionRequestForm({ date, sessions, timezone, onSubmitted }) {
+    const zone = timezone || 'local';
+    const toInputTime = (iso) => DateTime.fromISO(iso, { zone }).toFormat('HH:mm');
+
+    // Only finished sessions that start on this day can be corrected
+    const editable = (sessions || []).filter(
+        (s) => s.endAt && DateTime.fromISO(s.startAt, { zone }).toISODate() === date
+    );
+
+    const [edits, setEdits] = useState({});
+    const [additions, setAdditions] = useState([]);
+    const [reason, setReason] = useState('');
+    const [requests, setRequests] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchRequests = useCallback(async () => {
+        try {
+            const res = await api.get('/corrections');
+            setRequests(res.data.corrections.filter((c) => c.date === date));
+        } catch (err) {
+            console.error('Failed to load correction requests', err);
+        }
+    }, [date]);
+
+    useEffect(() => {
+        fetchRequests();
+    }, [fetchRequests]);
+
+    const editOf = (session) => edits[session._id] || {
+        startTime: toInputTime(session.startAt),
+        endTime: toInputTime(session.endAt),
+        remove: false,
+    };
+
+    const updateEdit = (session, changes) => {
+        setEdits((prev) => ({ ...prev, [session._id]: { ...editOf(session), ...changes } }));
+    };
+
+    const buildChanges = () => {
+        const changes = [];
+        for (const session of editable) {
+            const edit = edits[session._id];
+            if (!edit) continue;
+            if (edit.remove) {
+                changes.push({ type: 'remove', sessionId: session._id });
+                continue;
+            }
+            const change = { type: 'update', sessionId: session._id };
+            if (edit.startTime !== toInputTime(session.startAt)) change.startTime = edit.startTime;
+            if (edit.endTime !== toInputTime(session.endAt)) change.endTime = edit.endTime;
+            if (change.startTime || change.endTime) changes.push(change);
+        }
+        for (const add of additions) {
+            changes.push({ type: 'add', startTime: add.startTime, endTime: add.endTime });
+        }
+        return changes;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const changes = buildChanges();
+        if (changes.length === 0) {
+            setError('Change, remove or add at least one session');
+            return;
+        }
+        setSaving(true);
+        setError('');
+        try {
+            await api.post('/corrections', { date, reason, changes });
+            setEdits({});
+            setAdditions([]);
+            setReason('');
+            fetchRequests();
+            onSubmitted?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to submit correction');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="correction-form" onSubmit={handleSubmit}>
+            <h3 className="section-title">
+                <span className="section-icon">🛠️</span>
+                Request a Correction
+            </h3>
+            <p className="manual-entry-hint">
+                Changes to recorded time are applied once an admin approves them.
+            </p>
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {editable.map((session) => {
+                const edit = editOf(session);
+                return (
+                    <div key={session._id} className={`correction-row ${edit.remove ? 'removed' : ''}`}>
+                        <input
+                            type="time"
+                            value={edit.startTime}
+                            onChange={(e) => updateEdit(session, { startTime: e.target.value })}
+                            disabled={edit.remove}
+                            aria-label="Corrected start time"
+                        />
+                        <span className="time-arrow">→</span>
+                        <input
+                            type="time"
+                            value={edit.endTime}
+                            onChange={(e) => updateEdit(session, { endTime: e.target.value })}
+                            disabled={edit.remove}
+                            aria-label="Corrected end time"
+                        />
+                        <label className="correction-remove">
+                            <input
+                                type="checkbox"
+                                checked={edit.remove}
+                                onChange={(e) => updateEdit(session, { remove: e.target.checked })}
+                            />
+                            Remove
+                        </label>
+                    </div>
+                );
+            })}
+
+            {additions.map((add, i) => (
+                <div key={i} className="correction-row added">
+                    <input
+                        type="time"
+                        value={add.startTime}
+                        onChange={(e) => setAdditions((prev) =>
+                            prev.map((a, j) => (j === i ? { ...a, startTime: e.target.value } : a)))}
+                        required
+                        aria-label="Missed session start time"
+                    />
+                    <span className="time-arrow">→</span>
+                    <input
+                        type="time"
+                        value={add.endTime}
+                        onChange={(e) => setAdditions((prev) =>
+                            prev.map((a, j) => (j === i ? { ...a, endTime: e.target.value } : a)))}
+                        required
+                        aria-label="Missed session end time"
+                    />
+                    <button
+                        type="button"
+                        className="session-action-btn"
+                        onClick={() => setAdditions((prev) => prev.filter((_, j) => j !== i))}
+                        title="Remove this addition"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+
+            <button
+                type="button"
+                className="btn btn-ghost"
+                onClick={() => setAdditions((prev) => [...prev, { startTime: '09:00', endTime: '17:00' }])}
+            >
+                ＋ Add missed session
+            </button>
+
+            <textarea
+                className="session-notes-input correction-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Why does this need correcting?"
+                maxLength={500}
+                required
+                aria-label="Reason for the correction"
+            />
+            <button type="submit" className="btn btn-primary btn-save" disabled={saving}>
+                {saving ? 'Submitting...' : 'Submit for Approval'}
+            </button>
+
+            {requests.length > 0 && (
+                <ul className="correction-history">
+                    {requests.map((r) => (
+                        <li key={r._id}>
+                            {STATUS_ICONS[r.status]} {r.changes.length} change(s) — {r.status}
+                            {r.reviewComment && <span className="correction-comment"> · {r.reviewComment}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </form>
+    );
+}
+
+export default CorrectionRequestForm;
@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+/**
+ * Admin queue of session correction requests. Shows what the employee
+ * recorded for the day next to what they propose; approving applies the
+ * changes, rejecting needs a comment.
+ */
+function CorrectionReview() {
+    const [status, setStatus] = useState('pending');
+    const [corrections, setCorrections] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [rejectingId, setRejectingId] = useState(null);
+    const [comment, setComment] = useState('');
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchCorrections = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await api.get('/corrections/review', { params: { status } });
+            setCorrections(res.data.corrections);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load correction requests');
+        } finally {
+            setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        fetchCorrections();
+    }, [fetchCorrections]);
+
+    const review = async (correctionId, action) => {
+        setBusyId(correctionId);
+        setError('');
+        try {
+            await api.patch(`/corrections/${correctionId}/review`, {
+                action,
+                ...(action === 'reject' ? { comment } : {}),
+            });
+            setRejectingId(null);
+            setComment('');
+            fetchCorrections();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to review correction request');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const describeChange = (change, sessions, zone) => {
+        const session = sessions.find((s) => s._id === change.sessionId);
+        const time = (iso) => (iso ? DateTime.fromISO(iso, { zone }).toFormat('HH:mm') : '?');
+        const current = session ? `${time(session.startAt)}–${time(session.endAt)}` : 'unknown session';
+        if (change.type === 'add') return `➕ Add ${change.startTime}–${change.endTime}`;
+        if (change.type === 'remove') return `➖ Remove ${current}`;
+        return `✏️ ${current} → ${change.startTime || time(session?.startAt)}–${change.endTime || time(session?.endAt)}`;
+    };
+
+    return (
+        <div className="timesheet-review">
+            <div className="period-toggle">
+                {['pending', 'approved', 'rejected'].map((s) => (
+                    <button
+                        key={s}
+                        className={`period-toggle-btn ${status === s ? 'active' : ''}`}
+                        onClick={() => setStatus(s)}
+                    >
+                        {s.charAt(0).toUpperCase() + s.slice(1)}
+                    </button>
+                ))}
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {loading ? (
+                <p className="audit-loading">Loading correction requests...</p>
+            ) : corrections.length === 0 ? (
+                <p className="audit-empty">No {status} correction requests</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Employee</th>
+                            <th>Date</th>
+                            <th>Changes</th>
+                            <th>Reason</th>
+                            <th>{status === 'pending' ? 'Actions' : 'Review'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {corrections.map((c) => (
+                            <tr key={c._id}>
+                                <td>
+                                    {c.userId?.name}
+                                    <div className="timesheet-sub">{c.userId?.email}</div>
+                                </td>
+                                <td>{c.date}</td>
+                                <td>
+                                    <ul className="correction-changes">
+                                        {c.changes.map((change, i) => (
+                                            <li key={i}>
+                                                {describeChange(change, c.currentSessions, c.userId?.timezone || 'UTC')}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </td>
+                                <td>{c.reason}</td>
+                                <td className="actions-cell">
+                                    {status !== 'pending' ? (
+                                        <>
+                                            {c.reviewedByUserId?.name || '—'}
+                                            {c.reviewComment && <div className="timesheet-sub">{c.reviewComment}</div>}
+                                        </>
+                                    ) : rejectingId === c._id ? (
+                                        <div className="timesheet-reject">
+                                            <input
+                                                type="text"
+                                                className="admin-search"
+                                                placeholder="Why not?"
+                                                value={comment}
+                                                onChange={(e) => setComment(e.target.value)}
+                                                maxLength={500}
+                                                autoFocus
+                                            />
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => review(c._id, 'reject')}
+                                                disabled={!comment.trim() || busyId === c._id}
+                                            >
+                                                Send
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => setRejectingId(null)}
+                                            >
+                                                ✕
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => review(c._id, 'approve')}
+                                                disabled={busyId === c._id}
+                                                title="Approve and apply"
+                                            >
+                                                ✅
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => {
+                                                    setRejectingId(c._id);
+                                                    setComment('');
+                                                }}
+                                                title="Reject with comment"
+                                            >
+                                                ↩️
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default CorrectionReview;
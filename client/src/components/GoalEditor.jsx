@@ -5,9 +5,10 @@ import api from '../api/axios';
  * Editable daily goal component.
  * Allows users to adjust their daily work hour target.
  *
- * @param {{ goalHours: number, date: string, onGoalUpdated: Function }} props
+ * @param {{ goalHours: number, date: string, locked?: boolean, onGoalUpdated: Function }} props
+ *   locked — the day's timesheet is approved; the goal is shown read-only
  */
-function GoalEditor({ goalHours, date, onGoalUpdated }) {
+function GoalEditor({ goalHours, date, locked, onGoalUpdated }) {
     const [value, setValue] = useState(goalHours);
     const [saving, setSaving] = useState(false);
     const [saved, setSaved] = useState(false);
@@ -39,6 +40,7 @@ function GoalEditor({ goalHours, date, onGoalUpdated }) {
                     <button
                         className="goal-btn goal-btn-minus"
                         onClick={() => setValue(Math.max(0.5, value - 0.5))}
+                        disabled={locked}
                         aria-label="Decrease goal by 30 minutes"
                     >
                         −
@@ -51,12 +53,14 @@ function GoalEditor({ goalHours, date, onGoalUpdated }) {
                         min={0.5}
                         max={24}
                         step={0.5}
+                        disabled={locked}
                         aria-label="Daily goal in hours"
                     />
                     <span className="goal-unit">hours</span>
                     <button
                         className="goal-btn goal-btn-plus"
                         onClick={() => setValue(Math.min(24, value + 0.5))}
+                        disabled={locked}
                         aria-label="Increase goal by 30 minutes"
                     >
                         +
@@ -65,9 +69,9 @@ function GoalEditor({ goalHours, date, onGoalUpdated }) {
                 <button
                     className="btn btn-primary btn-save"
                     onClick={handleSave}
-                    disabled={saving || value === goalHours}
+                    disabled={locked || saving || value === goalHours}
                 >
-                    {saving ? 'Saving...' : saved ? '✓ Saved' : 'Save'}
+                    {locked ? '🔒 Locked' : saving ? 'Saving...' : saved ? '✓ Saved' : 'Save'}
                 </button>
             </div>
         </div>
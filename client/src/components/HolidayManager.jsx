@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+/**
+ * Admin panel for the organization's holiday calendar, one year at a time.
+ * Nobody has a goal on a holiday.
+ */
+function HolidayManager() {
+    const [year, setYear] = useState(() => new Date().getFullYear());
+    const [holidays, setHolidays] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [date, setDate] = useState('');
+    const [name, setName] = useState('');
+
+    const fetchHolidays = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await api.get('/holidays', { params: { year } });
+            setHolidays(res.data.holidays);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load holidays');
+        } finally {
+            setLoading(false);
+        }
+    }, [year]);
+
+    useEffect(() => {
+        fetchHolidays();
+    }, [fetchHolidays]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await api.post('/holidays', { date, name });
+            setDate('');
+            setName('');
+            fetchHolidays();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to add holiday');
+        }
+    };
+
+    const handleDelete = async (holiday) => {
+        if (!window.confirm(`Remove ${holiday.name} (${holiday.date})?`)) return;
+        setError('');
+        try {
+            await api.delete(`/holidays/${holiday._id}`);
+            fetchHolidays();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to remove holiday');
+        }
+    };
+
+    return (
+        <div className="holiday-manager">
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <form className="project-form" onSubmit={handleCreate}>
+                <input
+                    type="date"
+                    className="admin-date-picker"
+                    value={date}
+                    onChange={(e) => setDate(e.target.value)}
+                    required
+                />
+                <input
+                    type="text"
+                    className="admin-search"
+                    placeholder="Holiday name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={100}
+                    required
+                />
+                <button type="submit" className="btn btn-accent">＋ Add Holiday</button>
+            </form>
+
+            <div className="period-toggle">
+                <button className="period-toggle-btn" onClick={() => setYear((y) => y - 1)}>◀</button>
+                <button className="period-toggle-btn active">{year}</button>
+                <button className="period-toggle-btn" onClick={() => setYear((y) => y + 1)}>▶</button>
+            </div>
+
+            {loading ? (
+                <p className="audit-loading">Loading holidays...</p>
+            ) : holidays.length === 0 ? (
+                <p className="audit-empty">No holidays in {year}</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Holiday</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {holidays.map((holiday) => (
+                            <tr key={holiday._id}>
+                                <td>{DateTime.fromISO(holiday.date).toFormat('ccc, dd LLL yyyy')}</td>
+                                <td>{holiday.name}</td>
+                                <td className="actions-cell">
+                                    <button
+                                        className="btn btn-sm btn-ghost"
+                                        onClick={() => handleDelete(holiday)}
+                                        title="Remove holiday"
+                                    >
+                                        🗑️
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default HolidayManager;
@@ -0,0 +1,41 @@
+import { DateTime } from 'luxon';
+
+/**
+ * Shown when the user comes back after being idle during an active session.
+ * Offers to keep the idle time, discard it (the session is split around the
+ * gap), or stop the session at the moment idleness began.
+ *
+ * @param {{ idleSince: Date, timezone: string, busy: boolean, error: string, onResolve: Function }} props
+ *   onResolve — called with 'keep', 'discard' or 'stop'
+ */
+function IdleDialog({ idleSince, timezone, busy, error, onResolve }) {
+    const since = DateTime.fromJSDate(idleSince, { zone: timezone || 'local' });
+    const minutes = Math.floor(DateTime.now().diff(since).as('minutes'));
+    const sinceLabel = since.toFormat('hh:mm a');
+
+    return (
+        <div className="idle-overlay">
+            <div className="idle-dialog card" role="dialog" aria-modal="true" aria-labelledby="idle-title">
+                <h2 id="idle-title">💤 Were you working?</h2>
+                <p className="idle-text">
+                    No activity since <strong>{sinceLabel}</strong> ({minutes} min). What should happen
+                    to that time?
+                </p>
+                {error && <div className="alert alert-error">{error}</div>}
+                <div className="idle-actions">
+                    <button className="btn btn-primary" onClick={() => onResolve('keep')} disabled={busy}>
+                        Keep it
+                    </button>
+                    <button className="btn btn-ghost" onClick={() => onResolve('discard')} disabled={busy}>
+                        Discard idle time
+                    </button>
+                    <button className="btn btn-ghost" onClick={() => onResolve('stop')} disabled={busy}>
+                        Stop at {sinceLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default IdleDialog;
@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+const LEAVE_TYPES = [
+    { value: 'vacation', label: 'Vacation' },
+    { value: 'sick', label: 'Sick' },
+    { value: 'half-day', label: 'Half day' },
+];
+
+const STATUS_ICONS = { pending: '⏳', approved: '✅', rejected: '↩️', cancelled: '✕' };
+
+/**
+ * Request time off and follow up on past requests. Approved leave removes
+ * (or halves, for a half day) the goal for those days.
+ *
+ * @param {{ today: string, onChanged?: Function }} props
+ *   today — 'YYYY-MM-DD'; approved leave can only be cancelled before it starts
+ */
+function LeavePanel({ today, onChanged }) {
+    const [leaves, setLeaves] = useState([]);
+    const [type, setType] = useState('vacation');
+    const [startDate, setStartDate] = useState(today);
+    const [endDate, setEndDate] = useState(today);
+    const [reason, setReason] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchLeaves = useCallback(async () => {
+        try {
+            const res = await api.get('/leave');
+            setLeaves(res.data.leaves);
+        } catch (err) {
+            console.error('Failed to load leave requests', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchLeaves();
+    }, [fetchLeaves]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await api.post('/leave', {
+                type,
+                startDate,
+                endDate: type === 'half-day' ? startDate : endDate,
+                reason,
+            });
+            setReason('');
+            fetchLeaves();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to request leave');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancel = async (leaveId) => {
+        setError('');
+        try {
+            await api.patch(`/leave/${leaveId}/cancel`);
+            fetchLeaves();
+            onChanged?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to cancel leave');
+        }
+    };
+
+    const formatRange = (leave) => {
+        const start = DateTime.fromISO(leave.startDate).toFormat('dd LLL');
+        return leave.startDate === leave.endDate
+            ? start
+            : `${start} – ${DateTime.fromISO(leave.endDate).toFormat('dd LLL')}`;
+    };
+
+    const canCancel = (leave) =>
+        leave.status === 'pending' || (leave.status === 'approved' && leave.startDate > today);
+
+    return (
+        <form className="leave-panel" onSubmit={handleSubmit}>
+            <h3 className="section-title">
+                <span className="section-icon">🌴</span>
+                Time Off
+            </h3>
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <div className="manual-entry-row">
+                <label className="manual-entry-field">
+                    <span className="time-label">Type</span>
+                    <select className="leave-select" value={type} onChange={(e) => setType(e.target.value)}>
+                        {LEAVE_TYPES.map((t) => (
+                            <option key={t.value} value={t.value}>{t.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="manual-entry-field">
+                    <span className="time-label">{type === 'half-day' ? 'Date' : 'From'}</span>
+                    <input
+                        type="date"
+                        value={startDate}
+                        onChange={(e) => setStartDate(e.target.value)}
+                        required
+                    />
+                </label>
+                {type !== 'half-day' && (
+                    <label className="manual-entry-field">
+                        <span className="time-label">To</span>
+                        <input
+                            type="date"
+                            value={endDate}
+                            min={startDate}
+                            onChange={(e) => setEndDate(e.target.value)}
+                            required
+                        />
+                    </label>
+                )}
+            </div>
+            <input
+                type="text"
+                className="session-notes-input"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (optional)"
+                maxLength={500}
+                aria-label="Reason for the leave"
+            />
+            <button type="submit" className="btn btn-primary btn-save" disabled={saving}>
+                {saving ? 'Requesting...' : 'Request Leave'}
+            </button>
+
+            {leaves.length > 0 && (
+                <ul className="correction-history">
+                    {leaves.map((leave) => (
+                        <li key={leave._id}>
+                            {STATUS_ICONS[leave.status]} {formatRange(leave)} · {leave.type} — {leave.status}
+                            {leave.reviewComment && (
+                                <span className="correction-comment"> · {leave.reviewComment}</span>
+                            )}
+                            {canCancel(leave) && (
+                                <button
+                                    type="button"
+                                    className="session-action-btn"
+                                    onClick={() => handleCancel(leave._id)}
+                                    title="Cancel this request"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </form>
+    );
+}
+
+export default LeavePanel;
@@ -0,0 +1,163 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../api/axios';
+
+const TYPE_LABELS = { vacation: 'Vacation', sick: 'Sick', 'half-day': 'Half day' };
+
+/**
+ * Admin queue of leave requests. Approving removes the employee's goal for
+ * those days (half of it for a half day); rejecting needs a comment.
+ */
+function LeaveReview() {
+    const [status, setStatus] = useState('pending');
+    const [leaves, setLeaves] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [rejectingId, setRejectingId] = useState(null);
+    const [comment, setComment] = useState('');
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchLeaves = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await api.get('/leave/review', { params: { status } });
+            setLeaves(res.data.leaves);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load leave requests');
+        } finally {
+            setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        fetchLeaves();
+    }, [fetchLeaves]);
+
+    const review = async (leaveId, action) => {
+        setBusyId(leaveId);
+        setError('');
+        try {
+            await api.patch(`/leave/${leaveId}/review`, {
+                action,
+                ...(action === 'reject' ? { comment } : {}),
+            });
+            setRejectingId(null);
+            setComment('');
+            fetchLeaves();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to review leave request');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="timesheet-review">
+            <div className="period-toggle">
+                {['pending', 'approved', 'rejected', 'cancelled'].map((s) => (
+                    <button
+                        key={s}
+                        className={`period-toggle-btn ${status === s ? 'active' : ''}`}
+                        onClick={() => setStatus(s)}
+                    >
+                        {s.charAt(0).toUpperCase() + s.slice(1)}
+                    </button>
+                ))}
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {loading ? (
+                <p className="audit-loading">Loading leave requests...</p>
+            ) : leaves.length === 0 ? (
+                <p className="audit-empty">No {status} leave requests</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Employee</th>
+                            <th>Type</th>
+                            <th>Dates</th>
+                            <th>Reason</th>
+                            <th>{status === 'pending' ? 'Actions' : 'Review'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {leaves.map((leave) => (
+                            <tr key={leave._id}>
+                                <td>
+                                    {leave.userId?.name}
+                                    <div className="timesheet-sub">{leave.userId?.email}</div>
+                                </td>
+                                <td>{TYPE_LABELS[leave.type]}</td>
+                                <td>
+                                    {leave.startDate}
+                                    {leave.endDate !== leave.startDate && <> → {leave.endDate}</>}
+                                </td>
+                                <td>{leave.reason || '—'}</td>
+                                <td className="actions-cell">
+                                    {status !== 'pending' ? (
+                                        <>
+                                            {leave.reviewedByUserId?.name || '—'}
+                                            {leave.reviewComment && (
+                                                <div className="timesheet-sub">{leave.reviewComment}</div>
+                                            )}
+                                        </>
+                                    ) : rejectingId === leave._id ? (
+                                        <div className="timesheet-reject">
+                                            <input
+                                                type="text"
+                                                className="admin-search"
+                                                placeholder="Why not?"
+                                                value={comment}
+                                                onChange={(e) => setComment(e.target.value)}
+                                                maxLength={500}
+                                                autoFocus
+                                            />
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => review(leave._id, 'reject')}
+                                                disabled={!comment.trim() || busyId === leave._id}
+                                            >
+                                                Send
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => setRejectingId(null)}
+                                            >
+                                                ✕
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => review(leave._id, 'approve')}
+                                                disabled={busyId === leave._id}
+                                                title="Approve"
+                                            >
+                                                ✅
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => {
+                                                    setRejectingId(leave._id);
+                                                    setComment('');
+                                                }}
+                                                title="Reject with comment"
+                                            >
+                                                ↩️
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default LeaveReview;
@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useState } from 'react';
+import api from '../api/axios';
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+/** A readable "Browser on OS" from a user agent string. */
+function describeDevice(userAgent = '') {
+    const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+    const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+    if (!browser && !system) return userAgent || 'Unknown device';
+    return [browser || 'Browser', system && `on ${system}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Signed-in devices on the Settings page, with sign-out per device and for
+ * every device but this one.
+ */
+function LoginSessionList() {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const loadSessions = useCallback(async () => {
+        try {
+            const res = await api.get('/auth/sessions');
+            setSessions(res.data.sessions);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load signed-in devices');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const signOut = async (session) => {
+        setError('');
+        try {
+            await api.delete(`/auth/sessions/${session._id}`);
+            loadSessions();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to sign out device');
+        }
+    };
+
+    const signOutOthers = async () => {
+        if (!window.confirm('Sign out every other device?')) return;
+        setError('');
+        try {
+            await api.delete('/auth/sessions');
+            loadSessions();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to sign out other devices');
+        }
+    };
+
+    return (
+        <div className="card auth-form">
+            <h3 className="section-title">
+                <span className="section-icon">💻</span>
+                Signed-in Devices
+            </h3>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {loading ? (
+                <p className="settings-hint">Loading...</p>
+            ) : (
+                <ul className="login-session-list">
+                    {sessions.map((session) => (
+                        <li key={session._id} className="login-session">
+                            <div>
+                                <div className="login-session-device">
+                                    {describeDevice(session.userAgent)}
+                                    {session.current && <span className="login-session-current">This device</span>}
+                                </div>
+                                <div className="settings-hint">
+                                    {session.ip && `${session.ip} · `}
+                                    Signed in {new Date(session.createdAt).toLocaleDateString()} · last active{' '}
+                                    {new Date(session.lastUsedAt).toLocaleString()}
+                                </div>
+                            </div>
+                            {!session.current && (
+                                <button type="button" className="btn btn-sm btn-ghost" onClick={() => signOut(session)}>
+                                    Sign out
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {sessions.length > 1 && (
+                <div className="settings-actions">
+                    <button type="button" className="btn btn-ghost" onClick={signOutOthers}>
+                        Sign Out Other Devices
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default LoginSessionList;
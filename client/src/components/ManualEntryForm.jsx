@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * Form for adding a completed session retroactively (forgot to click Start Work).
+ * Times are entered in the user's own timezone; the server converts them.
+ * An end time earlier than the start time is treated as the next day.
+ *
+ * @param {{ date: string, onCreated: Function }} props
+ */
+function ManualEntryForm({ date, onCreated }) {
+    const [startTime, setStartTime] = useState('09:00');
+    const [endTime, setEndTime] = useState('17:00');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await api.post('/sessions/manual', { date, startTime, endTime });
+            onCreated?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to add session');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="manual-entry" onSubmit={handleSubmit}>
+            <h3 className="section-title">
+                <span className="section-icon">✍️</span>
+                Add Missed Time
+            </h3>
+            {error && <div className="alert alert-error">{error}</div>}
+            <div className="manual-entry-row">
+                <label className="manual-entry-field">
+                    <span className="time-label">Start</span>
+                    <input
+                        type="time"
+                        value={startTime}
+                        onChange={(e) => setStartTime(e.target.value)}
+                        required
+                        aria-label="Session start time"
+                    />
+                </label>
+                <span className="time-arrow">→</span>
+                <label className="manual-entry-field">
+                    <span className="time-label">End</span>
+                    <input
+                        type="time"
+                        value={endTime}
+                        onChange={(e) => setEndTime(e.target.value)}
+                        required
+                        aria-label="Session end time"
+                    />
+                </label>
+                <button type="submit" className="btn btn-primary btn-save" disabled={saving}>
+                    {saving ? 'Adding...' : 'Add Session'}
+                </button>
+            </div>
+            {endTime && startTime && endTime <= startTime && (
+                <p className="manual-entry-hint">Ends the next day (overnight session)</p>
+            )}
+        </form>
+    );
+}
+
+export default ManualEntryForm;
@@ -2,7 +2,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 function Navbar() {
-    const { isAuthenticated, user, isAdmin, logout } = useAuth();
+    const { isAuthenticated, user, isAdmin, isManager, permissions, logout } = useAuth();
     const navigate = useNavigate();
 
     const handleLogout = async () => {
@@ -22,15 +22,18 @@ function Navbar() {
             <div className="navbar-actions">
                 {isAuthenticated ? (
                     <>
-                        {isAdmin && (
+                        {(permissions.length > 0 || isManager) && (
                             <Link to="/admin-dashboard" className="btn btn-ghost admin-nav-link">
-                                🛡️ Admin
+                                {permissions.length > 0 ? '🛡️ Admin' : '👥 Team'}
                             </Link>
                         )}
                         <Link to="/dashboard" className="btn btn-ghost">
                             Dashboard
                         </Link>
-                        <span className="navbar-user">
+                        <Link to="/settings" className="btn btn-ghost">
+                            Settings
+                        </Link>
+                        <span className="navbar-user" title={user?.organization}>
                             <span className="user-avatar">{user?.name?.[0]?.toUpperCase()}</span>
                             {user?.name}
                             {isAdmin && <span className="admin-badge-small">Admin</span>}
@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Compliance limits: [field, label, min, max, step]; empty turns a rule off
+const COMPLIANCE_FIELDS = [
+    ['maxDailyHours', 'Max hours per day', 1, 24, 0.5],
+    ['minRestHours', 'Min rest between days (hours)', 1, 24, 0.5],
+    ['breakAfterHours', 'Break required after (hours)', 1, 24, 0.5],
+    ['minBreakMinutes', 'Min break (minutes)', 1, 240, 5],
+];
+
+const RESET_PERIODS = [
+    { value: 'none', label: 'Never' },
+    { value: 'month', label: 'Every month' },
+    { value: 'quarter', label: 'Every quarter' },
+    { value: 'year', label: 'Every year' },
+];
+
+/**
+ * Admin panel for organization-wide settings.
+ * The default timezone applies to people who sign up without one. Users can
+ * override the auto-close policy for themselves; an empty field here disables
+ * that rule for everyone who hasn't. The work week decides which days carry
+ * the default goal; the flex rules decide how overtime and undertime carry
+ * over; the compliance limits are checked on every day worked. Requiring
+ * two-factor authentication takes effect at each admin's next sign-in.
+ */
+function OrgSettingsPanel() {
+    const [defaultTimezone, setDefaultTimezone] = useState('');
+    const [maxHours, setMaxHours] = useState('');
+    const [cutoff, setCutoff] = useState('');
+    const [requireApproval, setRequireApproval] = useState(false);
+    const [workDays, setWorkDays] = useState([]);
+    const [flex, setFlex] = useState({
+        startDate: '',
+        resetPeriod: 'none',
+        maxCarryOverHours: '',
+        carryOverDeficit: true,
+    });
+    const [compliance, setCompliance] = useState({});
+    const [requireTwoFactorForAdmins, setRequireTwoFactorForAdmins] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+
+    useEffect(() => {
+        api.get('/admin/settings')
+            .then((res) => {
+                const {
+                    general, autoClose, corrections, calendar, flex: flexRules, compliance: limits, security,
+                } = res.data.settings;
+                setDefaultTimezone(general.defaultTimezone);
+                setMaxHours(autoClose.maxSessionHours ?? '');
+                setCutoff(autoClose.dailyCutoffTime ?? '');
+                setRequireApproval(corrections.requireApproval);
+                setWorkDays(calendar.workDays);
+                setFlex({
+                    startDate: flexRules.startDate ?? '',
+                    resetPeriod: flexRules.resetPeriod,
+                    maxCarryOverHours: flexRules.maxCarryOverHours ?? '',
+                    carryOverDeficit: flexRules.carryOverDeficit,
+                });
+                setCompliance(Object.fromEntries(
+                    Object.entries(limits).map(([key, value]) => [key, value ?? ''])
+                ));
+                setRequireTwoFactorForAdmins(security.requireTwoFactorForAdmins);
+            })
+            .catch((err) => setError(err.response?.data?.error || 'Failed to load settings'))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        setSaved(false);
+        try {
+            await api.put('/admin/settings', {
+                general: { defaultTimezone },
+                autoClose: {
+                    maxSessionHours: maxHours === '' ? null : Number(maxHours),
+                    dailyCutoffTime: cutoff || null,
+                },
+                corrections: { requireApproval },
+                calendar: { workDays },
+                flex: {
+                    startDate: flex.startDate || null,
+                    resetPeriod: flex.resetPeriod,
+                    maxCarryOverHours: flex.maxCarryOverHours === '' ? null : Number(flex.maxCarryOverHours),
+                    carryOverDeficit: flex.carryOverDeficit,
+                },
+                compliance: {
+                    ...Object.fromEntries(COMPLIANCE_FIELDS.map(([key]) => [
+                        key,
+                        (compliance[key] ?? '') === '' ? null : Number(compliance[key]),
+                    ])),
+                    warnBeforeMinutes: Number(compliance.warnBeforeMinutes || 0),
+                },
+                security: { requireTwoFactorForAdmins },
+            });
+            setSaved(true);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to save settings');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleWorkDay = (weekday) => {
+        setWorkDays((prev) => (prev.includes(weekday)
+            ? prev.filter((d) => d !== weekday)
+            : [...prev, weekday].sort((a, b) => a - b)));
+    };
+
+    const updateFlex = (changes) => setFlex((prev) => ({ ...prev, ...changes }));
+
+    if (loading) return <p className="audit-loading">Loading settings...</p>;
+
+    return (
+        <form className="org-settings" onSubmit={handleSubmit}>
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <fieldset className="org-settings-group">
+                <legend>General</legend>
+                <label className="org-settings-field">
+                    <span>Default timezone</span>
+                    <input
+                        type="text"
+                        className="admin-search"
+                        value={defaultTimezone}
+                        onChange={(e) => setDefaultTimezone(e.target.value)}
+                        placeholder="e.g. Europe/Berlin"
+                        required
+                    />
+                </label>
+            </fieldset>
+
+            <fieldset className="org-settings-group">
+                <legend>Auto-close forgotten sessions</legend>
+                <label className="org-settings-field">
+                    <span>Max session length (hours)</span>
+                    <input
+                        type="number"
+                        className="admin-search"
+                        min="1"
+                        max="72"
+                        step="0.5"
+                        value={maxHours}
+                        onChange={(e) => setMaxHours(e.target.value)}
+                        placeholder="No limit"
+                    />
+                </label>
+                <label className="org-settings-field">
+                    <span>Daily cutoff time</span>
+                    <input
+                        type="time"
+                        className="admin-search"
+                        value={cutoff}
+                        onChange={(e) => setCutoff(e.target.value)}
+                    />
+                </label>
+            </fieldset>
+
+            <fieldset className="org-settings-group">
+                <legend>Corrections</legend>
+                <label className="org-settings-check">
+                    <input
+                        type="checkbox"
+                        checked={requireApproval}
+                        onChange={(e) => setRequireApproval(e.target.checked)}
+                    />
+                    Require admin approval for changes to recorded time
+                </label>
+            </fieldset>
+
+            <fieldset className="org-settings-group">
+                <legend>Work week</legend>
+                <p className="project-access-hint">
+                    Only these days carry the default daily goal. Holidays and approved leave are never counted.
+                </p>
+                <div className="project-access-list">
+                    {WEEKDAYS.map((name, i) => (
+                        <label key={name} className="org-settings-check">
+                            <input
+                                type="checkbox"
+                                checked={workDays.includes(i + 1)}
+                                onChange={() => toggleWorkDay(i + 1)}
+                            />
+                            {name}
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+
+            <fieldset className="org-settings-group">
+                <legend>Flex time</legend>
+                <p className="project-access-hint">
+                    Every finished day adds worked minus goal to each employee&apos;s balance.
+                    At each reset, the balance is cut to the carry-over limit.
+                </p>
+                <label className="org-settings-field">
+                    <span>Count from</span>
+                    <input
+                        type="date"
+                        className="admin-search"
+                        value={flex.startDate}
+                        onChange={(e) => updateFlex({ startDate: e.target.value })}
+                    />
+                </label>
+                <label className="org-settings-field">
+                    <span>Reset balances</span>
+                    <select
+                        className="admin-search"
+                        value={flex.resetPeriod}
+                        onChange={(e) => updateFlex({ resetPeriod: e.target.value })}
+                    >
+                        {RESET_PERIODS.map((p) => (
+                            <option key={p.value} value={p.value}>{p.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="org-settings-field">
+                    <span>Max carry-over (hours)</span>
+                    <input
+                        type="number"
+                        className="admin-search"
+                        min="0"
+                        max="1000"
+                        step="0.5"
+                        value={flex.maxCarryOverHours}
+                        onChange={(e) => updateFlex({ maxCarryOverHours: e.target.value })}
+                        placeholder="No limit"
+                        disabled={flex.resetPeriod === 'none'}
+                    />
+                </label>
+                <label className="org-settings-check">
+                    <input
+                        type="checkbox"
+                        checked={flex.carryOverDeficit}
+                        onChange={(e) => updateFlex({ carryOverDeficit: e.target.checked })}
+                        disabled={flex.resetPeriod === 'none'}
+                    />
+                    Carry undertime into the next period
+                </label>
+            </fieldset>
+
+            <fieldset className="org-settings-group">
+                <legend>Working-time rules</legend>
+                <p className="project-access-hint">
+                    Checked on every day worked and listed in the compliance report. Leave a limit
+                    empty to turn it off.
+                </p>
+                {COMPLIANCE_FIELDS.map(([key, label, min, max, step]) => (
+                    <label key={key} className="org-settings-field">
+                        <span>{label}</span>
+                        <input
+                            type="number"
+                            className="admin-search"
+                            min={min}
+                            max={max}
+                            step={step}
+                            value={compliance[key] ?? ''}
+                            onChange={(e) => setCompliance((prev) => ({ ...prev, [key]: e.target.value }))}
+                            placeholder="Off"
+                        />
+                    </label>
+                ))}
+                <label className="org-settings-field">
+                    <span>Warn employees this early (minutes)</span>
+                    <input
+                        type="number"
+                        className="admin-search"
+                        min="0"
+                        max="240"
+                        step="5"
+                        value={compliance.warnBeforeMinutes ?? ''}
+                        onChange={(e) => setCompliance((prev) => ({ ...prev, warnBeforeMinutes: e.target.value }))}
+                    />
+                </label>
+            </fieldset>
+
+            <fieldset className="org-settings-group">
+                <legend>Security</legend>
+                <label className="org-settings-check">
+                    <input
+                        type="checkbox"
+                        checked={requireTwoFactorForAdmins}
+                        onChange={(e) => setRequireTwoFactorForAdmins(e.target.checked)}
+                    />
+                    Require two-factor authentication for admins
+                </label>
+                <p className="project-access-hint">
+                    Admins without it set it up the next time they sign in, and cannot turn it off.
+                </p>
+            </fieldset>
+
+            <div className="org-settings-actions">
+                <button type="submit" className="btn btn-accent" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Settings'}
+                </button>
+                {saved && <span className="org-settings-saved">✓ Saved</span>}
+            </div>
+        </form>
+    );
+}
+
+export default OrgSettingsPanel;
@@ -0,0 +1,130 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../api/axios';
+import ProgressBar from './ProgressBar';
+
+const PERIODS = [
+    { key: 'week', field: 'weeklyHours', label: 'This Week', max: 168 },
+    { key: 'month', field: 'monthlyHours', label: 'This Month', max: 744 },
+];
+
+/**
+ * Progress toward the week and month containing `date`, with the hours still
+ * needed per remaining workday. Targets are the user's explicit weekly/monthly
+ * hours, or the sum of their daily goals when left empty.
+ *
+ * @param {{ date: string, refreshKey?: any }} props
+ */
+function PeriodProgress({ date, refreshKey }) {
+    const [data, setData] = useState(null);
+    const [editing, setEditing] = useState(false);
+    const [targets, setTargets] = useState({ weeklyHours: '', monthlyHours: '' });
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchPeriod = useCallback(async () => {
+        try {
+            const res = await api.get('/goals/period', { params: { date } });
+            setData(res.data);
+        } catch (err) {
+            console.error('Failed to load period goals', err);
+        }
+    }, [date]);
+
+    useEffect(() => {
+        fetchPeriod();
+    }, [fetchPeriod, refreshKey]);
+
+    const startEditing = () => {
+        setTargets({
+            weeklyHours: data.targets.weeklyHours ?? '',
+            monthlyHours: data.targets.monthlyHours ?? '',
+        });
+        setError('');
+        setEditing(true);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await api.put('/goals/period', {
+                weeklyHours: targets.weeklyHours === '' ? null : Number(targets.weeklyHours),
+                monthlyHours: targets.monthlyHours === '' ? null : Number(targets.monthlyHours),
+            });
+            setEditing(false);
+            fetchPeriod();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to save targets');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!data) return null;
+
+    const describeNeeded = (period) => {
+        if (period.remainingHours === 0) return 'Target reached';
+        if (period.hoursNeededPerWorkday === null) return `${period.remainingHours}h short, no workdays left`;
+        return `${period.hoursNeededPerWorkday}h needed per remaining workday (${period.remainingWorkdays} left)`;
+    };
+
+    return (
+        <div className="period-progress">
+            <div className="period-progress-header">
+                <h3 className="section-title">
+                    <span className="section-icon">📆</span>
+                    Week &amp; Month
+                </h3>
+                {!editing && (
+                    <button className="session-action-btn" onClick={startEditing} title="Set targets">
+                        ✏️
+                    </button>
+                )}
+            </div>
+
+            {editing && (
+                <form className="manual-entry-row" onSubmit={handleSave}>
+                    {PERIODS.map((p) => (
+                        <label key={p.key} className="manual-entry-field">
+                            <span className="time-label">{p.label} (hrs)</span>
+                            <input
+                                type="number"
+                                min="1"
+                                max={p.max}
+                                step="0.5"
+                                value={targets[p.field]}
+                                onChange={(e) => setTargets((prev) => ({ ...prev, [p.field]: e.target.value }))}
+                                placeholder="Sum of daily goals"
+                            />
+                        </label>
+                    ))}
+                    <button type="submit" className="btn btn-primary btn-save" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    <button type="button" className="btn btn-ghost" onClick={() => setEditing(false)}>
+                        Cancel
+                    </button>
+                </form>
+            )}
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {PERIODS.map((p) => {
+                const period = data[p.key];
+                return (
+                    <div key={p.key} className="period-progress-item">
+                        <ProgressBar
+                            workedMs={period.workedHours * 3600000}
+                            goalHours={period.targetHours}
+                            label={`${p.label}${period.source === 'target' ? ' · target' : ''}`}
+                            completeMessage={`🎉 ${p.label.toLowerCase()}'s target reached!`}
+                        />
+                        <p className="auto-close-hint">{describeNeeded(period)}</p>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default PeriodProgress;
@@ -7,9 +7,14 @@
  * - Width of fill = min(100, progressPercent)%
  * - When progress >= 100%, bar is fully orange
  *
- * @param {{ workedMs: number, goalHours: number }} props
+ * @param {{ workedMs: number, goalHours: number, label?: string, completeMessage?: string }} props
  */
-function ProgressBar({ workedMs, goalHours }) {
+function ProgressBar({
+    workedMs,
+    goalHours,
+    label = "Today's Progress",
+    completeMessage = '🎉 Goal reached! Great work today!',
+}) {
     const goalMs = goalHours * 3600000;
     const percent = goalMs > 0 ? Math.min(100, (workedMs / goalMs) * 100) : 100;
     const workedHours = (workedMs / 3600000).toFixed(1);
@@ -18,7 +23,7 @@ function ProgressBar({ workedMs, goalHours }) {
     return (
         <div className="progress-container">
             <div className="progress-info">
-                <span className="progress-label">Today's Progress</span>
+                <span className="progress-label">{label}</span>
                 <span className="progress-readout">
                     {workedHours} / {goalHours.toFixed(1)} hrs ({displayPercent}%)
                 </span>
@@ -48,7 +53,7 @@ function ProgressBar({ workedMs, goalHours }) {
 
             {percent >= 100 && (
                 <div className="progress-complete">
-                    🎉 Goal reached! Great work today!
+                    {completeMessage}
                 </div>
             )}
         </div>
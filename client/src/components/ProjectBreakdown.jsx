@@ -0,0 +1,40 @@
+/**
+ * Per-project breakdown of worked time ("where did the day go").
+ *
+ * @param {{ projects: Array<{ projectId, name, clientName, totalMs, totalFormatted }>, title?: string }} props
+ */
+function ProjectBreakdown({ projects, title = 'Time by Project' }) {
+    if (!projects || projects.length === 0) return null;
+
+    const maxMs = Math.max(...projects.map((p) => p.totalMs), 1);
+
+    return (
+        <div className="project-breakdown">
+            <h3 className="section-title">
+                <span className="section-icon">📁</span>
+                {title}
+            </h3>
+            <ul className="breakdown-list">
+                {projects.map((p) => (
+                    <li key={p.projectId || 'none'} className="breakdown-item">
+                        <div className="breakdown-info">
+                            <span className={`breakdown-name ${p.projectId ? '' : 'breakdown-none'}`}>
+                                {p.name}
+                                {p.clientName && <span className="breakdown-client"> · {p.clientName}</span>}
+                            </span>
+                            <span className="breakdown-value">{p.totalFormatted}</span>
+                        </div>
+                        <div className="breakdown-bar">
+                            <div
+                                className="breakdown-bar-fill"
+                                style={{ width: `${(p.totalMs / maxMs) * 100}%` }}
+                            />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default ProjectBreakdown;
@@ -0,0 +1,201 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../api/axios';
+
+/**
+ * Admin panel for managing projects and clients:
+ * create, archive/unarchive, and restrict which users may log to a project.
+ *
+ * @param {{ users: Array<{ _id, name }> }} props
+ */
+function ProjectManager({ users }) {
+    const [projects, setProjects] = useState([]);
+    const [clients, setClients] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [name, setName] = useState('');
+    const [clientId, setClientId] = useState('');
+    const [newClientName, setNewClientName] = useState('');
+    const [editingAccess, setEditingAccess] = useState(null);
+
+    const fetchData = useCallback(async () => {
+        try {
+            const [projectRes, clientRes] = await Promise.all([
+                api.get('/projects', { params: { includeArchived: true } }),
+                api.get('/projects/clients'),
+            ]);
+            setProjects(projectRes.data.projects);
+            setClients(clientRes.data.clients);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load projects');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const handleCreateClient = async () => {
+        if (!newClientName.trim()) return;
+        setError('');
+        try {
+            const res = await api.post('/projects/clients', { name: newClientName });
+            setClients((prev) => [...prev, res.data.client].sort((a, b) => a.name.localeCompare(b.name)));
+            setClientId(res.data.client._id);
+            setNewClientName('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create client');
+        }
+    };
+
+    const handleCreateProject = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await api.post('/projects', { name, clientId: clientId || null });
+            setName('');
+            fetchData();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create project');
+        }
+    };
+
+    const updateProject = async (projectId, changes) => {
+        setError('');
+        try {
+            await api.patch(`/projects/${projectId}`, changes);
+            fetchData();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update project');
+        }
+    };
+
+    const toggleAccess = (project, userId) => {
+        const current = project.allowedUserIds || [];
+        const next = current.includes(userId)
+            ? current.filter((id) => id !== userId)
+            : [...current, userId];
+        updateProject(project._id, { allowedUserIds: next });
+    };
+
+    if (loading) return <p className="audit-loading">Loading projects...</p>;
+
+    return (
+        <div className="project-manager">
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <form className="project-form" onSubmit={handleCreateProject}>
+                <input
+                    type="text"
+                    className="admin-search"
+                    placeholder="New project name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    required
+                />
+                <select
+                    className="admin-sort"
+                    value={clientId}
+                    onChange={(e) => setClientId(e.target.value)}
+                >
+                    <option value="">No client</option>
+                    {clients.map((c) => (
+                        <option key={c._id} value={c._id}>{c.name}</option>
+                    ))}
+                </select>
+                <button type="submit" className="btn btn-accent">＋ Add Project</button>
+            </form>
+
+            <div className="project-form">
+                <input
+                    type="text"
+                    className="admin-search"
+                    placeholder="New client name"
+                    value={newClientName}
+                    onChange={(e) => setNewClientName(e.target.value)}
+                />
+                <button type="button" className="btn btn-ghost" onClick={handleCreateClient}>
+                    ＋ Add Client
+                </button>
+            </div>
+
+            {projects.length === 0 ? (
+                <p className="audit-empty">No projects yet</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Project</th>
+                            <th>Client</th>
+                            <th>Access</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {projects.map((project) => (
+                            <>
+                                <tr key={project._id}>
+                                    <td>{project.name}</td>
+                                    <td>{project.clientId?.name || '—'}</td>
+                                    <td>
+                                        {project.allowedUserIds?.length
+                                            ? `${project.allowedUserIds.length} user(s)`
+                                            : 'All users'}
+                                    </td>
+                                    <td>
+                                        <span className={`role-badge ${project.isArchived ? 'employee' : 'admin'}`}>
+                                            {project.isArchived ? 'Archived' : 'Active'}
+                                        </span>
+                                    </td>
+                                    <td className="actions-cell">
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() =>
+                                                setEditingAccess(editingAccess === project._id ? null : project._id)
+                                            }
+                                            title="Restrict users"
+                                        >
+                                            👥
+                                        </button>
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => updateProject(project._id, { isArchived: !project.isArchived })}
+                                            title={project.isArchived ? 'Unarchive' : 'Archive'}
+                                        >
+                                            {project.isArchived ? '♻️' : '🗄️'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {editingAccess === project._id && (
+                                    <tr key={`${project._id}-access`} className="audit-details-row">
+                                        <td colSpan="5">
+                                            <p className="project-access-hint">
+                                                No users selected means everyone can log to this project.
+                                            </p>
+                                            <div className="project-access-list">
+                                                {users.map((u) => (
+                                                    <label key={u._id} className="project-access-item">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={project.allowedUserIds?.includes(u._id) || false}
+                                                            onChange={() => toggleAccess(project, u._id)}
+                                                        />
+                                                        {u.name}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                )}
+                            </>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default ProjectManager;
@@ -2,15 +2,20 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 /**
- * Wrapper component that redirects to /login if the user is not authenticated.
+ * Wrapper component that redirects to /login if the user is not authenticated,
+ * and to /verify-email until they have verified their email address.
  */
 function ProtectedRoute({ children }) {
-    const { isAuthenticated } = useAuth();
+    const { isAuthenticated, user } = useAuth();
 
     if (!isAuthenticated) {
         return <Navigate to="/login" replace />;
     }
 
+    if (user?.mustVerifyEmail) {
+        return <Navigate to="/verify-email" replace />;
+    }
+
     return children;
 }
 
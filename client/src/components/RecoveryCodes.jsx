@@ -0,0 +1,42 @@
+import { useState } from 'react';
+
+/**
+ * One-time display of freshly issued recovery codes. The server keeps only
+ * their hashes, so this is the only chance to save them.
+ */
+function RecoveryCodes({ codes, onDone, doneLabel = 'I have saved these codes' }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            setCopied(true);
+        } catch {
+            // Clipboard access denied; the codes are still on screen
+        }
+    };
+
+    return (
+        <div className="recovery-codes">
+            <p className="settings-hint">
+                Each recovery code signs you in once if you lose your authenticator. Store them somewhere
+                safe — they will not be shown again.
+            </p>
+            <ul className="recovery-codes-list">
+                {codes.map((code) => (
+                    <li key={code}><code>{code}</code></li>
+                ))}
+            </ul>
+            <div className="settings-actions">
+                <button type="button" className="btn btn-ghost" onClick={handleCopy}>
+                    {copied ? '✓ Copied' : 'Copy'}
+                </button>
+                <button type="button" className="btn btn-primary" onClick={onDone}>
+                    {doneLabel}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default RecoveryCodes;
@@ -0,0 +1,203 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Roles panel. Admins define roles as sets of permissions; anyone with
+ * promote-users picks who holds each role (only roles within their own
+ * permissions, which the server enforces).
+ *
+ * @param {{ users: Array<{ _id, name, roles }>, onChanged?: Function }} props
+ */
+function RoleManager({ users, onChanged }) {
+    const { isAdmin } = useAuth();
+    const [roles, setRoles] = useState([]);
+    const [permissions, setPermissions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [name, setName] = useState('');
+    const [newPermissions, setNewPermissions] = useState([]);
+    const [editing, setEditing] = useState(null);
+
+    const fetchRoles = useCallback(async () => {
+        try {
+            const res = await api.get('/roles');
+            setRoles(res.data.roles);
+            setPermissions(res.data.permissions);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load roles');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRoles();
+    }, [fetchRoles]);
+
+    const run = async (request, fallback) => {
+        setError('');
+        try {
+            await request();
+            await fetchRoles();
+            onChanged?.();
+        } catch (err) {
+            setError(err.response?.data?.error || fallback);
+        }
+    };
+
+    const toggle = (list, value) =>
+        list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await api.post('/roles', { name, permissions: newPermissions });
+            setName('');
+            setNewPermissions([]);
+        }, 'Failed to create role');
+    };
+
+    const handleDelete = (role) => {
+        if (!window.confirm(`Delete role ${role.name}? Its members will lose its permissions.`)) return;
+        run(() => api.delete(`/roles/${role._id}`), 'Failed to delete role');
+    };
+
+    const togglePermission = (role, permission) => {
+        run(
+            () => api.patch(`/roles/${role._id}`, { permissions: toggle(role.permissions, permission) }),
+            'Failed to update permissions'
+        );
+    };
+
+    const toggleMember = (role, userId) => {
+        const current = users
+            .filter((u) => u.roles?.some((r) => r._id === role._id))
+            .map((u) => u._id);
+        run(
+            () => api.put(`/roles/${role._id}/members`, { userIds: toggle(current, userId) }),
+            'Failed to update members'
+        );
+    };
+
+    if (loading) return <p className="audit-loading">Loading roles...</p>;
+
+    return (
+        <div className="role-manager">
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {isAdmin && (
+                <form onSubmit={handleCreate}>
+                    <div className="project-form">
+                        <input
+                            type="text"
+                            className="admin-search"
+                            placeholder="New role name"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            maxLength={50}
+                            required
+                        />
+                        <button type="submit" className="btn btn-accent">＋ Add Role</button>
+                    </div>
+                    <div className="project-access-list">
+                        {permissions.map((p) => (
+                            <label key={p} className="project-access-item">
+                                <input
+                                    type="checkbox"
+                                    checked={newPermissions.includes(p)}
+                                    onChange={() => setNewPermissions(toggle(newPermissions, p))}
+                                />
+                                {p}
+                            </label>
+                        ))}
+                    </div>
+                </form>
+            )}
+
+            {roles.length === 0 ? (
+                <p className="audit-empty">No roles yet</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Role</th>
+                            <th>Permissions</th>
+                            <th>Members</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {roles.map((role) => (
+                            <>
+                                <tr key={role._id}>
+                                    <td>{role.name}</td>
+                                    <td>{role.permissions.join(', ') || '—'}</td>
+                                    <td>{role.memberCount}</td>
+                                    <td className="actions-cell">
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => setEditing(editing === role._id ? null : role._id)}
+                                            title={isAdmin ? 'Edit permissions and members' : 'Edit members'}
+                                        >
+                                            🔑
+                                        </button>
+                                        {isAdmin && (
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => handleDelete(role)}
+                                                title="Delete role"
+                                            >
+                                                🗑️
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                                {editing === role._id && (
+                                    <tr key={`${role._id}-edit`} className="audit-details-row">
+                                        <td colSpan="4">
+                                            {isAdmin && (
+                                                <>
+                                                    <p className="project-access-hint">Permissions</p>
+                                                    <div className="project-access-list">
+                                                        {permissions.map((p) => (
+                                                            <label key={p} className="project-access-item">
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={role.permissions.includes(p)}
+                                                                    onChange={() => togglePermission(role, p)}
+                                                                />
+                                                                {p}
+                                                            </label>
+                                                        ))}
+                                                    </div>
+                                                </>
+                                            )}
+                                            <p className="project-access-hint">
+                                                Members (someone given their first role needs to sign in again)
+                                            </p>
+                                            <div className="project-access-list">
+                                                {users.map((u) => (
+                                                    <label key={u._id} className="project-access-item">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={u.roles?.some((r) => r._id === role._id) || false}
+                                                            onChange={() => toggleMember(role, u._id)}
+                                                        />
+                                                        {u.name}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                )}
+                            </>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default RoleManager;
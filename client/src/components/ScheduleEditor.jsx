@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import api from '../api/axios';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Build one editable row per weekday from the saved schedule, or from the
+ * default goal on the org's work days when there is none.
+ */
+function toRows({ schedule, defaultDailyGoal, workDays }) {
+    return WEEKDAYS.map((name, i) => {
+        const weekday = i + 1;
+        const day = schedule.find((d) => d.weekday === weekday);
+        if (schedule.length > 0) {
+            return {
+                weekday,
+                goalHours: day ? String(day.goalHours) : '',
+                startTime: day?.startTime || '',
+                endTime: day?.endTime || '',
+            };
+        }
+        return {
+            weekday,
+            goalHours: workDays.includes(weekday) ? String(defaultDailyGoal) : '',
+            startTime: '',
+            endTime: '',
+        };
+    });
+}
+
+/**
+ * Per-weekday goal hours and expected working hours. Used whenever a day has
+ * no custom goal; days left empty are days off.
+ *
+ * @param {{ onSaved?: Function }} props
+ */
+function ScheduleEditor({ onSaved }) {
+    const [data, setData] = useState(null);
+    const [enabled, setEnabled] = useState(false);
+    const [rows, setRows] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState('');
+
+    const load = (resData) => {
+        setData(resData);
+        setEnabled(resData.schedule.length > 0);
+        setRows(toRows(resData));
+    };
+
+    useEffect(() => {
+        api.get('/user/schedule')
+            .then((res) => load(res.data))
+            .catch((err) => console.error('Failed to load schedule', err));
+    }, []);
+
+    const updateRow = (weekday, changes) => {
+        setRows((prev) => prev.map((r) => (r.weekday === weekday ? { ...r, ...changes } : r)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setMessage('');
+        try {
+            const days = enabled
+                ? rows
+                    .filter((r) => Number(r.goalHours) > 0)
+                    .map((r) => ({
+                        weekday: r.weekday,
+                        goalHours: Number(r.goalHours),
+                        startTime: r.startTime || null,
+                        endTime: r.endTime || null,
+                    }))
+                : [];
+            const res = await api.put('/user/schedule', { days });
+            load(res.data);
+            setMessage('Saved');
+            onSaved?.();
+        } catch (err) {
+            setMessage(err.response?.data?.error || 'Failed to save');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!data) return null;
+
+    return (
+        <form className="schedule-editor" onSubmit={handleSubmit}>
+            <h3 className="section-title">
+                <span className="section-icon">🗓️</span>
+                Weekly Schedule
+            </h3>
+            <label className="schedule-toggle">
+                <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={(e) => setEnabled(e.target.checked)}
+                />
+                Use a weekly schedule
+            </label>
+            {!enabled && (
+                <p className="auto-close-hint">
+                    Your goal is {data.defaultDailyGoal}h on{' '}
+                    {data.workDays.map((d) => WEEKDAYS[d - 1]).join(', ') || 'no days'}.
+                </p>
+            )}
+
+            {enabled && (
+                <div className="schedule-rows">
+                    {rows.map((row) => (
+                        <div key={row.weekday} className="schedule-row">
+                            <span className="schedule-day">{WEEKDAYS[row.weekday - 1]}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                max="24"
+                                step="0.5"
+                                value={row.goalHours}
+                                onChange={(e) => updateRow(row.weekday, { goalHours: e.target.value })}
+                                placeholder="Off"
+                                aria-label={`${WEEKDAYS[row.weekday - 1]} goal hours`}
+                            />
+                            <input
+                                type="time"
+                                value={row.startTime}
+                                onChange={(e) => updateRow(row.weekday, { startTime: e.target.value })}
+                                disabled={!(Number(row.goalHours) > 0)}
+                                aria-label={`${WEEKDAYS[row.weekday - 1]} expected start`}
+                            />
+                            <span className="time-arrow">→</span>
+                            <input
+                                type="time"
+                                value={row.endTime}
+                                onChange={(e) => updateRow(row.weekday, { endTime: e.target.value })}
+                                disabled={!(Number(row.goalHours) > 0)}
+                                aria-label={`${WEEKDAYS[row.weekday - 1]} expected end`}
+                            />
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <button type="submit" className="btn btn-primary btn-save" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+            </button>
+            {message && <p className="auto-close-hint">{message}</p>}
+        </form>
+    );
+}
+
+export default ScheduleEditor;
@@ -1,12 +1,25 @@
+import { useState } from 'react';
 import { DateTime } from 'luxon';
+import api from '../api/axios';
 
 /**
  * Displays the list of work sessions for the day.
- * Shows start/end time and duration for each session.
+ * Shows start/end time and duration for each session, with inline
+ * edit and delete controls.
  *
- * @param {{ sessions: Array, timezone: string }} props
+ * @param {{ sessions: Array, timezone: string, projects?: Array, locked?: boolean, notesOnly?: boolean, onChanged: Function }} props
+ *   projects — the day's project breakdown, used to label each session
+ *   locked — the day's timesheet is approved, so edit controls are hidden
+ *   notesOnly — times of finished sessions change via correction requests, so only notes are editable
  */
-function SessionList({ sessions, timezone }) {
+function SessionList({ sessions, timezone, projects, locked, notesOnly, onChanged }) {
+    const [editingId, setEditingId] = useState(null);
+    const [editStart, setEditStart] = useState('');
+    const [editEnd, setEditEnd] = useState('');
+    const [editNotes, setEditNotes] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
     if (!sessions || sessions.length === 0) {
         return (
             <div className="session-list-empty">
@@ -21,22 +34,78 @@ function SessionList({ sessions, timezone }) {
         return DateTime.fromISO(dateStr, { zone: timezone || 'local' }).toFormat('hh:mm a');
     };
 
-    const formatDuration = (startStr, endStr) => {
-        if (!startStr) return '—';
-        const start = DateTime.fromISO(startStr);
-        const end = endStr ? DateTime.fromISO(endStr) : DateTime.now();
-        const diff = end.diff(start, ['hours', 'minutes']);
+    const formatDuration = (session) => {
+        if (!session.startAt) return '—';
+        const start = DateTime.fromISO(session.startAt);
+        const end = session.endAt ? DateTime.fromISO(session.endAt) : DateTime.now();
+        // Subtract break time; an open break runs until the session end (or now)
+        const breakMs = (session.breaks || []).reduce((sum, b) => {
+            const breakEnd = b.endAt ? DateTime.fromISO(b.endAt) : end;
+            return sum + Math.max(0, breakEnd.diff(DateTime.fromISO(b.startAt)).as('milliseconds'));
+        }, 0);
+        const diff = end.diff(start).minus(breakMs).shiftTo('hours', 'minutes');
         const h = Math.floor(diff.hours);
         const m = Math.floor(diff.minutes);
         return `${h}h ${m}m`;
     };
 
+    const projectNames = Object.fromEntries(
+        (projects || []).filter((p) => p.projectId).map((p) => [p.projectId, p.name])
+    );
+
+    const toInputTime = (dateStr) =>
+        dateStr ? DateTime.fromISO(dateStr, { zone: timezone || 'local' }).toFormat('HH:mm') : '';
+
+    const startEditing = (session) => {
+        setEditingId(session._id);
+        setEditStart(toInputTime(session.startAt));
+        setEditEnd(toInputTime(session.endAt));
+        setEditNotes(session.notes || '');
+        setError('');
+    };
+
+    const handleSave = async (session) => {
+        // Only send the fields that changed so seconds are preserved on the others
+        const changes = {};
+        if (editStart !== toInputTime(session.startAt)) changes.startTime = editStart;
+        if (session.endAt && editEnd !== toInputTime(session.endAt)) changes.endTime = editEnd;
+        if (editNotes !== (session.notes || '')) changes.notes = editNotes;
+        if (Object.keys(changes).length === 0) {
+            setEditingId(null);
+            return;
+        }
+
+        setSaving(true);
+        setError('');
+        try {
+            await api.patch(`/sessions/${session._id}`, changes);
+            setEditingId(null);
+            onChanged?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update session');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (session) => {
+        if (!window.confirm('Delete this session? This cannot be undone.')) return;
+        setError('');
+        try {
+            await api.delete(`/sessions/${session._id}`);
+            onChanged?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to delete session');
+        }
+    };
+
     return (
         <div className="session-list">
             <h3 className="section-title">
                 <span className="section-icon">📋</span>
                 Today's Sessions
             </h3>
+            {error && <div className="alert alert-error">{error}</div>}
             <div className="session-cards">
                 {sessions.map((session, index) => (
                     <div
@@ -44,27 +113,116 @@ function SessionList({ sessions, timezone }) {
                         className={`session-card ${!session.endAt ? 'session-active' : ''}`}
                     >
                         <div className="session-index">#{index + 1}</div>
-                        <div className="session-times">
-                            <div className="session-time">
-                                <span className="time-label">Start</span>
-                                <span className="time-value">{formatTime(session.startAt)}</span>
+                        {editingId === session._id && (!notesOnly || !session.endAt) ? (
+                            <div className="session-times">
+                                <input
+                                    type="time"
+                                    className="session-time-input"
+                                    value={editStart}
+                                    onChange={(e) => setEditStart(e.target.value)}
+                                    aria-label="Edit start time"
+                                />
+                                <span className="time-arrow">→</span>
+                                {session.endAt ? (
+                                    <input
+                                        type="time"
+                                        className="session-time-input"
+                                        value={editEnd}
+                                        onChange={(e) => setEditEnd(e.target.value)}
+                                        aria-label="Edit end time"
+                                    />
+                                ) : (
+                                    <span className="active-badge">Active</span>
+                                )}
                             </div>
-                            <span className="time-arrow">→</span>
-                            <div className="session-time">
-                                <span className="time-label">End</span>
-                                <span className="time-value">
-                                    {session.endAt ? formatTime(session.endAt) : (
-                                        <span className="active-badge">
-                                            <span className="pulse-dot" />
-                                            Active
-                                        </span>
-                                    )}
-                                </span>
+                        ) : (
+                            <div className="session-times">
+                                <div className="session-time">
+                                    <span className="time-label">Start</span>
+                                    <span className="time-value">{formatTime(session.startAt)}</span>
+                                </div>
+                                <span className="time-arrow">→</span>
+                                <div className="session-time">
+                                    <span className="time-label">End</span>
+                                    <span className="time-value">
+                                        {session.endAt ? formatTime(session.endAt) : session.breaks?.some((b) => !b.endAt) ? (
+                                            <span className="paused-badge">⏸ Paused</span>
+                                        ) : (
+                                            <span className="active-badge">
+                                                <span className="pulse-dot" />
+                                                Active
+                                            </span>
+                                        )}
+                                    </span>
+                                </div>
                             </div>
-                        </div>
+                        )}
+                        {editingId === session._id ? (
+                            <input
+                                type="text"
+                                className="session-notes-edit"
+                                value={editNotes}
+                                onChange={(e) => setEditNotes(e.target.value)}
+                                placeholder="Notes, #tags"
+                                maxLength={1000}
+                                aria-label="Edit notes"
+                            />
+                        ) : (session.notes || session.tags?.length > 0) && (
+                            <div className="session-notes" title={session.notes}>
+                                {session.notes}
+                                {session.tags?.filter((t) => !session.notes?.toLowerCase().includes(`#${t}`)).map((t) => (
+                                    <span key={t} className="session-tag">#{t}</span>
+                                ))}
+                            </div>
+                        )}
+                        {session.projectId && projectNames[session.projectId] && (
+                            <span className="session-project">{projectNames[session.projectId]}</span>
+                        )}
                         <div className="session-duration">
-                            {formatDuration(session.startAt, session.endAt)}
+                            {formatDuration(session)}
                         </div>
+                        {!locked && (
+                            <div className="session-actions">
+                                {editingId === session._id ? (
+                                    <>
+                                        <button
+                                            className="session-action-btn"
+                                            onClick={() => handleSave(session)}
+                                            disabled={saving}
+                                            title="Save changes"
+                                        >
+                                            ✓
+                                        </button>
+                                        <button
+                                            className="session-action-btn"
+                                            onClick={() => setEditingId(null)}
+                                            title="Cancel"
+                                        >
+                                            ✕
+                                        </button>
+                                    </>
+                                ) : (
+                                    <>
+                                        <button
+                                            className="session-action-btn"
+                                            onClick={() => startEditing(session)}
+                                            title="Edit session"
+                                        >
+                                            ✏️
+                                        </button>
+                                        {!notesOnly && (
+                                            <button
+                                                className="session-action-btn session-action-delete"
+                                                onClick={() => handleDelete(session)}
+                                                title="Delete session"
+                                            >
+                                                🗑
+                                            </button>
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                        )}
                     </div>
                 ))}
             </div>
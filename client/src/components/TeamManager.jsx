@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../api/axios';
+
+/**
+ * Admin panel for teams: create and delete them, and pick each team's
+ * managers and members. A user belongs to at most one team; managers see
+ * their teams' members on the admin dashboard.
+ *
+ * @param {{ users: Array<{ _id, name, teamId }>, onChanged?: Function }} props
+ */
+function TeamManager({ users, onChanged }) {
+    const [teams, setTeams] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [name, setName] = useState('');
+    const [editing, setEditing] = useState(null);
+
+    const fetchTeams = useCallback(async () => {
+        try {
+            const res = await api.get('/teams');
+            setTeams(res.data.teams);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load teams');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTeams();
+    }, [fetchTeams]);
+
+    const run = async (request, fallback) => {
+        setError('');
+        try {
+            await request();
+            await fetchTeams();
+            onChanged?.();
+        } catch (err) {
+            setError(err.response?.data?.error || fallback);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await api.post('/teams', { name });
+            setName('');
+        }, 'Failed to create team');
+    };
+
+    const handleDelete = (team) => {
+        if (!window.confirm(`Delete team ${team.name}? Its members will have no team.`)) return;
+        run(() => api.delete(`/teams/${team._id}`), 'Failed to delete team');
+    };
+
+    const toggleManager = (team, userId) => {
+        const current = team.managers.map((m) => m._id);
+        const managerIds = current.includes(userId)
+            ? current.filter((id) => id !== userId)
+            : [...current, userId];
+        run(() => api.patch(`/teams/${team._id}`, { managerIds }), 'Failed to update managers');
+    };
+
+    const toggleMember = (team, userId) => {
+        const current = users.filter((u) => u.teamId === team._id).map((u) => u._id);
+        const userIds = current.includes(userId)
+            ? current.filter((id) => id !== userId)
+            : [...current, userId];
+        run(() => api.put(`/teams/${team._id}/members`, { userIds }), 'Failed to update members');
+    };
+
+    if (loading) return <p className="audit-loading">Loading teams...</p>;
+
+    return (
+        <div className="team-manager">
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <form className="project-form" onSubmit={handleCreate}>
+                <input
+                    type="text"
+                    className="admin-search"
+                    placeholder="New team name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={100}
+                    required
+                />
+                <button type="submit" className="btn btn-accent">＋ Add Team</button>
+            </form>
+
+            {teams.length === 0 ? (
+                <p className="audit-empty">No teams yet</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Team</th>
+                            <th>Managers</th>
+                            <th>Members</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {teams.map((team) => (
+                            <>
+                                <tr key={team._id}>
+                                    <td>{team.name}</td>
+                                    <td>{team.managers.map((m) => m.name).join(', ') || '—'}</td>
+                                    <td>{team.memberCount}</td>
+                                    <td className="actions-cell">
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => setEditing(editing === team._id ? null : team._id)}
+                                            title="Edit managers and members"
+                                        >
+                                            👥
+                                        </button>
+                                        <button
+                                            className="btn btn-sm btn-ghost"
+                                            onClick={() => handleDelete(team)}
+                                            title="Delete team"
+                                        >
+                                            🗑️
+                                        </button>
+                                    </td>
+                                </tr>
+                                {editing === team._id && (
+                                    <tr key={`${team._id}-edit`} className="audit-details-row">
+                                        <td colSpan="4">
+                                            <p className="project-access-hint">Managers</p>
+                                            <div className="project-access-list">
+                                                {users.map((u) => (
+                                                    <label key={u._id} className="project-access-item">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={team.managers.some((m) => m._id === u._id)}
+                                                            onChange={() => toggleManager(team, u._id)}
+                                                        />
+                                                        {u.name}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                            <p className="project-access-hint">
+                                                Members (moving someone here takes them out of their current team)
+                                            </p>
+                                            <div className="project-access-list">
+                                                {users.map((u) => (
+                                                    <label key={u._id} className="project-access-item">
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={u.teamId === team._id}
+                                                            onChange={() => toggleMember(team, u._id)}
+                                                        />
+                                                        {u.name}
+                                                        {u.teamId && u.teamId !== team._id && (
+                                                            <span className="timesheet-sub"> ({u.teamName})</span>
+                                                        )}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                )}
+                            </>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default TeamManager;
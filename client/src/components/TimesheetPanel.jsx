@@ -0,0 +1,102 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+const STATUS_LABELS = {
+    draft: 'Not submitted',
+    submitted: 'Awaiting approval',
+    approved: 'Approved',
+    rejected: 'Rejected',
+};
+
+/**
+ * Weekly timesheet for the week containing `date`: per-day hours, status,
+ * the reviewer's comment, and a Submit button while the week is still open.
+ *
+ * @param {{ date: string, refreshKey?: number, onSubmitted?: Function }} props
+ */
+function TimesheetPanel({ date, refreshKey, onSubmitted }) {
+    const [week, setWeek] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const weekStart = DateTime.fromISO(date).startOf('week').toISODate();
+    const isFutureWeek = weekStart > DateTime.now().startOf('week').toISODate();
+
+    const fetchWeek = useCallback(async () => {
+        try {
+            const res = await api.get('/timesheets/week', { params: { weekStart } });
+            setWeek(res.data);
+        } catch (err) {
+            console.error('Failed to load timesheet', err);
+        }
+    }, [weekStart]);
+
+    useEffect(() => {
+        fetchWeek();
+    }, [fetchWeek, refreshKey]);
+
+    const handleSubmit = async () => {
+        setSubmitting(true);
+        setError('');
+        try {
+            await api.post('/timesheets/submit', { weekStart });
+            await fetchWeek();
+            onSubmitted?.();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to submit timesheet');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (!week) return null;
+
+    const canSubmit = !isFutureWeek && (week.status === 'draft' || week.status === 'rejected');
+
+    return (
+        <div className="timesheet-panel">
+            <div className="timesheet-header">
+                <h3 className="section-title">
+                    <span className="section-icon">🗂️</span>
+                    Week of {DateTime.fromISO(weekStart).toFormat('dd LLL')}
+                </h3>
+                <span className={`timesheet-status timesheet-status-${week.status}`}>
+                    {week.status === 'approved' && '🔒 '}
+                    {STATUS_LABELS[week.status]}
+                </span>
+            </div>
+
+            <div className="timesheet-days">
+                {week.days.map((d) => (
+                    <div key={d.date} className={`timesheet-day ${d.date === date ? 'selected' : ''}`}>
+                        <span className="timesheet-day-name">{DateTime.fromISO(d.date).toFormat('ccc')}</span>
+                        <span className="timesheet-day-hours">{d.totalFormatted}</span>
+                    </div>
+                ))}
+                <div className="timesheet-day timesheet-day-total">
+                    <span className="timesheet-day-name">Total</span>
+                    <span className="timesheet-day-hours">{week.totalFormatted}</span>
+                </div>
+            </div>
+
+            {week.status === 'rejected' && week.timesheet?.comment && (
+                <p className="timesheet-comment">💬 {week.timesheet.comment}</p>
+            )}
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {canSubmit && (
+                <button
+                    className="btn btn-primary btn-save"
+                    onClick={handleSubmit}
+                    disabled={submitting || week.hasActiveSession}
+                    title={week.hasActiveSession ? 'End your active session first' : undefined}
+                >
+                    {submitting ? 'Submitting...' : week.status === 'rejected' ? 'Resubmit Week' : 'Submit Week'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default TimesheetPanel;
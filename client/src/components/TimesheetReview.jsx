@@ -0,0 +1,165 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+import api from '../api/axios';
+
+/**
+ * Admin queue of weekly timesheets. Submitted weeks can be approved (locking
+ * them) or rejected with a comment explaining what to fix.
+ */
+function TimesheetReview() {
+    const [status, setStatus] = useState('submitted');
+    const [timesheets, setTimesheets] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [rejectingId, setRejectingId] = useState(null);
+    const [comment, setComment] = useState('');
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchTimesheets = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await api.get('/timesheets/review', { params: { status } });
+            setTimesheets(res.data.timesheets);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load timesheets');
+        } finally {
+            setLoading(false);
+        }
+    }, [status]);
+
+    useEffect(() => {
+        fetchTimesheets();
+    }, [fetchTimesheets]);
+
+    const review = async (timesheetId, action) => {
+        setBusyId(timesheetId);
+        setError('');
+        try {
+            await api.patch(`/timesheets/${timesheetId}/review`, {
+                action,
+                ...(action === 'reject' ? { comment } : {}),
+            });
+            setRejectingId(null);
+            setComment('');
+            fetchTimesheets();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to review timesheet');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const formatHours = (ms) => `${(ms / 3600000).toFixed(1)}h`;
+    const formatWeek = (weekStart) => {
+        const start = DateTime.fromISO(weekStart);
+        return `${start.toFormat('dd LLL')} – ${start.plus({ days: 6 }).toFormat('dd LLL yyyy')}`;
+    };
+
+    return (
+        <div className="timesheet-review">
+            <div className="period-toggle">
+                {['submitted', 'approved', 'rejected'].map((s) => (
+                    <button
+                        key={s}
+                        className={`period-toggle-btn ${status === s ? 'active' : ''}`}
+                        onClick={() => setStatus(s)}
+                    >
+                        {s.charAt(0).toUpperCase() + s.slice(1)}
+                    </button>
+                ))}
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {loading ? (
+                <p className="audit-loading">Loading timesheets...</p>
+            ) : timesheets.length === 0 ? (
+                <p className="audit-empty">No {status} timesheets</p>
+            ) : (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>Employee</th>
+                            <th>Week</th>
+                            <th>Hours</th>
+                            <th>{status === 'submitted' ? 'Submitted' : 'Reviewed'}</th>
+                            <th>{status === 'submitted' ? 'Actions' : 'Comment'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {timesheets.map((t) => (
+                            <tr key={t._id}>
+                                <td>
+                                    {t.userId?.name}
+                                    <div className="timesheet-sub">{t.userId?.email}</div>
+                                </td>
+                                <td>{formatWeek(t.weekStart)}</td>
+                                <td>{formatHours(t.totalMs)}</td>
+                                <td>
+                                    {new Date(status === 'submitted' ? t.submittedAt : t.reviewedAt).toLocaleString()}
+                                    {t.reviewedByUserId && (
+                                        <div className="timesheet-sub">by {t.reviewedByUserId.name}</div>
+                                    )}
+                                </td>
+                                <td className="actions-cell">
+                                    {status !== 'submitted' ? (
+                                        t.comment || '—'
+                                    ) : rejectingId === t._id ? (
+                                        <div className="timesheet-reject">
+                                            <input
+                                                type="text"
+                                                className="admin-search"
+                                                placeholder="What needs fixing?"
+                                                value={comment}
+                                                onChange={(e) => setComment(e.target.value)}
+                                                maxLength={500}
+                                                autoFocus
+                                            />
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => review(t._id, 'reject')}
+                                                disabled={!comment.trim() || busyId === t._id}
+                                            >
+                                                Send
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => setRejectingId(null)}
+                                            >
+                                                ✕
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => review(t._id, 'approve')}
+                                                disabled={busyId === t._id}
+                                                title="Approve and lock"
+                                            >
+                                                ✅
+                                            </button>
+                                            <button
+                                                className="btn btn-sm btn-ghost"
+                                                onClick={() => {
+                                                    setRejectingId(t._id);
+                                                    setComment('');
+                                                }}
+                                                title="Reject with comment"
+                                            >
+                                                ↩️
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default TimesheetReview;
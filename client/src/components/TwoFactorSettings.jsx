@@ -0,0 +1,182 @@
+import { useCallback, useEffect, useState } from 'react';
+import api from '../api/axios';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * Two-factor authentication on the Settings page: turn it on with an
+ * authenticator app, replace the recovery codes, or turn it off (password and
+ * a current code; not possible for admins when the organization requires it).
+ */
+function TwoFactorSettings() {
+    const [status, setStatus] = useState(null);
+    // null | 'setup' | 'regenerate' | 'disable'
+    const [mode, setMode] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [newCodes, setNewCodes] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const loadStatus = useCallback(async () => {
+        try {
+            const res = await api.get('/auth/2fa');
+            setStatus(res.data);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to load two-factor status');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadStatus();
+    }, [loadStatus]);
+
+    const closeForm = () => {
+        setMode(null);
+        setCode('');
+        setPassword('');
+        setError('');
+    };
+
+    const finish = () => {
+        closeForm();
+        setNewCodes(null);
+        loadStatus();
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            if (mode === 'regenerate') {
+                const res = await api.post('/auth/2fa/recovery-codes', { code });
+                setNewCodes(res.data.recoveryCodes);
+            } else {
+                await api.post('/auth/2fa/disable', { password, code });
+                finish();
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Request failed');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const renderBody = () => {
+        if (!status) {
+            return !error && <p className="settings-hint">Loading...</p>;
+        }
+
+        if (newCodes) {
+            return <RecoveryCodes codes={newCodes} onDone={finish} doneLabel="Done" />;
+        }
+
+        if (mode === 'setup') {
+            return (
+                <TwoFactorSetup
+                    start={() => api.post('/auth/2fa/setup').then((res) => res.data)}
+                    confirm={(setupCode) =>
+                        api.post('/auth/2fa/enable', { code: setupCode }).then((res) => res.data.recoveryCodes)
+                    }
+                    onDone={finish}
+                    onCancel={closeForm}
+                />
+            );
+        }
+
+        if (mode) {
+            return (
+                <form className="auth-form" onSubmit={handleSubmit}>
+                    {mode === 'disable' && (
+                        <div className="form-group">
+                            <label htmlFor="twoFactorPassword">Password</label>
+                            <input
+                                id="twoFactorPassword"
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                autoComplete="current-password"
+                            />
+                        </div>
+                    )}
+                    <div className="form-group">
+                        <label htmlFor="twoFactorCode">Authentication Code</label>
+                        <input
+                            id="twoFactorCode"
+                            type="text"
+                            inputMode="numeric"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            placeholder="123 456"
+                            required
+                            autoComplete="one-time-code"
+                        />
+                    </div>
+                    <div className="settings-actions">
+                        <button type="submit" className="btn btn-primary" disabled={busy}>
+                            {mode === 'disable' ? 'Turn Off' : 'Replace Codes'}
+                        </button>
+                        <button type="button" className="btn btn-ghost" onClick={closeForm}>
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            );
+        }
+
+        if (!status.enabled) {
+            return (
+                <>
+                    <p className="settings-hint">
+                        {status.required
+                            ? 'Your organization requires two-factor authentication for admins.'
+                            : 'Sign in with a code from an authenticator app as well as your password.'}
+                    </p>
+                    <div className="settings-actions">
+                        <button type="button" className="btn btn-primary" onClick={() => setMode('setup')}>
+                            Set Up
+                        </button>
+                    </div>
+                </>
+            );
+        }
+
+        return (
+            <>
+                <p className="settings-hint">
+                    On since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesLeft}{' '}
+                    recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left
+                </p>
+                <div className="settings-actions">
+                    <button type="button" className="btn btn-ghost" onClick={() => setMode('regenerate')}>
+                        New Recovery Codes
+                    </button>
+                    {status.required ? (
+                        <span className="settings-hint">Required by your organization</span>
+                    ) : (
+                        <button type="button" className="btn btn-ghost" onClick={() => setMode('disable')}>
+                            Turn Off
+                        </button>
+                    )}
+                </div>
+            </>
+        );
+    };
+
+    return (
+        <div className="card auth-form">
+            <h3 className="section-title">
+                <span className="section-icon">🛡️</span>
+                Two-Factor Authentication
+            </h3>
+
+            {error && mode !== 'setup' && <div className="alert alert-error">{error}</div>}
+
+            {renderBody()}
+        </div>
+    );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * Authenticator app enrollment: show a new secret, confirm a code from it,
+ * then show the recovery codes. Used from Settings and, when an organization
+ * requires it, during sign-in.
+ *
+ * @param {() => Promise<{ secret, otpauthUri }>} start - creates the secret
+ * @param {(code: string) => Promise<string[]>} confirm - returns recovery codes
+ * @param {() => void} onDone - after the recovery codes are acknowledged
+ */
+function TwoFactorSetup({ start, confirm, onDone, onCancel }) {
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    // Every call makes a new secret; only the latest one will be accepted
+    useEffect(() => {
+        let active = true;
+        start()
+            .then((data) => active && setSetup(data))
+            .catch((err) => active && setError(err.response?.data?.error || 'Failed to start two-factor setup'));
+        return () => {
+            active = false;
+        };
+    }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            setRecoveryCodes(await confirm(code));
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to enable two-factor authentication');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (recoveryCodes) {
+        return <RecoveryCodes codes={recoveryCodes} onDone={onDone} />;
+    }
+
+    return (
+        <form className="auth-form" onSubmit={handleSubmit}>
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {setup ? (
+                <>
+                    <p className="settings-hint">
+                        Add this account to an authenticator app (Google Authenticator, 1Password, Authy, ...)
+                        by opening the link on your phone or entering the key by hand.
+                    </p>
+                    <div className="form-group">
+                        <label>Setup Key</label>
+                        <code className="two-factor-secret">{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+                        <a href={setup.otpauthUri} className="settings-hint">Open in authenticator app</a>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="setupCode">6-digit Code</label>
+                        <input
+                            id="setupCode"
+                            type="text"
+                            inputMode="numeric"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            placeholder="123 456"
+                            required
+                            autoComplete="one-time-code"
+                        />
+                    </div>
+
+                    <div className="settings-actions">
+                        <button type="submit" className="btn btn-primary" disabled={busy}>
+                            {busy ? 'Checking...' : 'Turn On'}
+                        </button>
+                        {onCancel && (
+                            <button type="button" className="btn btn-ghost" onClick={onCancel}>
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                </>
+            ) : (
+                !error && <p className="settings-hint">Preparing...</p>
+            )}
+        </form>
+    );
+}
+
+export default TwoFactorSetup;
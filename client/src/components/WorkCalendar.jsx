@@ -1,22 +1,36 @@
 import { useState, useEffect, useCallback } from 'react';
 import api from '../api/axios';
 
+// How days with no or a reduced goal are marked (dayType comes from the server)
+const DAY_TYPE_MARKS = {
+    holiday: { icon: '🎉', label: 'Holiday' },
+    leave: { icon: '🌴', label: 'Leave' },
+    'half-day': { icon: '◐', label: 'Half day' },
+};
+
 /**
  * Monthly work-hours calendar.
  * Fetches per-day totals for a given month and renders a calendar grid.
- * Each day cell is color-coded based on hours worked.
+ * Each day cell is color-coded based on hours worked; weekends, holidays and
+ * approved leave are marked because they carry no (or a reduced) goal.
  *
  * Props:
  *   - selectedDate: 'YYYY-MM-DD' — currently selected date (highlighted)
  *   - onDateSelect: (dateStr) => void — callback when a date is clicked
+ *   - refreshKey: any — changing it refetches the month (e.g. after adding a session)
+ *   - selectedRange: { start, end } | null — dates highlighted as a range
+ *   - onRangeSelect: ({ start, end } | null) => void — enables range mode; the first
+ *     click picks one end, the second the other. null when range mode is turned off.
  */
-function WorkCalendar({ selectedDate, onDateSelect }) {
+function WorkCalendar({ selectedDate, onDateSelect, refreshKey, selectedRange, onRangeSelect }) {
     const [currentDate, setCurrentDate] = useState(() => {
         const now = new Date();
         return { year: now.getFullYear(), month: now.getMonth() }; // month 0-indexed
     });
     const [monthData, setMonthData] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [rangeMode, setRangeMode] = useState(false);
+    const [rangeAnchor, setRangeAnchor] = useState(null);
 
     const monthKey = `${currentDate.year}-${String(currentDate.month + 1).padStart(2, '0')}`;
 
@@ -30,7 +44,7 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
         } finally {
             setLoading(false);
         }
-    }, [monthKey]);
+    }, [monthKey, refreshKey]); // eslint-disable-line react-hooks/exhaustive-deps
 
     useEffect(() => {
         fetchMonthly();
@@ -80,6 +94,8 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
                 dateStr,
                 totalMs: dayData?.totalMs || 0,
                 totalFormatted: dayData?.totalFormatted || '00:00',
+                dayType: dayData?.dayType || 'workday',
+                dayLabel: dayData?.dayLabel || null,
             });
         }
 
@@ -96,6 +112,37 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
         return 'cal-level-5';
     };
 
+    const describeDay = (cell) => {
+        const mark = DAY_TYPE_MARKS[cell.dayType];
+        const base = `${cell.dateStr}: ${cell.totalFormatted}`;
+        if (!mark) return base;
+        return `${base} · ${mark.label}${cell.dayLabel ? ` (${cell.dayLabel})` : ''}`;
+    };
+
+    const toggleRangeMode = () => {
+        setRangeMode((on) => !on);
+        setRangeAnchor(null);
+        if (rangeMode) onRangeSelect(null);
+    };
+
+    const handleDayClick = (dateStr) => {
+        if (!rangeMode) {
+            onDateSelect?.(dateStr);
+            return;
+        }
+        if (!rangeAnchor) {
+            setRangeAnchor(dateStr);
+            onRangeSelect({ start: dateStr, end: dateStr });
+            return;
+        }
+        const [start, end] = [rangeAnchor, dateStr].sort();
+        setRangeAnchor(null);
+        onRangeSelect({ start, end });
+    };
+
+    const isInRange = (dateStr) =>
+        !!selectedRange && dateStr >= selectedRange.start && dateStr <= selectedRange.end;
+
     const isToday = (dateStr) => {
         const now = new Date();
         const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
@@ -127,6 +174,23 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
                 </button>
             </div>
 
+            {onRangeSelect && (
+                <div className="cal-range-bar">
+                    <button
+                        className={`cal-range-toggle ${rangeMode ? 'active' : ''}`}
+                        onClick={toggleRangeMode}
+                        id="cal-range-toggle"
+                    >
+                        {rangeMode ? '✕ Done' : '↔ Select range'}
+                    </button>
+                    {rangeMode && (
+                        <span className="cal-legend-label">
+                            {rangeAnchor ? 'Click the last day' : 'Click the first day'}
+                        </span>
+                    )}
+                </div>
+            )}
+
             {/* Day-of-week headers */}
             <div className="cal-grid cal-day-headers">
                 {dayHeaders.map((d) => (
@@ -149,21 +213,28 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
                             'cal-cell',
                             'cal-day',
                             getHeatColor(cell.totalMs),
+                            `cal-type-${cell.dayType}`,
                             isToday(cell.dateStr) ? 'cal-today' : '',
-                            isSelected(cell.dateStr) ? 'cal-selected' : '',
+                            !rangeMode && isSelected(cell.dateStr) ? 'cal-selected' : '',
+                            rangeMode && isInRange(cell.dateStr) ? 'cal-in-range' : '',
                         ].filter(Boolean).join(' ');
 
                         return (
                             <div
                                 key={cell.key}
                                 className={classes}
-                                title={`${cell.dateStr}: ${cell.totalFormatted}`}
-                                onClick={() => onDateSelect?.(cell.dateStr)}
+                                title={describeDay(cell)}
+                                onClick={() => handleDayClick(cell.dateStr)}
                                 role="button"
                                 tabIndex={0}
-                                onKeyDown={(e) => { if (e.key === 'Enter') onDateSelect?.(cell.dateStr); }}
+                                onKeyDown={(e) => { if (e.key === 'Enter') handleDayClick(cell.dateStr); }}
                             >
                                 <span className="cal-day-num">{cell.day}</span>
+                                {DAY_TYPE_MARKS[cell.dayType] && (
+                                    <span className="cal-day-mark" aria-hidden="true">
+                                        {DAY_TYPE_MARKS[cell.dayType].icon}
+                                    </span>
+                                )}
                                 {cell.totalMs > 0 && (
                                     <span className="cal-day-hours">{cell.totalFormatted}</span>
                                 )}
@@ -173,6 +244,17 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
                 </div>
             )}
 
+            {/* Top tags this month */}
+            {monthData?.tags?.length > 0 && (
+                <div className="cal-tags">
+                    {monthData.tags.slice(0, 8).map((t) => (
+                        <span key={t.tag} className="session-tag" title={`${t.totalFormatted} this month`}>
+                            #{t.tag} · {t.totalFormatted}
+                        </span>
+                    ))}
+                </div>
+            )}
+
             {/* Legend */}
             <div className="cal-legend">
                 <span className="cal-legend-label">Less</span>
@@ -184,6 +266,11 @@ function WorkCalendar({ selectedDate, onDateSelect }) {
                 <div className="cal-legend-cell cal-level-5" />
                 <span className="cal-legend-label">More</span>
             </div>
+            <div className="cal-legend">
+                {Object.entries(DAY_TYPE_MARKS).map(([type, mark]) => (
+                    <span key={type} className="cal-legend-label">{mark.icon} {mark.label}</span>
+                ))}
+            </div>
         </div>
     );
 }
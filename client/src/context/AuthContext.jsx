@@ -1,5 +1,5 @@
 import { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
-import api from '../api/axios';
+import api, { setSessionExpiredHandler } from '../api/axios';
 
 const AuthContext = createContext(null);
 
@@ -7,6 +7,8 @@ const initialState = {
     user: null,
     isAuthenticated: false,
     isAdmin: false,
+    isManager: false,
+    permissions: [],
     loading: true,
 };
 
@@ -17,11 +19,13 @@ function authReducer(state, action) {
                 user: action.payload,
                 isAuthenticated: true,
                 isAdmin: action.payload?.isAdmin || false,
+                isManager: action.payload?.isManager || false,
+                permissions: action.payload?.permissions || [],
                 loading: false,
             };
         case 'AUTH_FAIL':
         case 'LOGOUT':
-            return { user: null, isAuthenticated: false, isAdmin: false, loading: false };
+            return { ...initialState, loading: false };
         case 'SET_LOADING':
             return { ...state, loading: true };
         default:
@@ -46,29 +50,79 @@ export function AuthProvider({ children }) {
         loadUser();
     }, [loadUser]);
 
-    const register = async (name, email, password, inviteToken = null) => {
+    // Signed out elsewhere (another device, an admin, an expired session)
+    useEffect(() => {
+        setSessionExpiredHandler(() => dispatch({ type: 'LOGOUT' }));
+        return () => setSessionExpiredHandler(null);
+    }, []);
+
+    const register = async (name, email, password, inviteToken = null, organizationName = '') => {
         const body = { name, email, password };
         if (inviteToken) body.inviteToken = inviteToken;
+        if (organizationName) body.organizationName = organizationName;
         const res = await api.post('/auth/register', body);
         dispatch({ type: 'AUTH_SUCCESS', payload: res.data.user });
         return res.data;
     };
 
+    const updateProfile = async (changes) => {
+        const res = await api.patch('/user/me', changes);
+        dispatch({ type: 'AUTH_SUCCESS', payload: res.data.user });
+        return res.data.user;
+    };
+
     const login = async (email, password, adminLogin = false) => {
         const body = { email, password };
         if (adminLogin) body.adminLogin = true;
         const res = await api.post('/auth/login', body);
+        // With two-factor authentication the password only earns a challenge;
+        // the caller finishes with loginTwoFactor or enrollTwoFactorAtLogin
+        if (!res.data.twoFactor) {
+            dispatch({ type: 'AUTH_SUCCESS', payload: res.data.user });
+        }
+        return res.data;
+    };
+
+    /** Finish a two-factor login with { code } or { recoveryCode }. */
+    const loginTwoFactor = async (challengeToken, answer) => {
+        const res = await api.post('/auth/login/2fa', { challengeToken, ...answer });
         dispatch({ type: 'AUTH_SUCCESS', payload: res.data.user });
         return res.data;
     };
 
+    /**
+     * Confirm enrollment required at sign-in. The session cookie is set, but
+     * the user is only marked signed in by loadUser() once they have saved
+     * the returned recovery codes.
+     */
+    const enrollTwoFactorAtLogin = async (challengeToken, code) => {
+        const res = await api.post('/auth/login/2fa/enable', { challengeToken, code });
+        return res.data;
+    };
+
+    /**
+     * Get a new access token, and with it the current profile. Claims such as
+     * a verified email address only change with a new token.
+     */
+    const refreshSession = async () => {
+        const res = await api.post('/auth/refresh');
+        dispatch({ type: 'AUTH_SUCCESS', payload: res.data.user });
+        return res.data.user;
+    };
+
     const logout = async () => {
         await api.post('/auth/logout');
         dispatch({ type: 'LOGOUT' });
     };
 
+    /** Whether the user holds a permission (admins hold all of them). */
+    const can = useCallback((permission) => state.permissions.includes(permission), [state.permissions]);
+
     return (
-        <AuthContext.Provider value={{ ...state, register, login, logout, loadUser }}>
+        <AuthContext.Provider value={{
+            ...state, register, login, loginTwoFactor, enrollTwoFactorAtLogin, logout, loadUser, refreshSession,
+            updateProfile, can,
+        }}>
             {children}
         </AuthContext.Provider>
     );
@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getIdleStart } from '../utils/idle';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+const CHECK_INTERVAL_MS = 30000;
+
+/**
+ * Track whether the user has been away (no input, tab hidden) for `timeoutMs`
+ * while `enabled`. Once idle, `idleSince` stays set — even after the user
+ * comes back — until `reset()` is called, so the caller can ask what to do
+ * with the idle time.
+ *
+ * @param {{ enabled: boolean, timeoutMs: number }} options
+ * @returns {{ idleSince: Date|null, reset: Function }}
+ */
+export default function useIdleTimer({ enabled, timeoutMs }) {
+    const [idleSince, setIdleSince] = useState(null);
+    const lastActivityRef = useRef(0);
+
+    useEffect(() => {
+        if (!enabled) return;
+        lastActivityRef.current = Date.now();
+
+        const check = () => {
+            const idleStart = getIdleStart(lastActivityRef.current, Date.now(), timeoutMs);
+            if (idleStart) setIdleSince((prev) => prev || idleStart);
+        };
+
+        // Check before recording the activity, in case the interval was
+        // throttled while the tab was in the background
+        const handleActivity = () => {
+            check();
+            lastActivityRef.current = Date.now();
+        };
+
+        const handleVisibility = () => {
+            if (document.visibilityState === 'visible') handleActivity();
+        };
+
+        ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, handleActivity, { passive: true }));
+        document.addEventListener('visibilitychange', handleVisibility);
+        const interval = setInterval(check, CHECK_INTERVAL_MS);
+
+        return () => {
+            ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, handleActivity));
+            document.removeEventListener('visibilitychange', handleVisibility);
+            clearInterval(interval);
+            setIdleSince(null);
+        };
+    }, [enabled, timeoutMs]);
+
+    const reset = useCallback(() => {
+        lastActivityRef.current = Date.now();
+        setIdleSince(null);
+    }, []);
+
+    return { idleSince, reset };
+}
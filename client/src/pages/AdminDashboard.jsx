@@ -1,12 +1,28 @@
 import { useState, useEffect, useCallback } from 'react';
 import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
 import AdminUserTable from '../components/AdminUserTable';
 import AdminInviteModal from '../components/AdminInviteModal';
 import AuditLogViewer from '../components/AuditLogViewer';
+import ProjectManager from '../components/ProjectManager';
+import OrgSettingsPanel from '../components/OrgSettingsPanel';
+import TimesheetReview from '../components/TimesheetReview';
+import CorrectionReview from '../components/CorrectionReview';
+import LeaveReview from '../components/LeaveReview';
+import HolidayManager from '../components/HolidayManager';
+import ComplianceReport from '../components/ComplianceReport';
+import TeamManager from '../components/TeamManager';
+import RoleManager from '../components/RoleManager';
 import '../styles/AdminDashboard.css';
 
 function AdminDashboard() {
+    const { isAdmin, isManager, can } = useAuth();
+    // Holders of view-hours see everyone, managers only their teams
+    const canViewUsers = can('view-hours') || isManager;
+    const teamView = isManager && !can('view-hours');
     const [users, setUsers] = useState([]);
+    const [teams, setTeams] = useState([]);
+    const [teamFilter, setTeamFilter] = useState('');
     const [date, setDate] = useState('');
     const [selectedDate, setSelectedDate] = useState('');
     const [loading, setLoading] = useState(true);
@@ -15,12 +31,21 @@ function AdminDashboard() {
     const [sortBy, setSortBy] = useState('name');
     const [showInviteModal, setShowInviteModal] = useState(false);
     const [showAuditLog, setShowAuditLog] = useState(false);
+    const [showProjects, setShowProjects] = useState(false);
+    const [showSettings, setShowSettings] = useState(false);
+    const [showTimesheets, setShowTimesheets] = useState(false);
+    const [showCorrections, setShowCorrections] = useState(false);
+    const [showLeave, setShowLeave] = useState(false);
+    const [showCompliance, setShowCompliance] = useState(false);
+    const [showTeams, setShowTeams] = useState(false);
+    const [showRoles, setShowRoles] = useState(false);
     const [periodView, setPeriodView] = useState('week');
 
     const fetchUsers = useCallback(async (queryDate) => {
         try {
             setLoading(true);
             const params = queryDate ? { date: queryDate } : {};
+            if (teamFilter) params.teamId = teamFilter;
             const res = await api.get('/admin/users', { params });
             setUsers(res.data.users);
             setDate(res.data.date);
@@ -30,11 +55,25 @@ function AdminDashboard() {
         } finally {
             setLoading(false);
         }
-    }, [selectedDate]);
+    }, [selectedDate, teamFilter]);
+
+    const fetchTeams = useCallback(async () => {
+        try {
+            const res = await api.get('/teams');
+            setTeams(res.data.teams);
+        } catch {
+            // The team filter is optional; the user list still works without it
+        }
+    }, []);
 
     useEffect(() => {
-        fetchUsers(selectedDate);
-    }, [selectedDate]); // eslint-disable-line react-hooks/exhaustive-deps
+        if (canViewUsers) fetchUsers(selectedDate);
+        else setLoading(false);
+    }, [selectedDate, teamFilter]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    useEffect(() => {
+        if (canViewUsers) fetchTeams();
+    }, [fetchTeams, canViewUsers]);
 
     const handlePromote = async (userId, makeAdmin) => {
         try {
@@ -45,10 +84,38 @@ function AdminDashboard() {
         }
     };
 
+    const handleResetTwoFactor = async (target) => {
+        if (!window.confirm(`Turn off two-factor authentication for ${target.name}?`)) return;
+        try {
+            await api.post(`/admin/users/${target._id}/2fa/reset`);
+            fetchUsers(selectedDate);
+        } catch (err) {
+            alert(err.response?.data?.error || 'Failed to reset two-factor authentication');
+        }
+    };
+
+    const handleUnlock = async (target) => {
+        try {
+            await api.post(`/admin/users/${target._id}/unlock`);
+            fetchUsers(selectedDate);
+        } catch (err) {
+            alert(err.response?.data?.error || 'Failed to unlock account');
+        }
+    };
+
+    const handleForceLogout = async (target) => {
+        if (!window.confirm(`Sign ${target.name} out on all devices?`)) return;
+        try {
+            await api.post(`/admin/users/${target._id}/logout`);
+        } catch (err) {
+            alert(err.response?.data?.error || 'Failed to sign user out');
+        }
+    };
+
     const handleExport = async () => {
         try {
             const res = await api.get('/admin/export', {
-                params: { date: selectedDate || date },
+                params: { date: selectedDate || date, ...(teamFilter && { teamId: teamFilter }) },
                 responseType: 'blob',
             });
             const url = URL.createObjectURL(new Blob([res.data]));
@@ -94,19 +161,67 @@ function AdminDashboard() {
         <div className="admin-dashboard">
             <div className="admin-header">
                 <div className="admin-header-left">
-                    <h1>🛡️ Admin Dashboard</h1>
-                    <p className="admin-subtitle">Manage employees and monitor progress</p>
+                    <h1>{teamView ? '👥 Team Dashboard' : '🛡️ Admin Dashboard'}</h1>
+                    <p className="admin-subtitle">
+                        {teamView ? 'Monitor your team\'s progress' : 'Manage employees and monitor progress'}
+                    </p>
                 </div>
                 <div className="admin-header-actions">
-                    <button className="btn btn-accent" onClick={() => setShowInviteModal(true)}>
-                        ✉️ Invite Admin
-                    </button>
-                    <button className="btn btn-ghost" onClick={() => setShowAuditLog(!showAuditLog)}>
-                        📋 {showAuditLog ? 'Hide' : 'Show'} Audit Log
-                    </button>
-                    <button className="btn btn-ghost" onClick={handleExport}>
-                        📥 Export CSV
-                    </button>
+                    {can('manage-invites') && (
+                        <button className="btn btn-accent" onClick={() => setShowInviteModal(true)}>
+                            ✉️ Invite
+                        </button>
+                    )}
+                    {isAdmin && (
+                        <button className="btn btn-ghost" onClick={() => setShowTimesheets(!showTimesheets)}>
+                            🗂️ {showTimesheets ? 'Hide' : 'Review'} Timesheets
+                        </button>
+                    )}
+                    {can('edit-sessions') && (
+                        <button className="btn btn-ghost" onClick={() => setShowCorrections(!showCorrections)}>
+                            🛠️ {showCorrections ? 'Hide' : 'Review'} Corrections
+                        </button>
+                    )}
+                    {isAdmin && (
+                        <button className="btn btn-ghost" onClick={() => setShowLeave(!showLeave)}>
+                            🌴 {showLeave ? 'Hide' : 'Review'} Leave
+                        </button>
+                    )}
+                    {can('view-hours') && (
+                        <button className="btn btn-ghost" onClick={() => setShowCompliance(!showCompliance)}>
+                            ⚖️ {showCompliance ? 'Hide' : 'Show'} Compliance
+                        </button>
+                    )}
+                    {isAdmin && (
+                        <>
+                            <button className="btn btn-ghost" onClick={() => setShowProjects(!showProjects)}>
+                                📁 {showProjects ? 'Hide' : 'Manage'} Projects
+                            </button>
+                            <button className="btn btn-ghost" onClick={() => setShowSettings(!showSettings)}>
+                                ⚙️ {showSettings ? 'Hide' : 'Show'} Settings
+                            </button>
+                        </>
+                    )}
+                    {can('view-audit') && (
+                        <button className="btn btn-ghost" onClick={() => setShowAuditLog(!showAuditLog)}>
+                            📋 {showAuditLog ? 'Hide' : 'Show'} Audit Log
+                        </button>
+                    )}
+                    {isAdmin && (
+                        <button className="btn btn-ghost" onClick={() => setShowTeams(!showTeams)}>
+                            👥 {showTeams ? 'Hide' : 'Manage'} Teams
+                        </button>
+                    )}
+                    {can('promote-users') && (
+                        <button className="btn btn-ghost" onClick={() => setShowRoles(!showRoles)}>
+                            🔑 {showRoles ? 'Hide' : 'Manage'} Roles
+                        </button>
+                    )}
+                    {(can('export') || isManager) && (
+                        <button className="btn btn-ghost" onClick={handleExport}>
+                            📥 Export CSV
+                        </button>
+                    )}
                 </div>
             </div>
 
@@ -155,22 +270,112 @@ function AdminDashboard() {
                     <option value="progress">Sort by Progress</option>
                     <option value="status">Sort by Status</option>
                 </select>
+                {teams.length > 0 && (
+                    <select
+                        className="admin-sort"
+                        value={teamFilter}
+                        onChange={(e) => setTeamFilter(e.target.value)}
+                        aria-label="Team"
+                    >
+                        <option value="">All Teams</option>
+                        {teams.map((team) => (
+                            <option key={team._id} value={team._id}>{team.name}</option>
+                        ))}
+                    </select>
+                )}
             </div>
 
             {error && <div className="alert alert-error">{error}</div>}
 
-            {loading ? (
+            {!canViewUsers ? (
+                <div className="admin-empty">You don't have access to employee hours</div>
+            ) : loading ? (
                 <div className="admin-loading">Loading employee data...</div>
             ) : (
                 <AdminUserTable
                     users={filteredUsers}
-                    onPromote={handlePromote}
+                    onPromote={isAdmin ? handlePromote : null}
+                    onResetTwoFactor={isAdmin ? handleResetTwoFactor : null}
+                    onForceLogout={isAdmin ? handleForceLogout : null}
+                    onUnlock={isAdmin ? handleUnlock : null}
                     date={selectedDate || date}
                     periodView={periodView}
                     onPeriodChange={setPeriodView}
                 />
             )}
 
+            {/* Timesheet Review Panel */}
+            {showTimesheets && (
+                <div className="admin-audit-section">
+                    <h2>🗂️ Timesheets</h2>
+                    <TimesheetReview />
+                </div>
+            )}
+
+            {/* Correction Requests Panel */}
+            {showCorrections && (
+                <div className="admin-audit-section">
+                    <h2>🛠️ Correction Requests</h2>
+                    <CorrectionReview />
+                </div>
+            )}
+
+            {/* Leave & Holidays Panel */}
+            {showLeave && (
+                <div className="admin-audit-section">
+                    <h2>🌴 Leave Requests</h2>
+                    <LeaveReview />
+                    <h2>🎉 Holidays</h2>
+                    <HolidayManager />
+                </div>
+            )}
+
+            {/* Compliance Report Panel */}
+            {showCompliance && (
+                <div className="admin-audit-section">
+                    <h2>⚖️ Working-Time Violations</h2>
+                    <ComplianceReport />
+                </div>
+            )}
+
+            {/* Projects Panel */}
+            {showProjects && (
+                <div className="admin-audit-section">
+                    <h2>📁 Projects &amp; Clients</h2>
+                    <ProjectManager users={users} />
+                </div>
+            )}
+
+            {/* Teams Panel */}
+            {showTeams && (
+                <div className="admin-audit-section">
+                    <h2>👥 Teams</h2>
+                    <TeamManager
+                        users={users}
+                        onChanged={() => {
+                            fetchTeams();
+                            fetchUsers(selectedDate);
+                        }}
+                    />
+                </div>
+            )}
+
+            {/* Roles Panel */}
+            {showRoles && (
+                <div className="admin-audit-section">
+                    <h2>🔑 Roles &amp; Permissions</h2>
+                    <RoleManager users={users} onChanged={() => canViewUsers && fetchUsers(selectedDate)} />
+                </div>
+            )}
+
+            {/* Organization Settings Panel */}
+            {showSettings && (
+                <div className="admin-audit-section">
+                    <h2>⚙️ Organization Settings</h2>
+                    <OrgSettingsPanel />
+                </div>
+            )}
+
             {/* Audit Log Panel */}
             {showAuditLog && (
                 <div className="admin-audit-section">
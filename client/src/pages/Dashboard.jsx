@@ -5,8 +5,33 @@ import ProgressBar from '../components/ProgressBar';
 import SessionList from '../components/SessionList';
 import GoalEditor from '../components/GoalEditor';
 import WorkCalendar from '../components/WorkCalendar';
+import ManualEntryForm from '../components/ManualEntryForm';
+import ProjectBreakdown from '../components/ProjectBreakdown';
+import AutoCloseNotice from '../components/AutoCloseNotice';
+import ComplianceNotice from '../components/ComplianceNotice';
+import AutoClosePreferences from '../components/AutoClosePreferences';
+import IdleDialog from '../components/IdleDialog';
+import TimesheetPanel from '../components/TimesheetPanel';
+import CorrectionRequestForm from '../components/CorrectionRequestForm';
+import LeavePanel from '../components/LeavePanel';
+import ScheduleEditor from '../components/ScheduleEditor';
+import BulkGoalEditor from '../components/BulkGoalEditor';
+import PeriodProgress from '../components/PeriodProgress';
+import useIdleTimer from '../hooks/useIdleTimer';
+import { formatFlexHours } from '../utils/progress';
 import '../styles/Dashboard.css';
 
+// Shown under the goal when the day has no (or a reduced) goal
+const DAY_TYPE_LABELS = {
+    weekend: 'Day off',
+    holiday: 'Holiday',
+    leave: 'On leave',
+    'half-day': 'Half day',
+};
+
+// Minutes without input before an active session asks about idle time (0 = off)
+const IDLE_TIMEOUT_MINUTES = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 10);
+
 /**
  * Helper: get today's date as YYYY-MM-DD in local timezone.
  */
@@ -43,10 +68,24 @@ function Dashboard() {
     const [actionLoading, setActionLoading] = useState(false);
     const [error, setError] = useState('');
     const [selectedDate, setSelectedDate] = useState(null); // null = today
+    const [calendarVersion, setCalendarVersion] = useState(0); // bump to refetch the calendar
+    const [goalRange, setGoalRange] = useState(null); // { start, end } picked in the calendar
+    const [projects, setProjects] = useState([]);
+    const [projectId, setProjectId] = useState('');
+    const [endNotes, setEndNotes] = useState('');
+    const [idleBusy, setIdleBusy] = useState(false);
+    const [idleError, setIdleError] = useState('');
+    const [flex, setFlex] = useState(null);
 
     const viewingToday = !selectedDate || selectedDate === getTodayStr();
     const displayDate = selectedDate || getTodayStr();
 
+    // Watch for the user walking away while the clock is running
+    const { idleSince, reset: resetIdle } = useIdleTimer({
+        enabled: viewingToday && !!summary?.activeSession && !summary?.isPaused,
+        timeoutMs: IDLE_TIMEOUT_MINUTES * 60000,
+    });
+
     const fetchSummary = useCallback(async (date) => {
         try {
             const dateParam = date ? `?date=${date}` : '';
@@ -67,6 +106,20 @@ function Dashboard() {
         fetchSummary(selectedDate);
     }, [selectedDate, fetchSummary]);
 
+    // Load the projects this user may log time to (for the Start Work picker)
+    useEffect(() => {
+        api.get('/projects')
+            .then((res) => setProjects(res.data.projects))
+            .catch((err) => console.error('Failed to load projects', err));
+    }, []);
+
+    // Flex balance only changes with finished days, so follow the calendar
+    useEffect(() => {
+        api.get('/user/flex')
+            .then((res) => setFlex(res.data))
+            .catch((err) => console.error('Failed to load flex balance', err));
+    }, [calendarVersion]);
+
     // Auto-refresh every 60 seconds while a session is active (only for today)
     useEffect(() => {
         if (!summary?.activeSession || !viewingToday) return;
@@ -82,7 +135,7 @@ function Dashboard() {
         setActionLoading(true);
         setError('');
         try {
-            await api.post('/sessions/start');
+            await api.post('/sessions/start', projectId ? { projectId } : {});
             await fetchSummary(selectedDate);
         } catch (err) {
             setError(err.response?.data?.error || 'Failed to start session');
@@ -95,8 +148,10 @@ function Dashboard() {
         setActionLoading(true);
         setError('');
         try {
-            await api.patch('/sessions/end');
+            await api.patch('/sessions/end', endNotes.trim() ? { notes: endNotes.trim() } : {});
+            setEndNotes('');
             await fetchSummary(selectedDate);
+            setCalendarVersion((v) => v + 1);
         } catch (err) {
             setError(err.response?.data?.error || 'Failed to end session');
         } finally {
@@ -104,8 +159,47 @@ function Dashboard() {
         }
     };
 
-    const handleGoalUpdated = (newGoalHours) => {
-        setSummary((prev) => prev ? { ...prev, goalHours: newGoalHours } : prev);
+    const handlePauseToggle = async () => {
+        setActionLoading(true);
+        setError('');
+        try {
+            await api.patch(summary?.isPaused ? '/sessions/resume' : '/sessions/pause');
+            await fetchSummary(selectedDate);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update session');
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    const handleIdleResolve = async (action) => {
+        if (action === 'keep') {
+            resetIdle();
+            return;
+        }
+        setIdleBusy(true);
+        setIdleError('');
+        try {
+            await api.post('/sessions/active/idle', { idleStartedAt: idleSince.toISOString(), action });
+            resetIdle();
+            await fetchSummary(selectedDate);
+            setCalendarVersion((v) => v + 1);
+        } catch (err) {
+            setIdleError(err.response?.data?.error || 'Failed to update session');
+        } finally {
+            setIdleBusy(false);
+        }
+    };
+
+    const handleSessionsChanged = async () => {
+        await fetchSummary(selectedDate);
+        setCalendarVersion((v) => v + 1);
+    };
+
+    // Refetch rather than patch locally: holidays and leave change the effective goal
+    const handleGoalUpdated = async () => {
+        await fetchSummary(selectedDate);
+        setCalendarVersion((v) => v + 1);
     };
 
     const handleDateSelect = (dateStr) => {
@@ -130,6 +224,7 @@ function Dashboard() {
     }
 
     const isActive = !!summary?.activeSession;
+    const isPaused = !!summary?.isPaused;
 
     return (
         <div className="dashboard-layout">
@@ -156,33 +251,87 @@ function Dashboard() {
                             </p>
                         </div>
 
-                        {/* Start / End Work Button — only for today */}
+                        {/* Start / Pause / End Work Buttons — only for today */}
                         {viewingToday && (
-                            <button
-                                className={`btn btn-action ${isActive ? 'btn-stop' : 'btn-start'}`}
-                                onClick={isActive ? handleEndWork : handleStartWork}
-                                disabled={actionLoading}
-                                id="work-toggle-btn"
-                            >
-                                {actionLoading ? (
-                                    <span className="btn-loading">⏳</span>
-                                ) : isActive ? (
-                                    <>
-                                        <span className="btn-icon">⏹</span>
-                                        End Work
-                                    </>
-                                ) : (
-                                    <>
-                                        <span className="btn-icon">▶</span>
-                                        Start Work
-                                    </>
+                            <div className="action-buttons">
+                                {!isActive && projects.length > 0 && (
+                                    <select
+                                        className="project-picker"
+                                        value={projectId}
+                                        onChange={(e) => setProjectId(e.target.value)}
+                                        aria-label="Project for this session"
+                                        id="project-picker"
+                                    >
+                                        <option value="">No project</option>
+                                        {projects.map((p) => (
+                                            <option key={p._id} value={p._id}>
+                                                {p.name}{p.clientId?.name ? ` (${p.clientId.name})` : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                )}
+                                {isActive && (
+                                    <button
+                                        className={`btn btn-action ${isPaused ? 'btn-resume' : 'btn-pause'}`}
+                                        onClick={handlePauseToggle}
+                                        disabled={actionLoading}
+                                        id="pause-toggle-btn"
+                                    >
+                                        <span className="btn-icon">{isPaused ? '▶' : '⏸'}</span>
+                                        {isPaused ? 'Resume' : 'Pause'}
+                                    </button>
                                 )}
-                            </button>
+                                <button
+                                    className={`btn btn-action ${isActive ? 'btn-stop' : 'btn-start'}`}
+                                    onClick={isActive ? handleEndWork : handleStartWork}
+                                    disabled={actionLoading}
+                                    id="work-toggle-btn"
+                                >
+                                    {actionLoading ? (
+                                        <span className="btn-loading">⏳</span>
+                                    ) : isActive ? (
+                                        <>
+                                            <span className="btn-icon">⏹</span>
+                                            End Work
+                                        </>
+                                    ) : (
+                                        <>
+                                            <span className="btn-icon">▶</span>
+                                            Start Work
+                                        </>
+                                    )}
+                                </button>
+                            </div>
                         )}
                     </div>
 
                     {error && <div className="alert alert-error">{error}</div>}
 
+                    {/* Sessions the server closed because they were left running */}
+                    <AutoCloseNotice
+                        sessions={summary?.pendingConfirmations}
+                        timezone={user?.timezone}
+                        onReview={handleDateSelect}
+                        onConfirmed={() => fetchSummary(selectedDate)}
+                    />
+
+                    {/* Working-time limits coming up or already broken */}
+                    <ComplianceNotice compliance={summary?.compliance} />
+
+                    {/* Notes for the running session — saved when it ends */}
+                    {viewingToday && isActive && (
+                        <input
+                            type="text"
+                            className="session-notes-input"
+                            value={endNotes}
+                            onChange={(e) => setEndNotes(e.target.value)}
+                            placeholder="What are you working on? Add #tags — saved when you end work"
+                            maxLength={1000}
+                            aria-label="Notes for the current session"
+                            id="session-notes-input"
+                        />
+                    )}
+
                     {/* Stats Cards */}
                     <div className="stats-row">
                         <div className="stat-card">
@@ -192,11 +341,26 @@ function Dashboard() {
                                 <span className="stat-label">Hours Worked</span>
                             </div>
                         </div>
+                        <div className="stat-card">
+                            <div className="stat-icon">☕</div>
+                            <div className="stat-content">
+                                <span className="stat-value">{summary?.breakFormatted || '00:00'}</span>
+                                <span className="stat-label">Break Time</span>
+                            </div>
+                        </div>
                         <div className="stat-card">
                             <div className="stat-icon">🎯</div>
                             <div className="stat-content">
                                 <span className="stat-value">{summary?.goalHours?.toFixed(1) || '8.0'}h</span>
-                                <span className="stat-label">Daily Goal</span>
+                                <span className="stat-label">
+                                    Daily Goal
+                                    {DAY_TYPE_LABELS[summary?.dayType] && (
+                                        <> · {summary.dayType === 'holiday' ? summary.dayLabel : DAY_TYPE_LABELS[summary.dayType]}</>
+                                    )}
+                                    {summary?.expectedStart && summary?.expectedEnd && (
+                                        <> · {summary.expectedStart}–{summary.expectedEnd}</>
+                                    )}
+                                </span>
                             </div>
                         </div>
                         <div className="stat-card">
@@ -213,14 +377,30 @@ function Dashboard() {
                                 <span className="stat-label">Sessions</span>
                             </div>
                         </div>
+                        <div className="stat-card">
+                            <div className="stat-icon">⚖️</div>
+                            <div className="stat-content">
+                                <span
+                                    className={`stat-value ${flex?.balanceHours < 0 ? 'flex-negative' : ''}`}
+                                    title={flex ? `Since ${flex.trackedFrom}, not counting today` : undefined}
+                                >
+                                    {flex ? formatFlexHours(flex.balanceHours) : '—'}
+                                </span>
+                                <span className="stat-label">
+                                    Flex Balance
+                                    {flex && flex.todayHours !== 0 && <> · today {formatFlexHours(flex.todayHours)}</>}
+                                </span>
+                            </div>
+                        </div>
                     </div>
 
                     {/* Progress Bar — always shown */}
                     <div className="card">
                         <ProgressBar
                             workedMs={summary?.totalMs || 0}
-                            goalHours={summary?.goalHours || 8}
+                            goalHours={summary?.goalHours ?? 8}
                         />
+                        <PeriodProgress date={displayDate} refreshKey={calendarVersion} />
                     </div>
 
                     {/* Bottom section: Goal Editor + Session List */}
@@ -230,6 +410,7 @@ function Dashboard() {
                                 <GoalEditor
                                     goalHours={summary.goalHours}
                                     date={summary.date}
+                                    locked={summary.locked}
                                     onGoalUpdated={handleGoalUpdated}
                                 />
                             )}
@@ -239,10 +420,45 @@ function Dashboard() {
                                 <SessionList
                                     sessions={summary.sessions}
                                     timezone={user?.timezone}
+                                    projects={summary.projects}
+                                    locked={summary.locked}
+                                    notesOnly={summary.correctionsRequireApproval}
+                                    onChanged={handleSessionsChanged}
                                 />
                             )}
                         </div>
                     </div>
+
+                    {summary?.projects?.length > 0 && (
+                        <div className="card">
+                            <ProjectBreakdown projects={summary.projects} />
+                        </div>
+                    )}
+
+                    <div className="card">
+                        <TimesheetPanel
+                            date={displayDate}
+                            refreshKey={calendarVersion}
+                            onSubmitted={() => fetchSummary(selectedDate)}
+                        />
+                    </div>
+
+                    {/* Retroactive entry — only for today and past dates in open weeks.
+                        Goes through an admin when the org requires correction requests. */}
+                    {displayDate <= getTodayStr() && !summary?.locked && (
+                        <div className="card">
+                            {summary?.correctionsRequireApproval ? (
+                                <CorrectionRequestForm
+                                    key={displayDate}
+                                    date={displayDate}
+                                    sessions={summary.sessions}
+                                    timezone={user?.timezone}
+                                />
+                            ) : (
+                                <ManualEntryForm date={displayDate} onCreated={handleSessionsChanged} />
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
 
@@ -252,9 +468,41 @@ function Dashboard() {
                     <WorkCalendar
                         selectedDate={displayDate}
                         onDateSelect={handleDateSelect}
+                        refreshKey={calendarVersion}
+                        selectedRange={goalRange}
+                        onRangeSelect={setGoalRange}
                     />
                 </div>
+                {goalRange && (
+                    <div className="card">
+                        <BulkGoalEditor
+                            key={`${goalRange.start}-${goalRange.end}`}
+                            range={goalRange}
+                            onApplied={handleGoalUpdated}
+                            onClose={() => setGoalRange(null)}
+                        />
+                    </div>
+                )}
+                <div className="card">
+                    <LeavePanel today={getTodayStr()} onChanged={handleSessionsChanged} />
+                </div>
+                <div className="card">
+                    <ScheduleEditor onSaved={handleGoalUpdated} />
+                </div>
+                <div className="card">
+                    <AutoClosePreferences />
+                </div>
             </div>
+
+            {idleSince && (
+                <IdleDialog
+                    idleSince={idleSince}
+                    timezone={user?.timezone}
+                    busy={idleBusy}
+                    error={idleError}
+                    onResolve={handleIdleResolve}
+                />
+            )}
         </div>
     );
 }
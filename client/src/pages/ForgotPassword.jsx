@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api/axios';
+
+/**
+ * Request a password reset link by email. The server answers the same
+ * whether or not the address is registered.
+ */
+function ForgotPassword() {
+    const [email, setEmail] = useState('');
+    const [sent, setSent] = useState(false);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+        try {
+            await api.post('/auth/forgot-password', { email });
+            setSent(true);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Could not send the reset link. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-page">
+            <div className="auth-card">
+                <div className="auth-header">
+                    <h1>Forgot Password</h1>
+                    <p>We&apos;ll email you a link to choose a new one</p>
+                </div>
+
+                {error && <div className="alert alert-error">{error}</div>}
+
+                {sent ? (
+                    <div className="alert alert-success">
+                        If {email} has an account, a reset link is on its way. It works once and expires soon.
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label htmlFor="email">Email</label>
+                            <input
+                                id="email"
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="you@example.com"
+                                required
+                                autoComplete="email"
+                            />
+                        </div>
+
+                        <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
+                            {loading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                    </form>
+                )}
+
+                <p className="auth-footer">
+                    Remembered it? <Link to="/login">Sign in</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
+
+export default ForgotPassword;
@@ -1,14 +1,60 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../api/axios';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+import '../styles/Settings.css';
 
+/**
+ * The second step handed over by single sign-on, or null.
+ * @param {string} hash - location.hash
+ * @returns {{ step: 'verify' | 'enroll', challengeToken: string } | null}
+ */
+function readSsoChallenge(hash) {
+    const params = new URLSearchParams(hash.slice(1));
+    const step = params.get('twoFactor');
+    const challengeToken = params.get('challengeToken');
+    return (step === 'verify' || step === 'enroll') && challengeToken ? { step, challengeToken } : null;
+}
+
+/**
+ * Sign-in. Accounts with two-factor authentication get a second step for the
+ * code (or a recovery code); admins whose organization requires it but who
+ * have not set it up yet enroll here before getting in. When the server has
+ * single sign-on configured, a button leaves for the identity provider, which
+ * sends the browser back here with ?ssoError= if it fails, or with the second
+ * step in the fragment (#twoFactor=&challengeToken=) for two-factor accounts.
+ */
 function Login() {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
-    const { login, isAuthenticated, isAdmin } = useAuth();
+    const location = useLocation();
+    // { step: 'verify' | 'enroll', challengeToken } after the password (or
+    // single sign-on) is accepted
+    const [twoFactor, setTwoFactor] = useState(() => readSsoChallenge(location.hash));
+    const [code, setCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const { login, loginTwoFactor, enrollTwoFactorAtLogin, loadUser, isAuthenticated, isAdmin } = useAuth();
     const navigate = useNavigate();
+    // Set by the reset page after a successful password reset
+    const notice = location.state?.message;
+    const [searchParams] = useSearchParams();
+    const ssoError = searchParams.get('ssoError');
+    // { enabled, label } from the server
+    const [sso, setSso] = useState(null);
+
+    useEffect(() => {
+        api.get('/auth/oidc/config')
+            .then((res) => setSso(res.data))
+            .catch(() => setSso(null));
+    }, []);
+
+    // Keep the challenge token out of the address bar and history
+    useEffect(() => {
+        if (location.hash) navigate('/login', { replace: true });
+    }, [location.hash, navigate]);
 
     // Redirect if already logged in
     if (isAuthenticated) {
@@ -23,7 +69,9 @@ function Login() {
         try {
             // Always attempt admin-aware login; server determines role
             const data = await login(email, password, true);
-            if (data.user?.isAdmin) {
+            if (data.twoFactor) {
+                setTwoFactor({ step: data.twoFactor, challengeToken: data.challengeToken });
+            } else if (data.user?.isAdmin) {
                 navigate('/admin-dashboard');
             } else {
                 navigate('/dashboard');
@@ -34,7 +82,11 @@ function Login() {
                 // Non-admin tried adminLogin — just do a normal login instead
                 try {
                     const data = await login(email, password, false);
-                    navigate('/dashboard');
+                    if (data.twoFactor) {
+                        setTwoFactor({ step: data.twoFactor, challengeToken: data.challengeToken });
+                    } else {
+                        navigate('/dashboard');
+                    }
                 } catch (err2) {
                     setError(err2.response?.data?.error || 'Login failed. Please try again.');
                 }
@@ -46,6 +98,117 @@ function Login() {
         }
     };
 
+    // Back to the password step, e.g. once the challenge has expired
+    const restart = () => {
+        setTwoFactor(null);
+        setCode('');
+        setUseRecoveryCode(false);
+        setError('');
+    };
+
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+        try {
+            const answer = useRecoveryCode ? { recoveryCode: code } : { code };
+            const data = await loginTwoFactor(twoFactor.challengeToken, answer);
+            navigate(data.user?.isAdmin ? '/admin-dashboard' : '/dashboard');
+        } catch (err) {
+            setError(err.response?.data?.error || 'Sign-in failed. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (twoFactor?.step === 'enroll') {
+        const { challengeToken } = twoFactor;
+        return (
+            <div className="auth-page">
+                <div className="auth-card">
+                    <div className="auth-header">
+                        <h1>Set Up Two-Factor</h1>
+                        <p>Your organization requires two-factor authentication for admins</p>
+                    </div>
+
+                    <TwoFactorSetup
+                        start={() => api.post('/auth/login/2fa/setup', { challengeToken }).then((res) => res.data)}
+                        confirm={(setupCode) =>
+                            enrollTwoFactorAtLogin(challengeToken, setupCode).then((data) => data.recoveryCodes)
+                        }
+                        onDone={loadUser}
+                        onCancel={restart}
+                    />
+                </div>
+            </div>
+        );
+    }
+
+    if (twoFactor?.step === 'verify') {
+        return (
+            <div className="auth-page">
+                <div className="auth-card">
+                    <div className="auth-header">
+                        <h1>Two-Factor Check</h1>
+                        <p>
+                            {useRecoveryCode
+                                ? 'Enter one of your recovery codes'
+                                : 'Enter the code from your authenticator app'}
+                        </p>
+                    </div>
+
+                    {error && <div className="alert alert-error">{error}</div>}
+
+                    <form onSubmit={handleCodeSubmit} className="auth-form">
+                        <div className="form-group">
+                            <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+                            <input
+                                id="code"
+                                type="text"
+                                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123 456'}
+                                required
+                                autoFocus
+                                autoComplete="one-time-code"
+                            />
+                        </div>
+                        <p className="auth-forgot">
+                            <a
+                                href="#"
+                                onClick={(e) => {
+                                    e.preventDefault();
+                                    setUseRecoveryCode(!useRecoveryCode);
+                                    setCode('');
+                                    setError('');
+                                }}
+                            >
+                                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                            </a>
+                        </p>
+
+                        <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
+                            {loading ? 'Checking...' : 'Verify'}
+                        </button>
+                    </form>
+
+                    <p className="auth-footer">
+                        <a
+                            href="#"
+                            onClick={(e) => {
+                                e.preventDefault();
+                                restart();
+                            }}
+                        >
+                            Back to sign in
+                        </a>
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="auth-page">
             <div className="auth-card">
@@ -54,7 +217,8 @@ function Login() {
                     <p>Sign in to continue tracking your work hours</p>
                 </div>
 
-                {error && <div className="alert alert-error">{error}</div>}
+                {notice && !error && <div className="alert alert-success">{notice}</div>}
+                {(error || ssoError) && <div className="alert alert-error">{error || ssoError}</div>}
 
                 <form onSubmit={handleSubmit} className="auth-form">
                     <div className="form-group">
@@ -82,12 +246,24 @@ function Login() {
                             autoComplete="current-password"
                         />
                     </div>
+                    <p className="auth-forgot">
+                        <Link to="/forgot-password">Forgot password?</Link>
+                    </p>
 
                     <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
                         {loading ? 'Signing in...' : 'Sign In'}
                     </button>
                 </form>
 
+                {sso?.enabled && (
+                    <>
+                        <div className="auth-divider"><span>or</span></div>
+                        <a className="btn btn-ghost btn-full" href={`${api.defaults.baseURL}/auth/oidc/login`}>
+                            {sso.label}
+                        </a>
+                    </>
+                )}
+
                 <p className="auth-footer">
                     Don't have an account? <Link to="/register">Sign up</Link>
                 </p>
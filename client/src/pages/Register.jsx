@@ -6,6 +6,7 @@ function Register() {
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [organizationName, setOrganizationName] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
     const { register, isAuthenticated } = useAuth();
@@ -24,7 +25,7 @@ function Register() {
         setError('');
         setLoading(true);
         try {
-            const data = await register(name, email, password, inviteToken);
+            const data = await register(name, email, password, inviteToken, organizationName);
             if (data.user?.isAdmin) {
                 navigate('/admin-dashboard');
             } else {
@@ -48,7 +49,7 @@ function Register() {
                 {inviteToken && (
                     <div className="invite-badge">
                         <span className="invite-badge-icon">🔑</span>
-                        <span>Registering as Admin via invite</span>
+                        <span>Joining your organization via invite</span>
                     </div>
                 )}
 
@@ -95,12 +96,29 @@ function Register() {
                         />
                     </div>
 
+                    {!inviteToken && (
+                        <div className="form-group">
+                            <label htmlFor="organizationName">New Organization (optional)</label>
+                            <input
+                                id="organizationName"
+                                type="text"
+                                value={organizationName}
+                                onChange={(e) => setOrganizationName(e.target.value)}
+                                placeholder="Leave empty to join the default one"
+                                maxLength={100}
+                                autoComplete="organization"
+                            />
+                        </div>
+                    )}
+
                     <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
                         {loading
                             ? 'Creating account...'
                             : inviteToken
-                                ? '🔑 Create Admin Account'
-                                : 'Create Account'}
+                                ? '🔑 Accept Invite'
+                                : organizationName
+                                    ? 'Create Organization'
+                                    : 'Create Account'}
                     </button>
                 </form>
 
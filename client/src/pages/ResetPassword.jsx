@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../api/axios';
+
+/**
+ * Choose a new password with the token from a reset email, then sign in.
+ */
+function ResetPassword() {
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+
+    const token = searchParams.get('token');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (password !== confirm) {
+            setError('Passwords do not match');
+            return;
+        }
+        setError('');
+        setLoading(true);
+        try {
+            await api.post('/auth/reset-password', { token, password });
+            navigate('/login', { replace: true, state: { message: 'Password reset. Sign in with your new password.' } });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Could not reset your password. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="auth-page">
+            <div className="auth-card">
+                <div className="auth-header">
+                    <h1>Choose a New Password</h1>
+                    <p>Reset links work once and expire after a while</p>
+                </div>
+
+                {!token ? (
+                    <div className="alert alert-error">
+                        This link is missing its reset token. <Link to="/forgot-password">Request a new one</Link>.
+                    </div>
+                ) : (
+                    <>
+                        {error && <div className="alert alert-error">{error}</div>}
+
+                        <form onSubmit={handleSubmit} className="auth-form">
+                            <div className="form-group">
+                                <label htmlFor="password">New Password</label>
+                                <input
+                                    id="password"
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    placeholder="At least 6 characters"
+                                    required
+                                    minLength={6}
+                                    autoComplete="new-password"
+                                />
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="confirmPassword">Confirm Password</label>
+                                <input
+                                    id="confirmPassword"
+                                    type="password"
+                                    value={confirm}
+                                    onChange={(e) => setConfirm(e.target.value)}
+                                    required
+                                    minLength={6}
+                                    autoComplete="new-password"
+                                />
+                            </div>
+
+                            <button type="submit" className="btn btn-primary btn-full" disabled={loading}>
+                                {loading ? 'Saving...' : 'Reset Password'}
+                            </button>
+                        </form>
+                    </>
+                )}
+
+                <p className="auth-footer">
+                    <Link to="/forgot-password">Request a new link</Link> · <Link to="/login">Sign in</Link>
+                </p>
+            </div>
+        </div>
+    );
+}
+
+export default ResetPassword;
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import LoginSessionList from '../components/LoginSessionList';
+import '../styles/Settings.css';
+
+// Browsers without Intl.supportedValuesOf get a free-text field instead
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : null;
+
+const DEVICE_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Account settings: name, timezone and default daily goal, the password,
+ * two-factor authentication and signed-in devices.
+ * Days are always computed in the current timezone, so changing it moves
+ * past sessions near midnight to the neighbouring day too.
+ */
+function Settings() {
+    const { user, updateProfile } = useAuth();
+    const [name, setName] = useState(user?.name || '');
+    const [timezone, setTimezone] = useState(user?.timezone || '');
+    const [defaultDailyGoal, setDefaultDailyGoal] = useState(user?.defaultDailyGoal ?? 8);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+
+    const timezoneChanged = timezone !== user?.timezone;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        setSaved(false);
+        try {
+            await updateProfile({ name, timezone, defaultDailyGoal: Number(defaultDailyGoal) });
+            setSaved(true);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to save settings');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Keep the current zone selectable even if this browser doesn't list it
+    const options = TIMEZONES && !TIMEZONES.includes(timezone) ? [timezone, ...TIMEZONES] : TIMEZONES;
+
+    return (
+        <div className="settings-page">
+            <h1>Settings</h1>
+
+            <form className="card auth-form" onSubmit={handleSubmit}>
+                <h3 className="section-title">
+                    <span className="section-icon">👤</span>
+                    Profile
+                </h3>
+
+                {error && <div className="alert alert-error">{error}</div>}
+
+                <div className="form-group">
+                    <label htmlFor="settingsName">Full Name</label>
+                    <input
+                        id="settingsName"
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        maxLength={100}
+                        required
+                        autoComplete="name"
+                    />
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="settingsTimezone">Timezone</label>
+                    <div className="settings-timezone-row">
+                        {options ? (
+                            <select
+                                id="settingsTimezone"
+                                value={timezone}
+                                onChange={(e) => setTimezone(e.target.value)}
+                            >
+                                {options.map((tz) => (
+                                    <option key={tz} value={tz}>{tz}</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <input
+                                id="settingsTimezone"
+                                type="text"
+                                value={timezone}
+                                onChange={(e) => setTimezone(e.target.value)}
+                                placeholder="e.g. Europe/Berlin"
+                                required
+                            />
+                        )}
+                        {DEVICE_TIMEZONE && DEVICE_TIMEZONE !== timezone && (
+                            <button
+                                type="button"
+                                className="btn btn-ghost"
+                                onClick={() => setTimezone(DEVICE_TIMEZONE)}
+                            >
+                                Use {DEVICE_TIMEZONE}
+                            </button>
+                        )}
+                    </div>
+                    {timezoneChanged && (
+                        <p className="settings-hint">
+                            All your days, including past ones, will be counted in {timezone || 'the new timezone'}.
+                            Sessions close to midnight may move to the neighbouring day; goals, leave and
+                            submitted timesheets keep their dates.
+                        </p>
+                    )}
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="settingsGoal">Default Daily Goal (hours)</label>
+                    <input
+                        id="settingsGoal"
+                        type="number"
+                        min="0.5"
+                        max="24"
+                        step="0.5"
+                        value={defaultDailyGoal}
+                        onChange={(e) => setDefaultDailyGoal(e.target.value)}
+                        required
+                    />
+                    <p className="settings-hint">
+                        Applies to work days without a custom goal or weekly schedule.
+                    </p>
+                </div>
+
+                <div className="settings-actions">
+                    <button type="submit" className="btn btn-primary" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save'}
+                    </button>
+                    {saved && <span className="settings-saved">✓ Saved</span>}
+                </div>
+            </form>
+
+            <ChangePasswordForm />
+            <TwoFactorSettings />
+            <LoginSessionList />
+        </div>
+    );
+}
+
+export default Settings;
@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, Navigate, useSearchParams } from 'react-router-dom';
+import api from '../api/axios';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Email verification. With the token from the mailed link it verifies the
+ * address (signed in or not); otherwise it is where unverified users wait,
+ * with a way to get a new link.
+ */
+function VerifyEmail() {
+    const { isAuthenticated, user, refreshSession, logout } = useAuth();
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+
+    const [status, setStatus] = useState(token ? 'verifying' : 'pending');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+    const started = useRef(false);
+
+    useEffect(() => {
+        // A link works once, so don't send it twice
+        if (!token || started.current) return;
+        started.current = true;
+
+        (async () => {
+            try {
+                await api.post('/auth/verify-email', { token });
+                setStatus('verified');
+            } catch (err) {
+                setStatus('pending');
+                setError(err.response?.data?.error || 'Could not verify your email address');
+                return;
+            }
+            // Lift the restrictions on this device; the link may be for another account
+            if (isAuthenticated) {
+                try {
+                    await refreshSession();
+                } catch {
+                    // Signed out meanwhile; the page offers to sign in
+                }
+            }
+        })();
+    }, [token]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const resend = async () => {
+        setError('');
+        setMessage('');
+        setBusy(true);
+        try {
+            const res = await api.post('/auth/verify-email/resend');
+            setMessage(res.data.message);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to send a new link');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const checkAgain = async () => {
+        setError('');
+        setMessage('');
+        setBusy(true);
+        try {
+            const profile = await refreshSession();
+            if (profile.mustVerifyEmail) {
+                setError('Your email address is not verified yet. Follow the link in the email first.');
+            }
+        } catch (err) {
+            setError(err.response?.data?.error || 'Could not check your account');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (status === 'pending' && !error) {
+        if (!isAuthenticated) return <Navigate to="/login" replace />;
+        if (!user?.mustVerifyEmail) return <Navigate to="/dashboard" replace />;
+    }
+
+    return (
+        <div className="auth-page">
+            <div className="auth-card">
+                <div className="auth-header">
+                    <h1>Verify Your Email</h1>
+                    {status === 'verifying' && <p>Checking your link...</p>}
+                    {status === 'pending' && isAuthenticated && user?.mustVerifyEmail && (
+                        <p>We sent a link to <strong>{user.email}</strong>. Follow it to start using WorkHourTracker.</p>
+                    )}
+                </div>
+
+                {status === 'verified' && (
+                    <div className="alert alert-success">Your email address is verified.</div>
+                )}
+
+                {error && <div className="alert alert-error">{error}</div>}
+                {message && <div className="alert alert-success">{message}</div>}
+
+                {status === 'pending' && isAuthenticated && user?.mustVerifyEmail && (
+                    <div className="auth-form">
+                        <button type="button" className="btn btn-primary btn-full" onClick={checkAgain} disabled={busy}>
+                            I&apos;ve Verified It
+                        </button>
+                        <button type="button" className="btn btn-ghost btn-full" onClick={resend} disabled={busy}>
+                            Send a New Link
+                        </button>
+                    </div>
+                )}
+
+                <p className="auth-footer">
+                    {isAuthenticated ? (
+                        <>
+                            {!user?.mustVerifyEmail && <><Link to="/dashboard">Continue</Link> · </>}
+                            <a
+                                href="#"
+                                onClick={(e) => {
+                                    e.preventDefault();
+                                    logout();
+                                }}
+                            >
+                                Sign out
+                            </a>
+                        </>
+                    ) : (
+                        <Link to="/login">Sign in</Link>
+                    )}
+                </p>
+            </div>
+        </div>
+    );
+}
+
+export default VerifyEmail;
@@ -0,0 +1,18 @@
+/**
+ * Idle detection helpers for the frontend.
+ *
+ * The user counts as idle once there has been no input (and the tab has not
+ * been brought back into view) for the whole timeout. Idleness is considered
+ * to have started at the last activity, not when the timeout ran out.
+ */
+
+/**
+ * @param {number} lastActivityAt - Timestamp (ms) of the last user activity
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} timeoutMs - Inactivity needed before the user counts as idle
+ * @returns {Date|null} when idleness began, or null if the user is not idle
+ */
+export function getIdleStart(lastActivityAt, now, timeoutMs) {
+    if (timeoutMs <= 0) return null;
+    return now - lastActivityAt >= timeoutMs ? new Date(lastActivityAt) : null;
+}
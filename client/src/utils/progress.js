@@ -25,3 +25,14 @@ export function formatDuration(ms) {
     const minutes = totalMinutes % 60;
     return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 }
+
+/**
+ * Format a flex-time balance in hours with its sign, e.g. '+2.5h', '−3h', '0h'.
+ * @param {number} hours
+ * @returns {string}
+ */
+export function formatFlexHours(hours) {
+    const rounded = Math.round(hours * 10) / 10;
+    if (rounded === 0) return '0h';
+    return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)}h`;
+}
@@ -0,0 +1,20 @@
+import { describe, test, expect } from 'vitest';
+import { getIdleStart } from '../src/utils/idle';
+
+describe('getIdleStart', () => {
+    const TEN_MINUTES = 10 * 60000;
+    const last = Date.UTC(2026, 1, 14, 10, 0);
+
+    test('returns null while within the timeout', () => {
+        expect(getIdleStart(last, last + TEN_MINUTES - 1, TEN_MINUTES)).toBeNull();
+    });
+
+    test('returns the last activity time once the timeout has passed', () => {
+        expect(getIdleStart(last, last + TEN_MINUTES, TEN_MINUTES)).toEqual(new Date(last));
+        expect(getIdleStart(last, last + 3 * TEN_MINUTES, TEN_MINUTES)).toEqual(new Date(last));
+    });
+
+    test('a zero timeout disables idle detection', () => {
+        expect(getIdleStart(last, last + TEN_MINUTES, 0)).toBeNull();
+    });
+});
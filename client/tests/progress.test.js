@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest';
-import { computeProgressPercent, formatDuration } from '../src/utils/progress';
+import { computeProgressPercent, formatDuration, formatFlexHours } from '../src/utils/progress';
 
 describe('computeProgressPercent', () => {
     test('returns correct percentage for partial work', () => {
@@ -45,3 +45,15 @@ describe('formatDuration', () => {
         expect(formatDuration(9 * 3600000 + 15 * 60000)).toBe('09:15');
     });
 });
+
+describe('formatFlexHours', () => {
+    test('signs overtime and undertime', () => {
+        expect(formatFlexHours(2.5)).toBe('+2.5h');
+        expect(formatFlexHours(-3)).toBe('−3h');
+    });
+
+    test('rounds to one decimal and drops the sign at zero', () => {
+        expect(formatFlexHours(1.26)).toBe('+1.3h');
+        expect(formatFlexHours(-0.02)).toBe('0h');
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Migration: count accounts from before email verification as verified.
+ *
+ * Sets emailVerifiedAt (to the account's creation time) for every user who
+ * has never had the field, so existing users are not restricted after the
+ * upgrade. New accounts have it, as null, until they follow their link.
+ * Safe to run twice.
+ *
+ * Usage: cd server && node migrate-email-verification.js
+ * Requires MONGODB_URI in .env
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./src/models/User');
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const { modifiedCount } = await User.collection.updateMany(
+        { emailVerifiedAt: { $exists: false } },
+        [{ $set: { emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+    console.log(`User: ${modifiedCount} marked verified`);
+    console.log('\n✅ Migration complete.');
+
+    await mongoose.disconnect();
+}
+
+migrate().catch((err) => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
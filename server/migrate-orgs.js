@@ -0,0 +1,78 @@
+/**
+ * Migration: move data from before organizations into the default one.
+ *
+ * Gives every user and every organization-scoped document without an orgId
+ * the default organization, attaches the old singleton settings to it, and
+ * drops the unique indexes that are now per organization. Safe to run twice.
+ *
+ * Usage: cd server && node migrate-orgs.js
+ * Requires MONGODB_URI in .env
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('./src/models/Organization');
+const OrgSettings = require('./src/models/OrgSettings');
+
+const MODELS = [
+    'User',
+    'Session',
+    'DailyGoal',
+    'Timesheet',
+    'CorrectionRequest',
+    'LeaveRequest',
+    'AuditLog',
+    'AdminInvite',
+    'Holiday',
+    'Project',
+    'Client',
+    'Team',
+    'Role',
+].map((name) => require(`./src/models/${name}`));
+
+// [model, index] pairs replaced by { orgId, ... } compound indexes
+const OLD_INDEXES = [
+    ['Holiday', 'date_1'],
+    ['Team', 'name_1'],
+    ['Role', 'name_1'],
+];
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const org = await Organization.getDefault();
+    console.log(`Default organization: ${org.name} (${org._id})`);
+
+    for (const Model of MODELS) {
+        const { modifiedCount } = await Model.collection.updateMany(
+            { orgId: { $exists: false } },
+            { $set: { orgId: org._id } }
+        );
+        console.log(`${Model.modelName}: ${modifiedCount} moved`);
+    }
+
+    const legacy = await OrgSettings.collection.updateOne(
+        { orgId: { $exists: false } },
+        { $set: { orgId: org._id } }
+    );
+    console.log(`OrgSettings: ${legacy.modifiedCount ? 'attached' : 'nothing to attach'}`);
+
+    for (const [name, index] of OLD_INDEXES) {
+        try {
+            await mongoose.model(name).collection.dropIndex(index);
+            console.log(`${name}: dropped ${index}`);
+        } catch (err) {
+            if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') throw err;
+        }
+    }
+
+    for (const Model of MODELS) await Model.syncIndexes();
+    console.log('\n✅ Migration complete.');
+
+    await mongoose.disconnect();
+}
+
+migrate().catch((err) => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+});
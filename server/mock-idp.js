@@ -0,0 +1,171 @@
+/**
+ * A mock OpenID Connect identity provider, for trying single sign-on locally
+ * and for the integration tests. Supports discovery, the authorization code
+ * flow with PKCE (S256) and RS256-signed ID tokens; the "login" is picking a
+ * user from a list. Not for production use.
+ *
+ * Usage: cd server && node mock-idp.js
+ * then in .env:
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=workhourtracker
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *   OIDC_ADMIN_GROUP=tracker-admins
+ * MOCK_IDP_PORT changes the port.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_USERS = [
+    { sub: 'mock-alice', email: 'alice@idp.example', email_verified: true, name: 'Alice Admin', groups: ['tracker-admins'] },
+    { sub: 'mock-bob', email: 'bob@idp.example', email_verified: true, name: 'Bob Builder', groups: ['staff'] },
+    { sub: 'mock-carol', email: 'carol@idp.example', email_verified: false, name: 'Carol Unverified', groups: [] },
+];
+
+const CODE_SECONDS = 60;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Start the mock IdP.
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.clientId]
+ * @param {string|null} [options.clientSecret] - null accepts public clients
+ * @param {object[]} [options.users] - ID token claims per user; `sub` is required
+ * @returns {Promise<{ issuer: string, users: object[], close: () => Promise<void> }>}
+ */
+async function startMockIdp({
+    port = 0,
+    clientId = 'workhourtracker',
+    clientSecret = 'mock-secret',
+    users = DEFAULT_USERS.map((user) => ({ ...user })),
+} = {}) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const idp = { issuer: null, users };
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer: idp.issuer,
+            authorization_endpoint: `${idp.issuer}/authorize`,
+            token_endpoint: `${idp.issuer}/token`,
+            jwks_uri: `${idp.issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+    });
+
+    // Send the browser back to the client with a code, or an error
+    function finish(res, params, user) {
+        const url = new URL(params.redirect_uri);
+        if (user) {
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, { ...params, user, expiresAt: Date.now() + CODE_SECONDS * 1000 });
+            url.searchParams.set('code', code);
+        } else {
+            url.searchParams.set('error', 'access_denied');
+        }
+        if (params.state) url.searchParams.set('state', params.state);
+        res.redirect(url.toString());
+    }
+
+    function authorize(req, res) {
+        const params = { ...req.query, ...req.body };
+        const { response_type: responseType, client_id: cid, redirect_uri: redirectUri } = params;
+        if (responseType !== 'code' || cid !== clientId || !redirectUri) {
+            return res.status(400).send('invalid_request');
+        }
+        if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+            return res.status(400).send('PKCE with S256 is required');
+        }
+
+        if (params.deny) return finish(res, params, null);
+        const picked = params.login_hint || params.user;
+        const user = users.find((u) => u.sub === picked || u.email === picked);
+        if (user) return finish(res, params, user);
+
+        // Pick a user
+        const hidden = Object.entries(params)
+            .filter(([name]) => name !== 'user')
+            .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+            .join('');
+        const buttons = users
+            .map((u) => `<button name="user" value="${escapeHtml(u.sub)}">${escapeHtml(u.name)} &lt;${escapeHtml(u.email)}&gt;</button>`)
+            .join('<br>');
+        res.send(`<!doctype html><title>Mock IdP</title><h1>Mock IdP</h1><p>Sign in as:</p>
+            <form method="post" action="/authorize">${hidden}${buttons}<br><br>
+            <button name="deny" value="1">Cancel</button></form>`);
+    }
+
+    app.get('/authorize', authorize);
+    app.post('/authorize', authorize);
+
+    app.post('/token', (req, res) => {
+        let id = req.body.client_id;
+        let secret = req.body.client_secret;
+        const basic = req.get('authorization')?.match(/^Basic (.+)$/);
+        if (basic) {
+            [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        }
+        if (id !== clientId || (clientSecret && secret !== clientSecret)) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+        if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+            || grant.redirect_uri !== req.body.redirect_uri) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+        if (challenge !== grant.code_challenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer: idp.issuer,
+            audience: clientId,
+            expiresIn: '5m',
+        });
+        res.json({
+            access_token: crypto.randomBytes(16).toString('hex'),
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken,
+        });
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(port, () => resolve(listening));
+    });
+    idp.issuer = `http://localhost:${server.address().port}`;
+    idp.close = () => new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+    return idp;
+}
+
+if (require.main === module) {
+    startMockIdp({ port: parseInt(process.env.MOCK_IDP_PORT, 10) || 4000 }).then((idp) => {
+        console.log(`Mock IdP at ${idp.issuer} (client workhourtracker / mock-secret)`);
+        idp.users.forEach((u) => console.log(`  ${u.name} <${u.email}> groups: ${u.groups.join(', ') || '-'}`));
+    });
+}
+
+module.exports = { startMockIdp };
@@ -32,6 +32,7 @@ async function seed() {
         timezone: 'Asia/Kolkata',
         defaultDailyGoal: 8,
         isAdmin: true,
+        emailVerifiedAt: new Date(),
     });
     await admin.save();
     console.log('Created ADMIN: admin@example.com / admin123');
@@ -8,13 +8,24 @@ const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
+const { sweepStaleSessions } = require('./utils/autoClose');
 
 // Route imports
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const loginSessionRoutes = require('./routes/loginSessions');
+const oidcRoutes = require('./routes/oidc');
 const sessionRoutes = require('./routes/sessions');
 const goalRoutes = require('./routes/goals');
 const userRoutes = require('./routes/user');
 const adminRoutes = require('./routes/admin');
+const projectRoutes = require('./routes/projects');
+const timesheetRoutes = require('./routes/timesheets');
+const correctionRoutes = require('./routes/corrections');
+const leaveRoutes = require('./routes/leave');
+const holidayRoutes = require('./routes/holidays');
+const teamRoutes = require('./routes/teams');
+const roleRoutes = require('./routes/roles');
 
 const app = express();
 
@@ -31,11 +42,21 @@ app.use(
 );
 
 // ── Routes ───────────────────────────────────────────────────────
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sessions', loginSessionRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/goals', goalRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/corrections', correctionRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/roles', roleRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -58,6 +79,12 @@ if (process.env.NODE_ENV !== 'test') {
         app.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
         });
+
+        // Periodically close sessions nobody remembered to end
+        const sweepMinutes = Number(process.env.AUTO_CLOSE_SWEEP_MINUTES) || 5;
+        setInterval(() => {
+            sweepStaleSessions().catch((err) => console.error('Auto-close sweep error:', err));
+        }, sweepMinutes * 60 * 1000);
     });
 }
 
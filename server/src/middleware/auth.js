@@ -1,24 +1,73 @@
 const jwt = require('jsonwebtoken');
+const LoginSession = require('../models/LoginSession');
+const { isEmailVerificationRequired } = require('../utils/emailVerification');
 
 /**
- * Auth middleware: verifies the JWT stored in an HttpOnly cookie.
- * Attaches `req.userId` for downstream route handlers.
+ * Auth middleware: verifies the access token stored in an HttpOnly cookie.
+ * Attaches `req.userId`, `req.orgId` and `req.loginSessionId`, plus the
+ * `req.isAdmin` and `req.roles` claims, for downstream route handlers.
+ *
+ * Access tokens are short-lived and name the login session they were issued
+ * for; a session that was signed out or revoked by an admin stops them at
+ * once. Tokens from before organizations or login sessions existed must sign
+ * in again; purpose tokens (e.g. the two-factor login challenge) are not
+ * sessions.
+ *
+ * Users who have not verified their email address get 403, except on routes
+ * using `auth.allowUnverified` (see utils/emailVerification.js).
  */
-const auth = (req, res, next) => {
-    const token = req.cookies?.token;
+function authenticate({ allowUnverified = false } = {}) {
+    return async (req, res, next) => {
+        const token = req.cookies?.token;
 
-    if (!token) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (err) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        if (!decoded.orgId || !decoded.sid || decoded.purpose) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        try {
+            const active = await LoginSession.exists({
+                _id: decoded.sid,
+                userId: decoded.userId,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() },
+            });
+            if (!active) {
+                return res.status(401).json({ error: 'Your session has ended, please sign in again' });
+            }
+        } catch (err) {
+            console.error('Auth session check error:', err);
+            return res.status(500).json({ error: 'Authentication check failed' });
+        }
+
+        // The claim is re-read at every refresh, so verifying takes effect
+        // with the next access token
+        if (!allowUnverified && decoded.emailVerified === false && isEmailVerificationRequired()) {
+            return res.status(403).json({ error: 'Please verify your email address first' });
+        }
 
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         req.userId = decoded.userId;
+        req.orgId = decoded.orgId;
+        req.loginSessionId = decoded.sid;
         req.isAdmin = decoded.isAdmin || false;
+        req.roles = decoded.roles || [];
         next();
-    } catch (err) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-    }
-};
+    };
+}
+
+const auth = authenticate();
+
+// For what an unverified user may still do: their profile, sign-in security
+// and asking for a new verification link
+auth.allowUnverified = authenticate({ allowUnverified: true });
 
 module.exports = auth;
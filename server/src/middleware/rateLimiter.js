@@ -1,15 +1,42 @@
 const rateLimit = require('express-rate-limit');
 
 /**
- * Rate limiter for authentication routes.
- * Limits each IP to 10 requests per 15-minute window.
+ * Rate limiters for authentication routes.
+ * Each group of routes counts its own requests, so using up one (say, with
+ * wrong two-factor codes) doesn't also lock the user out of another (such as
+ * password reset). Each limits an IP to AUTH_RATE_LIMIT requests (default
+ * 10) per 15-minute window.
  */
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 10,
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Requests allowed per window, read on every request so tests can set it.
+ * @returns {number}
+ */
+function getAuthRateLimit() {
+    const limit = parseInt(process.env.AUTH_RATE_LIMIT, 10);
+    return limit > 0 ? limit : DEFAULT_LIMIT;
+}
+
+const createLimiter = () => rateLimit({
+    windowMs: WINDOW_MS,
+    limit: getAuthRateLimit,
     message: { error: 'Too many requests, please try again later' },
     standardHeaders: true,
     legacyHeaders: false,
 });
 
-module.exports = authLimiter;
+module.exports = {
+    registerLimiter: createLimiter(),
+    // Password sign-in
+    loginLimiter: createLimiter(),
+    // Two-factor codes, at sign-in and when managing two-factor
+    twoFactorLimiter: createLimiter(),
+    // Changing, forgetting and resetting passwords
+    passwordLimiter: createLimiter(),
+    emailVerificationLimiter: createLimiter(),
+    // Single sign-on callbacks
+    ssoLimiter: createLimiter(),
+};
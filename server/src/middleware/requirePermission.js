@@ -0,0 +1,30 @@
+const User = require('../models/User');
+
+/**
+ * Permission middleware factory.
+ * Must be used AFTER the auth middleware (requires req.userId).
+ * Permissions come from the user's current roles in the database, not the
+ * JWT claims, so a role granted or taken away applies at once.
+ * Sets req.permissions to everything the caller holds and refreshes
+ * req.isAdmin from the database.
+ *
+ * @param {string} permission - one of Role.PERMISSIONS
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId).select('isAdmin roles');
+        const permissions = user ? await user.getPermissions() : [];
+        if (!permissions.includes(permission)) {
+            return res.status(403).json({ error: 'Permission required', permission });
+        }
+
+        req.permissions = permissions;
+        req.isAdmin = user.isAdmin;
+        next();
+    } catch (err) {
+        console.error('Permission check error:', err);
+        return res.status(500).json({ error: 'Authorization check failed' });
+    }
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,53 @@
+const User = require('../models/User');
+const Team = require('../models/Team');
+
+/**
+ * Permission-or-manager middleware factory.
+ * Must be used AFTER the auth middleware (requires req.userId).
+ * Holders of the permission (and admins, who hold all of them) see everyone;
+ * managers only the members of the teams they manage.
+ * Sets req.scope = { orgId, all: true } or { orgId, all: false, teamIds: [...] };
+ * either way only the caller's organization is in scope.
+ *
+ * @param {string} permission - grants the unscoped view, e.g. 'view-hours'
+ */
+const teamScope = (permission) => async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId).select('isAdmin roles');
+        if (!user) {
+            return res.status(403).json({ error: 'Permission or manager access required', permission });
+        }
+        if ((await user.getPermissions()).includes(permission)) {
+            req.scope = { orgId: req.orgId, all: true };
+            return next();
+        }
+
+        const teamIds = await Team.findManagedIds(req.userId);
+        if (teamIds.length === 0) {
+            return res.status(403).json({ error: 'Permission or manager access required', permission });
+        }
+        req.scope = { orgId: req.orgId, all: false, teamIds };
+        next();
+    } catch (err) {
+        console.error('Team scope error:', err);
+        return res.status(500).json({ error: 'Authorization check failed' });
+    }
+};
+
+/**
+ * User query filter for the caller's scope, optionally narrowed to one team.
+ * Returns null when the requested team is outside the scope.
+ *
+ * @param {{ orgId, all: boolean, teamIds?: ObjectId[] }} scope
+ * @param {string} [teamId] - restrict to this team
+ * @returns {object|null}
+ */
+const scopedUserFilter = (scope, teamId) => {
+    if (teamId) {
+        if (!scope.all && !scope.teamIds.some((id) => id.equals(teamId))) return null;
+        return { orgId: scope.orgId, teamId };
+    }
+    return scope.all ? { orgId: scope.orgId } : { orgId: scope.orgId, teamId: { $in: scope.teamIds } };
+};
+
+module.exports = { teamScope, scopedUserFilter };
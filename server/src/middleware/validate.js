@@ -1,4 +1,6 @@
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { PERMISSIONS } = require('../models/Role');
+const { isValidTimezone } = require('../utils/time');
 
 /**
  * Middleware factory: runs express-validator checks and returns
@@ -31,8 +33,17 @@ const registerRules = [
     body('password')
         .isLength({ min: 6 })
         .withMessage('Password must be at least 6 characters'),
-    body('timezone').optional().isString(),
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be an IANA timezone such as Europe/Berlin'),
     body('defaultDailyGoal').optional().isFloat({ min: 0.5, max: 24 }),
+    body('organizationName')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Organization name must be 1-100 characters'),
 ];
 
 const loginRules = [
@@ -41,6 +52,67 @@ const loginRules = [
     body('adminLogin').optional().isBoolean().withMessage('adminLogin must be boolean'),
 ];
 
+const changePasswordRules = [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters'),
+];
+
+const forgotPasswordRules = [
+    body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+];
+
+const resetPasswordRules = [
+    body('token')
+        .isString()
+        .matches(/^[0-9a-f]{64}$/)
+        .withMessage('Invalid reset token'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters'),
+];
+
+const verifyEmailRules = [
+    body('token')
+        .isString()
+        .matches(/^[0-9a-f]{64}$/)
+        .withMessage('Invalid verification token'),
+];
+
+// A 6-digit authenticator code; spaces are dropped
+const totpCode = (field) =>
+    body(field)
+        .customSanitizer((value) => String(value ?? '').replace(/\s/g, ''))
+        .matches(/^\d{6}$/)
+        .withMessage('Enter the 6-digit code from your authenticator app');
+
+const twoFactorCodeRules = [totpCode('code')];
+
+const twoFactorLoginRules = [
+    body('challengeToken').isString().notEmpty().withMessage('challengeToken is required'),
+    totpCode('code').optional(),
+    body('recoveryCode').optional().isString().trim().notEmpty().withMessage('recoveryCode must be a string'),
+    body()
+        .custom((value) => value.code !== undefined || value.recoveryCode !== undefined)
+        .withMessage('An authenticator code or a recovery code is required'),
+];
+
+const twoFactorChallengeRules = [
+    body('challengeToken').isString().notEmpty().withMessage('challengeToken is required'),
+];
+
+const twoFactorEnrollRules = [...twoFactorChallengeRules, totpCode('code')];
+
+const disableTwoFactorRules = [
+    body('password').notEmpty().withMessage('Password is required'),
+    totpCode('code'),
+];
+
+const loginSessionIdRule = [
+    param('id').isMongoId().withMessage('Invalid login session id'),
+];
+
 const goalRules = [
     body('date')
         .matches(/^\d{4}-\d{2}-\d{2}$/)
@@ -50,6 +122,98 @@ const goalRules = [
         .withMessage('Goal must be between 0.5 and 24 hours'),
 ];
 
+const bulkGoalRules = [
+    body(['startDate', 'endDate'])
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    body('endDate')
+        .custom((value, { req }) => value >= req.body.startDate)
+        .withMessage('End date must not be before start date'),
+    body('goalHours')
+        .isFloat({ min: 0.5, max: 24 })
+        .withMessage('Goal must be between 0.5 and 24 hours')
+        .toFloat(),
+    body('weekdays')
+        .optional()
+        .isArray({ max: 7 })
+        .withMessage('weekdays must be a list of ISO weekdays'),
+    body('weekdays.*')
+        .isInt({ min: 1, max: 7 })
+        .withMessage('Weekdays must be from 1 (Monday) to 7 (Sunday)')
+        .toInt(),
+];
+
+const periodTargetRules = [
+    body('weeklyHours')
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 168 })
+        .withMessage('Weekly target must be between 1 and 168 hours'),
+    body('monthlyHours')
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 744 })
+        .withMessage('Monthly target must be between 1 and 744 hours'),
+];
+
+const projectIdRule = body('projectId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid projectId');
+
+const startSessionRules = [projectIdRule];
+
+const notesRules = [
+    body('notes')
+        .optional()
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Notes must be at most 1000 characters'),
+    body('tags').optional().isArray({ max: 20 }).withMessage('tags must be an array of at most 20 tags'),
+    body('tags.*').isString().isLength({ max: 50 }).withMessage('Tags must be at most 50 characters'),
+];
+
+const endSessionRules = [...notesRules];
+
+const idleRules = [
+    body('idleStartedAt')
+        .isISO8601()
+        .withMessage('idleStartedAt must be an ISO 8601 date'),
+    body('action')
+        .isIn(['discard', 'stop'])
+        .withMessage('action must be discard or stop'),
+];
+
+const manualSessionRules = [
+    body('date')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Date must be in YYYY-MM-DD format'),
+    body('startTime')
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Start time must be in HH:mm format'),
+    body('endTime')
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('End time must be in HH:mm format'),
+    projectIdRule,
+    ...notesRules,
+];
+
+const sessionIdRule = [
+    param('id').isMongoId().withMessage('Invalid session id'),
+];
+
+const updateSessionRules = [
+    ...sessionIdRule,
+    body('startTime')
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Start time must be in HH:mm format'),
+    body('endTime')
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('End time must be in HH:mm format'),
+    projectIdRule,
+    ...notesRules,
+];
+
 const dateQueryRule = [
     query('date')
         .optional()
@@ -57,6 +221,379 @@ const dateQueryRule = [
         .withMessage('Date must be in YYYY-MM-DD format'),
 ];
 
+const userIdParamRule = [
+    param('userId').isMongoId().withMessage('Invalid user id'),
+];
+
+const adminUsersQueryRules = [
+    ...dateQueryRule,
+    query('teamId').optional().isMongoId().withMessage('Invalid teamId'),
+];
+
+const dateRangeQueryRules = [
+    query(['from', 'to'])
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    query('to')
+        .optional()
+        .custom((value, { req }) => !req.query.from || value >= req.query.from)
+        .withMessage('to must not be before from'),
+];
+
+const listSessionsRules = [
+    ...dateQueryRule,
+    query('tag')
+        .optional()
+        .matches(/^#?[\p{L}\p{N}_-]{1,50}$/u)
+        .withMessage('Invalid tag'),
+];
+
+const projectRules = [
+    body('name').trim().notEmpty().withMessage('Project name is required').isLength({ max: 100 }),
+    body('clientId').optional({ values: 'null' }).isMongoId().withMessage('Invalid clientId'),
+    body('allowedUserIds').optional().isArray().withMessage('allowedUserIds must be an array'),
+    body('allowedUserIds.*').isMongoId().withMessage('Invalid user id'),
+];
+
+const updateProjectRules = [
+    param('id').isMongoId().withMessage('Invalid project id'),
+    body('name').optional().trim().notEmpty().withMessage('Project name cannot be empty').isLength({ max: 100 }),
+    body('clientId').optional({ values: 'null' }).isMongoId().withMessage('Invalid clientId'),
+    body('isArchived').optional().isBoolean().withMessage('isArchived must be boolean'),
+    body('allowedUserIds').optional().isArray().withMessage('allowedUserIds must be an array'),
+    body('allowedUserIds.*').isMongoId().withMessage('Invalid user id'),
+];
+
+const clientRules = [
+    body('name').trim().notEmpty().withMessage('Client name is required').isLength({ max: 100 }),
+];
+
+const autoCloseRules = (prefix = '') => [
+    body(`${prefix}maxSessionHours`)
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 72 })
+        .withMessage('Max session length must be between 1 and 72 hours'),
+    body(`${prefix}dailyCutoffTime`)
+        .optional({ values: 'null' })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Cutoff must be in HH:mm format'),
+];
+
+const userAutoCloseRules = autoCloseRules();
+
+const updateProfileRules = [
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name must be 1-100 characters'),
+    body('timezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Timezone must be an IANA timezone such as Europe/Berlin'),
+    body('defaultDailyGoal')
+        .optional()
+        .isFloat({ min: 0.5, max: 24 })
+        .withMessage('Default daily goal must be between 0.5 and 24 hours')
+        .toFloat(),
+];
+
+const orgSettingsRules = [
+    body('general').optional().isObject().withMessage('general must be an object'),
+    body('general.defaultTimezone')
+        .optional()
+        .custom(isValidTimezone)
+        .withMessage('Default timezone must be an IANA timezone such as Europe/Berlin'),
+    body('security').optional().isObject().withMessage('security must be an object'),
+    body('security.requireTwoFactorForAdmins')
+        .optional()
+        .isBoolean()
+        .withMessage('requireTwoFactorForAdmins must be boolean')
+        .toBoolean(),
+    body('autoClose').optional().isObject().withMessage('autoClose must be an object'),
+    ...autoCloseRules('autoClose.'),
+    body('corrections').optional().isObject().withMessage('corrections must be an object'),
+    body('corrections.requireApproval')
+        .optional()
+        .isBoolean()
+        .withMessage('requireApproval must be a boolean'),
+    body('calendar').optional().isObject().withMessage('calendar must be an object'),
+    body('calendar.workDays')
+        .optional()
+        .isArray({ max: 7 })
+        .withMessage('workDays must be a list of weekdays'),
+    body('calendar.workDays.*')
+        .isInt({ min: 1, max: 7 })
+        .withMessage('Work days must be ISO weekdays from 1 (Monday) to 7 (Sunday)')
+        .toInt(),
+    body('compliance').optional().isObject().withMessage('compliance must be an object'),
+    body(['compliance.maxDailyHours', 'compliance.minRestHours', 'compliance.breakAfterHours'])
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 24 })
+        .withMessage('Hour limits must be between 1 and 24')
+        .toFloat(),
+    body('compliance.minBreakMinutes')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 240 })
+        .withMessage('Minimum break must be between 1 and 240 minutes')
+        .toInt(),
+    body('compliance.warnBeforeMinutes')
+        .optional()
+        .isInt({ min: 0, max: 240 })
+        .withMessage('Warning lead time must be between 0 and 240 minutes')
+        .toInt(),
+    body('flex').optional().isObject().withMessage('flex must be an object'),
+    body('flex.startDate')
+        .optional({ values: 'null' })
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Start date must be in YYYY-MM-DD format'),
+    body('flex.resetPeriod')
+        .optional()
+        .isIn(['none', 'month', 'quarter', 'year'])
+        .withMessage('resetPeriod must be none, month, quarter or year'),
+    body('flex.maxCarryOverHours')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0, max: 1000 })
+        .withMessage('Max carry-over must be between 0 and 1000 hours')
+        .toFloat(),
+    body('flex.carryOverDeficit')
+        .optional()
+        .isBoolean()
+        .withMessage('carryOverDeficit must be a boolean')
+        .toBoolean(),
+];
+
+const scheduleRules = [
+    body('days')
+        .isArray({ max: 7 })
+        .withMessage('days must be a list of at most 7 weekdays')
+        .bail()
+        .custom((days) => new Set(days.map((d) => Number(d?.weekday))).size === days.length)
+        .withMessage('Each weekday can appear only once'),
+    body('days.*.weekday')
+        .isInt({ min: 1, max: 7 })
+        .withMessage('weekday must be an ISO weekday from 1 (Monday) to 7 (Sunday)')
+        .toInt(),
+    body('days.*.goalHours')
+        .isFloat({ min: 0, max: 24 })
+        .withMessage('Scheduled hours must be between 0 and 24')
+        .toFloat(),
+    body(['days.*.startTime', 'days.*.endTime'])
+        .optional({ values: 'null' })
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Times must be in HH:mm format'),
+    body('days.*.endTime')
+        .optional({ values: 'null' })
+        .custom((value, { req, path }) => {
+            const index = Number(path.match(/\[(\d+)\]/)[1]);
+            const start = req.body.days[index].startTime;
+            return !start || value > start;
+        })
+        .withMessage('Expected end must be after expected start'),
+];
+
+const isMonday = (value) => {
+    if (new Date(`${value}T00:00:00Z`).getUTCDay() !== 1) {
+        throw new Error('weekStart must be a Monday');
+    }
+    return true;
+};
+
+const weekStartQueryRule = [
+    query('weekStart')
+        .optional()
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('weekStart must be in YYYY-MM-DD format')
+        .bail()
+        .custom(isMonday),
+];
+
+const submitTimesheetRules = [
+    body('weekStart')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('weekStart must be in YYYY-MM-DD format')
+        .bail()
+        .custom(isMonday),
+];
+
+const timesheetIdRule = [
+    param('id').isMongoId().withMessage('Invalid timesheet id'),
+];
+
+// Approve/reject body shared by the admin review queues
+const reviewRules = (what) => [
+    body('action')
+        .isIn(['approve', 'reject'])
+        .withMessage('action must be approve or reject'),
+    body('comment')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Comment must be at most 500 characters'),
+    body('comment')
+        .if(body('action').equals('reject'))
+        .notEmpty()
+        .withMessage(`A comment is required when rejecting a ${what}`),
+];
+
+const reviewTimesheetRules = [...timesheetIdRule, ...reviewRules('timesheet')];
+
+const correctionRules = [
+    body('date')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Date must be in YYYY-MM-DD format'),
+    body('reason')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('A reason of at most 500 characters is required'),
+    body('changes')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('changes must be a list of 1 to 20 changes'),
+    body('changes.*.type')
+        .isIn(['add', 'update', 'remove'])
+        .withMessage('Change type must be add, update or remove'),
+    body('changes.*.sessionId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid session id'),
+    body(['changes.*.startTime', 'changes.*.endTime'])
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('Times must be in HH:mm format'),
+    body('changes.*.projectId')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid project id'),
+];
+
+const reviewCorrectionRules = [
+    param('id').isMongoId().withMessage('Invalid correction id'),
+    ...reviewRules('correction'),
+];
+
+const leaveRules = [
+    body('type')
+        .isIn(['vacation', 'sick', 'half-day'])
+        .withMessage('Leave type must be vacation, sick or half-day'),
+    body(['startDate', 'endDate'])
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    body('endDate')
+        .custom((value, { req }) => value >= req.body.startDate)
+        .withMessage('End date must not be before start date'),
+    body('endDate')
+        .if(body('type').equals('half-day'))
+        .custom((value, { req }) => value === req.body.startDate)
+        .withMessage('A half day must start and end on the same date'),
+    body('reason')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason must be at most 500 characters'),
+];
+
+const leaveIdRule = [
+    param('id').isMongoId().withMessage('Invalid leave request id'),
+];
+
+const reviewLeaveRules = [...leaveIdRule, ...reviewRules('leave request')];
+
+const holidayRules = [
+    body('date')
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage('Date must be in YYYY-MM-DD format'),
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Holiday name is required (max 100 characters)'),
+];
+
+const holidayIdRule = [
+    param('id').isMongoId().withMessage('Invalid holiday id'),
+];
+
+const teamRules = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Team name is required (max 100 characters)'),
+    body('managerIds').optional().isArray().withMessage('managerIds must be a list'),
+    body('managerIds.*').isMongoId().withMessage('Invalid manager id'),
+];
+
+const updateTeamRules = [
+    param('id').isMongoId().withMessage('Invalid team id'),
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Team name must be 1-100 characters'),
+    body('managerIds').optional().isArray().withMessage('managerIds must be a list'),
+    body('managerIds.*').isMongoId().withMessage('Invalid manager id'),
+];
+
+const teamMembersRules = [
+    param('id').isMongoId().withMessage('Invalid team id'),
+    body('userIds').isArray().withMessage('userIds must be a list'),
+    body('userIds.*').isMongoId().withMessage('Invalid user id'),
+];
+
+const teamIdRule = [
+    param('id').isMongoId().withMessage('Invalid team id'),
+];
+
+const roleRules = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Role name is required (max 50 characters)'),
+    body('description')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be at most 200 characters'),
+    body('permissions').isArray().withMessage('permissions must be a list'),
+    body('permissions.*').isIn(PERMISSIONS).withMessage(`Permissions must be among: ${PERMISSIONS.join(', ')}`),
+];
+
+const updateRoleRules = [
+    param('id').isMongoId().withMessage('Invalid role id'),
+    body('name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Role name must be 1-50 characters'),
+    body('description')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be at most 200 characters'),
+    body('permissions').optional().isArray().withMessage('permissions must be a list'),
+    body('permissions.*').isIn(PERMISSIONS).withMessage(`Permissions must be among: ${PERMISSIONS.join(', ')}`),
+];
+
+const roleMembersRules = [
+    param('id').isMongoId().withMessage('Invalid role id'),
+    body('userIds').isArray().withMessage('userIds must be a list'),
+    body('userIds.*').isMongoId().withMessage('Invalid user id'),
+];
+
+const roleIdRule = [
+    param('id').isMongoId().withMessage('Invalid role id'),
+];
+
 const promoteRules = [
     body('userId').isMongoId().withMessage('Valid userId is required'),
     body('makeAdmin').isBoolean().withMessage('makeAdmin must be boolean'),
@@ -64,6 +601,7 @@ const promoteRules = [
 
 const inviteRules = [
     body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+    body('asAdmin').optional().isBoolean().withMessage('asAdmin must be boolean').toBoolean(),
     body('expiresInHours')
         .optional()
         .isInt({ min: 1, max: 168 })
@@ -74,8 +612,56 @@ module.exports = {
     validate,
     registerRules,
     loginRules,
+    changePasswordRules,
+    forgotPasswordRules,
+    resetPasswordRules,
+    verifyEmailRules,
+    twoFactorCodeRules,
+    twoFactorLoginRules,
+    twoFactorChallengeRules,
+    twoFactorEnrollRules,
+    disableTwoFactorRules,
+    loginSessionIdRule,
     goalRules,
+    bulkGoalRules,
+    periodTargetRules,
+    startSessionRules,
+    endSessionRules,
+    idleRules,
+    manualSessionRules,
+    sessionIdRule,
+    updateSessionRules,
     dateQueryRule,
+    userIdParamRule,
+    dateRangeQueryRules,
+    adminUsersQueryRules,
+    listSessionsRules,
+    projectRules,
+    updateProjectRules,
+    clientRules,
+    userAutoCloseRules,
+    updateProfileRules,
+    orgSettingsRules,
+    scheduleRules,
+    weekStartQueryRule,
+    submitTimesheetRules,
+    timesheetIdRule,
+    reviewTimesheetRules,
+    correctionRules,
+    reviewCorrectionRules,
+    leaveRules,
+    leaveIdRule,
+    reviewLeaveRules,
+    holidayRules,
+    holidayIdRule,
+    teamRules,
+    updateTeamRules,
+    teamMembersRules,
+    teamIdRule,
+    roleRules,
+    updateRoleRules,
+    roleMembersRules,
+    roleIdRule,
     promoteRules,
     inviteRules,
 };
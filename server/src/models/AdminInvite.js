@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
 const crypto = require('crypto');
 
 const adminInviteSchema = new mongoose.Schema({
@@ -14,6 +15,11 @@ const adminInviteSchema = new mongoose.Schema({
         lowercase: true,
         trim: true,
     },
+    // Whether the invitee becomes an admin, or joins as an employee
+    grantsAdmin: {
+        type: Boolean,
+        default: true,
+    },
     invitedByUserId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -33,6 +39,8 @@ const adminInviteSchema = new mongoose.Schema({
     },
 });
 
+adminInviteSchema.plugin(orgScoped, { userField: 'invitedByUserId' });
+
 // Indexes
 adminInviteSchema.index({ email: 1, usedAt: 1 });
 
@@ -1,12 +1,56 @@
 const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
 
 const ACTIONS = [
+    'ORG_CREATED',
+    'PROFILE_UPDATED',
+    'PASSWORD_CHANGED',
+    'PASSWORD_RESET_REQUESTED',
+    'PASSWORD_RESET',
+    'EMAIL_VERIFIED',
+    'TWO_FACTOR_ENABLED',
+    'TWO_FACTOR_DISABLED',
+    'TWO_FACTOR_RESET',
+    'RECOVERY_CODES_REGENERATED',
+    'RECOVERY_CODE_USED',
+    'REFRESH_TOKEN_REUSED',
+    'FORCE_LOGOUT',
+    'ACCOUNT_LOCKED',
+    'ACCOUNT_UNLOCKED',
+    'SSO_USER_PROVISIONED',
+    'SSO_ACCOUNT_LINKED',
     'ADMIN_LOGIN',
     'ADMIN_LOGIN_DENIED',
     'PROMOTE',
     'DEMOTE',
     'INVITE_CREATED',
     'INVITE_USED',
+    'SESSION_UPDATED',
+    'SESSION_DELETED',
+    'PROJECT_CREATED',
+    'PROJECT_UPDATED',
+    'CLIENT_CREATED',
+    'SETTINGS_UPDATED',
+    'TIMESHEET_SUBMITTED',
+    'TIMESHEET_APPROVED',
+    'TIMESHEET_REJECTED',
+    'CORRECTION_REQUESTED',
+    'CORRECTION_APPROVED',
+    'CORRECTION_REJECTED',
+    'LEAVE_REQUESTED',
+    'LEAVE_APPROVED',
+    'LEAVE_REJECTED',
+    'LEAVE_CANCELLED',
+    'HOLIDAY_CREATED',
+    'HOLIDAY_DELETED',
+    'TEAM_CREATED',
+    'TEAM_UPDATED',
+    'TEAM_DELETED',
+    'TEAM_MEMBERS_UPDATED',
+    'ROLE_CREATED',
+    'ROLE_UPDATED',
+    'ROLE_DELETED',
+    'ROLE_MEMBERS_UPDATED',
 ];
 
 const auditLogSchema = new mongoose.Schema({
@@ -35,6 +79,8 @@ const auditLogSchema = new mongoose.Schema({
     },
 });
 
+auditLogSchema.plugin(orgScoped, { userField: 'actorUserId' });
+
 auditLogSchema.index({ actorUserId: 1, timestamp: -1 });
 auditLogSchema.index({ timestamp: -1 });
 
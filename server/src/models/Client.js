@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+const clientSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Client name is required'],
+            trim: true,
+            maxlength: 100,
+        },
+        isArchived: {
+            type: Boolean,
+            default: false,
+        },
+        createdByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+clientSchema.plugin(orgScoped, { userField: 'createdByUserId' });
+
+module.exports = mongoose.model('Client', clientSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+/**
+ * A change to one day's sessions proposed by an employee and applied only
+ * once an admin approves it. See utils/corrections.js for how changes apply.
+ */
+const changeSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ['add', 'update', 'remove'],
+            required: true,
+        },
+        sessionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Session',
+            default: null, // required for update/remove
+        },
+        startTime: {
+            type: String, // 'HH:mm' in the user's timezone
+            default: null,
+        },
+        endTime: {
+            type: String,
+            default: null,
+        },
+        projectId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            default: undefined, // undefined = leave unchanged on update
+        },
+    },
+    { _id: false }
+);
+
+const correctionRequestSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        date: {
+            type: String, // 'YYYY-MM-DD' in the user's local timezone
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+        },
+        reason: {
+            type: String,
+            required: [true, 'A reason is required'],
+            trim: true,
+            maxlength: 500,
+        },
+        changes: {
+            type: [changeSchema],
+            validate: [(v) => v.length > 0, 'At least one change is required'],
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'pending',
+        },
+        reviewedByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewComment: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: '',
+        },
+    },
+    { timestamps: true }
+);
+
+correctionRequestSchema.plugin(orgScoped, { userField: 'userId' });
+
+correctionRequestSchema.index({ userId: 1, createdAt: -1 });
+correctionRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CorrectionRequest', correctionRequestSchema);
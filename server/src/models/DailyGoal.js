@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
 
 const dailyGoalSchema = new mongoose.Schema(
     {
@@ -22,6 +23,8 @@ const dailyGoalSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+dailyGoalSchema.plugin(orgScoped, { userField: 'userId' });
+
 // Each user can have only one goal per date
 dailyGoalSchema.index({ userId: 1, date: 1 }, { unique: true });
 
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+/**
+ * A public holiday on the organization calendar. Nobody has a goal on a holiday.
+ */
+const holidaySchema = new mongoose.Schema(
+    {
+        date: {
+            type: String, // 'YYYY-MM-DD', observed in each user's own timezone
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+        },
+        name: {
+            type: String,
+            required: [true, 'Holiday name is required'],
+            trim: true,
+            maxlength: 100,
+        },
+        createdByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+holidaySchema.plugin(orgScoped, { userField: 'createdByUserId' });
+
+// One holiday per date in each organization
+holidaySchema.index({ orgId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('Holiday', holidaySchema);
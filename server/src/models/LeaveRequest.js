@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+/**
+ * Time off requested by an employee. Approved leave lowers the daily goal for
+ * the days it covers: to zero for sick and vacation days, to half for a half day.
+ * See utils/goals.js for how it combines with holidays and custom goals.
+ */
+const leaveRequestSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: ['vacation', 'sick', 'half-day'],
+            required: true,
+        },
+        startDate: {
+            type: String, // 'YYYY-MM-DD' in the user's local timezone
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+        },
+        endDate: {
+            type: String, // inclusive; equal to startDate for a half day
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: '',
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'cancelled'],
+            default: 'pending',
+        },
+        reviewedByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewComment: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: '',
+        },
+    },
+    { timestamps: true }
+);
+
+leaveRequestSchema.plugin(orgScoped, { userField: 'userId' });
+
+leaveRequestSchema.index({ userId: 1, startDate: 1 });
+leaveRequestSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Leave for a user in the given statuses that overlaps [from, to] (inclusive dates).
+ * @param {ObjectId} userId
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @param {string[]} [statuses]
+ * @returns {Promise<Document[]>}
+ */
+leaveRequestSchema.statics.findOverlapping = function (userId, from, to, statuses = ['approved']) {
+    return this.find({
+        userId,
+        status: { $in: statuses },
+        startDate: { $lte: to },
+        endDate: { $gte: from },
+    });
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const orgScoped = require('./plugins/orgScoped');
+
+const REVOKE_REASONS = ['logout', 'signed-out', 'admin', 'password', 'demoted', 'reuse'];
+
+// A refresh token replaced this recently may still arrive from a request that
+// raced the rotation (e.g. two tabs refreshing at once)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+/**
+ * Hash a raw refresh token for storage and lookup.
+ * @param {string} token
+ * @returns {string} hex SHA-256
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A signed-in device. Holds the refresh token (as a SHA-256 hash) that keeps
+ * the device's short-lived access tokens coming; access tokens name their
+ * session in the `sid` claim, so revoking it signs the device out at once.
+ *
+ * Refresh tokens rotate on every use. The previous one is kept so that
+ * presenting it again — a sign of a stolen token — revokes the session.
+ * Not to be confused with Session, the work sessions being tracked.
+ */
+const loginSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+        index: true,
+    },
+    rotatedAt: {
+        type: Date,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        default: '',
+        maxlength: 500,
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Sliding: every refresh pushes it out again
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: [...REVOKE_REASONS, null],
+        default: null,
+    },
+});
+
+loginSessionSchema.plugin(orgScoped, { userField: 'userId' });
+
+// Expired sessions are removed by MongoDB
+loginSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * How long a session lasts without being used (REFRESH_TOKEN_TTL_DAYS, default 30).
+ * @returns {number} ms
+ */
+function refreshTtlMs() {
+    const days = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Check if the session can still be used (not revoked and not expired).
+ */
+loginSessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Start a session for a user who just signed in.
+ * @param {Document} user
+ * @param {{ ip?: string, userAgent?: string }} client
+ * @returns {Promise<{ session: Document, refreshToken: string }>}
+ */
+loginSessionSchema.statics.start = async function (user, { ip = '', userAgent = '' } = {}) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const session = await this.create({
+        userId: user._id,
+        orgId: user.orgId,
+        refreshTokenHash: hashToken(refreshToken),
+        ip,
+        userAgent: userAgent.slice(0, 500),
+        expiresAt: new Date(Date.now() + refreshTtlMs()),
+    });
+    return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. Atomic, so a token rotates once
+ * even under concurrent requests.
+ *
+ * Returns null for unknown, revoked or expired tokens. A token that was
+ * already rotated answers `{ session, refreshToken: null }` within a short
+ * grace period (the racing request set the new cookies) and otherwise
+ * revokes the session: `{ session, reused: true }`.
+ *
+ * @param {string} token - raw refresh token from the cookie
+ * @param {{ ip?: string }} client
+ * @returns {Promise<{ session: Document, refreshToken?: string|null, reused?: boolean }|null>}
+ */
+loginSessionSchema.statics.rotate = async function (token, { ip = '' } = {}) {
+    const now = new Date();
+    const tokenHash = hashToken(token);
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    const session = await this.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            refreshTokenHash: hashToken(refreshToken),
+            previousRefreshTokenHash: tokenHash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            ip,
+            expiresAt: new Date(now.getTime() + refreshTtlMs()),
+        },
+        { new: true }
+    );
+    if (session) return { session, refreshToken };
+
+    const previous = await this.findOne({ previousRefreshTokenHash: tokenHash });
+    if (!previous || !previous.isActive()) return null;
+
+    if (now - previous.rotatedAt <= ROTATION_GRACE_MS) {
+        return { session: previous, refreshToken: null };
+    }
+    await previous.revoke('reuse');
+    return { session: previous, reused: true };
+};
+
+/**
+ * Find the active session a refresh token belongs to, without rotating it.
+ * @param {string} token
+ * @returns {Promise<Document|null>}
+ */
+loginSessionSchema.statics.findByRefreshToken = function (token) {
+    return this.findOne({ refreshTokenHash: hashToken(token), revokedAt: null });
+};
+
+/**
+ * Sign the device out.
+ * @param {string} reason - one of REVOKE_REASONS
+ */
+loginSessionSchema.methods.revoke = function (reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+/**
+ * Sign a user out everywhere, optionally keeping one session (the caller's).
+ * @param {ObjectId} userId
+ * @param {string} reason - one of REVOKE_REASONS
+ * @param {{ except?: ObjectId|string }} [options]
+ * @returns {Promise<number>} how many sessions were ended
+ */
+loginSessionSchema.statics.revokeAllForUser = async function (userId, reason, { except } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    const result = await this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
+
+loginSessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('LoginSession', loginSessionSchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization-wide settings. One document per organization holds the policy
+ * that applies to its users unless they override it on their own profile.
+ */
+const orgSettingsSchema = new mongoose.Schema(
+    {
+        orgId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            unique: true,
+        },
+        general: {
+            // Timezone for new members and for org-wide dates such as the
+            // admin dashboard's default day
+            defaultTimezone: {
+                type: String,
+                default: () => process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+            },
+        },
+        security: {
+            // Admins must set up two-factor authentication before they can
+            // sign in
+            requireTwoFactorForAdmins: {
+                type: Boolean,
+                default: false,
+            },
+        },
+        autoClose: {
+            // Close an active session once it has run this many hours (null = no limit)
+            maxSessionHours: {
+                type: Number,
+                default: 12,
+                min: 1,
+                max: 72,
+            },
+            // Close active sessions at this wall-clock time in the user's timezone
+            // ('HH:mm', null = no cutoff)
+            dailyCutoffTime: {
+                type: String,
+                default: null,
+                match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Cutoff must be in HH:mm format'],
+            },
+        },
+        corrections: {
+            // When on, employees can't add, retime or delete sessions directly;
+            // they submit a correction request for an admin to approve
+            requireApproval: {
+                type: Boolean,
+                default: false,
+            },
+        },
+        calendar: {
+            // ISO weekdays (1 = Monday ... 7 = Sunday) that carry the default goal;
+            // the rest have no goal unless the user sets one
+            workDays: {
+                type: [{ type: Number, min: 1, max: 7 }],
+                default: [1, 2, 3, 4, 5],
+            },
+        },
+        flex: {
+            // First day that counts toward flex balances ('YYYY-MM-DD', null =
+            // each user's sign-up date). Later of the two wins.
+            startDate: {
+                type: String,
+                default: null,
+                match: [/^\d{4}-\d{2}-\d{2}$/, 'Start date must be in YYYY-MM-DD format'],
+            },
+            // Balances are settled at the start of every period: 'none', 'month',
+            // 'quarter' or 'year'
+            resetPeriod: {
+                type: String,
+                enum: ['none', 'month', 'quarter', 'year'],
+                default: 'none',
+            },
+            // Most overtime hours kept at a reset (null = all of it, 0 = none)
+            maxCarryOverHours: {
+                type: Number,
+                default: null,
+                min: 0,
+                max: 1000,
+            },
+            // Whether undertime is carried into the next period or forgiven
+            carryOverDeficit: {
+                type: Boolean,
+                default: true,
+            },
+        },
+        // Working-time limits checked by utils/compliance.js (null turns a rule off)
+        compliance: {
+            // Most hours worked in one calendar day
+            maxDailyHours: {
+                type: Number,
+                default: 10,
+                min: 1,
+                max: 24,
+            },
+            // Least rest between the end of one working day and the start of the next
+            minRestHours: {
+                type: Number,
+                default: 11,
+                min: 1,
+                max: 24,
+            },
+            // Working more than this many hours in a day requires a break...
+            breakAfterHours: {
+                type: Number,
+                default: 6,
+                min: 1,
+                max: 24,
+            },
+            // ...of at least this many minutes in total
+            minBreakMinutes: {
+                type: Number,
+                default: 30,
+                min: 1,
+                max: 240,
+            },
+            // How early the Dashboard warns that a limit is coming up
+            warnBeforeMinutes: {
+                type: Number,
+                default: 30,
+                min: 0,
+                max: 240,
+            },
+        },
+    },
+    { timestamps: true }
+);
+
+/**
+ * Load an organization's settings, creating them with defaults on first use.
+ * @param {ObjectId|string} orgId
+ * @returns {Promise<Document>}
+ */
+orgSettingsSchema.statics.getSettings = async function (orgId) {
+    const existing = await this.findOne({ orgId });
+    if (existing) return existing;
+    return this.findOneAndUpdate({ orgId }, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+module.exports = mongoose.model('OrgSettings', orgSettingsSchema);
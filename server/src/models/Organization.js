@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * A company hosted on this deployment. Every user and everything they create
+ * belongs to exactly one organization (see plugins/orgScoped.js); its policy
+ * lives in OrgSettings.
+ *
+ * The default organization takes users who sign up without an invite or a
+ * new organization name, and data from before organizations existed.
+ */
+const organizationSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Organization name is required'],
+            trim: true,
+            maxlength: 100,
+        },
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+        // Null for the default organization
+        createdByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// At most one default organization
+organizationSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+/**
+ * Load the default organization, creating it on first use.
+ * @returns {Promise<Document>}
+ */
+organizationSchema.statics.getDefault = async function () {
+    const existing = await this.findOne({ isDefault: true });
+    if (existing) return existing;
+    return this.findOneAndUpdate(
+        { isDefault: true },
+        { $setOnInsert: { name: process.env.DEFAULT_ORG_NAME || 'Default' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+const projectSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Project name is required'],
+            trim: true,
+            maxlength: 100,
+        },
+        clientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Client',
+            default: null,
+        },
+        isArchived: {
+            type: Boolean,
+            default: false, // archived projects keep their history but accept no new time
+        },
+        // Users allowed to log time to this project. Empty means everyone.
+        allowedUserIds: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
+        createdByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+projectSchema.plugin(orgScoped, { userField: 'createdByUserId' });
+
+projectSchema.index({ isArchived: 1, name: 1 });
+
+/**
+ * Check if the given user may log time to this project.
+ * @param {ObjectId|string} userId
+ * @returns {boolean}
+ */
+projectSchema.methods.isAvailableTo = function (userId) {
+    if (this.isArchived) return false;
+    if (this.allowedUserIds.length === 0) return true;
+    return this.allowedUserIds.some((id) => id.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+/**
+ * Named permissions a role can grant. Admins (User.isAdmin) hold all of them;
+ * everything else admin-only (settings, teams, roles, reviews) stays with
+ * admins.
+ */
+const PERMISSIONS = [
+    'view-hours', // user overview, session drill-down, compliance report
+    'edit-sessions', // review correction requests (which change sessions)
+    'manage-invites', // create admin invites
+    'view-audit', // read the audit log
+    'promote-users', // assign roles to users
+    'export', // CSV export of the daily summary
+];
+
+/**
+ * A named set of permissions, assigned to users through User.roles.
+ */
+const roleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Role name is required'],
+            trim: true,
+            maxlength: 50,
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 200,
+            default: '',
+        },
+        permissions: {
+            type: [{ type: String, enum: PERMISSIONS }],
+            default: [],
+        },
+        createdByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+roleSchema.plugin(orgScoped, { userField: 'createdByUserId' });
+
+// Role names are unique within an organization
+roleSchema.index({ orgId: 1, name: 1 }, { unique: true });
+
+/**
+ * Union of the permissions granted by the given roles.
+ * @param {ObjectId[]} roleIds
+ * @returns {Promise<string[]>} in PERMISSIONS order
+ */
+roleSchema.statics.permissionsFor = async function (roleIds) {
+    if (!roleIds?.length) return [];
+    const roles = await this.find({ _id: { $in: roleIds } }).select('permissions').lean();
+    const granted = new Set(roles.flatMap((r) => r.permissions));
+    return PERMISSIONS.filter((p) => granted.has(p));
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+const breakSchema = new mongoose.Schema(
+    {
+        startAt: {
+            type: Date,
+            required: true,
+        },
+        endAt: {
+            type: Date,
+            default: null, // null means the session is currently paused
+        },
+    },
+    { _id: false }
+);
 
 const sessionSchema = new mongoose.Schema(
     {
@@ -16,11 +31,87 @@ const sessionSchema = new mongoose.Schema(
             type: Date,
             default: null, // null means the session is still active
         },
+        projectId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Project',
+            default: null,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: 1000,
+            default: '',
+        },
+        tags: {
+            type: [String], // lowercase, parsed from #hashtags in notes
+            default: [],
+        },
+        isManual: {
+            type: Boolean,
+            default: false, // true when entered retroactively instead of via Start/End
+        },
+        autoClosed: {
+            type: Boolean,
+            default: false, // true when closed by the auto-close policy, not the user
+        },
+        confirmedAt: {
+            type: Date,
+            default: null, // set when the user confirms an auto-closed session's hours
+        },
+        breaks: {
+            type: [breakSchema],
+            default: [],
+        },
     },
     { timestamps: true }
 );
 
+sessionSchema.plugin(orgScoped, { userField: 'userId' });
+
 // Compound index for efficient per-user date-range queries
 sessionSchema.index({ userId: 1, startAt: 1 });
+// Multikey index for tag filtering
+sessionSchema.index({ userId: 1, tags: 1 });
+
+/**
+ * Whether the session is currently paused (has an open break).
+ */
+sessionSchema.methods.isPaused = function () {
+    return this.breaks.some((b) => !b.endAt);
+};
+
+/**
+ * End the session at the given time. Breaks that start at or after that time
+ * are dropped and any break still running at it is cut off there.
+ * Mutates the document; caller saves.
+ *
+ * @param {Date} time
+ */
+sessionSchema.methods.closeAt = function (time) {
+    this.breaks = this.breaks
+        .filter((b) => b.startAt < time)
+        .map((b) => ({ startAt: b.startAt, endAt: !b.endAt || b.endAt > time ? time : b.endAt }));
+    this.endAt = time;
+};
+
+/**
+ * Find a session of the given user that overlaps the [startAt, endAt) range.
+ * An active session (endAt: null) is treated as running until now.
+ *
+ * @param {ObjectId|string} userId
+ * @param {Date} startAt
+ * @param {Date} endAt
+ * @param {ObjectId|string} [excludeId] - session to ignore (e.g. the one being edited)
+ * @returns {Promise<Document|null>}
+ */
+sessionSchema.statics.findOverlapping = function (userId, startAt, endAt, excludeId = null) {
+    const filter = {
+        userId,
+        startAt: { $lt: endAt },
+        $or: [{ endAt: { $gt: startAt } }, { endAt: null }],
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return this.findOne(filter);
+};
 
 module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+
+/**
+ * A group of employees. Each user belongs to at most one team (User.teamId);
+ * the team's managers can see its members' hours on the admin dashboard.
+ */
+const teamSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Team name is required'],
+            trim: true,
+            maxlength: 100,
+        },
+        managerIds: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
+        createdByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+teamSchema.plugin(orgScoped, { userField: 'createdByUserId' });
+
+teamSchema.index({ managerIds: 1 });
+// Team names are unique within an organization
+teamSchema.index({ orgId: 1, name: 1 }, { unique: true });
+
+/**
+ * Ids of the teams a user manages.
+ * @param {ObjectId|string} userId
+ * @returns {Promise<ObjectId[]>}
+ */
+teamSchema.statics.findManagedIds = async function (userId) {
+    const teams = await this.find({ managerIds: userId }).select('_id').lean();
+    return teams.map((t) => t._id);
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const orgScoped = require('./plugins/orgScoped');
+const { getWeekStartDate } = require('../utils/time');
+
+/**
+ * A user's weekly timesheet. It only exists once submitted; an approved week
+ * locks the sessions and daily goals that fall in it against edits.
+ */
+const timesheetSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        weekStart: {
+            type: String, // 'YYYY-MM-DD' of the Monday, in the user's local timezone
+            required: true,
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+        },
+        status: {
+            type: String,
+            enum: ['submitted', 'approved', 'rejected'],
+            default: 'submitted',
+        },
+        totalMs: {
+            type: Number,
+            default: 0, // worked time at submission, for the review queue
+        },
+        submittedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        reviewedByUserId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        comment: {
+            type: String,
+            trim: true,
+            maxlength: 500,
+            default: '',
+        },
+    },
+    { timestamps: true }
+);
+
+timesheetSchema.plugin(orgScoped, { userField: 'userId' });
+
+// One timesheet per user per week
+timesheetSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, weekStart: 1 });
+
+/**
+ * The approved (locked) weeks among those containing the given dates.
+ *
+ * @param {ObjectId|string} userId
+ * @param {string[]} dates - 'YYYY-MM-DD' dates in the user's timezone
+ * @returns {Promise<Set<string>>} weekStart dates
+ */
+timesheetSchema.statics.findLockedWeeks = async function (userId, dates) {
+    const weekStarts = [...new Set(dates.filter(Boolean).map(getWeekStartDate))];
+    if (weekStarts.length === 0) return new Set();
+    const locked = await this.find(
+        { userId, weekStart: { $in: weekStarts }, status: 'approved' },
+        { weekStart: 1 }
+    );
+    return new Set(locked.map((t) => t.weekStart));
+};
+
+/**
+ * Check whether any of the given dates falls in an approved (locked) week.
+ *
+ * @param {ObjectId|string} userId
+ * @param {string[]} dates - 'YYYY-MM-DD' dates in the user's timezone
+ * @returns {Promise<boolean>}
+ */
+timesheetSchema.statics.isLocked = async function (userId, dates) {
+    const weekStarts = [...new Set(dates.filter(Boolean).map(getWeekStartDate))];
+    if (weekStarts.length === 0) return false;
+    return !!(await this.exists({ userId, weekStart: { $in: weekStarts }, status: 'approved' }));
+};
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
@@ -1,8 +1,57 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const Team = require('./Team');
+const Role = require('./Role');
+const Organization = require('./Organization');
+const OrgSettings = require('./OrgSettings');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { isEmailVerificationRequired } = require('../utils/emailVerification');
 
 const SALT_ROUNDS = 12;
 
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage; dashes, spaces and case are ignored.
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'];
+
+const scheduleDaySchema = new mongoose.Schema(
+    {
+        weekday: {
+            type: Number, // ISO weekday, 1 = Monday ... 7 = Sunday
+            required: true,
+            min: 1,
+            max: 7,
+        },
+        goalHours: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 24,
+        },
+        startTime: {
+            type: String, // 'HH:mm', expected start (informational)
+            default: null,
+            match: TIME_FORMAT,
+        },
+        endTime: {
+            type: String,
+            default: null,
+            match: TIME_FORMAT,
+        },
+    },
+    { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
     {
         name: {
@@ -23,6 +72,14 @@ const userSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        // The organization this user belongs to; everything they create is
+        // scoped to it
+        orgId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            index: true,
+        },
         timezone: {
             type: String,
             default: 'Asia/Kolkata', // IANA timezone identifier
@@ -33,18 +90,152 @@ const userSchema = new mongoose.Schema(
             min: 0.5,
             max: 24,
         },
+        // Weekly schedule: goal hours per ISO weekday (1 = Monday) with an optional
+        // expected working window. Empty = org work week with defaultDailyGoal;
+        // otherwise weekdays not listed are days off.
+        schedule: {
+            type: [scheduleDaySchema],
+            default: [],
+        },
+        // Explicit week/month hour targets; null = sum of the daily goals
+        periodTargets: {
+            weeklyHours: {
+                type: Number,
+                default: null,
+                min: 1,
+                max: 168,
+            },
+            monthlyHours: {
+                type: Number,
+                default: null,
+                min: 1,
+                max: 744,
+            },
+        },
+        // Per-user auto-close policy; null fields inherit the org settings
+        autoClose: {
+            maxSessionHours: {
+                type: Number,
+                default: null,
+                min: 1,
+                max: 72,
+            },
+            dailyCutoffTime: {
+                type: String,
+                default: null,
+                match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Cutoff must be in HH:mm format'],
+            },
+        },
+        // The team this user belongs to (its managers can see their hours)
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            default: null,
+            index: true,
+        },
+        // Admins hold every permission; other users get theirs from roles
         isAdmin: {
             type: Boolean,
             default: false,
         },
+        roles: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Role',
+            },
+        ],
         lastLoginAt: {
             type: Date,
             default: null,
         },
+        // When the user followed the link mailed at registration; null until
+        // then (see utils/emailVerification.js)
+        emailVerifiedAt: {
+            type: Date,
+            default: null,
+        },
+        // The identity provider account this user signs in with (see
+        // routes/oidc.js); null for password-only accounts
+        sso: {
+            issuer: {
+                type: String,
+                default: null,
+            },
+            subject: {
+                type: String,
+                default: null,
+            },
+        },
+        // Failed sign-in attempts, for brute-force protection (see
+        // utils/lockout.js)
+        loginFailures: {
+            count: {
+                type: Number,
+                default: 0,
+            },
+            lastFailedAt: {
+                type: Date,
+                default: null,
+            },
+            lockedUntil: {
+                type: Date,
+                default: null,
+            },
+        },
+        // TOTP two-factor authentication. The secrets are never selected
+        // unless asked for ('+twoFactor.secret' etc.)
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            enabledAt: {
+                type: Date,
+                default: null,
+            },
+            // base32 shared secret, once enrollment is confirmed
+            secret: {
+                type: String,
+                default: null,
+                select: false,
+            },
+            // Secret handed out by setup, until the user confirms a code
+            pendingSecret: {
+                type: String,
+                default: null,
+                select: false,
+            },
+            // SHA-256 of the unused recovery codes
+            recoveryCodeHashes: {
+                type: [String],
+                default: [],
+                select: false,
+            },
+            // Last time step accepted, so a code works only once
+            lastUsedStep: {
+                type: Number,
+                default: null,
+                select: false,
+            },
+        },
     },
     { timestamps: true }
 );
 
+// One user per identity provider account
+userSchema.index(
+    { 'sso.issuer': 1, 'sso.subject': 1 },
+    { unique: true, partialFilterExpression: { 'sso.subject': { $type: 'string' } } }
+);
+
+/**
+ * Pre-validate hook: users created without an organization (the seed script,
+ * sign-ups without an invite) join the default one.
+ */
+userSchema.pre('validate', async function () {
+    if (!this.orgId) this.orgId = (await Organization.getDefault())._id;
+});
+
 /**
  * Pre-save hook: hash the plain-text password before persisting.
  * We store the hash in `passwordHash` — the route passes the raw
@@ -69,11 +260,152 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
-// Never return passwordHash in JSON responses
+// Never return passwordHash or two-factor secrets in JSON responses
 userSchema.methods.toJSON = function () {
     const obj = this.toObject();
     delete obj.passwordHash;
+    if (obj.twoFactor) {
+        obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+    }
     return obj;
 };
 
+/**
+ * Check a TOTP code against the confirmed secret and remember its step so
+ * it cannot be used again. Needs '+twoFactor.secret +twoFactor.lastUsedStep'
+ * selected; the caller saves.
+ * @param {string} code
+ * @returns {boolean}
+ */
+userSchema.methods.verifyTotpCode = function (code) {
+    if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+    const step = verifyTotp(this.twoFactor.secret, code, { afterStep: this.twoFactor.lastUsedStep });
+    if (step === null) return false;
+    this.twoFactor.lastUsedStep = step;
+    return true;
+};
+
+/**
+ * Use up a recovery code. Needs '+twoFactor.recoveryCodeHashes' selected;
+ * the caller saves.
+ * @param {string} code
+ * @returns {boolean}
+ */
+userSchema.methods.useRecoveryCode = function (code) {
+    const hash = hashRecoveryCode(code);
+    const index = this.twoFactor.recoveryCodeHashes.indexOf(hash);
+    if (index === -1) return false;
+    this.twoFactor.recoveryCodeHashes.splice(index, 1);
+    return true;
+};
+
+/**
+ * Replace the recovery codes with a fresh set; the caller saves.
+ * @returns {string[]} the codes, shown to the user once
+ */
+userSchema.methods.generateRecoveryCodes = function () {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    this.twoFactor.recoveryCodeHashes = codes.map(hashRecoveryCode);
+    return codes;
+};
+
+/**
+ * Start two-factor enrollment with a new secret, kept pending until
+ * confirmTwoFactorSetup() sees a code from it; the caller saves.
+ * @returns {{ secret: string, otpauthUri: string }} for the authenticator app
+ */
+userSchema.methods.beginTwoFactorSetup = function () {
+    const secret = generateSecret();
+    this.twoFactor.pendingSecret = secret;
+    return {
+        secret,
+        otpauthUri: otpauthUri({
+            secret,
+            account: this.email,
+            issuer: process.env.TOTP_ISSUER || 'WorkHourTracker',
+        }),
+    };
+};
+
+/**
+ * Finish enrollment: turn on two-factor authentication if the code matches
+ * the pending secret. Needs the two-factor fields selected; the caller saves.
+ * @param {string} code
+ * @returns {string[]|null} fresh recovery codes, or null if the code is wrong
+ */
+userSchema.methods.confirmTwoFactorSetup = function (code) {
+    const secret = this.twoFactor.pendingSecret;
+    const step = secret ? verifyTotp(secret, code) : null;
+    if (step === null) return null;
+
+    this.twoFactor.enabled = true;
+    this.twoFactor.enabledAt = new Date();
+    this.twoFactor.secret = secret;
+    this.twoFactor.pendingSecret = null;
+    this.twoFactor.lastUsedStep = step;
+    return this.generateRecoveryCodes();
+};
+
+/**
+ * Turn two-factor authentication off and forget its secrets; the caller saves.
+ */
+userSchema.methods.clearTwoFactor = function () {
+    this.twoFactor.enabled = false;
+    this.twoFactor.enabledAt = null;
+    this.twoFactor.secret = null;
+    this.twoFactor.pendingSecret = null;
+    this.twoFactor.recoveryCodeHashes = [];
+    this.twoFactor.lastUsedStep = null;
+};
+
+/**
+ * Whether this user must use two-factor authentication: admins of an
+ * organization that requires it.
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.isTwoFactorRequired = async function () {
+    if (!this.isAdmin) return false;
+    const settings = await OrgSettings.getSettings(this.orgId);
+    return settings.security.requireTwoFactorForAdmins;
+};
+
+/**
+ * Permissions this user holds: all of them for admins, otherwise the union
+ * of their roles' permissions.
+ * @returns {Promise<string[]>}
+ */
+userSchema.methods.getPermissions = async function () {
+    if (this.isAdmin) return [...Role.PERMISSIONS];
+    return Role.permissionsFor(this.roles);
+};
+
+/**
+ * Profile sent to the client: the public fields plus their organization,
+ * whether they manage a team and which permissions they hold (both open
+ * parts of the admin dashboard to them), and whether they still have to
+ * verify their email address before using the app.
+ * @returns {Promise<object>}
+ */
+userSchema.methods.toProfile = async function () {
+    const [organization, isManager, permissions] = await Promise.all([
+        Organization.findById(this.orgId).select('name').lean(),
+        Team.exists({ managerIds: this._id }),
+        this.getPermissions(),
+    ]);
+    return {
+        ...this.toJSON(),
+        organization: organization?.name ?? null,
+        isManager: Boolean(isManager),
+        permissions,
+        mustVerifyEmail: !this.emailVerifiedAt && isEmailVerificationRequired(),
+    };
+};
+
+// Select string for the two-factor fields hidden by default
+userSchema.statics.TWO_FACTOR_FIELDS =
+    '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const orgScoped = require('./plugins/orgScoped');
+
+const PURPOSES = ['password-reset', 'email-verification'];
+
+/**
+ * Hash a raw token for storage and lookup.
+ * @param {string} token
+ * @returns {string} hex SHA-256
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A single-use, expiring token mailed to a user (a password reset or email
+ * verification link). Like AdminInvite, but only the SHA-256 of the token is
+ * stored, so a leaked database cannot be used to take over accounts.
+ */
+const userTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    purpose: {
+        type: String,
+        enum: PURPOSES,
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+});
+
+userTokenSchema.plugin(orgScoped, { userField: 'userId' });
+
+userTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+
+/**
+ * Check if the token is still valid (not used and not expired).
+ */
+userTokenSchema.methods.isValid = function () {
+    return !this.usedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Issue a new token, retiring the user's earlier unused ones for the same
+ * purpose so only the latest link works.
+ * @param {ObjectId} userId
+ * @param {string} purpose - one of PURPOSES
+ * @param {number} ttlMinutes
+ * @returns {Promise<string>} the raw token; it is not stored anywhere
+ */
+userTokenSchema.statics.issue = async function (userId, purpose, ttlMinutes) {
+    const now = new Date();
+    await this.updateMany({ userId, purpose, usedAt: null }, { usedAt: now });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+    });
+    return token;
+};
+
+/**
+ * Mark a valid token as used. Atomic, so a token works exactly once even
+ * under concurrent requests.
+ * @param {string} token - raw token from the link
+ * @param {string} purpose
+ * @returns {Promise<Document|null>} the used token, or null if invalid, expired or used
+ */
+userTokenSchema.statics.consume = function (token, purpose) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+};
+
+userTokenSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
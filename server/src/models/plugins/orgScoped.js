@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose plugin: scope a model to an organization.
+ *
+ * Adds a required, indexed `orgId`. A document created without one takes the
+ * organization of the user it references (the session owner, the creator,
+ * ...), so every insert lands in the right organization. Queries still have
+ * to filter by orgId themselves.
+ *
+ * Upserts and bulkWrite inserts skip this hook and must set orgId explicitly.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {{ userField: string }} options - path of the user reference
+ */
+function orgScoped(schema, { userField }) {
+    schema.add({
+        orgId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+            index: true,
+        },
+    });
+
+    schema.pre('validate', async function () {
+        if (this.orgId || !this.get(userField)) return;
+        const user = await mongoose.model('User').findById(this.get(userField)).select('orgId').lean();
+        if (user) this.orgId = user.orgId;
+    });
+}
+
+module.exports = orgScoped;
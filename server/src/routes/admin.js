@@ -1,12 +1,31 @@
 const express = require('express');
+const { DateTime } = require('luxon');
 const auth = require('../middleware/auth');
 const adminOnly = require('../middleware/adminOnly');
+const requirePermission = require('../middleware/requirePermission');
+const { teamScope, scopedUserFilter } = require('../middleware/teamScope');
 const User = require('../models/User');
+const LoginSession = require('../models/LoginSession');
 const Session = require('../models/Session');
-const DailyGoal = require('../models/DailyGoal');
 const AdminInvite = require('../models/AdminInvite');
 const AuditLog = require('../models/AuditLog');
-const { validate, promoteRules, inviteRules, dateQueryRule } = require('../middleware/validate');
+const OrgSettings = require('../models/OrgSettings');
+const Team = require('../models/Team');
+const {
+    validate,
+    promoteRules,
+    inviteRules,
+    dateQueryRule,
+    userIdParamRule,
+    dateRangeQueryRules,
+    adminUsersQueryRules,
+    orgSettingsRules,
+} = require('../middleware/validate');
+const { sweepStaleSessions } = require('../utils/autoClose');
+const { getGoalsForDates, sumGoalHours } = require('../utils/goals');
+const { getFlexBalances } = require('../utils/flex');
+const { getComplianceForDates } = require('../utils/compliance');
+const { clearLoginFailures } = require('../utils/lockout');
 const {
     computeDayTotal,
     computeProgressPercent,
@@ -16,21 +35,46 @@ const {
     getWeekBounds,
     getMonthBounds,
     computeRangeTotal,
+    listDates,
+    countDates,
 } = require('../utils/time');
 
 const router = express.Router();
 
-// All admin routes require authentication + admin check
-router.use(auth, adminOnly);
+// All admin routes require authentication. Each declares the permission it
+// needs (see models/Role.js); settings stay with admins. The user overview,
+// session drill-down and export are also open to team managers, scoped to
+// their teams (see middleware/teamScope.js).
+router.use(auth);
+
+// Longest range the compliance report may cover, in days
+const MAX_REPORT_DAYS = 92;
 
 /**
- * GET /api/admin/users?date=YYYY-MM-DD
- * Returns all users with computed hours, goals, progress, and online status.
+ * GET /api/admin/users?date=YYYY-MM-DD&teamId=  (view-hours or manager)
+ * Returns users with computed hours, goals, progress, and online status.
+ * view-hours holders get everyone, managers the members of their teams; teamId narrows
+ * either to one team.
  */
-router.get('/users', validate(dateQueryRule), async (req, res) => {
+router.get('/users', teamScope('view-hours'), validate(adminUsersQueryRules), async (req, res) => {
     try {
-        const users = await User.find().select('-passwordHash').lean();
-        const date = req.query.date || getTodayInTimezone('Asia/Kolkata');
+        const filter = scopedUserFilter(req.scope, req.query.teamId);
+        if (!filter) return res.status(404).json({ error: 'Team not found' });
+
+        const [users, teams] = await Promise.all([
+            User.find(filter).select('-passwordHash').populate('roles', 'name').lean(),
+            Team.find({ orgId: req.orgId }).select('name').lean(),
+        ]);
+        const teamNames = new Map(teams.map((t) => [String(t._id), t.name]));
+
+        // Don't report forgotten sessions as online; the periodic sweep may
+        // not have reached them yet
+        await sweepStaleSessions(users.map((user) => user._id));
+
+        const settings = await OrgSettings.getSettings(req.orgId);
+        const date = req.query.date || getTodayInTimezone(settings.general.defaultTimezone);
+        // Flex balances read each user's whole history, so load them together
+        const flexBalances = await getFlexBalances(users, settings);
 
         const usersWithStats = await Promise.all(
             users.map(async (user) => {
@@ -46,71 +90,66 @@ router.get('/users', validate(dateQueryRule), async (req, res) => {
                 }).sort({ startAt: 1 });
 
                 const totalMs = computeDayTotal(sessions, effectiveDate, timezone);
+                const isOnline = sessions.some((s) => !s.endAt);
 
-                // Get goal
-                const goalDoc = await DailyGoal.findOne({ userId: user._id, date: effectiveDate });
-                const goalHours = goalDoc ? goalDoc.goalHours : user.defaultDailyGoal;
+                const week = getWeekBounds(timezone);
+                const month = getMonthBounds(timezone);
 
+                // Goals for the day, week and month in one lookup, after
+                // weekends, holidays and approved leave. Explicit week/month
+                // targets replace the summed daily goals.
+                const goals = await getGoalsForDates(
+                    user,
+                    [...new Set([effectiveDate, ...week.dates, ...month.dates])]
+                );
+                const { goalHours, dayType } = goals.get(effectiveDate);
                 const progressPercent = computeProgressPercent(totalMs, goalHours);
-                const isOnline = sessions.some((s) => !s.endAt);
 
                 // --- Weekly totals (always current week, Mon-Sun) ---
-                const week = getWeekBounds(timezone);
                 const weekSessions = await Session.find({
                     userId: user._id,
                     startAt: { $lt: week.rangeEnd },
                     $or: [{ endAt: { $gte: week.rangeStart } }, { endAt: null }],
                 });
                 const weekTotalMs = computeRangeTotal(weekSessions, week.dates, timezone);
-
-                // Sum goals for each day of the week
-                const weekGoalDocs = await DailyGoal.find({
-                    userId: user._id,
-                    date: { $in: week.dates },
-                }).lean();
-                const weekGoalMap = {};
-                for (const g of weekGoalDocs) weekGoalMap[g.date] = g.goalHours;
-                const weekGoalHours = week.dates.reduce(
-                    (sum, d) => sum + (weekGoalMap[d] !== undefined ? weekGoalMap[d] : user.defaultDailyGoal),
-                    0
-                );
+                const weekGoalHours = user.periodTargets?.weeklyHours ?? sumGoalHours(goals, week.dates);
 
                 // --- Monthly totals (always current month) ---
-                const month = getMonthBounds(timezone);
                 const monthSessions = await Session.find({
                     userId: user._id,
                     startAt: { $lt: month.rangeEnd },
                     $or: [{ endAt: { $gte: month.rangeStart } }, { endAt: null }],
                 });
                 const monthTotalMs = computeRangeTotal(monthSessions, month.dates, timezone);
+                const monthGoalHours = user.periodTargets?.monthlyHours ?? sumGoalHours(goals, month.dates);
 
-                const monthGoalDocs = await DailyGoal.find({
-                    userId: user._id,
-                    date: { $in: month.dates },
-                }).lean();
-                const monthGoalMap = {};
-                for (const g of monthGoalDocs) monthGoalMap[g.date] = g.goalHours;
-                const monthGoalHours = month.dates.reduce(
-                    (sum, d) => sum + (monthGoalMap[d] !== undefined ? monthGoalMap[d] : user.defaultDailyGoal),
-                    0
-                );
+                // --- Flex balance (finished days, as of today) ---
+                const { balanceHours: flexBalanceHours } = flexBalances.get(String(user._id));
 
                 return {
                     _id: user._id,
                     name: user.name,
                     email: user.email,
                     isAdmin: user.isAdmin,
+                    roles: user.roles,
+                    teamId: user.teamId ?? null,
+                    teamName: user.teamId ? teamNames.get(String(user.teamId)) ?? null : null,
                     totalMs,
                     totalFormatted: formatDuration(totalMs),
                     goalHours,
+                    dayType,
                     progressPercent: Math.round(progressPercent * 100) / 100,
                     isOnline,
                     lastLoginAt: user.lastLoginAt,
+                    twoFactorEnabled: user.twoFactor?.enabled ?? false,
+                    lockedUntil: user.loginFailures?.lockedUntil > new Date() ? user.loginFailures.lockedUntil : null,
+                    emailVerifiedAt: user.emailVerifiedAt ?? null,
                     // Period stats
                     weekTotalHours: Math.round((weekTotalMs / 3600000) * 10) / 10,
                     weekGoalHours: Math.round(weekGoalHours * 10) / 10,
                     monthTotalHours: Math.round((monthTotalMs / 3600000) * 10) / 10,
                     monthGoalHours: Math.round(monthGoalHours * 10) / 10,
+                    flexBalanceHours,
                 };
             })
         );
@@ -123,12 +162,13 @@ router.get('/users', validate(dateQueryRule), async (req, res) => {
 });
 
 /**
- * GET /api/admin/users/:userId/sessions?date=YYYY-MM-DD
- * View any user's sessions for a specific date.
+ * GET /api/admin/users/:userId/sessions?date=YYYY-MM-DD  (view-hours or manager)
+ * View a user's sessions for a specific date. Managers only see their teams'
+ * members; anyone else is reported as not found.
  */
-router.get('/users/:userId/sessions', validate(dateQueryRule), async (req, res) => {
+router.get('/users/:userId/sessions', teamScope('view-hours'), validate(dateQueryRule), async (req, res) => {
     try {
-        const user = await User.findById(req.params.userId);
+        const user = await User.findOne({ _id: req.params.userId, ...scopedUserFilter(req.scope) });
         if (!user) return res.status(404).json({ error: 'User not found' });
 
         const timezone = user.timezone || 'UTC';
@@ -157,15 +197,61 @@ router.get('/users/:userId/sessions', validate(dateQueryRule), async (req, res)
 });
 
 /**
- * POST /api/admin/promote
+ * GET /api/admin/compliance?from=YYYY-MM-DD&to=YYYY-MM-DD  (view-hours)
+ * Working-time rule violations for every user in the organization, newest first. Defaults to the
+ * last 7 days. See utils/compliance.js for the rules.
+ *
+ * Response: {
+ *   from, to,
+ *   violations: [{ userId, name, email, date, rule, message, actual, limit }],
+ *   counts: { maxDailyHours, minRest, breakRequired }
+ * }
+ */
+router.get('/compliance', requirePermission('view-hours'), validate(dateRangeQueryRules), async (req, res) => {
+    try {
+        const settings = await OrgSettings.getSettings(req.orgId);
+        const to = req.query.to || getTodayInTimezone(settings.general.defaultTimezone);
+        const from = req.query.from || DateTime.fromISO(to).minus({ days: 6 }).toISODate();
+        if (countDates(from, to) > MAX_REPORT_DAYS) {
+            return res.status(400).json({ error: `A report can cover at most ${MAX_REPORT_DAYS} days` });
+        }
+        const dates = listDates(from, to);
+
+        const users = await User.find({ orgId: req.orgId }).select('name email timezone orgId').lean();
+
+        const violations = [];
+        for (const user of users) {
+            const { violations: byDate } = await getComplianceForDates(user, dates, settings);
+            for (const dayViolations of byDate.values()) {
+                for (const violation of dayViolations) {
+                    violations.push({ userId: user._id, name: user.name, email: user.email, ...violation });
+                }
+            }
+        }
+        violations.sort((a, b) => b.date.localeCompare(a.date) || a.name.localeCompare(b.name));
+
+        const counts = { maxDailyHours: 0, minRest: 0, breakRequired: 0 };
+        for (const violation of violations) counts[violation.rule] += 1;
+
+        res.json({ from, to, violations, counts });
+    } catch (err) {
+        console.error('Admin compliance error:', err);
+        res.status(500).json({ error: 'Failed to build compliance report' });
+    }
+});
+
+/**
+ * POST /api/admin/promote  (admin)
  * Promote or demote a user. Body: { userId, makeAdmin: true|false }
- * Writes to AuditLog.
+ * Admin status grants every permission, so only admins may change it;
+ * promote-users only assigns roles (routes/roles.js). Demoting signs the user out on every device, so their admin claim ends
+ * at once rather than when their access token expires. Writes to AuditLog.
  */
-router.post('/promote', validate(promoteRules), async (req, res) => {
+router.post('/promote', adminOnly, validate(promoteRules), async (req, res) => {
     try {
         const { userId, makeAdmin } = req.body;
 
-        const targetUser = await User.findById(userId);
+        const targetUser = await User.findOne({ _id: userId, orgId: req.orgId });
         if (!targetUser) return res.status(404).json({ error: 'User not found' });
 
         // Prevent self-demotion (last admin safeguard)
@@ -177,10 +263,15 @@ router.post('/promote', validate(promoteRules), async (req, res) => {
         targetUser.isAdmin = makeAdmin;
         await targetUser.save();
 
+        const signedOut = previousAdmin && !makeAdmin
+            ? await LoginSession.revokeAllForUser(targetUser._id, 'demoted')
+            : 0;
+
         const action = makeAdmin ? 'PROMOTE' : 'DEMOTE';
         await AuditLog.record(action, req.userId, targetUser._id, {
             previousAdmin,
             newAdmin: makeAdmin,
+            ...(signedOut && { signedOut }),
         });
 
         res.json({
@@ -194,17 +285,111 @@ router.post('/promote', validate(promoteRules), async (req, res) => {
 });
 
 /**
- * POST /api/admin/invite
- * Create an admin invite token. Body: { email, expiresInHours? }
+ * POST /api/admin/users/:userId/2fa/reset  (admin)
+ * Turn off a user's two-factor authentication, e.g. after they lost their
+ * phone and their recovery codes. If their organization requires 2FA they
+ * set it up again at their next sign-in. Admins manage their own 2FA from
+ * their settings instead. Writes to AuditLog.
+ */
+router.post('/users/:userId/2fa/reset', adminOnly, validate(userIdParamRule), async (req, res) => {
+    try {
+        if (req.params.userId === req.userId.toString()) {
+            return res.status(400).json({ error: 'Manage your own two-factor authentication from your settings' });
+        }
+
+        const user = await User.findOne({ _id: req.params.userId, orgId: req.orgId }).select(User.TWO_FACTOR_FIELDS);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'This user has not set up two-factor authentication' });
+        }
+
+        user.clearTwoFactor();
+        await user.save();
+
+        await AuditLog.record('TWO_FACTOR_RESET', req.userId, user._id, {});
+
+        res.json({ message: 'Two-factor authentication reset', user: user.toJSON() });
+    } catch (err) {
+        console.error('Admin 2FA reset error:', err);
+        res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+});
+
+/**
+ * POST /api/admin/users/:userId/logout  (admin)
+ * Sign a user out on every device, e.g. after a lost laptop. Their access
+ * tokens stop working at once; they can sign in again with their password.
+ * Writes to AuditLog.
+ *
+ * Response: { message, count }
+ */
+router.post('/users/:userId/logout', adminOnly, validate(userIdParamRule), async (req, res) => {
+    try {
+        if (req.params.userId === req.userId.toString()) {
+            return res.status(400).json({ error: 'Sign out your own devices from your settings' });
+        }
+
+        const user = await User.exists({ _id: req.params.userId, orgId: req.orgId });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const count = await LoginSession.revokeAllForUser(user._id, 'admin');
+
+        await AuditLog.record('FORCE_LOGOUT', req.userId, user._id, { sessions: count });
+
+        res.json({ message: 'User signed out everywhere', count });
+    } catch (err) {
+        console.error('Admin force logout error:', err);
+        res.status(500).json({ error: 'Failed to sign user out' });
+    }
+});
+
+/**
+ * POST /api/admin/users/:userId/unlock  (admin)
+ * Lift a lockout from failed sign-ins (see utils/lockout.js) and forget the
+ * failed attempts, e.g. once the user has confirmed it was them.
+ * Writes to AuditLog.
+ */
+router.post('/users/:userId/unlock', adminOnly, validate(userIdParamRule), async (req, res) => {
+    try {
+        const user = await User.findOne({ _id: req.params.userId, orgId: req.orgId });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const { count, lockedUntil } = user.loginFailures;
+        if (!clearLoginFailures(user)) {
+            return res.status(400).json({ error: 'This account has no failed sign-ins to clear' });
+        }
+        await user.save();
+
+        await AuditLog.record('ACCOUNT_UNLOCKED', req.userId, user._id, {
+            failures: count,
+            wasLockedUntil: lockedUntil > new Date() ? lockedUntil : null,
+        });
+
+        res.json({ message: 'Account unlocked', user: user.toJSON() });
+    } catch (err) {
+        console.error('Admin unlock error:', err);
+        res.status(500).json({ error: 'Failed to unlock account' });
+    }
+});
+
+/**
+ * POST /api/admin/invite  (manage-invites)
+ * Create an invite token into the caller's organization.
+ * Body: { email, expiresInHours?, asAdmin? }  (asAdmin defaults to true;
+ * only admins may invite admins)
  * Returns the token (and invite link).
  */
-router.post('/invite', validate(inviteRules), async (req, res) => {
+router.post('/invite', requirePermission('manage-invites'), validate(inviteRules), async (req, res) => {
     try {
-        const { email, expiresInHours } = req.body;
+        const { email, expiresInHours, asAdmin = true } = req.body;
         const hours = expiresInHours || parseInt(process.env.ADMIN_INVITE_EXPIRY_HOURS, 10) || 48;
 
+        if (asAdmin && !req.isAdmin) {
+            return res.status(403).json({ error: 'Only admins can invite admins' });
+        }
+
         // Check if there's already a pending unused invite for this email
-        const existingInvite = await AdminInvite.findOne({ email, usedAt: null });
+        const existingInvite = await AdminInvite.findOne({ orgId: req.orgId, email, usedAt: null });
         if (existingInvite && existingInvite.isValid()) {
             return res.status(409).json({
                 error: 'A pending invite already exists for this email',
@@ -214,6 +399,8 @@ router.post('/invite', validate(inviteRules), async (req, res) => {
 
         const invite = new AdminInvite({
             email,
+            orgId: req.orgId,
+            grantsAdmin: asAdmin,
             invitedByUserId: req.userId,
             expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
         });
@@ -245,24 +432,109 @@ router.post('/invite', validate(inviteRules), async (req, res) => {
 });
 
 /**
- * GET /api/admin/audit?page=1&limit=50
- * Returns audit logs, most recent first. Paginated.
+ * GET /api/admin/settings  (admin)
+ * Returns the organization-wide settings.
+ *
+ * Response: {
+ *   settings: {
+ *     general: { defaultTimezone },
+ *     autoClose: { maxSessionHours, dailyCutoffTime },
+ *     corrections: { requireApproval },
+ *     calendar: { workDays },
+ *     flex: { startDate, resetPeriod, maxCarryOverHours, carryOverDeficit },
+ *     compliance: { maxDailyHours, minRestHours, breakAfterHours, minBreakMinutes, warnBeforeMinutes },
+ *     security: { requireTwoFactorForAdmins }
+ *   }
+ * }
+ */
+router.get('/settings', adminOnly, async (req, res) => {
+    try {
+        const settings = await OrgSettings.getSettings(req.orgId);
+        res.json({ settings });
+    } catch (err) {
+        console.error('Get settings error:', err);
+        res.status(500).json({ error: 'Failed to get settings' });
+    }
+});
+
+// Settings sections and the fields admins may change in each
+const SETTINGS_FIELDS = {
+    general: ['defaultTimezone'],
+    security: ['requireTwoFactorForAdmins'],
+    autoClose: ['maxSessionHours', 'dailyCutoffTime'],
+    corrections: ['requireApproval'],
+    calendar: ['workDays'],
+    flex: ['startDate', 'resetPeriod', 'maxCarryOverHours', 'carryOverDeficit'],
+    compliance: ['maxDailyHours', 'minRestHours', 'breakAfterHours', 'minBreakMinutes', 'warnBeforeMinutes'],
+};
+
+/**
+ * PUT /api/admin/settings  (admin)
+ * Update the organization-wide settings. Omitted fields are left unchanged;
+ * null disables a rule.
+ *
+ * Request:  {
+ *   general?: { defaultTimezone?: string },  // IANA timezone
+ *   security?: { requireTwoFactorForAdmins?: boolean },  // applies at each admin's next sign-in
+ *   autoClose?: { maxSessionHours?: number|null, dailyCutoffTime?: 'HH:mm'|null },
+ *   corrections?: { requireApproval?: boolean },
+ *   calendar?: { workDays?: number[] },  // ISO weekdays, 1 = Monday
+ *   flex?: {
+ *     startDate?: 'YYYY-MM-DD'|null, resetPeriod?: 'none'|'month'|'quarter'|'year',
+ *     maxCarryOverHours?: number|null, carryOverDeficit?: boolean
+ *   },
+ *   compliance?: {
+ *     maxDailyHours?, minRestHours?, breakAfterHours?, minBreakMinutes?: number|null,
+ *     warnBeforeMinutes?: number
+ *   }
+ * }
+ * Response: { settings }
+ */
+router.put('/settings', adminOnly, validate(orgSettingsRules), async (req, res) => {
+    try {
+        const settings = await OrgSettings.getSettings(req.orgId);
+        const before = {};
+        const after = {};
+
+        for (const [section, fields] of Object.entries(SETTINGS_FIELDS)) {
+            const changes = req.body[section];
+            if (!changes) continue;
+            before[section] = settings.toObject()[section];
+            for (const field of fields) {
+                if (changes[field] !== undefined) settings[section][field] = changes[field];
+            }
+            after[section] = settings.toObject()[section];
+        }
+        await settings.save();
+
+        await AuditLog.record('SETTINGS_UPDATED', req.userId, null, { before, after });
+
+        res.json({ settings });
+    } catch (err) {
+        console.error('Update settings error:', err);
+        res.status(500).json({ error: 'Failed to update settings' });
+    }
+});
+
+/**
+ * GET /api/admin/audit?page=1&limit=50  (view-audit)
+ * Returns the organization's audit logs, most recent first. Paginated.
  */
-router.get('/audit', async (req, res) => {
+router.get('/audit', requirePermission('view-audit'), async (req, res) => {
     try {
         const page = Math.max(1, parseInt(req.query.page, 10) || 1);
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
         const skip = (page - 1) * limit;
 
         const [logs, total] = await Promise.all([
-            AuditLog.find()
+            AuditLog.find({ orgId: req.orgId })
                 .sort({ timestamp: -1 })
                 .skip(skip)
                 .limit(limit)
                 .populate('actorUserId', 'name email')
                 .populate('targetUserId', 'name email')
                 .lean(),
-            AuditLog.countDocuments(),
+            AuditLog.countDocuments({ orgId: req.orgId }),
         ]);
 
         res.json({
@@ -281,15 +553,20 @@ router.get('/audit', async (req, res) => {
 });
 
 /**
- * GET /api/admin/export?date=YYYY-MM-DD
- * Export daily summary as CSV.
+ * GET /api/admin/export?date=YYYY-MM-DD&teamId=  (export or manager)
+ * Export daily summary as CSV, for the same users as GET /api/admin/users.
  */
-router.get('/export', validate(dateQueryRule), async (req, res) => {
+router.get('/export', teamScope('export'), validate(adminUsersQueryRules), async (req, res) => {
     try {
-        const users = await User.find().select('-passwordHash').lean();
-        const date = req.query.date || getTodayInTimezone('Asia/Kolkata');
+        const filter = scopedUserFilter(req.scope, req.query.teamId);
+        if (!filter) return res.status(404).json({ error: 'Team not found' });
+
+        const users = await User.find(filter).select('-passwordHash').lean();
+        const settings = await OrgSettings.getSettings(req.orgId);
+        const date = req.query.date || getTodayInTimezone(settings.general.defaultTimezone);
 
-        const rows = [['Name', 'Email', 'Hours Worked', 'Goal Hours', 'Progress %', 'Status']];
+        const rows = [['Name', 'Email', 'Hours Worked', 'Goal Hours', 'Progress %', 'Flex Balance', 'Status']];
+        const flexBalances = await getFlexBalances(users, settings);
 
         for (const user of users) {
             const timezone = user.timezone || 'UTC';
@@ -303,10 +580,11 @@ router.get('/export', validate(dateQueryRule), async (req, res) => {
             });
 
             const totalMs = computeDayTotal(sessions, effectiveDate, timezone);
-            const goalDoc = await DailyGoal.findOne({ userId: user._id, date: effectiveDate });
-            const goalHours = goalDoc ? goalDoc.goalHours : user.defaultDailyGoal;
+            const goals = await getGoalsForDates(user, [effectiveDate]);
+            const { goalHours } = goals.get(effectiveDate);
             const progress = computeProgressPercent(totalMs, goalHours);
             const isOnline = sessions.some((s) => !s.endAt);
+            const { balanceHours } = flexBalances.get(String(user._id));
 
             rows.push([
                 user.name,
@@ -314,6 +592,7 @@ router.get('/export', validate(dateQueryRule), async (req, res) => {
                 (totalMs / 3600000).toFixed(2),
                 goalHours.toString(),
                 Math.round(progress).toString(),
+                balanceHours.toFixed(2),
                 isOnline ? 'Online' : 'Offline',
             ]);
         }
@@ -1,45 +1,126 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
 const User = require('../models/User');
 const AdminInvite = require('../models/AdminInvite');
+const UserToken = require('../models/UserToken');
+const LoginSession = require('../models/LoginSession');
+const Organization = require('../models/Organization');
+const OrgSettings = require('../models/OrgSettings');
 const AuditLog = require('../models/AuditLog');
-const authLimiter = require('../middleware/rateLimiter');
-const { validate, registerRules, loginRules } = require('../middleware/validate');
+const {
+    registerLimiter,
+    loginLimiter,
+    twoFactorLimiter,
+    passwordLimiter,
+    emailVerificationLimiter,
+} = require('../middleware/rateLimiter');
+const { sendMail } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const {
+    setAccessCookie,
+    setRefreshCookie,
+    clearAuthCookies,
+    startLoginSession,
+    signLoginChallenge,
+    completeLogin,
+} = require('../utils/signIn');
+const {
+    getLoginBlock,
+    describeLoginBlock,
+    recordLoginFailure,
+    clearLoginFailures,
+} = require('../utils/lockout');
+const {
+    validate,
+    registerRules,
+    loginRules,
+    changePasswordRules,
+    forgotPasswordRules,
+    resetPasswordRules,
+    verifyEmailRules,
+    twoFactorLoginRules,
+    twoFactorChallengeRules,
+    twoFactorEnrollRules,
+} = require('../middleware/validate');
 
 const router = express.Router();
 
 /**
- * Helper: create a JWT and set it as an HttpOnly cookie.
- * Includes isAdmin in the JWT claims (verified from DB at sign-in time).
+ * Middleware for the second login step: resolves body.challengeToken to
+ * `req.challengeUser` (with the two-factor fields) and `req.adminLogin`.
  */
-function setTokenCookie(res, userId, isAdmin = false) {
-    const token = jwt.sign({ userId, isAdmin }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-    });
-
-    res.cookie('token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
-
-    return token;
+async function loginChallenge(req, res, next) {
+    let decoded;
+    try {
+        decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch {
+        decoded = null;
+    }
+    if (decoded?.purpose !== 'login-2fa') {
+        return res.status(401).json({ error: 'Sign-in expired, please sign in again' });
+    }
+
+    try {
+        const user = await User.findById(decoded.userId).select(User.TWO_FACTOR_FIELDS);
+        if (!user) {
+            return res.status(401).json({ error: 'Sign-in expired, please sign in again' });
+        }
+        req.challengeUser = user;
+        req.adminLogin = decoded.adminLogin;
+        next();
+    } catch (err) {
+        console.error('Login challenge error:', err);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+}
+
+/**
+ * Helper: refuse a sign-in attempt while the account is locked or slowed
+ * down (HTTP 429 with Retry-After).
+ */
+function sendLoginBlocked(res, block) {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(429).json({ error: describeLoginBlock(block), retryAfter: block.retryAfter });
+}
+
+/**
+ * Helper: answer a wrong password or code. Counts the failure against the
+ * account; the attempt that locks it is told so and audited.
+ */
+async function sendLoginFailed(req, res, user, error) {
+    const { failures, lockedUntil } = await recordLoginFailure(user._id);
+    if (!lockedUntil) {
+        return res.status(401).json({ error });
+    }
+
+    await AuditLog.record('ACCOUNT_LOCKED', user._id, user._id, { ip: req.ip, failures, lockedUntil });
+    return sendLoginBlocked(res, getLoginBlock({ loginFailures: { lockedUntil } }));
 }
 
 /**
  * POST /api/auth/register
- * Request:  { name, email, password, timezone?, defaultDailyGoal?, inviteToken? }
- * If inviteToken is provided and valid, the user is created with isAdmin=true.
+ * Request:  { name, email, password, timezone?, defaultDailyGoal?, inviteToken?, organizationName? }
+ * Where the user lands:
+ *   - inviteToken: the inviting organization, as an admin if the invite says so
+ *   - organizationName: a new organization, with the user as its first admin
+ *   - neither: the default organization, as an employee
  * Any isAdmin field in the body is STRIPPED — users cannot self-declare.
+ * The timezone defaults to the organization's.
+ * The user is signed in, but mailed a link to verify their email address
+ * before they can use the app (see utils/emailVerification.js).
  */
 router.post(
     '/register',
-    authLimiter,
+    registerLimiter,
     validate(registerRules),
     async (req, res) => {
         try {
-            const { name, email, password, timezone, defaultDailyGoal, inviteToken } = req.body;
+            const { name, email, password, timezone, defaultDailyGoal, inviteToken, organizationName } = req.body;
+
+            if (inviteToken && organizationName) {
+                return res.status(400).json({ error: 'Use either an invite or a new organization, not both' });
+            }
 
             // Check if user already exists
             const existingUser = await User.findOne({ email });
@@ -47,9 +128,11 @@ router.post(
                 return res.status(409).json({ error: 'Email already registered' });
             }
 
-            // Determine admin status from invite token (never from client isAdmin)
+            // Determine organization and admin status from the invite token or
+            // a new organization (never from client isAdmin)
             let grantAdmin = false;
             let invite = null;
+            let organization = null;
 
             if (inviteToken) {
                 invite = await AdminInvite.findOne({ token: inviteToken });
@@ -64,20 +147,37 @@ router.post(
                     return res.status(400).json({ error: 'Email does not match invite' });
                 }
 
+                grantAdmin = invite.grantsAdmin;
+            } else if (organizationName) {
+                organization = await Organization.create({ name: organizationName });
                 grantAdmin = true;
             }
 
+            const orgId = invite?.orgId || organization?._id || (await Organization.getDefault())._id;
+            const settings = await OrgSettings.getSettings(orgId);
+
             const user = new User({
                 name,
                 email,
                 passwordHash: password, // pre-save hook will hash this
-                timezone: timezone || 'Asia/Kolkata',
+                orgId,
+                timezone: timezone || settings.general.defaultTimezone,
                 defaultDailyGoal: defaultDailyGoal || 8,
-                isAdmin: grantAdmin, // only true via valid invite
+                isAdmin: grantAdmin, // only true via valid invite or a new organization
             });
 
             await user.save();
 
+            if (organization) {
+                organization.createdByUserId = user._id;
+                await organization.save();
+
+                await AuditLog.record('ORG_CREATED', user._id, user._id, {
+                    orgId: organization._id,
+                    name: organization.name,
+                });
+            }
+
             // Mark invite as used
             if (invite) {
                 invite.usedAt = new Date();
@@ -89,9 +189,16 @@ router.post(
                 });
             }
 
-            setTokenCookie(res, user._id, user.isAdmin);
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailErr) {
+                // They can ask for another link once signed in
+                console.error('Verification mail error:', mailErr);
+            }
+
+            await startLoginSession(req, res, user);
 
-            res.status(201).json({ user: user.toJSON() });
+            res.status(201).json({ user: await user.toProfile() });
         } catch (err) {
             console.error('Register error:', err);
             res.status(500).json({ error: 'Server error during registration' });
@@ -103,10 +210,18 @@ router.post(
  * POST /api/auth/login
  * Request:  { email, password, adminLogin? }
  * If adminLogin is true but user.isAdmin is false, returns 403.
+ * Failed attempts count against the account (see utils/lockout.js): once it
+ * is slowed down or locked, attempts get 429 without the password being
+ * checked.
+ * Response: { user }, or, when a second step is needed,
+ *           { twoFactor: 'verify' | 'enroll', challengeToken }
+ *   - verify: send a code to POST /api/auth/login/2fa
+ *   - enroll: the organization requires 2FA for admins and this one has not
+ *     set it up yet; use /login/2fa/setup and /login/2fa/enable
  */
 router.post(
     '/login',
-    authLimiter,
+    loginLimiter,
     validate(loginRules),
     async (req, res) => {
         try {
@@ -117,9 +232,14 @@ router.post(
                 return res.status(401).json({ error: 'Invalid email or password' });
             }
 
+            const block = getLoginBlock(user);
+            if (block) {
+                return sendLoginBlocked(res, block);
+            }
+
             const isMatch = await user.comparePassword(password);
             if (!isMatch) {
-                return res.status(401).json({ error: 'Invalid email or password' });
+                return sendLoginFailed(req, res, user, 'Invalid email or password');
             }
 
             // Admin login gate: if client requests admin login but user is not admin
@@ -133,18 +253,17 @@ router.post(
                 });
             }
 
-            // Update last login time
-            user.lastLoginAt = new Date();
-            await user.save();
-
-            // Audit admin logins
-            if (adminLogin && user.isAdmin) {
-                await AuditLog.record('ADMIN_LOGIN', user._id, user._id, { ip: req.ip });
+            // Second factor: no session until the code is checked
+            if (user.twoFactor.enabled || await user.isTwoFactorRequired()) {
+                return res.json({
+                    twoFactor: user.twoFactor.enabled ? 'verify' : 'enroll',
+                    challengeToken: signLoginChallenge(user, adminLogin),
+                });
             }
 
-            setTokenCookie(res, user._id, user.isAdmin);
+            await completeLogin(req, res, user, adminLogin);
 
-            res.json({ user: user.toJSON() });
+            res.json({ user: await user.toProfile() });
         } catch (err) {
             console.error('Login error:', err);
             res.status(500).json({ error: 'Server error during login' });
@@ -152,16 +271,372 @@ router.post(
     }
 );
 
+/**
+ * POST /api/auth/login/2fa
+ * Request:  { challengeToken, code } or { challengeToken, recoveryCode }
+ * Second login step. A recovery code works once. Wrong codes count towards
+ * the account lockout like wrong passwords.
+ * Response: { user }
+ */
+router.post(
+    '/login/2fa',
+    twoFactorLimiter,
+    validate(twoFactorLoginRules),
+    loginChallenge,
+    async (req, res) => {
+        try {
+            const user = req.challengeUser;
+            const { code, recoveryCode } = req.body;
+
+            if (!user.twoFactor.enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is not set up' });
+            }
+
+            const block = getLoginBlock(user);
+            if (block) {
+                return sendLoginBlocked(res, block);
+            }
+
+            const verified = code !== undefined ? user.verifyTotpCode(code) : user.useRecoveryCode(recoveryCode);
+            if (!verified) {
+                return sendLoginFailed(req, res, user, 'Invalid authentication code');
+            }
+
+            if (code === undefined) {
+                await AuditLog.record('RECOVERY_CODE_USED', user._id, user._id, {
+                    remaining: user.twoFactor.recoveryCodeHashes.length,
+                    ip: req.ip,
+                });
+            }
+
+            await completeLogin(req, res, user, req.adminLogin);
+
+            res.json({ user: await user.toProfile() });
+        } catch (err) {
+            console.error('Two-factor login error:', err);
+            res.status(500).json({ error: 'Server error during login' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/login/2fa/setup
+ * Request:  { challengeToken }
+ * Enrollment during sign-in, for admins who must use 2FA but have not set
+ * it up. Hands out a new secret to add to an authenticator app.
+ * Response: { secret, otpauthUri }
+ */
+router.post(
+    '/login/2fa/setup',
+    twoFactorLimiter,
+    validate(twoFactorChallengeRules),
+    loginChallenge,
+    async (req, res) => {
+        try {
+            const user = req.challengeUser;
+            if (user.twoFactor.enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is already set up' });
+            }
+
+            const setup = user.beginTwoFactorSetup();
+            await user.save();
+
+            res.json(setup);
+        } catch (err) {
+            console.error('Two-factor setup error:', err);
+            res.status(500).json({ error: 'Failed to start two-factor setup' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/login/2fa/enable
+ * Request:  { challengeToken, code }
+ * Confirms enrollment with a code from the new secret and signs in.
+ * Response: { user, recoveryCodes } — the codes are shown only this once
+ */
+router.post(
+    '/login/2fa/enable',
+    twoFactorLimiter,
+    validate(twoFactorEnrollRules),
+    loginChallenge,
+    async (req, res) => {
+        try {
+            const user = req.challengeUser;
+            if (user.twoFactor.enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is already set up' });
+            }
+
+            const recoveryCodes = user.confirmTwoFactorSetup(req.body.code);
+            if (!recoveryCodes) {
+                return res.status(400).json({ error: 'Invalid authentication code' });
+            }
+
+            await AuditLog.record('TWO_FACTOR_ENABLED', user._id, user._id, { duringLogin: true });
+
+            await completeLogin(req, res, user, req.adminLogin);
+
+            res.json({ user: await user.toProfile(), recoveryCodes });
+        } catch (err) {
+            console.error('Two-factor enable error:', err);
+            res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/change-password
+ * Request:  { currentPassword, newPassword }
+ * Requires the current password, so a borrowed signed-in browser is not
+ * enough to take over the account. Signs out every other device.
+ */
+router.post(
+    '/change-password',
+    passwordLimiter,
+    auth.allowUnverified,
+    validate(changePasswordRules),
+    async (req, res) => {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            const user = await User.findById(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            if (!(await user.comparePassword(currentPassword))) {
+                return res.status(400).json({ error: 'Current password is incorrect' });
+            }
+
+            user.passwordHash = newPassword; // pre-save hook will hash this
+            await user.save();
+
+            const signedOut = await LoginSession.revokeAllForUser(user._id, 'password', {
+                except: req.loginSessionId,
+            });
+
+            await AuditLog.record('PASSWORD_CHANGED', user._id, user._id, { ip: req.ip, signedOut });
+
+            res.json({ message: 'Password changed' });
+        } catch (err) {
+            console.error('Change password error:', err);
+            res.status(500).json({ error: 'Failed to change password' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * Request:  { email }
+ * Mails a single-use reset link (valid PASSWORD_RESET_EXPIRY_MINUTES, default
+ * 60) if the account exists. The response is the same either way, so it
+ * cannot be used to find out who has an account.
+ */
+router.post(
+    '/forgot-password',
+    passwordLimiter,
+    validate(forgotPasswordRules),
+    async (req, res) => {
+        try {
+            const user = await User.findOne({ email: req.body.email });
+
+            if (user) {
+                const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES, 10) || 60;
+                const token = await UserToken.issue(user._id, 'password-reset', minutes);
+
+                const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+                try {
+                    await sendMail({
+                        to: user.email,
+                        subject: 'Reset your WorkHourTracker password',
+                        text: [
+                            `Hi ${user.name},`,
+                            '',
+                            'Someone asked to reset the password for your WorkHourTracker account.',
+                            `Choose a new password within ${minutes} minutes here:`,
+                            '',
+                            `${clientUrl}/reset-password?token=${token}`,
+                            '',
+                            'If this wasn\'t you, ignore this email; your password stays the same.',
+                        ].join('\n'),
+                    });
+                } catch (mailErr) {
+                    console.error('Password reset mail error:', mailErr);
+                }
+
+                await AuditLog.record('PASSWORD_RESET_REQUESTED', user._id, user._id, { ip: req.ip });
+            }
+
+            res.json({ message: 'If that email is registered, a reset link is on its way' });
+        } catch (err) {
+            console.error('Forgot password error:', err);
+            res.status(500).json({ error: 'Failed to request a password reset' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Request:  { token, password }
+ * Sets a new password with a token from a reset link. The token works once;
+ * every device is signed out and the user signs in again with the new password.
+ * A lockout from failed sign-ins is lifted and the email address counts as
+ * verified, as the link proves ownership.
+ */
+router.post(
+    '/reset-password',
+    passwordLimiter,
+    validate(resetPasswordRules),
+    async (req, res) => {
+        try {
+            const resetToken = await UserToken.consume(req.body.token, 'password-reset');
+            if (!resetToken) {
+                return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+            }
+
+            const user = await User.findById(resetToken.userId);
+            if (!user) {
+                return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+            }
+
+            user.passwordHash = req.body.password; // pre-save hook will hash this
+            clearLoginFailures(user);
+            if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+            await user.save();
+
+            const signedOut = await LoginSession.revokeAllForUser(user._id, 'password');
+
+            await AuditLog.record('PASSWORD_RESET', user._id, user._id, { ip: req.ip, signedOut });
+
+            res.json({ message: 'Password reset. You can sign in now.' });
+        } catch (err) {
+            console.error('Reset password error:', err);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/verify-email
+ * Request:  { token }
+ * Marks the email address verified with a token from the link mailed at
+ * registration. Works without being signed in, as the link may be opened on
+ * another device; a signed-in client refreshes its session afterwards to
+ * lift the restrictions.
+ */
+router.post(
+    '/verify-email',
+    emailVerificationLimiter,
+    validate(verifyEmailRules),
+    async (req, res) => {
+        try {
+            const verifyToken = await UserToken.consume(req.body.token, 'email-verification');
+            const user = verifyToken && await User.findById(verifyToken.userId);
+            if (!user) {
+                return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+            }
+
+            if (!user.emailVerifiedAt) {
+                user.emailVerifiedAt = new Date();
+                await user.save();
+
+                await AuditLog.record('EMAIL_VERIFIED', user._id, user._id, { ip: req.ip });
+            }
+
+            res.json({ message: 'Email address verified' });
+        } catch (err) {
+            console.error('Verify email error:', err);
+            res.status(500).json({ error: 'Failed to verify email address' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Mails the signed-in user a new verification link; earlier links stop
+ * working.
+ */
+router.post(
+    '/verify-email/resend',
+    emailVerificationLimiter,
+    auth.allowUnverified,
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (user.emailVerifiedAt) {
+                return res.status(400).json({ error: 'Your email address is already verified' });
+            }
+
+            await sendVerificationEmail(user);
+
+            res.json({ message: `A new link is on its way to ${user.email}` });
+        } catch (err) {
+            console.error('Resend verification error:', err);
+            res.status(500).json({ error: 'Failed to send the verification email' });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/refresh
+ * Trade the refresh cookie for a new one and a new access token, with the
+ * claims (admin status, roles) re-read from the database. Each refresh token
+ * works once: presenting a replaced one again revokes the session, as it
+ * means the token was copied (audited as REFRESH_TOKEN_REUSED).
+ *
+ * Response: { user }
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const token = req.cookies?.refreshToken;
+        const result = token ? await LoginSession.rotate(token, { ip: req.ip }) : null;
+
+        if (result?.reused) {
+            const { userId } = result.session;
+            await AuditLog.record('REFRESH_TOKEN_REUSED', userId, userId, {
+                ip: req.ip,
+                loginSessionId: result.session._id,
+            });
+        }
+
+        const user = result && !result.reused ? await User.findById(result.session.userId) : null;
+        if (!user) {
+            clearAuthCookies(res);
+            return res.status(401).json({ error: 'Your session has ended, please sign in again' });
+        }
+
+        // No new token when a concurrent refresh already rotated it; that
+        // response carries the new cookies
+        if (result.refreshToken) {
+            setAccessCookie(res, user, result.session);
+            setRefreshCookie(res, result.refreshToken, result.session);
+        }
+
+        res.json({ user: await user.toProfile() });
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
 /**
  * POST /api/auth/logout
- * Clears the auth cookie.
+ * Ends this device's login session and clears the auth cookies.
  */
-router.post('/logout', (req, res) => {
-    res.clearCookie('token', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-    });
+router.post('/logout', async (req, res) => {
+    try {
+        const token = req.cookies?.refreshToken;
+        const session = token ? await LoginSession.findByRefreshToken(token) : null;
+        if (session) await session.revoke('logout');
+    } catch (err) {
+        // Signing out locally still works; the session expires on its own
+        console.error('Logout error:', err);
+    }
+
+    clearAuthCookies(res);
     res.json({ message: 'Logged out' });
 });
 
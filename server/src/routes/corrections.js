@@ -0,0 +1,305 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const CorrectionRequest = require('../models/CorrectionRequest');
+const Session = require('../models/Session');
+const Project = require('../models/Project');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { validate, correctionRules, reviewCorrectionRules } = require('../middleware/validate');
+const { getDayBounds, getTodayInTimezone } = require('../utils/time');
+const { planCorrection } = require('../utils/corrections');
+
+const router = express.Router();
+
+// All correction routes require authentication; review routes also require
+// the edit-sessions permission
+router.use(auth);
+
+/**
+ * The user's sessions that could interact with a correction for `date`:
+ * everything overlapping that day or the next (overnight additions).
+ */
+function findSessionsAround(userId, date, timezone) {
+    const { dayStart, dayEnd } = getDayBounds(date, timezone);
+    return Session.find({
+        userId,
+        startAt: { $lt: new Date(dayEnd.getTime() + 24 * 3600000) },
+        $or: [{ endAt: { $gt: dayStart } }, { endAt: null }],
+    }).sort({ startAt: 1 });
+}
+
+/**
+ * Check every project referenced by the changes exists and is available to the user.
+ * @returns {Promise<string|null>} error message, or null if all allowed
+ */
+async function checkProjects(changes, userId, orgId) {
+    const ids = changes.map((c) => c.projectId).filter(Boolean);
+    if (ids.length === 0) return null;
+    const projects = await Project.find({ _id: { $in: ids }, orgId });
+    const allowed = new Set(projects.filter((p) => p.isAvailableTo(userId)).map((p) => String(p._id)));
+    return ids.every((id) => allowed.has(String(id)))
+        ? null
+        : 'Project not found or not available to you';
+}
+
+/**
+ * Validate a correction for a user against their current sessions.
+ * @returns {Promise<{ status?: number, error?: string, errors?: string[], plan? }>}
+ */
+async function prepareCorrection(user, date, changes) {
+    const timezone = user.timezone || 'UTC';
+    const sessions = await findSessionsAround(user._id, date, timezone);
+    const plan = planCorrection({ userId: user._id, orgId: user.orgId, date, timezone, changes, sessions });
+
+    if (plan.errors.length > 0) {
+        return { status: 400, error: plan.errors[0], errors: plan.errors };
+    }
+
+    const dates = [date, ...plan.after.map((s) =>
+        DateTime.fromJSDate(s.endAt, { zone: timezone }).toISODate())];
+    if (await Timesheet.isLocked(user._id, dates)) {
+        return { status: 403, error: 'This week\'s timesheet is approved and locked' };
+    }
+
+    const projectError = await checkProjects(changes, user._id, user.orgId);
+    if (projectError) return { status: 400, error: projectError };
+
+    return { plan };
+}
+
+/**
+ * POST /api/corrections
+ * Propose changes to one day's sessions. Nothing changes until an admin approves.
+ *
+ * Request: {
+ *   date: 'YYYY-MM-DD', reason,
+ *   changes: [{ type: 'add'|'update'|'remove', sessionId?, startTime?, endTime?, projectId? }]
+ * }
+ * Response: { correction }
+ */
+router.post('/', validate(correctionRules), async (req, res) => {
+    try {
+        const { date, reason, changes } = req.body;
+        const user = await User.findById(req.userId);
+
+        if (date > getTodayInTimezone(user.timezone || 'UTC')) {
+            return res.status(400).json({ error: 'Cannot correct a future date' });
+        }
+
+        const { status, error, errors } = await prepareCorrection(user, date, changes);
+        if (error) {
+            return res.status(status).json({ error, errors });
+        }
+
+        const correction = await CorrectionRequest.create({
+            userId: req.userId,
+            date,
+            reason,
+            changes,
+        });
+
+        await AuditLog.record('CORRECTION_REQUESTED', req.userId, req.userId, {
+            correctionId: correction._id,
+            date,
+            reason,
+        });
+
+        res.status(201).json({ correction });
+    } catch (err) {
+        console.error('Create correction error:', err);
+        res.status(500).json({ error: 'Failed to create correction request' });
+    }
+});
+
+/**
+ * GET /api/corrections
+ * The caller's correction requests, newest first.
+ *
+ * Response: { corrections }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const corrections = await CorrectionRequest.find({ userId: req.userId })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .populate('reviewedByUserId', 'name');
+        res.json({ corrections });
+    } catch (err) {
+        console.error('List corrections error:', err);
+        res.status(500).json({ error: 'Failed to list correction requests' });
+    }
+});
+
+/**
+ * GET /api/corrections/review?status=pending  (edit-sessions)
+ * Correction requests with the requester and the sessions currently recorded
+ * for that day, so the admin can compare before approving. Oldest first when pending.
+ *
+ * Response: { corrections: [{ ..., userId: { _id, name, email, timezone }, currentSessions }] }
+ */
+router.get('/review', requirePermission('edit-sessions'), async (req, res) => {
+    try {
+        const status = ['pending', 'approved', 'rejected'].includes(req.query.status)
+            ? req.query.status
+            : 'pending';
+
+        const corrections = await CorrectionRequest.find({ orgId: req.orgId, status })
+            .sort({ createdAt: status === 'pending' ? 1 : -1 })
+            .limit(100)
+            .populate('userId', 'name email timezone')
+            .populate('reviewedByUserId', 'name')
+            .lean();
+
+        for (const c of corrections) {
+            const timezone = c.userId?.timezone || 'UTC';
+            const { dayStart, dayEnd } = getDayBounds(c.date, timezone);
+            c.currentSessions = await Session.find({
+                userId: c.userId?._id,
+                startAt: { $gte: dayStart, $lt: dayEnd },
+            }).sort({ startAt: 1 }).lean();
+        }
+
+        res.json({ corrections });
+    } catch (err) {
+        console.error('List correction reviews error:', err);
+        res.status(500).json({ error: 'Failed to list correction requests' });
+    }
+});
+
+/**
+ * Whether the database can run transactions: replica sets and sharded
+ * clusters can, a standalone mongod cannot.
+ */
+async function supportsTransactions() {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+/**
+ * Helper: mark a pending correction reviewed and apply its writes in one
+ * transaction, so a failed write leaves neither.
+ * @returns {Promise<Document|null>} the reviewed request, or null if it was
+ *          no longer pending
+ */
+async function reviewInTransaction(correctionId, review, ops) {
+    let reviewed = null;
+    const dbSession = await mongoose.startSession();
+    try {
+        await dbSession.withTransaction(async () => {
+            reviewed = await CorrectionRequest.findOneAndUpdate(
+                { _id: correctionId, status: 'pending' },
+                review,
+                { new: true, session: dbSession }
+            );
+            if (reviewed && ops) {
+                await Session.bulkWrite(ops, { ordered: true, session: dbSession });
+            }
+        });
+    } finally {
+        await dbSession.endSession();
+    }
+    return reviewed;
+}
+
+/**
+ * Helper: the same without a transaction — claim the request, then apply the
+ * writes, and put the request back to pending if they fail. Writes before the
+ * failing one stay applied.
+ * @returns {Promise<Document|null>}
+ */
+async function reviewWithoutTransaction(correctionId, review, ops) {
+    const reviewed = await CorrectionRequest.findOneAndUpdate(
+        { _id: correctionId, status: 'pending' },
+        review,
+        { new: true }
+    );
+    if (reviewed && ops) {
+        try {
+            await Session.bulkWrite(ops, { ordered: true });
+        } catch (err) {
+            await CorrectionRequest.updateOne(
+                { _id: correctionId },
+                { status: 'pending', reviewedByUserId: null, reviewedAt: null, reviewComment: '' }
+            );
+            throw err;
+        }
+    }
+    return reviewed;
+}
+
+/**
+ * PATCH /api/corrections/:id/review  (edit-sessions)
+ * Approve or reject a pending correction. Approval re-validates the changes
+ * against the sessions as they are now and applies them with the status
+ * change, in a transaction where the database supports one; the before/after
+ * values go to the audit log.
+ *
+ * Request:  { action: 'approve' | 'reject', comment? }  (comment required to reject)
+ * Response: { correction }
+ */
+router.patch('/:id/review', requirePermission('edit-sessions'), validate(reviewCorrectionRules), async (req, res) => {
+    try {
+        const { action, comment } = req.body;
+        const correction = await CorrectionRequest.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!correction) {
+            return res.status(404).json({ error: 'Correction request not found' });
+        }
+        if (String(correction.userId) === String(req.userId)) {
+            return res.status(403).json({ error: 'You cannot review your own correction request' });
+        }
+        if (correction.status !== 'pending') {
+            return res.status(409).json({ error: `Correction request is already ${correction.status}` });
+        }
+
+        let plan = null;
+        if (action === 'approve') {
+            const user = await User.findById(correction.userId);
+            const changes = correction.toObject().changes;
+            const result = await prepareCorrection(user, correction.date, changes);
+            if (result.error) {
+                // The day changed since the request was made
+                return res.status(result.status === 400 ? 409 : result.status)
+                    .json({ error: result.error, errors: result.errors });
+            }
+            plan = result.plan;
+        }
+
+        // The status filter keeps two admins from applying it twice
+        const review = {
+            status: action === 'approve' ? 'approved' : 'rejected',
+            reviewedByUserId: req.userId,
+            reviewedAt: new Date(),
+            reviewComment: comment || '',
+        };
+        const reviewed = await supportsTransactions()
+            ? await reviewInTransaction(correction._id, review, plan?.ops)
+            : await reviewWithoutTransaction(correction._id, review, plan?.ops);
+        if (!reviewed) {
+            return res.status(409).json({ error: 'Correction request was already reviewed' });
+        }
+
+        await AuditLog.record(
+            action === 'approve' ? 'CORRECTION_APPROVED' : 'CORRECTION_REJECTED',
+            req.userId,
+            correction.userId,
+            {
+                correctionId: correction._id,
+                date: correction.date,
+                reason: correction.reason,
+                comment: comment || '',
+                ...(plan ? { before: plan.before, after: plan.after } : {}),
+            }
+        );
+
+        res.json({ correction: reviewed });
+    } catch (err) {
+        console.error('Review correction error:', err);
+        res.status(500).json({ error: 'Failed to review correction request' });
+    }
+});
+
+module.exports = router;
@@ -1,21 +1,47 @@
 const express = require('express');
 const auth = require('../middleware/auth');
 const DailyGoal = require('../models/DailyGoal');
+const Session = require('../models/Session');
 const User = require('../models/User');
-const { validate, goalRules, dateQueryRule } = require('../middleware/validate');
-const { getTodayInTimezone } = require('../utils/time');
+const Timesheet = require('../models/Timesheet');
+const {
+    validate,
+    goalRules,
+    bulkGoalRules,
+    periodTargetRules,
+    dateQueryRule,
+} = require('../middleware/validate');
+const {
+    getTodayInTimezone,
+    listDates,
+    countDates,
+    getWeekBounds,
+    getMonthBounds,
+    computeRangeTotal,
+} = require('../utils/time');
+const {
+    getGoalsForDates,
+    planBulkGoals,
+    sumGoalHours,
+    computePeriodProgress,
+} = require('../utils/goals');
 
 const router = express.Router();
 
 // All goal routes require authentication
 router.use(auth);
 
+// Longest range a bulk update may cover, in days
+const MAX_BULK_DAYS = 366;
+
 /**
  * GET /api/goals?date=YYYY-MM-DD
  * Get the daily goal for a specific date.
- * Falls back to the user's default if no custom goal exists.
+ * Falls back to the user's weekly schedule, then their default, if no custom
+ * goal exists, and accounts for days off, holidays and approved leave
+ * (see utils/goals.js).
  *
- * Response: { date, goalHours, isDefault }
+ * Response: { date, goalHours, isDefault, dayType, dayLabel, expectedStart, expectedEnd }
  */
 router.get('/', validate(dateQueryRule), async (req, res) => {
     try {
@@ -23,13 +49,10 @@ router.get('/', validate(dateQueryRule), async (req, res) => {
         const timezone = user.timezone || 'UTC';
         const date = req.query.date || getTodayInTimezone(timezone);
 
-        const goalDoc = await DailyGoal.findOne({ userId: req.userId, date });
+        const goals = await getGoalsForDates(user, [date]);
+        const { label, ...goal } = goals.get(date);
 
-        if (goalDoc) {
-            res.json({ date, goalHours: goalDoc.goalHours, isDefault: false });
-        } else {
-            res.json({ date, goalHours: user.defaultDailyGoal, isDefault: true });
-        }
+        res.json({ date, ...goal, dayLabel: label });
     } catch (err) {
         console.error('Get goal error:', err);
         res.status(500).json({ error: 'Failed to get goal' });
@@ -40,6 +63,7 @@ router.get('/', validate(dateQueryRule), async (req, res) => {
  * PUT /api/goals
  * Set or update the daily goal for a specific date.
  * Uses upsert to create or update in a single operation.
+ * Dates in a week with an approved timesheet are locked (403).
  *
  * Request:  { date: 'YYYY-MM-DD', goalHours: 6 }
  * Response: { goal: { userId, date, goalHours } }
@@ -48,9 +72,13 @@ router.put('/', validate(goalRules), async (req, res) => {
     try {
         const { date, goalHours } = req.body;
 
+        if (await Timesheet.isLocked(req.userId, [date])) {
+            return res.status(403).json({ error: 'This week\'s timesheet is approved and locked' });
+        }
+
         const goal = await DailyGoal.findOneAndUpdate(
             { userId: req.userId, date },
-            { goalHours },
+            { $set: { goalHours }, $setOnInsert: { orgId: req.orgId } },
             { upsert: true, new: true, runValidators: true }
         );
 
@@ -61,4 +89,180 @@ router.put('/', validate(goalRules), async (req, res) => {
     }
 });
 
+/**
+ * GET /api/goals/period?date=YYYY-MM-DD
+ * Progress toward the week and month containing `date` (default today).
+ * Each target is the user's explicit weekly/monthly target, or the sum of
+ * the daily goals when none is set.
+ *
+ * Response: {
+ *   date, targets: { weeklyHours, monthlyHours },
+ *   week:  { startDate, endDate, source: 'target'|'daily', targetHours, workedHours,
+ *            remainingHours, remainingWorkdays, hoursNeededPerWorkday, progressPercent },
+ *   month: { ...same }
+ * }
+ */
+router.get('/period', validate(dateQueryRule), async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        const timezone = user.timezone || 'UTC';
+        const today = getTodayInTimezone(timezone);
+        const date = req.query.date || today;
+
+        const periods = {
+            week: { bounds: getWeekBounds(timezone, date), target: user.periodTargets?.weeklyHours },
+            month: { bounds: getMonthBounds(timezone, date), target: user.periodTargets?.monthlyHours },
+        };
+        const { week, month } = periods;
+        const rangeStart = new Date(Math.min(week.bounds.rangeStart, month.bounds.rangeStart));
+        const rangeEnd = new Date(Math.max(week.bounds.rangeEnd, month.bounds.rangeEnd));
+
+        const [goals, sessions] = await Promise.all([
+            getGoalsForDates(user, [...new Set([...week.bounds.dates, ...month.bounds.dates])]),
+            Session.find({
+                userId: req.userId,
+                startAt: { $lt: rangeEnd },
+                $or: [{ endAt: { $gte: rangeStart } }, { endAt: null }],
+            }),
+        ]);
+
+        const result = {};
+        for (const [name, { bounds, target }] of Object.entries(periods)) {
+            const { dates } = bounds;
+            result[name] = {
+                startDate: dates[0],
+                endDate: dates[dates.length - 1],
+                source: target ? 'target' : 'daily',
+                ...computePeriodProgress({
+                    targetHours: target || sumGoalHours(goals, dates),
+                    workedMs: computeRangeTotal(sessions, dates, timezone),
+                    dates,
+                    goals,
+                    today,
+                }),
+            };
+        }
+
+        res.json({
+            date,
+            targets: {
+                weeklyHours: user.periodTargets?.weeklyHours ?? null,
+                monthlyHours: user.periodTargets?.monthlyHours ?? null,
+            },
+            ...result,
+        });
+    } catch (err) {
+        console.error('Get period goals error:', err);
+        res.status(500).json({ error: 'Failed to get period goals' });
+    }
+});
+
+/**
+ * PUT /api/goals/period
+ * Set the caller's weekly and/or monthly hour targets. null goes back to
+ * summing the daily goals.
+ *
+ * Request:  { weeklyHours?: number|null, monthlyHours?: number|null }
+ * Response: { targets: { weeklyHours, monthlyHours } }
+ */
+router.put('/period', validate(periodTargetRules), async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        for (const field of ['weeklyHours', 'monthlyHours']) {
+            if (req.body[field] !== undefined) user.periodTargets[field] = req.body[field];
+        }
+        await user.save();
+
+        res.json({
+            targets: {
+                weeklyHours: user.periodTargets.weeklyHours,
+                monthlyHours: user.periodTargets.monthlyHours,
+            },
+        });
+    } catch (err) {
+        console.error('Set period goals error:', err);
+        res.status(500).json({ error: 'Failed to set period goals' });
+    }
+});
+
+/**
+ * Plan a bulk goal update for the caller from the request body.
+ * @returns {Promise<{ error?: string, plan?: Array, counts?: object }>}
+ */
+async function planBulkUpdate(userId, { startDate, endDate, goalHours, weekdays }) {
+    if (countDates(startDate, endDate) > MAX_BULK_DAYS) {
+        return { error: `A range can cover at most ${MAX_BULK_DAYS} days` };
+    }
+    const dates = listDates(startDate, endDate);
+
+    const [existing, lockedWeeks] = await Promise.all([
+        DailyGoal.find({ userId, date: { $in: dates } }).lean(),
+        Timesheet.findLockedWeeks(userId, dates),
+    ]);
+    const plan = planBulkGoals({
+        dates,
+        weekdays,
+        goalHours,
+        existing: new Map(existing.map((g) => [g.date, g.goalHours])),
+        lockedWeeks,
+    });
+
+    const counts = { create: 0, overwrite: 0, unchanged: 0, locked: 0 };
+    for (const entry of plan) counts[entry.action] += 1;
+    return { plan, counts };
+}
+
+/**
+ * POST /api/goals/bulk/preview
+ * Show what PUT /api/goals/bulk would do without changing anything.
+ *
+ * Request:  { startDate, endDate, goalHours, weekdays?: [1-7] }  (weekdays filter; omit for every day)
+ * Response: {
+ *   dates: [{ date, action: 'create'|'overwrite'|'unchanged'|'locked', previousGoalHours }],
+ *   counts: { create, overwrite, unchanged, locked }
+ * }
+ */
+router.post('/bulk/preview', validate(bulkGoalRules), async (req, res) => {
+    try {
+        const { error, plan, counts } = await planBulkUpdate(req.userId, req.body);
+        if (error) return res.status(400).json({ error });
+
+        res.json({ dates: plan, counts });
+    } catch (err) {
+        console.error('Preview bulk goals error:', err);
+        res.status(500).json({ error: 'Failed to preview goals' });
+    }
+});
+
+/**
+ * PUT /api/goals/bulk
+ * Set the same goal on every matching date in a range, e.g. every Friday in
+ * March. Dates in approved (locked) weeks are skipped and reported.
+ *
+ * Request:  { startDate, endDate, goalHours, weekdays?: [1-7] }
+ * Response: { dates, counts }  (same shape as the preview)
+ */
+router.put('/bulk', validate(bulkGoalRules), async (req, res) => {
+    try {
+        const { error, plan, counts } = await planBulkUpdate(req.userId, req.body);
+        if (error) return res.status(400).json({ error });
+
+        const ops = plan
+            .filter((entry) => entry.action === 'create' || entry.action === 'overwrite')
+            .map((entry) => ({
+                updateOne: {
+                    filter: { userId: req.userId, date: entry.date },
+                    update: { $set: { goalHours: req.body.goalHours }, $setOnInsert: { orgId: req.orgId } },
+                    upsert: true,
+                },
+            }));
+        if (ops.length > 0) await DailyGoal.bulkWrite(ops);
+
+        res.json({ dates: plan, counts });
+    } catch (err) {
+        console.error('Bulk goals error:', err);
+        res.status(500).json({ error: 'Failed to set goals' });
+    }
+});
+
 module.exports = router;
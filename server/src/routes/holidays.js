@@ -0,0 +1,88 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const Holiday = require('../models/Holiday');
+const AuditLog = require('../models/AuditLog');
+const { validate, holidayRules, holidayIdRule } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Everyone can read the calendar; changing it requires admin
+router.use(auth);
+
+/**
+ * GET /api/holidays?year=YYYY
+ * The organization's holidays, in date order. Defaults to the current year.
+ *
+ * Response: { holidays: [{ _id, date, name }] }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const year = /^\d{4}$/.test(req.query.year || '')
+            ? req.query.year
+            : String(new Date().getFullYear());
+
+        const holidays = await Holiday.find({
+            orgId: req.orgId,
+            date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` },
+        }).sort({ date: 1 });
+
+        res.json({ holidays });
+    } catch (err) {
+        console.error('List holidays error:', err);
+        res.status(500).json({ error: 'Failed to list holidays' });
+    }
+});
+
+/**
+ * POST /api/holidays  (admin)
+ * Add a holiday to the calendar. One holiday per date.
+ *
+ * Request:  { date: 'YYYY-MM-DD', name }
+ * Response: { holiday }
+ */
+router.post('/', adminOnly, validate(holidayRules), async (req, res) => {
+    try {
+        const { date, name } = req.body;
+
+        if (await Holiday.exists({ orgId: req.orgId, date })) {
+            return res.status(409).json({ error: 'There is already a holiday on this date' });
+        }
+
+        const holiday = await Holiday.create({ orgId: req.orgId, date, name, createdByUserId: req.userId });
+
+        await AuditLog.record('HOLIDAY_CREATED', req.userId, null, { date, name });
+
+        res.status(201).json({ holiday });
+    } catch (err) {
+        console.error('Create holiday error:', err);
+        res.status(500).json({ error: 'Failed to create holiday' });
+    }
+});
+
+/**
+ * DELETE /api/holidays/:id  (admin)
+ * Remove a holiday from the calendar.
+ *
+ * Response: { message }
+ */
+router.delete('/:id', adminOnly, validate(holidayIdRule), async (req, res) => {
+    try {
+        const holiday = await Holiday.findOneAndDelete({ _id: req.params.id, orgId: req.orgId });
+        if (!holiday) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+
+        await AuditLog.record('HOLIDAY_DELETED', req.userId, null, {
+            date: holiday.date,
+            name: holiday.name,
+        });
+
+        res.json({ message: 'Holiday removed' });
+    } catch (err) {
+        console.error('Delete holiday error:', err);
+        res.status(500).json({ error: 'Failed to delete holiday' });
+    }
+});
+
+module.exports = router;
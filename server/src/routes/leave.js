@@ -0,0 +1,213 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const LeaveRequest = require('../models/LeaveRequest');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { validate, leaveRules, leaveIdRule, reviewLeaveRules } = require('../middleware/validate');
+const { getTodayInTimezone, listDates, countDates } = require('../utils/time');
+
+const router = express.Router();
+
+// All leave routes require authentication; review routes also require admin
+router.use(auth);
+
+// Longest single request, in days
+const MAX_LEAVE_DAYS = 60;
+
+const LOCKED_ERROR = 'This week\'s timesheet is approved and locked';
+
+/**
+ * POST /api/leave
+ * Request time off. Sick and vacation leave remove the goal for every day in
+ * the range once approved; a half day halves that day's goal.
+ *
+ * Request:  { type: 'vacation'|'sick'|'half-day', startDate, endDate, reason? }
+ * Response: { leave }
+ */
+router.post('/', validate(leaveRules), async (req, res) => {
+    try {
+        const { type, startDate, endDate, reason } = req.body;
+        if (countDates(startDate, endDate) > MAX_LEAVE_DAYS) {
+            return res.status(400).json({ error: `Leave can cover at most ${MAX_LEAVE_DAYS} days per request` });
+        }
+        const dates = listDates(startDate, endDate);
+        if (await Timesheet.isLocked(req.userId, dates)) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        const overlapping = await LeaveRequest.findOverlapping(
+            req.userId, startDate, endDate, ['pending', 'approved']
+        );
+        if (overlapping.length > 0) {
+            return res.status(409).json({ error: 'You already have leave requested for some of these dates' });
+        }
+
+        const leave = await LeaveRequest.create({
+            userId: req.userId,
+            type,
+            startDate,
+            endDate,
+            reason: reason || '',
+        });
+
+        await AuditLog.record('LEAVE_REQUESTED', req.userId, req.userId, {
+            leaveId: leave._id,
+            type,
+            startDate,
+            endDate,
+        });
+
+        res.status(201).json({ leave });
+    } catch (err) {
+        console.error('Create leave error:', err);
+        res.status(500).json({ error: 'Failed to create leave request' });
+    }
+});
+
+/**
+ * GET /api/leave
+ * The caller's leave requests, most recent first.
+ *
+ * Response: { leaves }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const leaves = await LeaveRequest.find({ userId: req.userId })
+            .sort({ startDate: -1 })
+            .limit(50)
+            .populate('reviewedByUserId', 'name');
+        res.json({ leaves });
+    } catch (err) {
+        console.error('List leave error:', err);
+        res.status(500).json({ error: 'Failed to list leave requests' });
+    }
+});
+
+/**
+ * PATCH /api/leave/:id/cancel
+ * Withdraw a pending request, or approved leave that hasn't started yet.
+ *
+ * Response: { leave }
+ */
+router.patch('/:id/cancel', validate(leaveIdRule), async (req, res) => {
+    try {
+        const leave = await LeaveRequest.findOne({ _id: req.params.id, userId: req.userId });
+        if (!leave) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+
+        const user = await User.findById(req.userId);
+        const today = getTodayInTimezone(user.timezone || 'UTC');
+        const cancellable = leave.status === 'pending'
+            || (leave.status === 'approved' && leave.startDate > today);
+        if (!cancellable) {
+            return res.status(409).json({ error: `Leave that is ${leave.status} cannot be cancelled` });
+        }
+        if (leave.status === 'approved'
+            && await Timesheet.isLocked(req.userId, listDates(leave.startDate, leave.endDate))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        const previousStatus = leave.status;
+        leave.status = 'cancelled';
+        await leave.save();
+
+        await AuditLog.record('LEAVE_CANCELLED', req.userId, req.userId, {
+            leaveId: leave._id,
+            previousStatus,
+        });
+
+        res.json({ leave });
+    } catch (err) {
+        console.error('Cancel leave error:', err);
+        res.status(500).json({ error: 'Failed to cancel leave request' });
+    }
+});
+
+/**
+ * GET /api/leave/review?status=pending  (admin)
+ * Leave requests with the requester. Oldest first when pending.
+ *
+ * Response: { leaves: [{ ..., userId: { _id, name, email } }] }
+ */
+router.get('/review', adminOnly, async (req, res) => {
+    try {
+        const status = ['pending', 'approved', 'rejected', 'cancelled'].includes(req.query.status)
+            ? req.query.status
+            : 'pending';
+
+        const leaves = await LeaveRequest.find({ orgId: req.orgId, status })
+            .sort(status === 'pending' ? { createdAt: 1 } : { startDate: -1 })
+            .limit(100)
+            .populate('userId', 'name email')
+            .populate('reviewedByUserId', 'name');
+
+        res.json({ leaves });
+    } catch (err) {
+        console.error('List leave reviews error:', err);
+        res.status(500).json({ error: 'Failed to list leave requests' });
+    }
+});
+
+/**
+ * PATCH /api/leave/:id/review  (admin)
+ * Approve or reject a pending leave request.
+ *
+ * Request:  { action: 'approve' | 'reject', comment? }  (comment required to reject)
+ * Response: { leave }
+ */
+router.patch('/:id/review', adminOnly, validate(reviewLeaveRules), async (req, res) => {
+    try {
+        const { action, comment } = req.body;
+        const leave = await LeaveRequest.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!leave) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+        if (String(leave.userId) === String(req.userId)) {
+            return res.status(403).json({ error: 'You cannot review your own leave request' });
+        }
+        if (leave.status !== 'pending') {
+            return res.status(409).json({ error: `Leave request is already ${leave.status}` });
+        }
+        if (action === 'approve'
+            && await Timesheet.isLocked(leave.userId, listDates(leave.startDate, leave.endDate))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        const reviewed = await LeaveRequest.findOneAndUpdate(
+            { _id: leave._id, status: 'pending' },
+            {
+                status: action === 'approve' ? 'approved' : 'rejected',
+                reviewedByUserId: req.userId,
+                reviewedAt: new Date(),
+                reviewComment: comment || '',
+            },
+            { new: true }
+        );
+        if (!reviewed) {
+            return res.status(409).json({ error: 'Leave request was already reviewed' });
+        }
+
+        await AuditLog.record(
+            action === 'approve' ? 'LEAVE_APPROVED' : 'LEAVE_REJECTED',
+            req.userId,
+            leave.userId,
+            {
+                leaveId: leave._id,
+                type: leave.type,
+                startDate: leave.startDate,
+                endDate: leave.endDate,
+                comment: comment || '',
+            }
+        );
+
+        res.json({ leave: reviewed });
+    } catch (err) {
+        console.error('Review leave error:', err);
+        res.status(500).json({ error: 'Failed to review leave request' });
+    }
+});
+
+module.exports = router;
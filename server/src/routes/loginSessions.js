@@ -0,0 +1,84 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const LoginSession = require('../models/LoginSession');
+const { validate, loginSessionIdRule } = require('../middleware/validate');
+
+const router = express.Router();
+
+// The caller's signed-in devices; signing in and out lives in routes/auth.js
+router.use(auth.allowUnverified);
+
+/**
+ * GET /api/auth/sessions
+ * The caller's active login sessions, most recently used first.
+ *
+ * Response: { sessions: [{ _id, userAgent, ip, createdAt, lastUsedAt, current }] }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const sessions = await LoginSession.find({
+            userId: req.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select('userAgent ip createdAt lastUsedAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json({
+            sessions: sessions.map((s) => ({ ...s, current: String(s._id) === String(req.loginSessionId) })),
+        });
+    } catch (err) {
+        console.error('List login sessions error:', err);
+        res.status(500).json({ error: 'Failed to list signed-in devices' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out another device. This device signs out with POST /api/auth/logout.
+ */
+router.delete('/:id', validate(loginSessionIdRule), async (req, res) => {
+    try {
+        if (req.params.id === String(req.loginSessionId)) {
+            return res.status(400).json({ error: 'Use Log out to sign out this device' });
+        }
+
+        const session = await LoginSession.findOne({
+            _id: req.params.id,
+            userId: req.userId,
+            revokedAt: null,
+        });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await session.revoke('signed-out');
+
+        res.json({ message: 'Device signed out' });
+    } catch (err) {
+        console.error('Revoke login session error:', err);
+        res.status(500).json({ error: 'Failed to sign out device' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out every device except this one.
+ *
+ * Response: { message, count }
+ */
+router.delete('/', async (req, res) => {
+    try {
+        const count = await LoginSession.revokeAllForUser(req.userId, 'signed-out', {
+            except: req.loginSessionId,
+        });
+
+        res.json({ message: 'Other devices signed out', count });
+    } catch (err) {
+        console.error('Revoke login sessions error:', err);
+        res.status(500).json({ error: 'Failed to sign out other devices' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const OrgSettings = require('../models/OrgSettings');
+const LoginSession = require('../models/LoginSession');
+const AuditLog = require('../models/AuditLog');
+const { ssoLimiter } = require('../middleware/rateLimiter');
+const { cookieOptions, signLoginChallenge, completeLogin } = require('../utils/signIn');
+const { getLoginBlock, describeLoginBlock } = require('../utils/lockout');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const {
+    getOidcConfig,
+    randomToken,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    isInAdminGroup,
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+// Single sign-on through an OpenID Connect identity provider (configured in
+// utils/oidc.js); password sign-in lives in routes/auth.js. These are browser
+// navigations, so they answer with redirects back to the client.
+
+// The sign-in in progress (state, nonce, PKCE verifier) while the browser is
+// at the identity provider
+const FLOW_COOKIE = 'oidcFlow';
+const FLOW_COOKIE_PATH = '/api/auth/oidc';
+const FLOW_MINUTES = 10;
+
+/**
+ * Helper: send the browser to a client page.
+ */
+function redirectToClient(res, path) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    res.redirect(`${clientUrl}${path}`);
+}
+
+/**
+ * Helper: back to the login page, which shows the error.
+ */
+function redirectToLogin(res, error) {
+    redirectToClient(res, `/login?ssoError=${encodeURIComponent(error)}`);
+}
+
+/**
+ * Helper: the sign-in in progress from the flow cookie, or null if it is
+ * missing, tampered with or expired.
+ */
+function readFlow(req) {
+    try {
+        const flow = jwt.verify(req.cookies?.[FLOW_COOKIE] || '', process.env.JWT_SECRET);
+        return flow.purpose === 'oidc-login' ? flow : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Helper: find the user for the IdP's claims, linking an existing account
+ * with the same email or provisioning a new one in the SSO organization.
+ * Admin accounts are never linked by email: whoever controls the address at
+ * the IdP would get the admin's account.
+ * @returns {Promise<{ user?: Document, error?: string }>}
+ */
+async function findOrProvisionUser(req, config, claims) {
+    const sso = { issuer: config.issuer, subject: claims.sub };
+
+    const linked = await User.findOne({ 'sso.issuer': sso.issuer, 'sso.subject': sso.subject });
+    if (linked) return { user: linked };
+
+    const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : '';
+    if (!email) {
+        return { error: 'Your identity provider did not share your email address' };
+    }
+    // Some providers send the flag as a string
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    const orgId = config.orgId || (await Organization.getDefault())._id;
+    const existing = await User.findOne({ email });
+
+    if (existing) {
+        if (String(existing.orgId) !== String(orgId)) {
+            return { error: 'This email address is registered with another organization' };
+        }
+        if (existing.sso?.subject) {
+            return { error: 'This account is linked to another single sign-on identity' };
+        }
+        if (existing.isAdmin) {
+            return { error: 'Admin accounts cannot be linked to single sign-on by email. Sign in with your password.' };
+        }
+        // Only the IdP vouching for the address proves it is the same person
+        if (!emailVerified) {
+            return { error: 'Your identity provider has not verified this email address, so it cannot be linked' };
+        }
+
+        existing.sso = sso;
+        if (!existing.emailVerifiedAt) existing.emailVerifiedAt = new Date();
+        await existing.save();
+
+        await AuditLog.record('SSO_ACCOUNT_LINKED', existing._id, existing._id, { issuer: sso.issuer, ip: req.ip });
+        return { user: existing };
+    }
+
+    const organization = await Organization.findById(orgId);
+    if (!organization) {
+        throw new Error(`OIDC_ORG_ID ${orgId} does not exist`);
+    }
+    const settings = await OrgSettings.getSettings(orgId);
+    const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0];
+
+    const user = new User({
+        name: name.slice(0, 100),
+        email,
+        // Nobody knows this; a password reset sets a real one if needed
+        passwordHash: randomToken(), // pre-save hook will hash this
+        orgId,
+        timezone: settings.general.defaultTimezone,
+        defaultDailyGoal: 8,
+        isAdmin: false, // only via OIDC_ADMIN_GROUP below
+        emailVerifiedAt: emailVerified ? new Date() : null,
+        sso,
+    });
+    await user.save();
+
+    await AuditLog.record('SSO_USER_PROVISIONED', user._id, user._id, { issuer: sso.issuer, ip: req.ip });
+
+    if (!emailVerified) {
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailErr) {
+            console.error('Verification mail error:', mailErr);
+        }
+    }
+    return { user };
+}
+
+/**
+ * Helper: with OIDC_ADMIN_GROUP set, the group decides admin status at every
+ * SSO sign-in. Changes are audited like an admin's; losing admin signs out
+ * the user's other sessions, as demotion does.
+ */
+async function syncAdminStatus(user, config, claims) {
+    const makeAdmin = isInAdminGroup(claims, config);
+    if (makeAdmin === null || makeAdmin === user.isAdmin) return;
+
+    const previousAdmin = user.isAdmin;
+    user.isAdmin = makeAdmin;
+    await user.save();
+
+    const signedOut = makeAdmin ? 0 : await LoginSession.revokeAllForUser(user._id, 'demoted');
+
+    await AuditLog.record(makeAdmin ? 'PROMOTE' : 'DEMOTE', user._id, user._id, {
+        previousAdmin,
+        newAdmin: makeAdmin,
+        via: 'sso',
+        group: config.adminGroup,
+        ...(signedOut && { signedOut }),
+    });
+}
+
+/**
+ * GET /api/auth/oidc/config
+ * Whether single sign-on is available, for the login page.
+ * Response: { enabled, label? }
+ */
+router.get('/config', (req, res) => {
+    const config = getOidcConfig();
+    res.json(config ? { enabled: true, label: config.buttonLabel } : { enabled: false });
+});
+
+/**
+ * GET /api/auth/oidc/login?adminLogin=true
+ * Starts single sign-on: remembers the attempt in a short-lived cookie and
+ * redirects to the identity provider (authorization code flow with PKCE).
+ * With adminLogin, users who turn out not to be admins are refused (403 in
+ * the password sign-in).
+ */
+router.get('/login', async (req, res) => {
+    const config = getOidcConfig();
+    if (!config) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    try {
+        const metadata = await discover(config.issuer);
+        const flow = {
+            state: randomToken(),
+            nonce: randomToken(),
+            verifier: randomToken(),
+            adminLogin: req.query.adminLogin === 'true',
+        };
+
+        const token = jwt.sign({ purpose: 'oidc-login', ...flow }, process.env.JWT_SECRET, {
+            expiresIn: `${FLOW_MINUTES}m`,
+        });
+        res.cookie(FLOW_COOKIE, token, { ...cookieOptions(FLOW_COOKIE_PATH), maxAge: FLOW_MINUTES * 60 * 1000 });
+
+        res.redirect(buildAuthorizationUrl(config, metadata, flow));
+    } catch (err) {
+        console.error('SSO login error:', err);
+        redirectToLogin(res, 'Single sign-on is unavailable right now');
+    }
+});
+
+/**
+ * GET /api/auth/oidc/callback?code=&state=
+ * Where the identity provider sends the browser back. Checks the state,
+ * trades the code (with the PKCE verifier) for an ID token and verifies it,
+ * then signs in the matching user:
+ *   - the user already linked to this IdP account, or
+ *   - a non-admin account in the SSO organization with the same,
+ *     IdP-verified, email (linked now), or
+ *   - a new account provisioned from the claims (just in time)
+ * The IdP's sign-in replaces the password step only: locked accounts are
+ * refused as in the password sign-in, and users with two-factor
+ * authentication (or who must set it up) go on to the login page's second
+ * step with /login#twoFactor=verify|enroll&challengeToken=.
+ * Otherwise redirects admins to the admin dashboard and everyone else to the
+ * dashboard, or to /login?ssoError= on failure.
+ */
+router.get('/callback', ssoLimiter, async (req, res) => {
+    const config = getOidcConfig();
+    const flow = readFlow(req);
+    res.clearCookie(FLOW_COOKIE, cookieOptions(FLOW_COOKIE_PATH));
+
+    if (!config) {
+        return redirectToLogin(res, 'Single sign-on is not configured');
+    }
+    if (req.query.error) {
+        return redirectToLogin(res, req.query.error === 'access_denied'
+            ? 'Single sign-on was cancelled'
+            : 'Your identity provider refused the sign-in');
+    }
+    if (!flow || !req.query.code || req.query.state !== flow.state) {
+        return redirectToLogin(res, 'Sign-in expired, please try again');
+    }
+
+    try {
+        const metadata = await discover(config.issuer);
+        const tokens = await exchangeCode(config, metadata, { code: String(req.query.code), verifier: flow.verifier });
+        const claims = await verifyIdToken(config, metadata, tokens.id_token, flow.nonce);
+
+        const { user, error } = await findOrProvisionUser(req, config, claims);
+        if (error) {
+            return redirectToLogin(res, error);
+        }
+
+        const block = getLoginBlock(user);
+        if (block) {
+            return redirectToLogin(res, describeLoginBlock(block));
+        }
+
+        await syncAdminStatus(user, config, claims);
+
+        if (flow.adminLogin && !user.isAdmin) {
+            await AuditLog.record('ADMIN_LOGIN_DENIED', user._id, user._id, {
+                reason: 'User is not an admin',
+                ip: req.ip,
+                via: 'sso',
+            });
+            return redirectToLogin(res, 'Admin access denied. Your account does not have admin privileges.');
+        }
+
+        // Second factor: no session until the code is checked. The challenge
+        // goes in the fragment, which browsers do not send on to servers
+        if (user.twoFactor.enabled || await user.isTwoFactorRequired()) {
+            const params = new URLSearchParams({
+                twoFactor: user.twoFactor.enabled ? 'verify' : 'enroll',
+                // Like the login page, which always asks for an admin sign-in first
+                challengeToken: signLoginChallenge(user, user.isAdmin),
+            });
+            return redirectToClient(res, `/login#${params}`);
+        }
+
+        await completeLogin(req, res, user, user.isAdmin);
+
+        redirectToClient(res, user.isAdmin ? '/admin-dashboard' : '/dashboard');
+    } catch (err) {
+        console.error('SSO callback error:', err);
+        redirectToLogin(res, 'Single sign-on failed, please try again');
+    }
+});
+
+module.exports = router;
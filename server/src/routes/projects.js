@@ -0,0 +1,177 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const Project = require('../models/Project');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const {
+    validate,
+    projectRules,
+    updateProjectRules,
+    clientRules,
+} = require('../middleware/validate');
+
+const router = express.Router();
+
+// All project routes require authentication; write routes also require admin
+router.use(auth);
+
+/**
+ * Helper: whether every id in allowedUserIds is a user in the caller's org.
+ */
+async function allowedUsersExist(allowedUserIds, orgId) {
+    const ids = [...new Set((allowedUserIds || []).map(String))];
+    if (ids.length === 0) return true;
+    return (await User.countDocuments({ _id: { $in: ids }, orgId })) === ids.length;
+}
+
+const ALLOWED_USERS_ERROR = 'allowedUserIds must be users in your organization';
+
+/**
+ * GET /api/projects?includeArchived=true
+ * Employees get the active projects they are allowed to log time to.
+ * Admins get every project; archived ones only with includeArchived=true.
+ *
+ * Response: { projects: [{ _id, name, clientId: { _id, name }, isArchived, allowedUserIds }] }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const filter = { orgId: req.orgId };
+        if (!req.isAdmin || req.query.includeArchived !== 'true') {
+            filter.isArchived = false;
+        }
+        if (!req.isAdmin) {
+            filter.$or = [
+                { allowedUserIds: { $size: 0 } },
+                { allowedUserIds: req.userId },
+            ];
+        }
+
+        const projects = await Project.find(filter)
+            .sort({ name: 1 })
+            .populate('clientId', 'name')
+            .lean();
+
+        // Employees don't need to see who else is on a project
+        if (!req.isAdmin) {
+            for (const p of projects) delete p.allowedUserIds;
+        }
+
+        res.json({ projects });
+    } catch (err) {
+        console.error('List projects error:', err);
+        res.status(500).json({ error: 'Failed to list projects' });
+    }
+});
+
+/**
+ * GET /api/projects/clients
+ * List all clients (for the project picker / admin forms).
+ */
+router.get('/clients', async (req, res) => {
+    try {
+        const clients = await Client.find({ orgId: req.orgId, isArchived: false }).sort({ name: 1 }).lean();
+        res.json({ clients });
+    } catch (err) {
+        console.error('List clients error:', err);
+        res.status(500).json({ error: 'Failed to list clients' });
+    }
+});
+
+/**
+ * POST /api/projects/clients  (admin)
+ * Create a client. Body: { name }
+ */
+router.post('/clients', adminOnly, validate(clientRules), async (req, res) => {
+    try {
+        const client = await Client.create({ orgId: req.orgId, name: req.body.name, createdByUserId: req.userId });
+
+        await AuditLog.record('CLIENT_CREATED', req.userId, null, {
+            clientId: client._id,
+            name: client.name,
+        });
+
+        res.status(201).json({ client });
+    } catch (err) {
+        console.error('Create client error:', err);
+        res.status(500).json({ error: 'Failed to create client' });
+    }
+});
+
+/**
+ * POST /api/projects  (admin)
+ * Create a project. Body: { name, clientId?, allowedUserIds? }
+ * An empty allowedUserIds list means every user may log to the project.
+ */
+router.post('/', adminOnly, validate(projectRules), async (req, res) => {
+    try {
+        const { name, clientId, allowedUserIds } = req.body;
+
+        if (clientId && !(await Client.exists({ _id: clientId, orgId: req.orgId }))) {
+            return res.status(400).json({ error: 'Client not found' });
+        }
+        if (!(await allowedUsersExist(allowedUserIds, req.orgId))) {
+            return res.status(400).json({ error: ALLOWED_USERS_ERROR });
+        }
+
+        const project = await Project.create({
+            orgId: req.orgId,
+            name,
+            clientId: clientId || null,
+            allowedUserIds: allowedUserIds || [],
+            createdByUserId: req.userId,
+        });
+
+        await AuditLog.record('PROJECT_CREATED', req.userId, null, {
+            projectId: project._id,
+            name: project.name,
+        });
+
+        res.status(201).json({ project });
+    } catch (err) {
+        console.error('Create project error:', err);
+        res.status(500).json({ error: 'Failed to create project' });
+    }
+});
+
+/**
+ * PATCH /api/projects/:id  (admin)
+ * Rename, archive/unarchive, reassign client, or restrict users.
+ * Body: { name?, clientId?, isArchived?, allowedUserIds? }
+ */
+router.patch('/:id', adminOnly, validate(updateProjectRules), async (req, res) => {
+    try {
+        const project = await Project.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const { clientId, allowedUserIds } = req.body;
+        if (clientId && !(await Client.exists({ _id: clientId, orgId: req.orgId }))) {
+            return res.status(400).json({ error: 'Client not found' });
+        }
+        if (!(await allowedUsersExist(allowedUserIds, req.orgId))) {
+            return res.status(400).json({ error: ALLOWED_USERS_ERROR });
+        }
+
+        const changes = {};
+        for (const field of ['name', 'clientId', 'isArchived', 'allowedUserIds']) {
+            if (req.body[field] !== undefined) {
+                changes[field] = req.body[field];
+                project[field] = req.body[field];
+            }
+        }
+        await project.save();
+
+        await AuditLog.record('PROJECT_UPDATED', req.userId, null, {
+            projectId: project._id,
+            changes,
+        });
+
+        res.json({ project });
+    } catch (err) {
+        console.error('Update project error:', err);
+        res.status(500).json({ error: 'Failed to update project' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const requirePermission = require('../middleware/requirePermission');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const {
+    validate,
+    roleRules,
+    updateRoleRules,
+    roleMembersRules,
+    roleIdRule,
+} = require('../middleware/validate');
+
+const router = express.Router();
+
+// Defining roles requires admin; listing and assigning them requires the
+// promote-users permission
+router.use(auth);
+
+/**
+ * GET /api/roles  (promote-users)
+ * All roles with their member counts, plus the permissions a role can grant.
+ *
+ * Response: { roles: [{ _id, name, description, permissions, memberCount }], permissions }
+ */
+router.get('/', requirePermission('promote-users'), async (req, res) => {
+    try {
+        const roles = await Role.find({ orgId: req.orgId }).sort({ name: 1 }).lean();
+
+        const counts = await User.aggregate([
+            { $match: { roles: { $in: roles.map((r) => r._id) } } },
+            { $unwind: '$roles' },
+            { $group: { _id: '$roles', count: { $sum: 1 } } },
+        ]);
+        const countByRole = new Map(counts.map((c) => [String(c._id), c.count]));
+
+        res.json({
+            roles: roles.map((role) => ({
+                ...role,
+                memberCount: countByRole.get(String(role._id)) || 0,
+            })),
+            permissions: Role.PERMISSIONS,
+        });
+    } catch (err) {
+        console.error('List roles error:', err);
+        res.status(500).json({ error: 'Failed to list roles' });
+    }
+});
+
+/**
+ * POST /api/roles  (admin)
+ * Create a role.
+ *
+ * Request:  { name, description?, permissions: [permission] }
+ * Response: { role }
+ */
+router.post('/', adminOnly, validate(roleRules), async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        if (await Role.exists({ orgId: req.orgId, name })) {
+            return res.status(409).json({ error: 'A role with this name already exists' });
+        }
+
+        const role = await Role.create({
+            orgId: req.orgId,
+            name,
+            description,
+            permissions: [...new Set(permissions)],
+            createdByUserId: req.userId,
+        });
+
+        await AuditLog.record('ROLE_CREATED', req.userId, null, {
+            roleId: role._id,
+            name,
+            permissions: role.permissions,
+        });
+
+        res.status(201).json({ role });
+    } catch (err) {
+        console.error('Create role error:', err);
+        res.status(500).json({ error: 'Failed to create role' });
+    }
+});
+
+/**
+ * PATCH /api/roles/:id  (admin)
+ * Rename a role or change what it grants. Takes effect on the members'
+ * next request.
+ *
+ * Request:  { name?, description?, permissions?: [permission] }
+ * Response: { role }
+ */
+router.patch('/:id', adminOnly, validate(updateRoleRules), async (req, res) => {
+    try {
+        const role = await Role.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+
+        const { name, description, permissions } = req.body;
+        if (name !== undefined && name !== role.name && await Role.exists({ orgId: req.orgId, name })) {
+            return res.status(409).json({ error: 'A role with this name already exists' });
+        }
+
+        const before = { name: role.name, permissions: role.permissions };
+        if (name !== undefined) role.name = name;
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+        await role.save();
+
+        await AuditLog.record('ROLE_UPDATED', req.userId, null, {
+            roleId: role._id,
+            before,
+            after: { name: role.name, permissions: role.permissions },
+        });
+
+        res.json({ role });
+    } catch (err) {
+        console.error('Update role error:', err);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
+/**
+ * PUT /api/roles/:id/members  (promote-users)
+ * Replace the users holding a role; users left out lose it. Only admins may
+ * hand out a role granting permissions they do not hold themselves.
+ *
+ * Request:  { userIds: [userId] }
+ * Response: { role, memberIds }
+ */
+router.put('/:id/members', requirePermission('promote-users'), validate(roleMembersRules), async (req, res) => {
+    try {
+        const role = await Role.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (!req.isAdmin && role.permissions.some((p) => !req.permissions.includes(p))) {
+            return res.status(403).json({ error: 'You cannot assign a role with permissions you do not have' });
+        }
+
+        const userIds = [...new Set(req.body.userIds)];
+        if ((await User.countDocuments({ _id: { $in: userIds }, orgId: req.orgId })) !== userIds.length) {
+            return res.status(400).json({ error: 'Members must be existing users' });
+        }
+
+        await User.updateMany({ roles: role._id, _id: { $nin: userIds } }, { $pull: { roles: role._id } });
+        await User.updateMany({ _id: { $in: userIds } }, { $addToSet: { roles: role._id } });
+
+        await AuditLog.record('ROLE_MEMBERS_UPDATED', req.userId, null, { roleId: role._id, userIds });
+
+        res.json({ role, memberIds: userIds });
+    } catch (err) {
+        console.error('Update role members error:', err);
+        res.status(500).json({ error: 'Failed to update role members' });
+    }
+});
+
+/**
+ * DELETE /api/roles/:id  (admin)
+ * Delete a role and take it away from everyone holding it.
+ *
+ * Response: { message }
+ */
+router.delete('/:id', adminOnly, validate(roleIdRule), async (req, res) => {
+    try {
+        const role = await Role.findOneAndDelete({ _id: req.params.id, orgId: req.orgId });
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+
+        await AuditLog.record('ROLE_DELETED', req.userId, null, { roleId: role._id, name: role.name });
+
+        res.json({ message: 'Role deleted' });
+    } catch (err) {
+        console.error('Delete role error:', err);
+        res.status(500).json({ error: 'Failed to delete role' });
+    }
+});
+
+module.exports = router;
@@ -1,29 +1,158 @@
 const express = require('express');
+const { DateTime } = require('luxon');
 const auth = require('../middleware/auth');
 const Session = require('../models/Session');
 const User = require('../models/User');
-const { validate, dateQueryRule } = require('../middleware/validate');
+const Project = require('../models/Project');
+const AuditLog = require('../models/AuditLog');
+const Timesheet = require('../models/Timesheet');
+const OrgSettings = require('../models/OrgSettings');
+const {
+    validate,
+    listSessionsRules,
+    startSessionRules,
+    endSessionRules,
+    idleRules,
+    manualSessionRules,
+    sessionIdRule,
+    updateSessionRules,
+} = require('../middleware/validate');
 const {
     computeDayTotal,
+    computeDayBreakTotal,
     computeProgressPercent,
     getTodayInTimezone,
     getDayBounds,
+    parseLocalDateTime,
+    resolveEndAt,
     formatDuration,
     splitSessionByDay,
+    computeRangeTotalsByKey,
 } = require('../utils/time');
+const { parseTags, mergeTags, normalizeTag } = require('../utils/tags');
+const { autoCloseStaleSessions } = require('../utils/autoClose');
+const { getGoalsForDates } = require('../utils/goals');
+const { computeDayGapTotal, getComplianceForDates, getLiveWarnings } = require('../utils/compliance');
 
 const router = express.Router();
 
 // All session routes require authentication
 router.use(auth);
 
+// Close a forgotten active session before anything reads or writes sessions,
+// so totals never keep counting past the auto-close policy
+router.use(async (req, res, next) => {
+    try {
+        await autoCloseStaleSessions(req.userId);
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * Local calendar dates a session touches at its start and end, used to check
+ * timesheet locks. An active session only contributes its start date.
+ *
+ * @returns {string[]} 'YYYY-MM-DD' dates
+ */
+function localDatesOf(startAt, endAt, timezone) {
+    return [startAt, endAt]
+        .filter(Boolean)
+        .map((d) => DateTime.fromJSDate(d, { zone: timezone }).toISODate());
+}
+
+const LOCKED_ERROR = 'This week\'s timesheet is approved and locked';
+
+/**
+ * Whether the active session falls in a locked week, from its start up to
+ * `now` — breaks change its worked time like an edit does.
+ */
+async function isActiveSessionLocked(session, now) {
+    const user = await User.findById(session.userId);
+    return Timesheet.isLocked(session.userId, localDatesOf(session.startAt, now, user.timezone || 'UTC'));
+}
+const CORRECTION_REQUIRED_ERROR = 'Changes to recorded time need an approved correction request';
+
+/** Whether the org requires a correction request instead of direct time edits. */
+async function correctionsRequireApproval(orgId) {
+    const settings = await OrgSettings.getSettings(orgId);
+    return settings.corrections.requireApproval;
+}
+
+/** Snapshot of a session's editable fields for audit log before/after values. */
+function snapshotOf(session) {
+    return {
+        startAt: session.startAt,
+        endAt: session.endAt,
+        projectId: session.projectId,
+        notes: session.notes,
+        tags: [...session.tags],
+    };
+}
+
+/**
+ * Apply notes and/or explicit tags from a request body to a session.
+ * Tags are re-derived from the #hashtags in the notes plus any explicit tags.
+ */
+function applyNotes(session, { notes, tags }) {
+    if (notes !== undefined) session.notes = notes;
+    if (notes !== undefined || tags !== undefined) {
+        session.tags = mergeTags(parseTags(session.notes), tags);
+    }
+}
+
+/**
+ * Check that a project exists in the user's organization and they may log
+ * time to it.
+ * @param {string|null} projectId
+ * @param {string} userId
+ * @param {string} orgId
+ * @returns {Promise<string|null>} error message, or null if allowed
+ */
+async function checkProjectAccess(projectId, userId, orgId) {
+    if (!projectId) return null;
+    const project = await Project.findOne({ _id: projectId, orgId });
+    if (!project || !project.isAvailableTo(userId)) {
+        return 'Project not found or not available to you';
+    }
+    return null;
+}
+
+/**
+ * Per-project worked time for the given sessions and dates, most time first.
+ * Sessions without a project are grouped under projectId: null.
+ *
+ * @returns {Promise<Array<{ projectId, name, clientName, totalMs, totalFormatted }>>}
+ */
+async function buildProjectBreakdown(sessions, dates, timezone) {
+    const totals = computeRangeTotalsByKey(sessions, dates, timezone, (s) =>
+        s.projectId ? s.projectId.toString() : null
+    );
+
+    const ids = [...totals.keys()].filter(Boolean);
+    const projects = await Project.find({ _id: { $in: ids } }).populate('clientId', 'name').lean();
+    const byId = new Map(projects.map((p) => [p._id.toString(), p]));
+
+    return [...totals.entries()]
+        .map(([projectId, totalMs]) => ({
+            projectId,
+            name: projectId ? byId.get(projectId)?.name || 'Unknown project' : 'No project',
+            clientName: projectId ? byId.get(projectId)?.clientId?.name || null : null,
+            totalMs,
+            totalFormatted: formatDuration(totalMs),
+        }))
+        .sort((a, b) => b.totalMs - a.totalMs);
+}
+
 /**
  * POST /api/sessions/start
  * Starts a new work session. Only one active session (no endAt) allowed at a time.
  *
- * Response: { session: { _id, userId, startAt, endAt } }
+ * Request:  { projectId? }
+ * Response: { session: { _id, userId, startAt, endAt, projectId } }
  */
-router.post('/start', async (req, res) => {
+router.post('/start', validate(startSessionRules), async (req, res) => {
     try {
         // Check for an already-active session
         const activeSession = await Session.findOne({
@@ -38,9 +167,21 @@ router.post('/start', async (req, res) => {
             });
         }
 
+        const projectError = await checkProjectAccess(req.body.projectId, req.userId, req.orgId);
+        if (projectError) {
+            return res.status(400).json({ error: projectError });
+        }
+
+        const user = await User.findById(req.userId);
+        const startAt = new Date();
+        if (await Timesheet.isLocked(req.userId, localDatesOf(startAt, null, user.timezone || 'UTC'))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
         const session = new Session({
             userId: req.userId,
-            startAt: new Date(),
+            startAt,
+            projectId: req.body.projectId || null,
         });
 
         await session.save();
@@ -54,10 +195,13 @@ router.post('/start', async (req, res) => {
 /**
  * PATCH /api/sessions/end
  * Ends the currently active session by setting endAt to now.
+ * Optional notes are stored with the session; #hashtags in them become tags.
+ * 403 when the session is in a week with an approved timesheet.
  *
- * Response: { session: { _id, userId, startAt, endAt } }
+ * Request:  { notes?: string, tags?: string[] }
+ * Response: { session: { _id, userId, startAt, endAt, notes, tags } }
  */
-router.patch('/end', async (req, res) => {
+router.patch('/end', validate(endSessionRules), async (req, res) => {
     try {
         const session = await Session.findOne({
             userId: req.userId,
@@ -68,7 +212,17 @@ router.patch('/end', async (req, res) => {
             return res.status(400).json({ error: 'No active session to end' });
         }
 
-        session.endAt = new Date();
+        const now = new Date();
+        if (await isActiveSessionLocked(session, now)) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        // Ending while paused closes the open break too
+        for (const brk of session.breaks) {
+            if (!brk.endAt) brk.endAt = now;
+        }
+        session.endAt = now;
+        applyNotes(session, req.body);
         await session.save();
 
         res.json({ session });
@@ -79,28 +233,397 @@ router.patch('/end', async (req, res) => {
 });
 
 /**
- * GET /api/sessions?date=YYYY-MM-DD
+ * PATCH /api/sessions/pause
+ * Pauses the active session by opening a break. Break time is not counted
+ * as worked time. 403 when the session is in a week with an approved timesheet.
+ *
+ * Response: { session }
+ */
+router.patch('/pause', async (req, res) => {
+    try {
+        const session = await Session.findOne({ userId: req.userId, endAt: null });
+        if (!session) {
+            return res.status(400).json({ error: 'No active session to pause' });
+        }
+        if (session.isPaused()) {
+            return res.status(400).json({ error: 'Session is already paused' });
+        }
+
+        const now = new Date();
+        if (await isActiveSessionLocked(session, now)) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        session.breaks.push({ startAt: now });
+        await session.save();
+
+        res.json({ session });
+    } catch (err) {
+        console.error('Pause session error:', err);
+        res.status(500).json({ error: 'Failed to pause session' });
+    }
+});
+
+/**
+ * PATCH /api/sessions/resume
+ * Resumes a paused session by closing its open break. 403 when the session is
+ * in a week with an approved timesheet.
+ *
+ * Response: { session }
+ */
+router.patch('/resume', async (req, res) => {
+    try {
+        const session = await Session.findOne({ userId: req.userId, endAt: null });
+        const openBreak = session?.breaks.find((b) => !b.endAt);
+        if (!openBreak) {
+            return res.status(400).json({ error: 'No paused session to resume' });
+        }
+
+        const now = new Date();
+        if (await isActiveSessionLocked(session, now)) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        openBreak.endAt = now;
+        await session.save();
+
+        res.json({ session });
+    } catch (err) {
+        console.error('Resume session error:', err);
+        res.status(500).json({ error: 'Failed to resume session' });
+    }
+});
+
+/**
+ * POST /api/sessions/active/idle
+ * Resolve a period of inactivity detected by the client in the active session.
+ *
+ * - stop:    end the session at the moment idleness began
+ * - discard: end the session there and start a new one now (same project),
+ *            so the idle gap is not counted
+ *
+ * Keeping the idle time needs no request. 403 when the session is in a week
+ * with an approved timesheet.
+ *
+ * Request:  { idleStartedAt: ISO date, action: 'discard' | 'stop' }
+ * Response: { session, nextSession: session | null }
+ */
+router.post('/active/idle', validate(idleRules), async (req, res) => {
+    try {
+        const session = await Session.findOne({ userId: req.userId, endAt: null });
+        if (!session) {
+            return res.status(400).json({ error: 'No active session' });
+        }
+        if (session.isPaused()) {
+            return res.status(400).json({ error: 'Session is paused' });
+        }
+
+        const idleStartedAt = new Date(req.body.idleStartedAt);
+        const now = new Date();
+        if (idleStartedAt <= session.startAt) {
+            return res.status(400).json({ error: 'Idle period starts before the session' });
+        }
+        if (idleStartedAt > now) {
+            return res.status(400).json({ error: 'Idle period cannot start in the future' });
+        }
+        if (await isActiveSessionLocked(session, now)) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        session.closeAt(idleStartedAt);
+        await session.save();
+
+        let nextSession = null;
+        if (req.body.action === 'discard') {
+            nextSession = await Session.create({
+                userId: req.userId,
+                startAt: now,
+                endAt: null,
+                projectId: session.projectId,
+            });
+        }
+
+        res.json({ session, nextSession });
+    } catch (err) {
+        console.error('Idle session error:', err);
+        res.status(500).json({ error: 'Failed to resolve idle time' });
+    }
+});
+
+/**
+ * POST /api/sessions/manual
+ * Creates a completed session retroactively (e.g. the user forgot to click Start Work).
+ * Times are wall-clock times in the user's timezone. An end time at or before the
+ * start time is treated as the next day (overnight session).
+ * When the org requires correction requests this returns 403 — use /api/corrections.
+ *
+ * Request:  { date: 'YYYY-MM-DD', startTime: 'HH:mm', endTime: 'HH:mm', projectId?, notes?, tags? }
+ * Response: { session: { _id, userId, startAt, endAt, projectId, isManual } }
+ */
+router.post('/manual', validate(manualSessionRules), async (req, res) => {
+    try {
+        if (await correctionsRequireApproval(req.orgId)) {
+            return res.status(403).json({ error: CORRECTION_REQUIRED_ERROR });
+        }
+
+        const user = await User.findById(req.userId);
+        const timezone = user.timezone || 'UTC';
+        const { date, startTime, endTime, projectId } = req.body;
+        const { dayStart, dayEnd } = getDayBounds(date, timezone);
+
+        const startAt = parseLocalDateTime(date, startTime, timezone);
+        const endAt = startAt && resolveEndAt(startAt, endTime, timezone);
+
+        // Start must land on the requested calendar day (guards against DST gaps)
+        if (!startAt || !endAt || startAt < dayStart || startAt >= dayEnd) {
+            return res.status(400).json({ error: 'Invalid date or time for your timezone' });
+        }
+
+        if (endAt > new Date()) {
+            return res.status(400).json({ error: 'Sessions cannot end in the future' });
+        }
+
+        if (await Timesheet.isLocked(req.userId, localDatesOf(startAt, endAt, timezone))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        const projectError = await checkProjectAccess(projectId, req.userId, req.orgId);
+        if (projectError) {
+            return res.status(400).json({ error: projectError });
+        }
+
+        const conflict = await Session.findOverlapping(req.userId, startAt, endAt);
+        if (conflict) {
+            return res.status(409).json({
+                error: 'Session overlaps an existing session',
+                conflictingSession: conflict,
+            });
+        }
+
+        const session = new Session({
+            userId: req.userId,
+            startAt,
+            endAt,
+            projectId: projectId || null,
+            isManual: true,
+        });
+        applyNotes(session, req.body);
+
+        await session.save();
+        res.status(201).json({ session });
+    } catch (err) {
+        console.error('Manual session error:', err);
+        res.status(500).json({ error: 'Failed to create session' });
+    }
+});
+
+/**
+ * PATCH /api/sessions/:id
+ * Edit the times, project or notes of one of the caller's sessions. Times are
+ * wall-clock 'HH:mm' on the session's start date, in the user's timezone.
+ * The end time of an active session cannot be set here — use /end instead.
+ * Sessions in a week with an approved timesheet are locked (403), and when the
+ * org requires correction requests only notes and tags can change, on finished
+ * and active sessions alike.
+ * The original values are written to the audit log.
+ *
+ * Request:  { startTime?: 'HH:mm', endTime?: 'HH:mm', projectId?: id|null, notes?, tags? }
+ * Response: { session }
+ */
+router.patch('/:id', validate(updateSessionRules), async (req, res) => {
+    try {
+        const { startTime, endTime, projectId } = req.body;
+        const session = await Session.findOne({ _id: req.params.id, userId: req.userId });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // Notes stay editable; times and project may need an admin's approval
+        const changesTime = startTime || endTime || projectId !== undefined;
+        if (changesTime && await correctionsRequireApproval(req.orgId)) {
+            return res.status(403).json({ error: CORRECTION_REQUIRED_ERROR });
+        }
+
+        if (!session.endAt && endTime) {
+            return res.status(400).json({ error: 'End the active session before editing its end time' });
+        }
+
+        const user = await User.findById(req.userId);
+        const timezone = user.timezone || 'UTC';
+        const sessionDate = DateTime.fromJSDate(session.startAt, { zone: timezone }).toISODate();
+
+        if (await Timesheet.isLocked(req.userId, localDatesOf(session.startAt, session.endAt, timezone))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        const startAt = startTime
+            ? parseLocalDateTime(sessionDate, startTime, timezone)
+            : session.startAt;
+        const endAt = endTime ? startAt && resolveEndAt(startAt, endTime, timezone) : session.endAt;
+
+        if (!startAt || (endTime && !endAt)) {
+            return res.status(400).json({ error: 'Invalid time for your timezone' });
+        }
+        if (endAt && endAt <= startAt) {
+            return res.status(400).json({ error: 'Start time must be before the end time' });
+        }
+
+        const now = new Date();
+        if (startAt > now || (endAt && endAt > now)) {
+            return res.status(400).json({ error: 'Sessions cannot end in the future' });
+        }
+
+        // An overnight edit may push the end into a locked week
+        if (await Timesheet.isLocked(req.userId, localDatesOf(startAt, endAt, timezone))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        const projectChanged = projectId !== undefined
+            && String(projectId) !== String(session.projectId);
+        if (projectChanged) {
+            const projectError = await checkProjectAccess(projectId, req.userId, req.orgId);
+            if (projectError) {
+                return res.status(400).json({ error: projectError });
+            }
+        }
+
+        const conflict = await Session.findOverlapping(req.userId, startAt, endAt || now, session._id);
+        if (conflict) {
+            return res.status(409).json({
+                error: 'Session overlaps an existing session',
+                conflictingSession: conflict,
+            });
+        }
+
+        const before = snapshotOf(session);
+        session.startAt = startAt;
+        session.endAt = endAt;
+        if (projectChanged) session.projectId = projectId || null;
+        applyNotes(session, req.body);
+        // Correcting an auto-closed session counts as reviewing it
+        if (session.autoClosed && !session.confirmedAt) session.confirmedAt = now;
+        await session.save();
+
+        await AuditLog.record('SESSION_UPDATED', req.userId, req.userId, {
+            sessionId: session._id,
+            before,
+            after: snapshotOf(session),
+        });
+
+        res.json({ session });
+    } catch (err) {
+        console.error('Update session error:', err);
+        res.status(500).json({ error: 'Failed to update session' });
+    }
+});
+
+/**
+ * PATCH /api/sessions/:id/confirm
+ * Confirm the hours of a session that was closed by the auto-close policy,
+ * removing it from the summary's pendingConfirmations list.
+ *
+ * Response: { session }
+ */
+router.patch('/:id/confirm', validate(sessionIdRule), async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.id,
+            userId: req.userId,
+            autoClosed: true,
+        });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (!session.confirmedAt) {
+            session.confirmedAt = new Date();
+            await session.save();
+        }
+
+        res.json({ session });
+    } catch (err) {
+        console.error('Confirm session error:', err);
+        res.status(500).json({ error: 'Failed to confirm session' });
+    }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Delete one of the caller's sessions. The deleted times are written to the
+ * audit log so the session can be recreated if needed. Not allowed (403) when
+ * the org requires correction requests.
+ *
+ * Response: { message, session }
+ */
+router.delete('/:id', validate(sessionIdRule), async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, userId: req.userId });
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (await correctionsRequireApproval(req.orgId)) {
+            return res.status(403).json({ error: CORRECTION_REQUIRED_ERROR });
+        }
+
+        const user = await User.findById(req.userId);
+        const timezone = user.timezone || 'UTC';
+        if (await Timesheet.isLocked(req.userId, localDatesOf(session.startAt, session.endAt, timezone))) {
+            return res.status(403).json({ error: LOCKED_ERROR });
+        }
+
+        await session.deleteOne();
+
+        await AuditLog.record('SESSION_DELETED', req.userId, req.userId, {
+            sessionId: session._id,
+            before: snapshotOf(session),
+        });
+
+        res.json({ message: 'Session deleted', session });
+    } catch (err) {
+        console.error('Delete session error:', err);
+        res.status(500).json({ error: 'Failed to delete session' });
+    }
+});
+
+/**
+ * GET /api/sessions?date=YYYY-MM-DD&tag=oncall
  * List all sessions that overlap the given calendar day (in the user's timezone).
  * Defaults to today if no date is provided.
  *
- * Response: { sessions: [...], date: 'YYYY-MM-DD' }
+ * With `tag` the list is filtered to sessions carrying that tag; if no date is
+ * given alongside it, the most recent tagged sessions from any day are returned.
+ *
+ * Response: { sessions: [...], date: 'YYYY-MM-DD' | null, tag: string | null }
  */
-router.get('/', validate(dateQueryRule), async (req, res) => {
+router.get('/', validate(listSessionsRules), async (req, res) => {
     try {
         const user = await User.findById(req.userId);
         const timezone = user.timezone || 'UTC';
+        const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
+
+        if (tag && !req.query.date) {
+            const sessions = await Session.find({ userId: req.userId, tags: tag })
+                .sort({ startAt: -1 })
+                .limit(200);
+            return res.json({ sessions, date: null, tag });
+        }
+
         const date = req.query.date || getTodayInTimezone(timezone);
         const { dayStart, dayEnd } = getDayBounds(date, timezone);
 
         // Find sessions that overlap this day:
         //   session starts before day end AND (session ends after day start OR is still active)
-        const sessions = await Session.find({
+        const filter = {
             userId: req.userId,
             startAt: { $lt: dayEnd },
             $or: [{ endAt: { $gte: dayStart } }, { endAt: null }],
-        }).sort({ startAt: 1 });
+        };
+        if (tag) filter.tags = tag;
+
+        const sessions = await Session.find(filter).sort({ startAt: 1 });
 
-        res.json({ sessions, date });
+        res.json({ sessions, date, tag });
     } catch (err) {
         console.error('List sessions error:', err);
         res.status(500).json({ error: 'Failed to list sessions' });
@@ -113,8 +636,17 @@ router.get('/', validate(dateQueryRule), async (req, res) => {
  * Defaults to today if no date is provided.
  *
  * Response: {
- *   date, totalMs, totalFormatted, goalHours, progressPercent,
- *   activeSession, sessions
+ *   date, totalMs, totalFormatted, breakMs, breakFormatted, goalHours,
+ *   dayType, dayLabel,  // see utils/goals.js; dayLabel names the holiday or leave type
+ *   expectedStart, expectedEnd,  // working window from the user's schedule, if set
+ *   progressPercent, activeSession, isPaused, sessions, projects,
+ *   pendingConfirmations: [session],  // auto-closed sessions awaiting review
+ *   locked,  // true when the day's week has an approved timesheet
+ *   correctionsRequireApproval,  // time edits go through correction requests
+ *   compliance: {
+ *     violations: [{ rule, message, actual, limit }],  // see utils/compliance.js
+ *     warnings: [{ rule, message, minutesLeft }]       // today only, while working
+ *   }
  * }
  */
 router.get('/today/summary', async (req, res) => {
@@ -133,23 +665,55 @@ router.get('/today/summary', async (req, res) => {
         }).sort({ startAt: 1 });
 
         const totalMs = computeDayTotal(sessions, date, timezone);
+        const breakMs = computeDayBreakTotal(sessions, date, timezone);
 
-        // Get goal for this day (or fall back to user's default)
-        const DailyGoal = require('../models/DailyGoal');
-        const goalDoc = await DailyGoal.findOne({ userId: req.userId, date });
-        const goalHours = goalDoc ? goalDoc.goalHours : user.defaultDailyGoal;
+        // Goal for this day, after holidays, leave and the work week
+        const goals = await getGoalsForDates(user, [date]);
+        const { goalHours, dayType, label: dayLabel, expectedStart, expectedEnd } = goals.get(date);
 
         const progressPercent = computeProgressPercent(totalMs, goalHours);
         const activeSession = sessions.find((s) => !s.endAt) || null;
+        const projects = await buildProjectBreakdown(sessions, [date], timezone);
+        const pendingConfirmations = await Session.find({
+            userId: req.userId,
+            autoClosed: true,
+            confirmedAt: null,
+        }).sort({ startAt: -1 });
+        const locked = await Timesheet.isLocked(req.userId, [date]);
+        const requireApproval = await correctionsRequireApproval(req.orgId);
+
+        // Rule checks need the previous day's sessions too, for rest between days
+        const compliance = await getComplianceForDates(user, [date]);
+        const warnings = getLiveWarnings({
+            workedMs: totalMs,
+            breakMs: breakMs + computeDayGapTotal(compliance.sessions, date, timezone),
+            isActive: date === getTodayInTimezone(timezone) && !!activeSession && !activeSession.isPaused(),
+            rules: compliance.rules,
+        });
 
         res.json({
             date,
             totalMs,
             totalFormatted: formatDuration(totalMs),
+            breakMs,
+            breakFormatted: formatDuration(breakMs),
             goalHours,
+            dayType,
+            dayLabel,
+            expectedStart,
+            expectedEnd,
             progressPercent: Math.round(progressPercent * 100) / 100,
             activeSession,
+            isPaused: activeSession ? activeSession.isPaused() : false,
             sessions,
+            projects,
+            pendingConfirmations,
+            locked,
+            correctionsRequireApproval: requireApproval,
+            compliance: {
+                violations: compliance.violations.get(date),
+                warnings,
+            },
         });
     } catch (err) {
         console.error('Day summary error:', err);
@@ -159,13 +723,18 @@ router.get('/today/summary', async (req, res) => {
 
 /**
  * GET /api/sessions/monthly-summary?month=YYYY-MM
- * Returns per-day work hours for the entire month.
+ * Returns per-day work hours for the entire month, plus per-project and
+ * per-tag breakdowns. A session with several tags counts toward each of them.
  *
- * Response: { month, days: { 'YYYY-MM-DD': { totalMs, totalFormatted } } }
+ * Response: {
+ *   month,
+ *   days: { 'YYYY-MM-DD': { totalMs, totalFormatted, goalHours, dayType, dayLabel } },
+ *   projects: [{ projectId, name, clientName, totalMs, totalFormatted }],
+ *   tags: [{ tag, totalMs, totalFormatted }]
+ * }
  */
 router.get('/monthly-summary', async (req, res) => {
     try {
-        const { DateTime } = require('luxon');
         const user = await User.findById(req.userId);
         const timezone = user.timezone || 'UTC';
 
@@ -210,14 +779,29 @@ router.get('/monthly-summary', async (req, res) => {
             }
         }
 
-        // Format durations
+        // Format durations and attach each day's goal
+        const goals = await getGoalsForDates(user, dates);
         for (const date of dates) {
-            days[date].totalFormatted = formatDuration(days[date].totalMs);
+            const { goalHours, dayType, label } = goals.get(date);
+            Object.assign(days[date], {
+                totalFormatted: formatDuration(days[date].totalMs),
+                goalHours,
+                dayType,
+                dayLabel: label,
+            });
         }
 
+        const projects = await buildProjectBreakdown(sessions, dates, timezone);
+        const tagTotals = computeRangeTotalsByKey(sessions, dates, timezone, (s) => s.tags);
+        const tags = [...tagTotals.entries()]
+            .map(([tag, totalMs]) => ({ tag, totalMs, totalFormatted: formatDuration(totalMs) }))
+            .sort((a, b) => b.totalMs - a.totalMs);
+
         res.json({
             month: monthStart.toFormat('yyyy-MM'),
             days,
+            projects,
+            tags,
         });
     } catch (err) {
         console.error('Monthly summary error:', err);
@@ -0,0 +1,187 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const { teamScope } = require('../middleware/teamScope');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const {
+    validate,
+    teamRules,
+    updateTeamRules,
+    teamMembersRules,
+    teamIdRule,
+} = require('../middleware/validate');
+
+const router = express.Router();
+
+// Managers can list their own teams; everything else requires admin
+router.use(auth);
+
+/**
+ * Check that every id belongs to an existing user in the organization.
+ * @returns {Promise<boolean>}
+ */
+async function allUsersExist(userIds, orgId) {
+    const unique = [...new Set(userIds.map(String))];
+    return (await User.countDocuments({ _id: { $in: unique }, orgId })) === unique.length;
+}
+
+/**
+ * GET /api/teams
+ * Teams visible to the caller: all of them for admins and view-hours
+ * holders, the ones they manage for managers.
+ *
+ * Response: { teams: [{ _id, name, managers: [{ _id, name, email }], memberCount }] }
+ */
+router.get('/', teamScope('view-hours'), async (req, res) => {
+    try {
+        const filter = req.scope.all ? { orgId: req.orgId } : { _id: { $in: req.scope.teamIds } };
+        const teams = await Team.find(filter)
+            .sort({ name: 1 })
+            .populate('managerIds', 'name email')
+            .lean();
+
+        const counts = await User.aggregate([
+            { $match: { teamId: { $in: teams.map((t) => t._id) } } },
+            { $group: { _id: '$teamId', count: { $sum: 1 } } },
+        ]);
+        const countByTeam = new Map(counts.map((c) => [String(c._id), c.count]));
+
+        res.json({
+            teams: teams.map(({ managerIds, ...team }) => ({
+                ...team,
+                managers: managerIds,
+                memberCount: countByTeam.get(String(team._id)) || 0,
+            })),
+        });
+    } catch (err) {
+        console.error('List teams error:', err);
+        res.status(500).json({ error: 'Failed to list teams' });
+    }
+});
+
+/**
+ * POST /api/teams  (admin)
+ * Create a team.
+ *
+ * Request:  { name, managerIds?: [userId] }
+ * Response: { team }
+ */
+router.post('/', adminOnly, validate(teamRules), async (req, res) => {
+    try {
+        const { name, managerIds = [] } = req.body;
+
+        if (await Team.exists({ orgId: req.orgId, name })) {
+            return res.status(409).json({ error: 'A team with this name already exists' });
+        }
+        if (!(await allUsersExist(managerIds, req.orgId))) {
+            return res.status(400).json({ error: 'Managers must be existing users' });
+        }
+
+        const team = await Team.create({ orgId: req.orgId, name, managerIds, createdByUserId: req.userId });
+
+        await AuditLog.record('TEAM_CREATED', req.userId, null, { teamId: team._id, name, managerIds });
+
+        res.status(201).json({ team });
+    } catch (err) {
+        console.error('Create team error:', err);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+});
+
+/**
+ * PATCH /api/teams/:id  (admin)
+ * Rename a team or replace its managers.
+ *
+ * Request:  { name?, managerIds?: [userId] }
+ * Response: { team }
+ */
+router.patch('/:id', adminOnly, validate(updateTeamRules), async (req, res) => {
+    try {
+        const team = await Team.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const { name, managerIds } = req.body;
+        if (name !== undefined && name !== team.name && await Team.exists({ orgId: req.orgId, name })) {
+            return res.status(409).json({ error: 'A team with this name already exists' });
+        }
+        if (managerIds !== undefined && !(await allUsersExist(managerIds, req.orgId))) {
+            return res.status(400).json({ error: 'Managers must be existing users' });
+        }
+
+        const before = { name: team.name, managerIds: team.managerIds };
+        if (name !== undefined) team.name = name;
+        if (managerIds !== undefined) team.managerIds = managerIds;
+        await team.save();
+
+        await AuditLog.record('TEAM_UPDATED', req.userId, null, {
+            teamId: team._id,
+            before,
+            after: { name: team.name, managerIds: team.managerIds },
+        });
+
+        res.json({ team });
+    } catch (err) {
+        console.error('Update team error:', err);
+        res.status(500).json({ error: 'Failed to update team' });
+    }
+});
+
+/**
+ * PUT /api/teams/:id/members  (admin)
+ * Replace a team's members. Users listed here leave any other team; members
+ * left out end up without a team.
+ *
+ * Request:  { userIds: [userId] }
+ * Response: { team, memberIds }
+ */
+router.put('/:id/members', adminOnly, validate(teamMembersRules), async (req, res) => {
+    try {
+        const team = await Team.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        const { userIds } = req.body;
+        if (!(await allUsersExist(userIds, req.orgId))) {
+            return res.status(400).json({ error: 'Members must be existing users' });
+        }
+
+        await User.updateMany({ teamId: team._id, _id: { $nin: userIds } }, { teamId: null });
+        await User.updateMany({ _id: { $in: userIds } }, { teamId: team._id });
+
+        await AuditLog.record('TEAM_MEMBERS_UPDATED', req.userId, null, { teamId: team._id, userIds });
+
+        res.json({ team, memberIds: userIds });
+    } catch (err) {
+        console.error('Update team members error:', err);
+        res.status(500).json({ error: 'Failed to update team members' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id  (admin)
+ * Delete a team. Its members are left without a team.
+ *
+ * Response: { message }
+ */
+router.delete('/:id', adminOnly, validate(teamIdRule), async (req, res) => {
+    try {
+        const team = await Team.findOneAndDelete({ _id: req.params.id, orgId: req.orgId });
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        await User.updateMany({ teamId: team._id }, { teamId: null });
+
+        await AuditLog.record('TEAM_DELETED', req.userId, null, { teamId: team._id, name: team.name });
+
+        res.json({ message: 'Team deleted' });
+    } catch (err) {
+        console.error('Delete team error:', err);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const adminOnly = require('../middleware/adminOnly');
+const Timesheet = require('../models/Timesheet');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const {
+    validate,
+    weekStartQueryRule,
+    submitTimesheetRules,
+    timesheetIdRule,
+    reviewTimesheetRules,
+} = require('../middleware/validate');
+const {
+    computeDayTotal,
+    getTodayInTimezone,
+    getWeekStartDate,
+    getWeekBounds,
+    formatDuration,
+} = require('../utils/time');
+const { getGoalsForDates } = require('../utils/goals');
+
+const router = express.Router();
+
+// All timesheet routes require authentication; review routes also require admin
+router.use(auth);
+
+/**
+ * Per-day worked time and goals for one week of a user's sessions.
+ *
+ * @param {Document} user
+ * @param {string} weekStart - 'YYYY-MM-DD' Monday
+ * @returns {Promise<{ weekStart, days, totalMs, totalFormatted, hasActiveSession }>}
+ */
+async function buildWeekSummary(user, weekStart) {
+    const timezone = user.timezone || 'UTC';
+    const { rangeStart, rangeEnd, dates } = getWeekBounds(timezone, weekStart);
+
+    const [sessions, goals] = await Promise.all([
+        Session.find({
+            userId: user._id,
+            startAt: { $lt: rangeEnd },
+            $or: [{ endAt: { $gte: rangeStart } }, { endAt: null }],
+        }),
+        getGoalsForDates(user, dates),
+    ]);
+
+    const days = dates.map((date) => {
+        const totalMs = computeDayTotal(sessions, date, timezone);
+        return {
+            date,
+            totalMs,
+            totalFormatted: formatDuration(totalMs),
+            goalHours: goals.get(date).goalHours,
+            dayType: goals.get(date).dayType,
+            dayLabel: goals.get(date).label,
+        };
+    });
+    const totalMs = days.reduce((sum, d) => sum + d.totalMs, 0);
+
+    return {
+        weekStart,
+        days,
+        totalMs,
+        totalFormatted: formatDuration(totalMs),
+        hasActiveSession: sessions.some((s) => !s.endAt),
+    };
+}
+
+/**
+ * GET /api/timesheets
+ * List the caller's timesheets, most recent week first.
+ *
+ * Response: { timesheets: [{ _id, weekStart, status, totalMs, comment, submittedAt, reviewedAt }] }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const timesheets = await Timesheet.find({ userId: req.userId })
+            .sort({ weekStart: -1 })
+            .limit(52);
+        res.json({ timesheets });
+    } catch (err) {
+        console.error('List timesheets error:', err);
+        res.status(500).json({ error: 'Failed to list timesheets' });
+    }
+});
+
+/**
+ * GET /api/timesheets/week?weekStart=YYYY-MM-DD
+ * The caller's week: per-day totals plus the timesheet status.
+ * Defaults to the current week. A week that was never submitted is 'draft'.
+ *
+ * Response: { weekStart, status, timesheet, days, totalMs, totalFormatted, hasActiveSession }
+ */
+router.get('/week', validate(weekStartQueryRule), async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        const weekStart = req.query.weekStart
+            || getWeekStartDate(getTodayInTimezone(user.timezone || 'UTC'));
+
+        const [summary, timesheet] = await Promise.all([
+            buildWeekSummary(user, weekStart),
+            Timesheet.findOne({ userId: req.userId, weekStart }),
+        ]);
+
+        res.json({
+            ...summary,
+            status: timesheet ? timesheet.status : 'draft',
+            timesheet,
+        });
+    } catch (err) {
+        console.error('Get timesheet week error:', err);
+        res.status(500).json({ error: 'Failed to get timesheet' });
+    }
+});
+
+/**
+ * POST /api/timesheets/submit
+ * Submit a week for approval. A rejected week can be resubmitted after fixing it;
+ * weeks that are pending or approved cannot.
+ *
+ * Request:  { weekStart: 'YYYY-MM-DD' }  (a Monday)
+ * Response: { timesheet }
+ */
+router.post('/submit', validate(submitTimesheetRules), async (req, res) => {
+    try {
+        const { weekStart } = req.body;
+        const user = await User.findById(req.userId);
+        const currentWeekStart = getWeekStartDate(getTodayInTimezone(user.timezone || 'UTC'));
+
+        if (weekStart > currentWeekStart) {
+            return res.status(400).json({ error: 'Cannot submit a future week' });
+        }
+
+        const existing = await Timesheet.findOne({ userId: req.userId, weekStart });
+        if (existing && existing.status !== 'rejected') {
+            return res.status(409).json({ error: `Timesheet is already ${existing.status}` });
+        }
+
+        const summary = await buildWeekSummary(user, weekStart);
+        if (summary.hasActiveSession) {
+            return res.status(400).json({ error: 'End your active session before submitting this week' });
+        }
+
+        const timesheet = existing || new Timesheet({ userId: req.userId, weekStart });
+        timesheet.status = 'submitted';
+        timesheet.totalMs = summary.totalMs;
+        timesheet.submittedAt = new Date();
+        timesheet.reviewedByUserId = null;
+        timesheet.reviewedAt = null;
+        timesheet.comment = '';
+        await timesheet.save();
+
+        await AuditLog.record('TIMESHEET_SUBMITTED', req.userId, req.userId, {
+            timesheetId: timesheet._id,
+            weekStart,
+            totalMs: summary.totalMs,
+            resubmitted: !!existing,
+        });
+
+        res.status(201).json({ timesheet });
+    } catch (err) {
+        console.error('Submit timesheet error:', err);
+        res.status(500).json({ error: 'Failed to submit timesheet' });
+    }
+});
+
+/**
+ * GET /api/timesheets/review?status=submitted  (admin)
+ * Timesheets awaiting review (or with the given status), oldest week first.
+ *
+ * Response: { timesheets: [{ ..., userId: { _id, name, email } }] }
+ */
+router.get('/review', adminOnly, async (req, res) => {
+    try {
+        const status = ['submitted', 'approved', 'rejected'].includes(req.query.status)
+            ? req.query.status
+            : 'submitted';
+
+        const timesheets = await Timesheet.find({ orgId: req.orgId, status })
+            .sort({ weekStart: status === 'submitted' ? 1 : -1 })
+            .limit(200)
+            .populate('userId', 'name email')
+            .populate('reviewedByUserId', 'name email')
+            .lean();
+
+        res.json({ timesheets });
+    } catch (err) {
+        console.error('List timesheet reviews error:', err);
+        res.status(500).json({ error: 'Failed to list timesheets' });
+    }
+});
+
+/**
+ * GET /api/timesheets/:id
+ * One timesheet with its per-day breakdown. Visible to its owner and admins.
+ *
+ * Response: { timesheet, days, totalMs, totalFormatted, hasActiveSession }
+ */
+router.get('/:id', validate(timesheetIdRule), async (req, res) => {
+    try {
+        const timesheet = await Timesheet.findOne({ _id: req.params.id, orgId: req.orgId })
+            .populate('userId', 'name email')
+            .populate('reviewedByUserId', 'name email');
+        if (!timesheet || (!req.isAdmin && String(timesheet.userId._id) !== String(req.userId))) {
+            return res.status(404).json({ error: 'Timesheet not found' });
+        }
+
+        const user = await User.findById(timesheet.userId._id);
+        const summary = await buildWeekSummary(user, timesheet.weekStart);
+
+        res.json({ ...summary, timesheet });
+    } catch (err) {
+        console.error('Get timesheet error:', err);
+        res.status(500).json({ error: 'Failed to get timesheet' });
+    }
+});
+
+/**
+ * PATCH /api/timesheets/:id/review  (admin)
+ * Approve or reject a submitted timesheet. Approving locks the week's sessions
+ * and daily goals; rejecting sends it back to the employee with the comment.
+ *
+ * Request:  { action: 'approve' | 'reject', comment?: string }  (comment required to reject)
+ * Response: { timesheet }
+ */
+router.patch('/:id/review', adminOnly, validate(reviewTimesheetRules), async (req, res) => {
+    try {
+        const { action, comment } = req.body;
+        const timesheet = await Timesheet.findOne({ _id: req.params.id, orgId: req.orgId });
+        if (!timesheet) {
+            return res.status(404).json({ error: 'Timesheet not found' });
+        }
+        if (String(timesheet.userId) === String(req.userId)) {
+            return res.status(403).json({ error: 'You cannot review your own timesheet' });
+        }
+        if (timesheet.status !== 'submitted') {
+            return res.status(409).json({ error: `Timesheet is already ${timesheet.status}` });
+        }
+
+        timesheet.status = action === 'approve' ? 'approved' : 'rejected';
+        timesheet.comment = comment || '';
+        timesheet.reviewedByUserId = req.userId;
+        timesheet.reviewedAt = new Date();
+        await timesheet.save();
+
+        await AuditLog.record(
+            action === 'approve' ? 'TIMESHEET_APPROVED' : 'TIMESHEET_REJECTED',
+            req.userId,
+            timesheet.userId,
+            { timesheetId: timesheet._id, weekStart: timesheet.weekStart, comment: timesheet.comment }
+        );
+
+        res.json({ timesheet });
+    } catch (err) {
+        console.error('Review timesheet error:', err);
+        res.status(500).json({ error: 'Failed to review timesheet' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { twoFactorLimiter } = require('../middleware/rateLimiter');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { validate, twoFactorCodeRules, disableTwoFactorRules } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Managing your own two-factor authentication; signing in with it lives in
+// routes/auth.js
+router.use(auth.allowUnverified);
+
+/**
+ * Load the caller with the two-factor fields, or answer 404.
+ */
+async function loadUser(req, res) {
+    const user = await User.findById(req.userId).select(User.TWO_FACTOR_FIELDS);
+    if (!user) res.status(404).json({ error: 'User not found' });
+    return user;
+}
+
+/**
+ * GET /api/auth/2fa
+ * The caller's two-factor status.
+ *
+ * Response: { enabled, enabledAt, required, recoveryCodesLeft }
+ */
+router.get('/', async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            required: await user.isTwoFactorRequired(),
+            recoveryCodesLeft: user.twoFactor.recoveryCodeHashes.length,
+        });
+    } catch (err) {
+        console.error('Get two-factor status error:', err);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: a new secret to add to an authenticator app. Nothing
+ * changes until /enable confirms a code from it.
+ *
+ * Response: { secret, otpauthUri }
+ */
+router.post('/setup', async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already set up' });
+        }
+
+        const setup = user.beginTwoFactorSetup();
+        await user.save();
+
+        res.json(setup);
+    } catch (err) {
+        console.error('Two-factor setup error:', err);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the new secret.
+ *
+ * Request:  { code }
+ * Response: { recoveryCodes } — shown only this once
+ */
+router.post('/enable', twoFactorLimiter, validate(twoFactorCodeRules), async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already set up' });
+        }
+
+        const recoveryCodes = user.confirmTwoFactorSetup(req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+        await user.save();
+
+        await AuditLog.record('TWO_FACTOR_ENABLED', user._id, user._id, {});
+
+        res.json({ recoveryCodes });
+    } catch (err) {
+        console.error('Two-factor enable error:', err);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes; the old ones stop working.
+ *
+ * Request:  { code }
+ * Response: { recoveryCodes }
+ */
+router.post('/recovery-codes', twoFactorLimiter, validate(twoFactorCodeRules), async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+        if (!user.verifyTotpCode(req.body.code)) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        await AuditLog.record('RECOVERY_CODES_REGENERATED', user._id, user._id, {});
+
+        res.json({ recoveryCodes });
+    } catch (err) {
+        console.error('Regenerate recovery codes error:', err);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off. Needs the password and a current
+ * code; admins of an organization that requires 2FA cannot turn it off.
+ *
+ * Request:  { password, code }
+ * Response: { message }
+ */
+router.post('/disable', twoFactorLimiter, validate(disableTwoFactorRules), async (req, res) => {
+    try {
+        const user = await loadUser(req, res);
+        if (!user) return;
+
+        if (await user.isTwoFactorRequired()) {
+            return res.status(403).json({ error: 'Your organization requires two-factor authentication for admins' });
+        }
+        if (!(await user.comparePassword(req.body.password)) || !user.verifyTotpCode(req.body.code)) {
+            return res.status(400).json({ error: 'Invalid password or authentication code' });
+        }
+
+        user.clearTwoFactor();
+        await user.save();
+
+        await AuditLog.record('TWO_FACTOR_DISABLED', user._id, user._id, {});
+
+        res.json({ message: 'Two-factor authentication turned off' });
+    } catch (err) {
+        console.error('Two-factor disable error:', err);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+module.exports = router;
@@ -1,24 +1,243 @@
 const express = require('express');
 const auth = require('../middleware/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const OrgSettings = require('../models/OrgSettings');
+const { validate, userAutoCloseRules, scheduleRules, updateProfileRules } = require('../middleware/validate');
+const { getEffectivePolicy } = require('../utils/autoClose');
+const { getFlexBalance } = require('../utils/flex');
 
 const router = express.Router();
 
 /**
  * GET /api/user/me
- * Returns the currently authenticated user's profile.
+ * Returns the currently authenticated user's profile. Open to users who
+ * have not verified their email address yet.
  */
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth.allowUnverified, async (req, res) => {
     try {
         const user = await User.findById(req.userId);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
-        res.json({ user: user.toJSON() });
+        res.json({ user: await user.toProfile() });
     } catch (err) {
         console.error('Get user error:', err);
         res.status(500).json({ error: 'Failed to get user' });
     }
 });
 
+// Profile fields a user may change about themselves
+const PROFILE_FIELDS = ['name', 'timezone', 'defaultDailyGoal'];
+
+/**
+ * PATCH /api/user/me
+ * Update the caller's name, timezone or default daily goal.
+ *
+ * Sessions are stored as UTC instants and every day is computed in the
+ * user's current timezone, so a new timezone re-attributes past sessions as
+ * well: one near midnight may move to the neighbouring day. Dated records
+ * (goals, leave, timesheets) keep their dates, and approved timesheets keep
+ * their submitted totals. The timezone cannot change while a session is
+ * running, and each change is written to the AuditLog.
+ *
+ * Request:  { name?, timezone?: IANA zone, defaultDailyGoal?: 0.5-24 }
+ * Response: { user }
+ */
+router.patch('/me', auth, validate(updateProfileRules), async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const changed = PROFILE_FIELDS.filter(
+            (field) => req.body[field] !== undefined && req.body[field] !== user[field]
+        );
+
+        if (changed.includes('timezone') && await Session.exists({ userId: user._id, endAt: null })) {
+            return res.status(409).json({ error: 'End your running session before changing your timezone' });
+        }
+
+        if (changed.length > 0) {
+            const before = Object.fromEntries(changed.map((field) => [field, user[field]]));
+            for (const field of changed) user[field] = req.body[field];
+            await user.save();
+
+            await AuditLog.record('PROFILE_UPDATED', req.userId, user._id, {
+                before,
+                after: Object.fromEntries(changed.map((field) => [field, user[field]])),
+            });
+        }
+
+        res.json({ user: await user.toProfile() });
+    } catch (err) {
+        console.error('Update user error:', err);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+/**
+ * Shape the auto-close policy response: the user's own overrides, the org
+ * defaults they fall back to, and the resulting effective policy.
+ */
+function autoCloseResponse(user, orgSettings) {
+    return {
+        own: {
+            maxSessionHours: user.autoClose?.maxSessionHours ?? null,
+            dailyCutoffTime: user.autoClose?.dailyCutoffTime ?? null,
+        },
+        org: {
+            maxSessionHours: orgSettings.autoClose.maxSessionHours,
+            dailyCutoffTime: orgSettings.autoClose.dailyCutoffTime,
+        },
+        effective: getEffectivePolicy(user, orgSettings),
+    };
+}
+
+/**
+ * GET /api/user/auto-close
+ * Returns the caller's auto-close policy for forgotten sessions.
+ *
+ * Response: { own, org, effective } — each { maxSessionHours, dailyCutoffTime }
+ */
+router.get('/auto-close', auth, async (req, res) => {
+    try {
+        const [user, orgSettings] = await Promise.all([
+            User.findById(req.userId),
+            OrgSettings.getSettings(req.orgId),
+        ]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(autoCloseResponse(user, orgSettings));
+    } catch (err) {
+        console.error('Get auto-close error:', err);
+        res.status(500).json({ error: 'Failed to get auto-close settings' });
+    }
+});
+
+/**
+ * PUT /api/user/auto-close
+ * Override the org auto-close policy for the caller. null restores the org default.
+ *
+ * Request:  { maxSessionHours?: number|null, dailyCutoffTime?: 'HH:mm'|null }
+ * Response: { own, org, effective }
+ */
+router.put('/auto-close', auth, validate(userAutoCloseRules), async (req, res) => {
+    try {
+        const [user, orgSettings] = await Promise.all([
+            User.findById(req.userId),
+            OrgSettings.getSettings(req.orgId),
+        ]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        for (const field of ['maxSessionHours', 'dailyCutoffTime']) {
+            if (req.body[field] !== undefined) user.autoClose[field] = req.body[field];
+        }
+        await user.save();
+
+        res.json(autoCloseResponse(user, orgSettings));
+    } catch (err) {
+        console.error('Update auto-close error:', err);
+        res.status(500).json({ error: 'Failed to update auto-close settings' });
+    }
+});
+
+/**
+ * Shape the schedule response: the user's weekly schedule plus what applies
+ * without one (their default goal on the org's work days).
+ */
+function scheduleResponse(user, orgSettings) {
+    return {
+        schedule: [...user.schedule].sort((a, b) => a.weekday - b.weekday),
+        defaultDailyGoal: user.defaultDailyGoal,
+        workDays: orgSettings.calendar.workDays,
+    };
+}
+
+/**
+ * GET /api/user/schedule
+ * Returns the caller's weekly schedule. An empty schedule means the default
+ * goal applies on the organization's work days.
+ *
+ * Response: { schedule: [{ weekday, goalHours, startTime, endTime }], defaultDailyGoal, workDays }
+ */
+router.get('/schedule', auth, async (req, res) => {
+    try {
+        const [user, orgSettings] = await Promise.all([
+            User.findById(req.userId),
+            OrgSettings.getSettings(req.orgId),
+        ]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(scheduleResponse(user, orgSettings));
+    } catch (err) {
+        console.error('Get schedule error:', err);
+        res.status(500).json({ error: 'Failed to get schedule' });
+    }
+});
+
+/**
+ * PUT /api/user/schedule
+ * Replace the caller's weekly schedule. Weekdays left out are days off;
+ * an empty list goes back to the default goal on the org's work days.
+ * Custom goals set for specific dates still take precedence.
+ *
+ * Request:  { days: [{ weekday: 1-7, goalHours, startTime?: 'HH:mm', endTime?: 'HH:mm' }] }
+ * Response: { schedule, defaultDailyGoal, workDays }
+ */
+router.put('/schedule', auth, validate(scheduleRules), async (req, res) => {
+    try {
+        const [user, orgSettings] = await Promise.all([
+            User.findById(req.userId),
+            OrgSettings.getSettings(req.orgId),
+        ]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        user.schedule = req.body.days.map(({ weekday, goalHours, startTime, endTime }) => ({
+            weekday,
+            goalHours,
+            startTime: startTime || null,
+            endTime: endTime || null,
+        }));
+        await user.save();
+
+        res.json(scheduleResponse(user, orgSettings));
+    } catch (err) {
+        console.error('Update schedule error:', err);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
+/**
+ * GET /api/user/flex
+ * Returns the caller's flex-time balance: worked minus goal over every
+ * finished day since tracking started, after the org's carry-over rules.
+ * Today's difference so far is reported separately.
+ *
+ * Response: {
+ *   trackedFrom, balanceHours, todayHours, periodStart, carriedOverHours,
+ *   rules: { resetPeriod, maxCarryOverHours, carryOverDeficit }
+ * }
+ */
+router.get('/flex', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(await getFlexBalance(user));
+    } catch (err) {
+        console.error('Get flex balance error:', err);
+        res.status(500).json({ error: 'Failed to get flex balance' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,111 @@
+const { DateTime } = require('luxon');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const OrgSettings = require('../models/OrgSettings');
+
+/**
+ * Auto-closing of forgotten sessions.
+ *
+ * If a user never clicks End Work, the session would otherwise keep counting
+ * up to "now" forever. The policy closes it after a maximum length and/or at
+ * a daily cutoff time in the user's timezone, whichever comes first, and flags
+ * it so the user is asked to confirm their hours.
+ */
+
+/**
+ * Resolve the policy for a user: per-user values override the org defaults.
+ * A null per-user value means "inherit from the organization".
+ *
+ * @param {{ autoClose?: { maxSessionHours, dailyCutoffTime } }} user
+ * @param {{ autoClose: { maxSessionHours, dailyCutoffTime } }} orgSettings
+ * @returns {{ maxSessionHours: number|null, dailyCutoffTime: string|null }}
+ */
+function getEffectivePolicy(user, orgSettings) {
+    const own = user.autoClose || {};
+    const org = orgSettings.autoClose || {};
+    return {
+        maxSessionHours: own.maxSessionHours ?? org.maxSessionHours ?? null,
+        dailyCutoffTime: own.dailyCutoffTime ?? org.dailyCutoffTime ?? null,
+    };
+}
+
+/**
+ * Compute when an active session should have been closed under the policy.
+ *
+ * The cutoff is the first occurrence of the cutoff time strictly after the
+ * session start (so a session started at 23:30 with a 23:00 cutoff runs until
+ * 23:00 the next day).
+ *
+ * @param {{ startAt: Date }} session
+ * @param {{ maxSessionHours: number|null, dailyCutoffTime: string|null }} policy
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now]
+ * @returns {Date|null} the close time if it has already passed, else null
+ */
+function computeAutoCloseTime(session, policy, timezone, now = new Date()) {
+    const candidates = [];
+
+    if (policy.maxSessionHours) {
+        candidates.push(new Date(session.startAt.getTime() + policy.maxSessionHours * 3600000));
+    }
+
+    if (policy.dailyCutoffTime) {
+        const [hour, minute] = policy.dailyCutoffTime.split(':').map(Number);
+        const start = DateTime.fromJSDate(session.startAt, { zone: timezone });
+        let cutoff = start.set({ hour, minute, second: 0, millisecond: 0 });
+        if (cutoff <= start) cutoff = cutoff.plus({ days: 1 });
+        candidates.push(cutoff.toJSDate());
+    }
+
+    if (candidates.length === 0) return null;
+    const closeAt = new Date(Math.min(...candidates.map((d) => d.getTime())));
+    return closeAt <= now ? closeAt : null;
+}
+
+/**
+ * Auto-close the user's active session if the policy says it is overdue.
+ *
+ * @param {ObjectId|string} userId
+ * @returns {Promise<Document|null>} the closed session, or null if nothing changed
+ */
+async function autoCloseStaleSessions(userId) {
+    const session = await Session.findOne({ userId, endAt: null });
+    if (!session) return null;
+
+    const user = await User.findById(userId);
+    if (!user) return null;
+    const orgSettings = await OrgSettings.getSettings(user.orgId);
+
+    const policy = getEffectivePolicy(user, orgSettings);
+    const closeAt = computeAutoCloseTime(session, policy, user.timezone || 'UTC');
+    if (!closeAt) return null;
+
+    session.closeAt(closeAt);
+    session.autoClosed = true;
+    session.confirmedAt = null;
+    await session.save();
+    return session;
+}
+
+/**
+ * Check every active session in the system, or only those of some users.
+ * Run periodically by the server.
+ * @param {Array<ObjectId|string>} [userIds] - limit the sweep to these users
+ * @returns {Promise<number>} number of sessions closed
+ */
+async function sweepStaleSessions(userIds) {
+    const filter = userIds ? { endAt: null, userId: { $in: userIds } } : { endAt: null };
+    const activeUserIds = await Session.distinct('userId', filter);
+    let closed = 0;
+    for (const userId of activeUserIds) {
+        if (await autoCloseStaleSessions(userId)) closed++;
+    }
+    return closed;
+}
+
+module.exports = {
+    getEffectivePolicy,
+    computeAutoCloseTime,
+    autoCloseStaleSessions,
+    sweepStaleSessions,
+};
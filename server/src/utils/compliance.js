@@ -0,0 +1,204 @@
+const { DateTime } = require('luxon');
+const Session = require('../models/Session');
+const OrgSettings = require('../models/OrgSettings');
+const {
+    computeDayTotal,
+    computeDayBreakTotal,
+    getDayBounds,
+} = require('./time');
+
+/**
+ * Working-time compliance.
+ *
+ * Three rules, each configurable in OrgSettings.compliance and off when null:
+ * - maxDailyHours: worked time on a calendar day (after splitSessionByDay)
+ * - minRest: rest between the last session started on an earlier day and the
+ *   first session started on this one
+ * - breakRequired: a day with more than breakAfterHours of work needs at
+ *   least minBreakMinutes of breaks, counting pauses and gaps between sessions
+ */
+
+const DEFAULT_RULES = {
+    maxDailyHours: 10,
+    minRestHours: 11,
+    breakAfterHours: 6,
+    minBreakMinutes: 30,
+    warnBeforeMinutes: 30,
+};
+
+const hours = (ms) => Math.round((ms / 3600000) * 100) / 100;
+const minutes = (ms) => Math.round(ms / 60000);
+
+/**
+ * Time between sessions on a date: the gaps between the first session start
+ * and the last session end on that day. Rest before the day's first session
+ * and after its last one (overnight) is not a break.
+ * @param {Array} sorted - sessions ordered by startAt
+ */
+function computeDayGapTotal(sorted, date, timezone) {
+    const { dayStart, dayEnd } = getDayBounds(date, timezone);
+    const onDay = sorted.filter((s) => s.startAt < dayEnd && (!s.endAt || s.endAt > dayStart));
+    if (onDay.length < 2) return 0;
+
+    // The working span on the day; a running session reaches the end of it
+    const spanStart = Math.max(onDay[0].startAt.getTime(), dayStart.getTime());
+    const spanEnd = Math.max(...onDay.map((s) => Math.min((s.endAt ?? dayEnd).getTime(), dayEnd.getTime())));
+
+    let totalMs = 0;
+    for (let i = 1; i < onDay.length; i++) {
+        const prevEnd = onDay[i - 1].endAt;
+        if (!prevEnd || prevEnd >= onDay[i].startAt) continue;
+        const gapStart = Math.max(prevEnd.getTime(), spanStart);
+        const gapEnd = Math.min(onDay[i].startAt.getTime(), spanEnd);
+        if (gapEnd > gapStart) totalMs += gapEnd - gapStart;
+    }
+    return totalMs;
+}
+
+/**
+ * Check a user's sessions against the rules, day by day.
+ *
+ * Sessions should cover the day before the first date too, so the rest
+ * before that date can be checked.
+ *
+ * @param {Array} sessions - Session documents (or plain objects with startAt, endAt, breaks)
+ * @param {string[]} dates - 'YYYY-MM-DD' dates to report on
+ * @param {string} timezone
+ * @param {object} [rules] - OrgSettings.compliance
+ * @returns {Map<string, Array<{ date, rule: 'maxDailyHours'|'minRest'|'breakRequired', message, actual, limit }>>}
+ *   date → violations (dates without violations map to [])
+ */
+function evaluateCompliance(sessions, dates, timezone, rules = {}) {
+    const { maxDailyHours, minRestHours, breakAfterHours, minBreakMinutes } = { ...DEFAULT_RULES, ...rules };
+    const sorted = [...sessions].sort((a, b) => a.startAt - b.startAt);
+    const result = new Map(dates.map((date) => [date, []]));
+    const startDate = (session) => DateTime.fromJSDate(session.startAt, { zone: timezone }).toISODate();
+
+    for (const date of dates) {
+        const violations = result.get(date);
+        const workedMs = computeDayTotal(sorted, date, timezone);
+
+        if (maxDailyHours !== null && workedMs > maxDailyHours * 3600000) {
+            violations.push({
+                date,
+                rule: 'maxDailyHours',
+                message: `Worked ${hours(workedMs)}h, over the ${maxDailyHours}h daily limit`,
+                actual: hours(workedMs),
+                limit: maxDailyHours,
+            });
+        }
+
+        if (minRestHours !== null) {
+            const firstIndex = sorted.findIndex((s) => startDate(s) === date);
+            const previous = firstIndex > 0 ? sorted[firstIndex - 1] : null;
+            if (previous?.endAt) {
+                const restMs = sorted[firstIndex].startAt - previous.endAt;
+                if (restMs < minRestHours * 3600000) {
+                    violations.push({
+                        date,
+                        rule: 'minRest',
+                        message: `Only ${hours(Math.max(0, restMs))}h of rest before starting, ${minRestHours}h required`,
+                        actual: hours(Math.max(0, restMs)),
+                        limit: minRestHours,
+                    });
+                }
+            }
+        }
+
+        if (breakAfterHours !== null && minBreakMinutes !== null && workedMs > breakAfterHours * 3600000) {
+            const breakMs = computeDayBreakTotal(sorted, date, timezone)
+                + computeDayGapTotal(sorted, date, timezone);
+            if (breakMs < minBreakMinutes * 60000) {
+                violations.push({
+                    date,
+                    rule: 'breakRequired',
+                    message: `Worked ${hours(workedMs)}h with ${minutes(breakMs)} min of breaks, `
+                        + `${minBreakMinutes} min required after ${breakAfterHours}h`,
+                    actual: minutes(breakMs),
+                    limit: minBreakMinutes,
+                });
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Warnings for a running session that is about to break a rule.
+ *
+ * @param {{ workedMs: number, breakMs: number, isActive: boolean, rules?: object }} params
+ *   workedMs and breakMs are today's totals so far, breaks including gaps between sessions
+ * @returns {Array<{ rule, message, minutesLeft }>}
+ */
+function getLiveWarnings({ workedMs, breakMs, isActive, rules = {} }) {
+    const {
+        maxDailyHours, breakAfterHours, minBreakMinutes, warnBeforeMinutes,
+    } = { ...DEFAULT_RULES, ...rules };
+    if (!isActive) return [];
+
+    const warnings = [];
+    const isClose = (minutesLeft) => minutesLeft > 0 && minutesLeft <= warnBeforeMinutes;
+
+    if (maxDailyHours !== null) {
+        const minutesLeft = Math.ceil(maxDailyHours * 60 - workedMs / 60000);
+        if (isClose(minutesLeft)) {
+            warnings.push({
+                rule: 'maxDailyHours',
+                message: `${minutesLeft} min left before the ${maxDailyHours}h daily limit`,
+                minutesLeft,
+            });
+        }
+    }
+
+    if (breakAfterHours !== null && minBreakMinutes !== null && breakMs < minBreakMinutes * 60000) {
+        const minutesLeft = Math.ceil(breakAfterHours * 60 - workedMs / 60000);
+        if (isClose(minutesLeft)) {
+            warnings.push({
+                rule: 'breakRequired',
+                message: `Take a ${minBreakMinutes - minutes(breakMs)} min break within ${minutesLeft} min`,
+                minutesLeft,
+            });
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Load a user's sessions around a date range and check them.
+ *
+ * @param {{ _id, orgId, timezone?: string }} user
+ * @param {string[]} dates - consecutive 'YYYY-MM-DD' dates, in order
+ * @param {object} [settings] - OrgSettings document, loaded if omitted
+ * @returns {Promise<{ violations: Map<string, Array>, sessions: Array, rules: object }>}
+ */
+async function getComplianceForDates(user, dates, settings) {
+    const orgSettings = settings || await OrgSettings.getSettings(user.orgId);
+    const rules = { ...DEFAULT_RULES, ...orgSettings.toObject().compliance };
+    const timezone = user.timezone || 'UTC';
+
+    // Rest is measured from the day before the first date
+    const dayBefore = DateTime.fromISO(dates[0]).minus({ days: 1 }).toISODate();
+    const { dayStart } = getDayBounds(dayBefore, timezone);
+    const { dayEnd } = getDayBounds(dates[dates.length - 1], timezone);
+
+    const sessions = await Session.find({
+        userId: user._id,
+        startAt: { $lt: dayEnd },
+        $or: [{ endAt: { $gte: dayStart } }, { endAt: null }],
+    }).sort({ startAt: 1 });
+
+    return {
+        violations: evaluateCompliance(sessions, dates, timezone, rules),
+        sessions,
+        rules,
+    };
+}
+
+module.exports = {
+    computeDayGapTotal,
+    evaluateCompliance,
+    getLiveWarnings,
+    getComplianceForDates,
+};
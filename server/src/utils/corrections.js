@@ -0,0 +1,163 @@
+const { DateTime } = require('luxon');
+const { getDayBounds, parseLocalDateTime, resolveEndAt } = require('./time');
+
+/**
+ * Correction planning.
+ *
+ * A correction request proposes changes to the sessions of one calendar day:
+ *   { type: 'add',    startTime, endTime, projectId? }
+ *   { type: 'update', sessionId, startTime?, endTime?, projectId? }
+ *   { type: 'remove', sessionId }
+ * Times are 'HH:mm' in the user's timezone; an end at or before the start
+ * rolls over to the next day, as for manual entries.
+ *
+ * planCorrection() turns the proposal into bulkWrite operations without
+ * touching the database, so it can validate a request both when it is
+ * submitted and again, against fresh data, when an admin approves it.
+ */
+
+/** Plain snapshot of a session's times for audit before/after values. */
+function snapshot(session) {
+    return {
+        sessionId: session._id || null,
+        startAt: session.startAt,
+        endAt: session.endAt,
+        projectId: session.projectId || null,
+    };
+}
+
+/** Keep only the parts of breaks that fall inside the new session times. */
+function clipBreaks(breaks, startAt, endAt) {
+    return (breaks || [])
+        .filter((b) => b.startAt < endAt && (b.endAt || endAt) > startAt)
+        .map((b) => ({
+            startAt: b.startAt < startAt ? startAt : b.startAt,
+            endAt: !b.endAt || b.endAt > endAt ? endAt : b.endAt,
+        }));
+}
+
+/**
+ * Validate a correction against the user's current sessions and build the
+ * writes that apply it.
+ *
+ * @param {object} params
+ * @param {ObjectId|string} params.userId
+ * @param {ObjectId|string} params.orgId - stamped on added sessions
+ * @param {string} params.date - 'YYYY-MM-DD' the correction is for
+ * @param {string} params.timezone - IANA timezone
+ * @param {Array} params.changes - proposed changes (see above)
+ * @param {Array} params.sessions - the user's sessions around that date
+ * @param {Date} [params.now]
+ * @returns {{ errors: string[], ops: Array, before: Array, after: Array }}
+ */
+function planCorrection({ userId, orgId, date, timezone, changes, sessions, now = new Date() }) {
+    const errors = [];
+    const ops = [];
+    const before = [];
+    const after = [];
+    const { dayStart, dayEnd } = getDayBounds(date, timezone);
+
+    const startsOnDate = (s) =>
+        DateTime.fromJSDate(s.startAt, { zone: timezone }).toISODate() === date;
+    const byId = new Map(sessions.map((s) => [String(s._id), s]));
+    const touched = new Set();
+    const removed = new Set();
+    const updated = new Map();
+    const added = [];
+
+    const resolveTimes = (startTime, endTime, current, label) => {
+        const startAt = startTime ? parseLocalDateTime(date, startTime, timezone) : current?.startAt;
+        const endAt = endTime ? startAt && resolveEndAt(startAt, endTime, timezone) : current?.endAt;
+
+        if (!startAt || !endAt || startAt < dayStart || startAt >= dayEnd) {
+            errors.push(`${label}: invalid time for ${date}`);
+            return null;
+        }
+        if (endAt <= startAt) {
+            errors.push(`${label}: start must be before end`);
+            return null;
+        }
+        if (endAt > now) {
+            errors.push(`${label}: sessions cannot end in the future`);
+            return null;
+        }
+        return { startAt, endAt };
+    };
+
+    changes.forEach((change, i) => {
+        const label = `Change ${i + 1}`;
+
+        if (change.type === 'add') {
+            const times = resolveTimes(change.startTime, change.endTime, null, label);
+            if (times) added.push({ ...times, projectId: change.projectId || null });
+            return;
+        }
+
+        const session = byId.get(String(change.sessionId));
+        if (!session || !startsOnDate(session)) {
+            errors.push(`${label}: session not found on ${date}`);
+            return;
+        }
+        if (!session.endAt) {
+            errors.push(`${label}: the active session cannot be corrected`);
+            return;
+        }
+        if (touched.has(String(session._id))) {
+            errors.push(`${label}: session is changed more than once`);
+            return;
+        }
+        touched.add(String(session._id));
+
+        if (change.type === 'remove') {
+            removed.add(String(session._id));
+            before.push(snapshot(session));
+            ops.push({ deleteOne: { filter: { _id: session._id, userId } } });
+            return;
+        }
+
+        const times = resolveTimes(change.startTime, change.endTime, session, label);
+        if (!times) return;
+        const projectId = change.projectId !== undefined ? change.projectId || null : session.projectId;
+        updated.set(String(session._id), { ...times, projectId });
+        before.push(snapshot(session));
+        after.push(snapshot({ _id: session._id, ...times, projectId }));
+        ops.push({
+            updateOne: {
+                filter: { _id: session._id, userId },
+                update: {
+                    $set: {
+                        ...times,
+                        projectId,
+                        breaks: clipBreaks(session.breaks, times.startAt, times.endAt),
+                    },
+                },
+            },
+        });
+    });
+
+    for (const add of added) {
+        after.push(snapshot(add));
+        ops.push({ insertOne: { document: { userId, orgId, ...add, isManual: true } } });
+    }
+
+    // The day must still be free of overlaps once everything is applied
+    if (errors.length === 0) {
+        const result = [
+            ...sessions
+                .filter((s) => !removed.has(String(s._id)))
+                .map((s) => updated.get(String(s._id)) || { startAt: s.startAt, endAt: s.endAt || now }),
+            ...added,
+        ].sort((a, b) => a.startAt - b.startAt);
+
+        for (let i = 1; i < result.length; i++) {
+            if (result[i].startAt < result[i - 1].endAt) {
+                errors.push('The corrected sessions would overlap');
+                break;
+            }
+        }
+    }
+
+    return { errors, ops, before, after };
+}
+
+module.exports = { planCorrection };
@@ -0,0 +1,52 @@
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+
+/**
+ * Email verification for new accounts.
+ *
+ * Registration mails a single-use link (valid EMAIL_VERIFICATION_EXPIRY_HOURS,
+ * default 48). Until it is followed the user can sign in, but the API only
+ * lets them see their profile, manage their sign-in security and ask for a
+ * new link (see middleware/auth.js).
+ *
+ * REQUIRE_EMAIL_VERIFICATION=false turns the restriction off, e.g. where no
+ * mail transport is set up; links are still sent.
+ */
+
+/**
+ * @returns {boolean} whether unverified users are restricted
+ */
+function isEmailVerificationRequired() {
+    return process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+}
+
+/**
+ * Mail the user a new verification link; earlier links stop working.
+ * @param {Document} user
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+    const hours = parseFloat(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS) || 48;
+    const token = await UserToken.issue(user._id, 'email-verification', hours * 60);
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your WorkHourTracker email address',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'Please confirm this is your email address for WorkHourTracker.',
+            `Follow this link within ${hours} hours:`,
+            '',
+            `${clientUrl}/verify-email?token=${token}`,
+            '',
+            'If you did not create an account, ignore this email.',
+        ].join('\n'),
+    });
+}
+
+module.exports = {
+    isEmailVerificationRequired,
+    sendVerificationEmail,
+};
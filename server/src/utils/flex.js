@@ -0,0 +1,183 @@
+const { DateTime } = require('luxon');
+const Session = require('../models/Session');
+const OrgSettings = require('../models/OrgSettings');
+const { getGoalsForUsers } = require('./goals');
+const {
+    getTodayInTimezone,
+    getDayBounds,
+    listDates,
+    computeDailyTotals,
+} = require('./time');
+
+/**
+ * Flex-time balances.
+ *
+ * Every finished day adds worked minus goal to the user's balance, so overtime
+ * and undertime even out over time. Today is still running and is reported on
+ * its own. If the org resets balances each month, quarter or year, the balance
+ * at each reset is cut to the carry-over limits before the next period starts.
+ */
+
+const DEFAULT_RULES = {
+    startDate: null,
+    resetPeriod: 'none',
+    maxCarryOverHours: null,
+    carryOverDeficit: true,
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Apply the carry-over rules to a balance at a period reset.
+ * @param {number} balanceMs
+ * @param {{ maxCarryOverHours: number|null, carryOverDeficit: boolean }} rules
+ * @returns {number} the balance the next period starts with, in ms
+ */
+function carryOver(balanceMs, { maxCarryOverHours, carryOverDeficit }) {
+    const cap = maxCarryOverHours === null || maxCarryOverHours === undefined
+        ? Infinity
+        : maxCarryOverHours * 3600000;
+    const floor = carryOverDeficit ? -cap : 0;
+    return Math.min(cap, Math.max(floor, balanceMs));
+}
+
+/**
+ * Work out a flex balance from day-by-day worked time and goals.
+ *
+ * @param {{
+ *   dates: string[],                       // every tracked date, in order, up to today
+ *   today: string,                         // counted separately, not in the balance
+ *   workedMsByDate: Map<string, number>,
+ *   goals: Map<string, { goalHours: number }>,
+ *   rules?: { resetPeriod, maxCarryOverHours, carryOverDeficit },
+ * }} params
+ * @returns {{
+ *   balanceHours: number, todayHours: number,
+ *   periodStart: string|null,   // first tracked date of the current reset period
+ *   carriedOverHours: number    // balance brought into the current period
+ * }}
+ */
+function computeFlexBalance({ dates, today, workedMsByDate, goals, rules = {} }) {
+    const { resetPeriod, ...carryRules } = { ...DEFAULT_RULES, ...rules };
+
+    let balanceMs = 0;
+    let todayMs = 0;
+    let carriedOverMs = 0;
+    let periodStart = dates[0] ?? null;
+    let period = null;
+
+    for (const date of dates) {
+        if (resetPeriod !== 'none') {
+            const current = DateTime.fromISO(date).startOf(resetPeriod).toISODate();
+            if (period !== null && current !== period) {
+                balanceMs = carryOver(balanceMs, carryRules);
+                carriedOverMs = balanceMs;
+                periodStart = date;
+            }
+            period = current;
+        }
+
+        const deltaMs = (workedMsByDate.get(date) || 0) - (goals.get(date)?.goalHours ?? 0) * 3600000;
+        if (date === today) todayMs = deltaMs;
+        else balanceMs += deltaMs;
+    }
+
+    return {
+        balanceHours: round(balanceMs / 3600000),
+        todayHours: round(todayMs / 3600000),
+        periodStart,
+        carriedOverHours: round(carriedOverMs / 3600000),
+    };
+}
+
+/**
+ * Compute flex balances as of today for users of one organization, with one
+ * query per collection for them all (admin lists and exports would otherwise
+ * read every user's history one by one).
+ *
+ * @param {Array<{ _id, orgId, timezone?: string, createdAt: Date, defaultDailyGoal: number, schedule?: Array }>} users
+ * @param {object} [settings] - OrgSettings document, loaded if omitted
+ * @returns {Promise<Map<string, {
+ *   trackedFrom: string, balanceHours, todayHours, periodStart, carriedOverHours,
+ *   rules: { resetPeriod, maxCarryOverHours, carryOverDeficit }
+ * }>>} by user id
+ */
+async function getFlexBalances(users, settings) {
+    const balances = new Map();
+    if (users.length === 0) return balances;
+
+    const orgSettings = settings || await OrgSettings.getSettings(users[0].orgId);
+    const { startDate, ...rules } = { ...DEFAULT_RULES, ...orgSettings.toObject().flex };
+
+    // Track each user from the later of the org start date and their sign-up
+    const ranges = users.map((user) => {
+        const timezone = user.timezone || 'UTC';
+        const today = getTodayInTimezone(timezone);
+        const joined = DateTime.fromJSDate(user.createdAt || new Date()).setZone(timezone).toISODate();
+        const start = startDate && startDate > joined ? startDate : joined;
+        const trackedFrom = start > today ? today : start;
+        return {
+            user,
+            timezone,
+            today,
+            trackedFrom,
+            dates: listDates(trackedFrom, today),
+            rangeStart: getDayBounds(trackedFrom, timezone).dayStart,
+            rangeEnd: getDayBounds(today, timezone).dayEnd,
+        };
+    });
+
+    const rangeStart = new Date(Math.min(...ranges.map((r) => r.rangeStart.getTime())));
+    const rangeEnd = new Date(Math.max(...ranges.map((r) => r.rangeEnd.getTime())));
+    const [sessions, goals] = await Promise.all([
+        Session.find({
+            userId: { $in: users.map((user) => user._id) },
+            startAt: { $lt: rangeEnd },
+            $or: [{ endAt: { $gte: rangeStart } }, { endAt: null }],
+        }),
+        getGoalsForUsers(users, new Map(ranges.map((r) => [String(r.user._id), r.dates])), orgSettings),
+    ]);
+
+    const sessionsByUser = new Map();
+    for (const session of sessions) {
+        const id = String(session.userId);
+        if (!sessionsByUser.has(id)) sessionsByUser.set(id, []);
+        sessionsByUser.get(id).push(session);
+    }
+
+    for (const { user, timezone, today, trackedFrom, dates } of ranges) {
+        const id = String(user._id);
+        balances.set(id, {
+            trackedFrom,
+            ...computeFlexBalance({
+                dates,
+                today,
+                workedMsByDate: computeDailyTotals(sessionsByUser.get(id) || [], dates, timezone),
+                goals: goals.get(id),
+                rules,
+            }),
+            rules,
+        });
+    }
+    return balances;
+}
+
+/**
+ * Compute a user's flex balance as of today, from their sessions and goals
+ * since flex tracking started.
+ *
+ * @param {{ _id, orgId, timezone?: string, createdAt: Date, defaultDailyGoal: number, schedule?: Array }} user
+ * @param {object} [settings] - OrgSettings document, loaded if omitted
+ * @returns {Promise<object>} see getFlexBalances
+ */
+async function getFlexBalance(user, settings) {
+    const balances = await getFlexBalances([user], settings);
+    return balances.get(String(user._id));
+}
+
+module.exports = {
+    carryOver,
+    computeFlexBalance,
+    getFlexBalance,
+    getFlexBalances,
+};
@@ -0,0 +1,263 @@
+const { DateTime } = require('luxon');
+const DailyGoal = require('../models/DailyGoal');
+const Holiday = require('../models/Holiday');
+const LeaveRequest = require('../models/LeaveRequest');
+const OrgSettings = require('../models/OrgSettings');
+const { computeProgressPercent } = require('./time');
+
+/**
+ * Daily goal resolution.
+ *
+ * A day's goal is not just the user's default: org holidays and approved full
+ * days of leave have no goal, a half day of leave halves it, and days off have
+ * no goal unless the user set one explicitly. Days off come from the user's
+ * weekly schedule if they have one, otherwise from the org's work week.
+ * Every place that reports goals goes through here so they agree.
+ */
+
+/**
+ * Resolve the goal for a single date.
+ *
+ * Precedence: holiday > full-day leave > custom goal > weekly schedule >
+ * work-week default, with a half day of leave halving whatever the day would
+ * otherwise be.
+ *
+ * @param {{
+ *   date: string,
+ *   defaultGoal: number,
+ *   customGoal?: number|null,
+ *   schedule?: Array<{ weekday, goalHours, startTime, endTime }>,
+ *   holiday?: { name: string }|null,
+ *   leave?: { type: string }|null,
+ *   workDays: number[],
+ * }} params
+ * @returns {{
+ *   goalHours: number, dayType: string, label: string|null, isDefault: boolean,
+ *   expectedStart: string|null, expectedEnd: string|null
+ * }}
+ *   dayType is one of 'workday', 'weekend', 'holiday', 'leave', 'half-day'
+ */
+function resolveDayGoal({
+    date, defaultGoal, customGoal = null, schedule = [], holiday = null, leave = null, workDays,
+}) {
+    const isDefault = customGoal === null || customGoal === undefined;
+    const weekday = DateTime.fromISO(date).weekday;
+
+    let isWorkDay;
+    let scheduledGoal;
+    let expected = { expectedStart: null, expectedEnd: null };
+    if (schedule.length > 0) {
+        const day = schedule.find((d) => d.weekday === weekday);
+        scheduledGoal = day?.goalHours ?? 0;
+        isWorkDay = scheduledGoal > 0;
+        if (day) expected = { expectedStart: day.startTime ?? null, expectedEnd: day.endTime ?? null };
+    } else {
+        isWorkDay = workDays.includes(weekday);
+        scheduledGoal = isWorkDay ? defaultGoal : 0;
+    }
+
+    if (holiday) {
+        return { goalHours: 0, dayType: 'holiday', label: holiday.name, isDefault, ...expected };
+    }
+    if (leave && leave.type !== 'half-day') {
+        return { goalHours: 0, dayType: 'leave', label: leave.type, isDefault, ...expected };
+    }
+
+    const baseGoal = isDefault ? scheduledGoal : customGoal;
+
+    if (leave) {
+        return { goalHours: baseGoal / 2, dayType: 'half-day', label: leave.type, isDefault, ...expected };
+    }
+    return { goalHours: baseGoal, dayType: isWorkDay ? 'workday' : 'weekend', label: null, isDefault, ...expected };
+}
+
+/** Group documents by their userId, as strings. */
+function groupByUser(docs) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const id = String(doc.userId);
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(doc);
+    }
+    return groups;
+}
+
+/**
+ * Resolve each date's goal from what was loaded for the user.
+ * @returns {Map<string, object>} see resolveDayGoal
+ */
+function resolveGoals(user, dates, { goalByDate, holidayByDate, leaves, workDays }) {
+    const result = new Map();
+    for (const date of dates) {
+        const leave = leaves.find((l) => l.startDate <= date && l.endDate >= date) || null;
+        result.set(date, resolveDayGoal({
+            date,
+            defaultGoal: user.defaultDailyGoal,
+            customGoal: goalByDate.get(date),
+            schedule: user.schedule || [],
+            holiday: holidayByDate.get(date) || null,
+            leave,
+            workDays,
+        }));
+    }
+    return result;
+}
+
+/**
+ * Load everything that affects a user's goals for a set of dates and resolve each one.
+ *
+ * @param {{ _id, orgId, defaultDailyGoal: number, schedule?: Array }} user
+ * @param {string[]} dates - 'YYYY-MM-DD' in the user's timezone
+ * @returns {Promise<Map<string, { goalHours, dayType, label, isDefault, expectedStart, expectedEnd }>>}
+ */
+async function getGoalsForDates(user, dates) {
+    if (dates.length === 0) return new Map();
+
+    const sorted = [...dates].sort();
+    const [goals, holidays, leaves, settings] = await Promise.all([
+        DailyGoal.find({ userId: user._id, date: { $in: dates } }).lean(),
+        Holiday.find({ orgId: user.orgId, date: { $in: dates } }).lean(),
+        LeaveRequest.findOverlapping(user._id, sorted[0], sorted[sorted.length - 1]).lean(),
+        OrgSettings.getSettings(user.orgId),
+    ]);
+
+    return resolveGoals(user, dates, {
+        goalByDate: new Map(goals.map((g) => [g.date, g.goalHours])),
+        holidayByDate: new Map(holidays.map((h) => [h.date, h])),
+        leaves,
+        workDays: settings.calendar?.workDays ?? [1, 2, 3, 4, 5],
+    });
+}
+
+/**
+ * getGoalsForDates for many users of one organization, with one query per
+ * collection rather than per user — for long ranges across a user list.
+ *
+ * @param {Array<{ _id, orgId, defaultDailyGoal: number, schedule?: Array }>} users
+ * @param {Map<string, string[]>} datesByUser - user id -> contiguous 'YYYY-MM-DD' dates, in order
+ * @param {object} [settings] - the organization's OrgSettings, loaded if omitted
+ * @returns {Promise<Map<string, Map<string, object>>>} user id -> date -> goal
+ */
+async function getGoalsForUsers(users, datesByUser, settings) {
+    const result = new Map();
+    const ranged = users.filter((user) => datesByUser.get(String(user._id))?.length > 0);
+    if (ranged.length === 0) return result;
+
+    const ranges = ranged.map((user) => datesByUser.get(String(user._id)));
+    const from = ranges.map((dates) => dates[0]).sort()[0];
+    const to = ranges.map((dates) => dates[dates.length - 1]).sort().pop();
+    const userIds = ranged.map((user) => user._id);
+    const { orgId } = ranged[0];
+
+    const [goals, holidays, leaves, orgSettings] = await Promise.all([
+        DailyGoal.find({ userId: { $in: userIds }, date: { $gte: from, $lte: to } }).lean(),
+        Holiday.find({ orgId, date: { $gte: from, $lte: to } }).lean(),
+        LeaveRequest.find({
+            userId: { $in: userIds },
+            status: 'approved',
+            startDate: { $lte: to },
+            endDate: { $gte: from },
+        }).lean(),
+        settings || OrgSettings.getSettings(orgId),
+    ]);
+
+    const goalsByUser = groupByUser(goals);
+    const leavesByUser = groupByUser(leaves);
+    const holidayByDate = new Map(holidays.map((h) => [h.date, h]));
+    const workDays = orgSettings.calendar?.workDays ?? [1, 2, 3, 4, 5];
+    for (const user of ranged) {
+        const id = String(user._id);
+        result.set(id, resolveGoals(user, datesByUser.get(id), {
+            goalByDate: new Map((goalsByUser.get(id) || []).map((g) => [g.date, g.goalHours])),
+            holidayByDate,
+            leaves: leavesByUser.get(id) || [],
+            workDays,
+        }));
+    }
+    return result;
+}
+
+/**
+ * Work out what setting one goal across a range would do, date by date.
+ *
+ * @param {{
+ *   dates: string[],             // every date in the range, in order
+ *   weekdays?: number[]|null,    // ISO weekdays to include (null/empty = all)
+ *   goalHours: number,
+ *   existing: Map<string, number>,  // current custom goals by date
+ *   lockedWeeks: Set<string>,    // weekStart dates of approved timesheets
+ * }} params
+ * @returns {Array<{ date, action: 'create'|'overwrite'|'unchanged'|'locked', previousGoalHours: number|null }>}
+ */
+function planBulkGoals({ dates, weekdays = null, goalHours, existing, lockedWeeks }) {
+    return dates
+        .filter((date) => !weekdays?.length || weekdays.includes(DateTime.fromISO(date).weekday))
+        .map((date) => {
+            const previousGoalHours = existing.get(date) ?? null;
+            let action;
+            if (lockedWeeks.has(DateTime.fromISO(date).startOf('week').toISODate())) {
+                action = 'locked';
+            } else if (previousGoalHours === null) {
+                action = 'create';
+            } else {
+                action = previousGoalHours === goalHours ? 'unchanged' : 'overwrite';
+            }
+            return { date, action, previousGoalHours };
+        });
+}
+
+/**
+ * Sum goal hours over the resolved dates.
+ * @param {Map<string, { goalHours: number }>} goals
+ * @param {string[]} [dates] - defaults to every date in the map
+ * @returns {number}
+ */
+function sumGoalHours(goals, dates = [...goals.keys()]) {
+    return dates.reduce((sum, date) => sum + (goals.get(date)?.goalHours ?? 0), 0);
+}
+
+/**
+ * Progress toward a week or month target and what it takes to still reach it.
+ * Remaining workdays are today and later dates in the period with a goal,
+ * so days off, holidays and leave don't count.
+ *
+ * @param {{
+ *   targetHours: number,
+ *   workedMs: number,
+ *   dates: string[],          // every date in the period
+ *   goals: Map<string, { goalHours: number }>,
+ *   today: string,            // 'YYYY-MM-DD' in the user's timezone
+ * }} params
+ * @returns {{
+ *   targetHours, workedHours, remainingHours, remainingWorkdays,
+ *   hoursNeededPerWorkday: number|null, progressPercent
+ * }}
+ */
+function computePeriodProgress({ targetHours, workedMs, dates, goals, today }) {
+    const round = (n) => Math.round(n * 100) / 100;
+    const workedHours = workedMs / 3600000;
+    const remainingHours = Math.max(0, targetHours - workedHours);
+    const remainingWorkdays = dates.filter((d) => d >= today && goals.get(d)?.goalHours > 0).length;
+
+    let hoursNeededPerWorkday = null;
+    if (remainingHours === 0) hoursNeededPerWorkday = 0;
+    else if (remainingWorkdays > 0) hoursNeededPerWorkday = round(remainingHours / remainingWorkdays);
+
+    return {
+        targetHours: round(targetHours),
+        workedHours: round(workedHours),
+        remainingHours: round(remainingHours),
+        remainingWorkdays,
+        hoursNeededPerWorkday,
+        progressPercent: round(computeProgressPercent(workedMs, targetHours)),
+    };
+}
+
+module.exports = {
+    resolveDayGoal,
+    getGoalsForDates,
+    getGoalsForUsers,
+    planBulkGoals,
+    sumGoalHours,
+    computePeriodProgress,
+};
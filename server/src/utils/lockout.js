@@ -0,0 +1,135 @@
+const User = require('../models/User');
+
+/**
+ * Per-account brute-force protection for sign-in.
+ *
+ * The IP rate limiter does little against an attacker with many addresses, so
+ * failed attempts (wrong password or wrong two-factor code) are also counted
+ * on the account. After a couple of free mistakes each further attempt has to
+ * wait a little longer, and reaching LOGIN_MAX_ATTEMPTS locks the account for
+ * LOGIN_LOCKOUT_MINUTES. While blocked, attempts are refused without checking
+ * the password, so they cannot be used for guessing.
+ *
+ * Failures older than the lockout window are forgotten; a successful sign-in,
+ * a password reset or an admin unlock clears them.
+ */
+
+// Failures allowed before attempts are slowed down
+const FREE_FAILURES = 2;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * @returns {{ maxAttempts: number, lockoutMinutes: number }}
+ */
+function getLockoutPolicy() {
+    return {
+        maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+        lockoutMinutes: parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    };
+}
+
+/**
+ * How long to wait after the latest failure before trying again: nothing for
+ * the first FREE_FAILURES, then 2 s, 4 s, 8 s, ... up to a minute.
+ * @param {number} failures - failures so far
+ * @returns {number} seconds
+ */
+function retryDelaySeconds(failures) {
+    if (failures <= FREE_FAILURES) return 0;
+    return Math.min(2 ** (failures - FREE_FAILURES), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Whether the account may try to sign in right now.
+ * @param {{ loginFailures?: { count, lastFailedAt, lockedUntil } }} user
+ * @param {Date} [now]
+ * @returns {{ reason: 'locked'|'delay', retryAfter: number }|null} retryAfter in seconds
+ */
+function getLoginBlock(user, now = new Date()) {
+    const { count = 0, lastFailedAt = null, lockedUntil = null } = user.loginFailures || {};
+
+    if (lockedUntil && lockedUntil > now) {
+        return { reason: 'locked', retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+    }
+
+    const delay = retryDelaySeconds(count);
+    if (delay && lastFailedAt) {
+        const waitMs = lastFailedAt.getTime() + delay * 1000 - now.getTime();
+        if (waitMs > 0) return { reason: 'delay', retryAfter: Math.ceil(waitMs / 1000) };
+    }
+    return null;
+}
+
+/**
+ * A readable refusal for a blocked sign-in.
+ * @param {{ reason: 'locked'|'delay', retryAfter: number }} block
+ * @returns {string}
+ */
+function describeLoginBlock({ reason, retryAfter }) {
+    if (reason === 'locked') {
+        const minutes = Math.ceil(retryAfter / 60);
+        return `Too many failed sign-in attempts. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`;
+    }
+    return `Too many failed sign-in attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`;
+}
+
+/**
+ * Count a failed attempt, locking the account when it reaches the limit.
+ * Uses atomic updates, so parallel attempts are all counted and only one of
+ * them locks.
+ *
+ * @param {ObjectId} userId
+ * @param {Date} [now]
+ * @returns {Promise<{ failures: number, lockedUntil: Date|null }>} lockedUntil
+ *          is set only for the attempt that locked the account
+ */
+async function recordLoginFailure(userId, now = new Date()) {
+    const { maxAttempts, lockoutMinutes } = getLockoutPolicy();
+    const windowStart = new Date(now.getTime() - lockoutMinutes * 60 * 1000);
+
+    // Forget failures from before the window
+    await User.updateOne(
+        { _id: userId, 'loginFailures.lastFailedAt': { $lt: windowStart } },
+        { 'loginFailures.count': 0 }
+    );
+
+    const updated = await User.findOneAndUpdate(
+        { _id: userId },
+        { $inc: { 'loginFailures.count': 1 }, $set: { 'loginFailures.lastFailedAt': now } },
+        { new: true, projection: { loginFailures: 1 } }
+    );
+    const failures = updated?.loginFailures.count ?? 0;
+    if (failures < maxAttempts) return { failures, lockedUntil: null };
+
+    // The count starts over once the lock expires
+    const lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    const locked = await User.updateOne(
+        {
+            _id: userId,
+            $or: [{ 'loginFailures.lockedUntil': null }, { 'loginFailures.lockedUntil': { $lte: now } }],
+        },
+        { 'loginFailures.lockedUntil': lockedUntil, 'loginFailures.count': 0 }
+    );
+    return { failures, lockedUntil: locked.modifiedCount === 1 ? lockedUntil : null };
+}
+
+/**
+ * Forget failed attempts and lift any lock. The caller saves the user.
+ * @param {Document} user
+ * @returns {boolean} whether there was anything to clear
+ */
+function clearLoginFailures(user) {
+    const { count, lockedUntil } = user.loginFailures;
+    if (!count && !lockedUntil) return false;
+    user.loginFailures = { count: 0, lastFailedAt: null, lockedUntil: null };
+    return true;
+}
+
+module.exports = {
+    getLockoutPolicy,
+    retryDelaySeconds,
+    getLoginBlock,
+    describeLoginBlock,
+    recordLoginFailure,
+    clearLoginFailures,
+};
@@ -0,0 +1,78 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Outgoing email.
+ *
+ * Messages go through a transport picked by MAIL_TRANSPORT:
+ *   - console: print the message (default in development)
+ *   - file:    write each message as a .eml file to MAIL_DIR (default server/mail)
+ *   - none:    drop it (default under NODE_ENV=test)
+ * A real provider (SMTP, an HTTP API, ...) plugs in through setTransport()
+ * at startup; tests use the same hook to capture messages.
+ */
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', '..', 'mail');
+
+/**
+ * Render a message as a minimal RFC 822 document.
+ * @param {{ from, to, subject, text }} message
+ * @returns {string}
+ */
+function formatMessage({ from, to, subject, text }) {
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text,
+    ].join('\n');
+}
+
+const transports = {
+    console: async (message) => {
+        console.log(`── Mail ──\n${formatMessage(message)}\n──────────`);
+    },
+    file: async (message) => {
+        const dir = process.env.MAIL_DIR || DEFAULT_MAIL_DIR;
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}-${message.to.replace(/[^a-z0-9]+/gi, '_')}.eml`;
+        await fs.writeFile(path.join(dir, name), formatMessage(message));
+    },
+    none: async () => {},
+};
+
+let customTransport = null;
+
+/**
+ * Replace the configured transport, e.g. with an SMTP client. Pass null to
+ * go back to MAIL_TRANSPORT.
+ * @param {((message: { from, to, subject, text }) => Promise<void>)|null} transport
+ */
+function setTransport(transport) {
+    customTransport = transport;
+}
+
+/**
+ * Send a plain-text email.
+ * @param {{ to: string, subject: string, text: string }} message
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'none' : 'console');
+    const transport = customTransport || transports[name];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+
+    const from = process.env.MAIL_FROM || 'WorkHourTracker <no-reply@localhost>';
+    await transport({ from, to, subject, text });
+}
+
+module.exports = {
+    sendMail,
+    setTransport,
+    formatMessage,
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * OpenID Connect single sign-on, as a relying party: the authorization code
+ * flow with PKCE against one identity provider (IdP), configured by
+ *   - OIDC_ISSUER, OIDC_CLIENT_ID: required to turn SSO on
+ *   - OIDC_CLIENT_SECRET: for confidential clients; public clients rely on PKCE
+ *   - OIDC_REDIRECT_URI: default CLIENT_URL + /api/auth/oidc/callback
+ *   - OIDC_SCOPES: default "openid email profile"
+ *   - OIDC_GROUPS_CLAIM, OIDC_ADMIN_GROUP: make members of that group admins
+ *   - OIDC_ORG_ID: where new users are provisioned (default organization)
+ *   - OIDC_BUTTON_LABEL: text of the sign-in button
+ * The provider's endpoints and signing keys come from its discovery document.
+ * Signing users in lives in routes/oidc.js.
+ */
+
+// Signature algorithms accepted for ID tokens, per JWK key type
+const ALGORITHMS = {
+    RSA: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512'],
+    EC: ['ES256', 'ES384', 'ES512'],
+};
+
+// Allowed clock difference with the IdP, in seconds
+const CLOCK_TOLERANCE = 60;
+
+/**
+ * @returns {object|null} the SSO settings, or null when SSO is not configured
+ */
+function getOidcConfig() {
+    const { OIDC_ISSUER, OIDC_CLIENT_ID } = process.env;
+    if (!OIDC_ISSUER || !OIDC_CLIENT_ID) return null;
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    return {
+        issuer: OIDC_ISSUER.replace(/\/+$/, ''),
+        clientId: OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+        redirectUri: process.env.OIDC_REDIRECT_URI || `${clientUrl}/api/auth/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || 'openid email profile',
+        groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+        adminGroup: process.env.OIDC_ADMIN_GROUP || null,
+        orgId: process.env.OIDC_ORG_ID || null,
+        buttonLabel: process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO',
+    };
+}
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * A random value for state, nonce or a PKCE verifier.
+ * @returns {string} 43 base64url characters
+ */
+function randomToken() {
+    return base64url(crypto.randomBytes(32));
+}
+
+/**
+ * The S256 PKCE challenge for a verifier (RFC 7636).
+ * @param {string} verifier
+ * @returns {string}
+ */
+function pkceChallenge(verifier) {
+    return base64url(crypto.createHash('sha256').update(verifier).digest());
+}
+
+async function fetchJson(url, options) {
+    const res = await fetch(url, options);
+    const body = await res.json().catch(() => null);
+    if (!res.ok || !body) {
+        const reason = body?.error_description || body?.error || `HTTP ${res.status}`;
+        throw new Error(`OIDC request to ${url} failed: ${reason}`);
+    }
+    return body;
+}
+
+// issuer -> Promise<discovery document>; jwks_uri -> Promise<JWK[]>
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Drop cached discovery documents and keys (tests, key rotation).
+ */
+function clearOidcCache() {
+    discoveryCache.clear();
+    jwksCache.clear();
+}
+
+/**
+ * The IdP's discovery document, fetched once per issuer.
+ * @param {string} issuer
+ * @returns {Promise<object>}
+ */
+function discover(issuer) {
+    if (!discoveryCache.has(issuer)) {
+        const loading = fetchJson(`${issuer}/.well-known/openid-configuration`).then((metadata) => {
+            if (metadata.issuer?.replace(/\/+$/, '') !== issuer) {
+                throw new Error(`OIDC discovery issuer mismatch: ${metadata.issuer}`);
+            }
+            return metadata;
+        });
+        // Try again next time rather than caching the failure
+        loading.catch(() => discoveryCache.delete(issuer));
+        discoveryCache.set(issuer, loading);
+    }
+    return discoveryCache.get(issuer);
+}
+
+/**
+ * The URL to send the browser to.
+ * @param {object} config - from getOidcConfig()
+ * @param {object} metadata - from discover()
+ * @param {{ state: string, nonce: string, verifier: string }} params
+ * @returns {string}
+ */
+function buildAuthorizationUrl(config, metadata, { state, nonce, verifier }) {
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: pkceChallenge(verifier),
+        code_challenge_method: 'S256',
+    }).toString();
+    return url.toString();
+}
+
+/**
+ * Trade an authorization code for tokens at the token endpoint.
+ * @param {object} config
+ * @param {object} metadata
+ * @param {{ code: string, verifier: string }} params
+ * @returns {Promise<{ id_token: string }>}
+ */
+async function exchangeCode(config, metadata, { code, verifier }) {
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.redirectUri,
+        code_verifier: verifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // client_secret_basic is the default; fall back to client_secret_post
+    // only when that is all the IdP supports
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (config.clientSecret && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        form.set('client_id', config.clientId);
+        if (config.clientSecret) form.set('client_secret', config.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: form });
+    if (!tokens.id_token) {
+        throw new Error('OIDC token response has no id_token');
+    }
+    return tokens;
+}
+
+/**
+ * The IdP's signing key for a key id. Keys are cached; an unknown kid
+ * fetches them again once, as the IdP may have rotated its keys.
+ * @param {string} jwksUri
+ * @param {string} [kid]
+ * @returns {Promise<object>} the JWK
+ */
+async function getSigningKey(jwksUri, kid) {
+    const find = (keys) => keys.find((key) => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+    if (jwksCache.has(jwksUri)) {
+        const key = find(await jwksCache.get(jwksUri));
+        if (key) return key;
+    }
+
+    const loading = fetchJson(jwksUri).then((jwks) => jwks.keys || []);
+    jwksCache.set(jwksUri, loading);
+    loading.catch(() => jwksCache.delete(jwksUri));
+
+    const key = find(await loading);
+    if (!key) {
+        throw new Error(`OIDC signing key ${kid || ''} not found`);
+    }
+    return key;
+}
+
+/**
+ * Check an ID token's signature, issuer, audience, lifetime and nonce.
+ * @param {object} config
+ * @param {object} metadata
+ * @param {string} idToken
+ * @param {string} nonce - the one sent with the authorization request
+ * @returns {Promise<object>} its claims
+ */
+async function verifyIdToken(config, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('OIDC id_token is malformed');
+    }
+
+    const jwk = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+    const algorithms = ALGORITHMS[jwk.kty];
+    if (!algorithms) {
+        throw new Error(`OIDC signing key type ${jwk.kty} is not supported`);
+    }
+
+    const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: jwk.alg ? [jwk.alg] : algorithms,
+        issuer: metadata.issuer,
+        audience: config.clientId,
+        clockTolerance: CLOCK_TOLERANCE,
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('OIDC id_token nonce mismatch');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.clientId) {
+        throw new Error('OIDC id_token was issued to another client');
+    }
+    if (!claims.sub) {
+        throw new Error('OIDC id_token has no subject');
+    }
+    return claims;
+}
+
+/**
+ * Whether the claims put the user in OIDC_ADMIN_GROUP.
+ * @param {object} claims
+ * @param {object} config
+ * @returns {boolean|null} null when no admin group is configured
+ */
+function isInAdminGroup(claims, config) {
+    if (!config.adminGroup) return null;
+    const groups = claims[config.groupsClaim];
+    const list = Array.isArray(groups) ? groups : String(groups ?? '').split(/[\s,]+/);
+    return list.includes(config.adminGroup);
+}
+
+module.exports = {
+    getOidcConfig,
+    randomToken,
+    pkceChallenge,
+    discover,
+    clearOidcCache,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    isInAdminGroup,
+};
@@ -0,0 +1,112 @@
+const jwt = require('jsonwebtoken');
+const LoginSession = require('../models/LoginSession');
+const AuditLog = require('../models/AuditLog');
+const { clearLoginFailures } = require('./lockout');
+
+/**
+ * Signing a user in: the login session for their device and the two HttpOnly
+ * cookies that carry it. Shared by the password sign-in (routes/auth.js) and
+ * single sign-on (routes/oidc.js).
+ */
+
+// The refresh token is only sent to the auth endpoints that use it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+function cookieOptions(path) {
+    return {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        path,
+    };
+}
+
+/**
+ * Helper: create a short-lived access token (ACCESS_TOKEN_TTL_MINUTES,
+ * default 15) for a login session and set it as an HttpOnly cookie.
+ * Includes the organization, isAdmin, the role ids and whether the email
+ * address is verified in the JWT claims (read from the DB at sign-in and
+ * every refresh; permission checks re-verify them).
+ */
+function setAccessCookie(res, user, loginSession) {
+    const minutes = parseFloat(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+    const claims = {
+        userId: user._id,
+        orgId: user.orgId,
+        sid: loginSession._id,
+        isAdmin: user.isAdmin,
+        roles: user.roles.map(String),
+        emailVerified: Boolean(user.emailVerifiedAt),
+    };
+    const token = jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: `${minutes}m` });
+
+    res.cookie('token', token, { ...cookieOptions('/'), maxAge: minutes * 60 * 1000 });
+}
+
+/**
+ * Helper: set the refresh token cookie; it lives as long as the session.
+ */
+function setRefreshCookie(res, refreshToken, loginSession) {
+    res.cookie('refreshToken', refreshToken, {
+        ...cookieOptions(REFRESH_COOKIE_PATH),
+        maxAge: loginSession.expiresAt.getTime() - Date.now(),
+    });
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie('token', cookieOptions('/'));
+    res.clearCookie('refreshToken', cookieOptions(REFRESH_COOKIE_PATH));
+}
+
+/**
+ * Helper: start a login session for this device and set both cookies.
+ */
+async function startLoginSession(req, res, user) {
+    const { session, refreshToken } = await LoginSession.start(user, {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || '',
+    });
+    setAccessCookie(res, user, session);
+    setRefreshCookie(res, refreshToken, session);
+}
+
+/**
+ * Helper: a short-lived token standing for "first step checked (password or
+ * identity provider), second step pending". It is never set as the auth
+ * cookie, and the auth middleware refuses it.
+ */
+function signLoginChallenge(user, adminLogin) {
+    return jwt.sign(
+        { userId: user._id, purpose: 'login-2fa', adminLogin: Boolean(adminLogin) },
+        process.env.JWT_SECRET,
+        { expiresIn: '10m' }
+    );
+}
+
+/**
+ * Helper: finish signing in once every factor is checked — record the login,
+ * forget earlier failed attempts and start a login session.
+ */
+async function completeLogin(req, res, user, adminLogin) {
+    user.lastLoginAt = new Date();
+    clearLoginFailures(user);
+    await user.save();
+
+    // Audit admin logins
+    if (adminLogin && user.isAdmin) {
+        await AuditLog.record('ADMIN_LOGIN', user._id, user._id, { ip: req.ip });
+    }
+
+    await startLoginSession(req, res, user);
+}
+
+module.exports = {
+    REFRESH_COOKIE_PATH,
+    cookieOptions,
+    setAccessCookie,
+    setRefreshCookie,
+    clearAuthCookies,
+    startLoginSession,
+    signLoginChallenge,
+    completeLogin,
+};
@@ -0,0 +1,58 @@
+/**
+ * Tag helpers for session notes.
+ *
+ * Tags are written inline in notes as hashtags ("#oncall code review") and
+ * stored lowercased on the session so they can be indexed and filtered.
+ */
+
+const TAG_PATTERN = /#([\p{L}\p{N}_-]+)/gu;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a single tag: strip a leading '#', trim, lowercase.
+ * @param {string} tag
+ * @returns {string} '' if nothing usable remains
+ */
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, '').toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Extract hashtags from free-text notes.
+ *
+ * Example: parseTags('Fixed login bug #OnCall #backend #oncall')
+ *          → ['oncall', 'backend']
+ *
+ * @param {string} notes
+ * @returns {string[]} unique lowercase tags, in order of first appearance
+ */
+function parseTags(notes) {
+    if (!notes) return [];
+    const tags = [];
+    for (const match of notes.matchAll(TAG_PATTERN)) {
+        tags.push(match[1]);
+    }
+    return mergeTags(tags);
+}
+
+/**
+ * Merge tag lists into one normalized, de-duplicated list.
+ * @param {...string[]} lists
+ * @returns {string[]}
+ */
+function mergeTags(...lists) {
+    const seen = new Set();
+    for (const list of lists) {
+        for (const tag of list || []) {
+            const normalized = normalizeTag(tag);
+            if (normalized) seen.add(normalized);
+        }
+    }
+    return [...seen];
+}
+
+module.exports = {
+    normalizeTag,
+    parseTags,
+    mergeTags,
+};
@@ -1,26 +1,18 @@
-const { DateTime } = require('luxon');
+const { DateTime, IANAZone } = require('luxon');
 
 /**
- * Split a single work session into per-day duration buckets.
- *
- * KEY LOGIC: If a session spans midnight in the user's timezone, we split it
- * at each midnight boundary so that each calendar day gets the correct
- * portion of the work time.
- *
- * Example (IST = Asia/Kolkata):
- *   session: 2026-02-14 23:00 → 2026-02-15 02:00
- *   result:  [{date:'2026-02-14', durationMs:3600000},   // 1 hour before midnight
- *             {date:'2026-02-15', durationMs:7200000}]   // 2 hours after midnight
+ * Split an arbitrary time interval into per-day duration buckets, cutting at
+ * each midnight in the given timezone. A null end means "until now".
  *
- * @param {{ startAt: Date, endAt: Date|null }} session
- * @param {string} timezone - IANA timezone string (e.g. 'Asia/Kolkata')
+ * @param {Date} startAt
+ * @param {Date|null} endAt
+ * @param {string} timezone - IANA timezone string
  * @returns {Array<{ date: string, durationMs: number }>}
  */
-function splitSessionByDay(session, timezone) {
-    const start = DateTime.fromJSDate(session.startAt, { zone: timezone });
-    // If the session is still active, use the current time as the end
-    const end = session.endAt
-        ? DateTime.fromJSDate(session.endAt, { zone: timezone })
+function splitIntervalByDay(startAt, endAt, timezone) {
+    const start = DateTime.fromJSDate(startAt, { zone: timezone });
+    const end = endAt
+        ? DateTime.fromJSDate(endAt, { zone: timezone })
         : DateTime.now().setZone(timezone);
 
     if (end <= start) return [];
@@ -31,7 +23,7 @@ function splitSessionByDay(session, timezone) {
     while (cursor < end) {
         // Next midnight boundary in the user's timezone
         const nextMidnight = cursor.plus({ days: 1 }).startOf('day');
-        // The segment ends at whichever comes first: midnight or session end
+        // The segment ends at whichever comes first: midnight or interval end
         const segmentEnd = nextMidnight < end ? nextMidnight : end;
         const durationMs = segmentEnd.diff(cursor).as('milliseconds');
 
@@ -48,6 +40,67 @@ function splitSessionByDay(session, timezone) {
     return result;
 }
 
+/**
+ * Split a session's breaks into per-day duration buckets.
+ *
+ * Each break is clipped to the session itself, and an open break (endAt: null)
+ * runs until the session ends — or until now if the session is still active.
+ * Breaks that cross midnight are split just like sessions.
+ *
+ * @param {{ startAt: Date, endAt: Date|null, breaks?: Array<{ startAt: Date, endAt: Date|null }> }} session
+ * @param {string} timezone - IANA timezone string
+ * @returns {Array<{ date: string, durationMs: number }>} one entry per date, in order
+ */
+function splitBreaksByDay(session, timezone) {
+    const sessionEnd = session.endAt || new Date();
+    const totals = new Map();
+
+    for (const brk of session.breaks || []) {
+        const startAt = brk.startAt > session.startAt ? brk.startAt : session.startAt;
+        const breakEnd = brk.endAt || sessionEnd;
+        const endAt = breakEnd < sessionEnd ? breakEnd : sessionEnd;
+
+        for (const seg of splitIntervalByDay(startAt, endAt, timezone)) {
+            totals.set(seg.date, (totals.get(seg.date) || 0) + seg.durationMs);
+        }
+    }
+
+    return [...totals.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, durationMs]) => ({ date, durationMs }));
+}
+
+/**
+ * Split a single work session into per-day duration buckets.
+ *
+ * KEY LOGIC: If a session spans midnight in the user's timezone, we split it
+ * at each midnight boundary so that each calendar day gets the correct
+ * portion of the work time. Break time is subtracted from the day it
+ * falls on (see splitBreaksByDay).
+ *
+ * Example (IST = Asia/Kolkata):
+ *   session: 2026-02-14 23:00 → 2026-02-15 02:00
+ *   result:  [{date:'2026-02-14', durationMs:3600000},   // 1 hour before midnight
+ *             {date:'2026-02-15', durationMs:7200000}]   // 2 hours after midnight
+ *
+ * @param {{ startAt: Date, endAt: Date|null, breaks?: Array }} session
+ * @param {string} timezone - IANA timezone string (e.g. 'Asia/Kolkata')
+ * @returns {Array<{ date: string, durationMs: number }>}
+ */
+function splitSessionByDay(session, timezone) {
+    const segments = splitIntervalByDay(session.startAt, session.endAt, timezone);
+    if (!session.breaks || session.breaks.length === 0) return segments;
+
+    const breakMs = {};
+    for (const seg of splitBreaksByDay(session, timezone)) {
+        breakMs[seg.date] = seg.durationMs;
+    }
+
+    return segments
+        .map((seg) => ({ date: seg.date, durationMs: seg.durationMs - (breakMs[seg.date] || 0) }))
+        .filter((seg) => seg.durationMs > 0);
+}
+
 /**
  * Compute total worked milliseconds for a specific calendar day.
  *
@@ -74,6 +127,28 @@ function computeDayTotal(sessions, date, timezone) {
     return totalMs;
 }
 
+/**
+ * Compute total break milliseconds taken on a specific calendar day.
+ *
+ * @param {Array} sessions - Mongoose Session documents
+ * @param {string} date - Target date in 'YYYY-MM-DD' format
+ * @param {string} timezone - IANA timezone string
+ * @returns {number} Total break milliseconds on the given date
+ */
+function computeDayBreakTotal(sessions, date, timezone) {
+    let totalMs = 0;
+
+    for (const session of sessions) {
+        for (const seg of splitBreaksByDay(session, timezone)) {
+            if (seg.date === date) {
+                totalMs += seg.durationMs;
+            }
+        }
+    }
+
+    return totalMs;
+}
+
 /**
  * Compute progress percentage towards a daily goal.
  *
@@ -91,6 +166,15 @@ function computeProgressPercent(workedMs, goalHours) {
     return Math.min(100, (workedMs / goalMs) * 100);
 }
 
+/**
+ * Whether a string names a known IANA timezone (e.g. 'Europe/Berlin').
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    return typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+}
+
 /**
  * Get the current date string in the user's timezone.
  * @param {string} timezone - IANA timezone string
@@ -117,6 +201,39 @@ function getDayBounds(date, timezone) {
     };
 }
 
+/**
+ * Convert a wall-clock date and time in the user's timezone to a JS Date (UTC).
+ * Used for manually entered sessions, where the user types local times.
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm' (24-hour)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} null if the date/time is not valid
+ */
+function parseLocalDateTime(date, time, timezone) {
+    const dt = DateTime.fromFormat(`${date} ${time}`, 'yyyy-MM-dd HH:mm', { zone: timezone });
+    return dt.isValid ? dt.toJSDate() : null;
+}
+
+/**
+ * Resolve an 'HH:mm' end time relative to a session's start. If it falls at or
+ * before the start on the same calendar day, it belongs to the next day
+ * (overnight session).
+ *
+ * @param {Date} startAt
+ * @param {string} endTime - 'HH:mm' in the user's timezone
+ * @param {string} timezone
+ * @returns {Date|null}
+ */
+function resolveEndAt(startAt, endTime, timezone) {
+    const startLocal = DateTime.fromJSDate(startAt, { zone: timezone });
+    const endAt = parseLocalDateTime(startLocal.toISODate(), endTime, timezone);
+    if (endAt && endAt <= startAt) {
+        return parseLocalDateTime(startLocal.plus({ days: 1 }).toISODate(), endTime, timezone);
+    }
+    return endAt;
+}
+
 /**
  * Format milliseconds as HH:MM string.
  * @param {number} ms
@@ -130,15 +247,59 @@ function formatDuration(ms) {
 }
 
 /**
- * Get start (Monday) and end (next Monday) of the current week in the user's timezone.
- * Always returns the full current week regardless of which day it is.
+ * Get the Monday that starts the week containing a calendar date.
+ * Weeks run Monday–Sunday; the date is already local, so no timezone is needed.
+ *
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD' of that week's Monday
+ */
+function getWeekStartDate(date) {
+    return DateTime.fromISO(date).startOf('week').toISODate();
+}
+
+/**
+ * List every date from `from` to `to`, inclusive.
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {string[]}
+ */
+function listDates(from, to) {
+    const dates = [];
+    let cursor = DateTime.fromISO(from);
+    const last = DateTime.fromISO(to);
+    while (cursor <= last) {
+        dates.push(cursor.toISODate());
+        cursor = cursor.plus({ days: 1 });
+    }
+    return dates;
+}
+
+/**
+ * Count the dates from `from` to `to`, inclusive, without listing them — so
+ * a range from a request can be checked against a limit first.
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {number} 0 when `to` is before `from`
+ */
+function countDates(from, to) {
+    const days = DateTime.fromISO(to, { zone: 'UTC' }).diff(DateTime.fromISO(from, { zone: 'UTC' }), 'days').days;
+    return Math.max(0, days + 1);
+}
+
+/**
+ * Get start (Monday) and end (next Monday) of a week in the user's timezone.
+ * Defaults to the current week; pass any date to get the week containing it.
+ * Always returns the full week regardless of which day it is.
  * @param {string} timezone
+ * @param {string} [date] - 'YYYY-MM-DD' of any day in the week
  * @returns {{ rangeStart: Date, rangeEnd: Date, dates: string[] }}
  */
-function getWeekBounds(timezone) {
-    const now = DateTime.now().setZone(timezone);
+function getWeekBounds(timezone, date) {
+    const day = date
+        ? DateTime.fromISO(date, { zone: timezone })
+        : DateTime.now().setZone(timezone);
     // Luxon weekday: 1=Monday, 7=Sunday
-    const monday = now.startOf('week'); // Monday 00:00
+    const monday = day.startOf('week'); // Monday 00:00
     const nextMonday = monday.plus({ weeks: 1 });
 
     // Generate all date strings in the week
@@ -157,13 +318,17 @@ function getWeekBounds(timezone) {
 }
 
 /**
- * Get start and end of the current month in the user's timezone.
+ * Get start and end of a month in the user's timezone.
+ * Defaults to the current month; pass any date to get the month containing it.
  * @param {string} timezone
+ * @param {string} [date] - 'YYYY-MM-DD' of any day in the month
  * @returns {{ rangeStart: Date, rangeEnd: Date, dates: string[] }}
  */
-function getMonthBounds(timezone) {
-    const now = DateTime.now().setZone(timezone);
-    const monthStart = now.startOf('month');
+function getMonthBounds(timezone, date) {
+    const day = date
+        ? DateTime.fromISO(date, { zone: timezone })
+        : DateTime.now().setZone(timezone);
+    const monthStart = day.startOf('month');
     const nextMonth = monthStart.plus({ months: 1 });
 
     const dates = [];
@@ -205,14 +370,81 @@ function computeRangeTotal(sessions, dates, timezone) {
     return totalMs;
 }
 
+/**
+ * Compute worked milliseconds for each day in a date range.
+ *
+ * @param {Array} sessions - Mongoose Session documents within the range
+ * @param {string[]} dates - Array of 'YYYY-MM-DD' date strings in the range
+ * @param {string} timezone
+ * @returns {Map<string, number>} date → ms worked (days without work are omitted)
+ */
+function computeDailyTotals(sessions, dates, timezone) {
+    const dateSet = new Set(dates);
+    const totals = new Map();
+
+    for (const session of sessions) {
+        for (const seg of splitSessionByDay(session, timezone)) {
+            if (dateSet.has(seg.date)) {
+                totals.set(seg.date, (totals.get(seg.date) || 0) + seg.durationMs);
+            }
+        }
+    }
+
+    return totals;
+}
+
+/**
+ * Compute worked milliseconds across a date range, grouped by a session key
+ * (e.g. project or tag). A session may contribute to several keys if keyOf
+ * returns an array.
+ *
+ * @param {Array} sessions - Mongoose Session documents within the range
+ * @param {string[]} dates - Array of 'YYYY-MM-DD' date strings in the range
+ * @param {string} timezone
+ * @param {(session) => string|null|Array<string>} keyOf - grouping key(s) for a session
+ * @returns {Map<string|null, number>} key → total ms
+ */
+function computeRangeTotalsByKey(sessions, dates, timezone, keyOf) {
+    const dateSet = new Set(dates);
+    const totals = new Map();
+
+    for (const session of sessions) {
+        let sessionMs = 0;
+        for (const seg of splitSessionByDay(session, timezone)) {
+            if (dateSet.has(seg.date)) {
+                sessionMs += seg.durationMs;
+            }
+        }
+        if (sessionMs === 0) continue;
+
+        const keys = [].concat(keyOf(session));
+        for (const key of keys) {
+            totals.set(key, (totals.get(key) || 0) + sessionMs);
+        }
+    }
+
+    return totals;
+}
+
 module.exports = {
+    splitIntervalByDay,
+    splitBreaksByDay,
     splitSessionByDay,
     computeDayTotal,
+    computeDayBreakTotal,
     computeProgressPercent,
+    isValidTimezone,
     getTodayInTimezone,
     getDayBounds,
+    parseLocalDateTime,
+    resolveEndAt,
     formatDuration,
+    getWeekStartDate,
+    listDates,
+    countDates,
     getWeekBounds,
     getMonthBounds,
     computeRangeTotal,
+    computeDailyTotals,
+    computeRangeTotalsByKey,
 };
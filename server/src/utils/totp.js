@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+ * HMAC-SHA1 over 30-second steps, 6 digits, with a base32 shared secret.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} unpadded base32
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return out;
+}
+
+/**
+ * @param {string} text - base32, case-insensitive; spaces and padding ignored
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+/**
+ * A new random 160-bit secret.
+ * @returns {string} base32
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The one-time password for a counter value (RFC 4226).
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @returns {string} zero-padded digits
+ */
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * The time step a moment falls in.
+ * @param {number} [now] - ms since epoch
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the current step and one step either side (to allow
+ * for clock drift). Steps at or before `afterStep` are refused, so a code
+ * cannot be replayed once used.
+ *
+ * @param {string} secret - base32
+ * @param {string} code - as typed by the user; spaces are ignored
+ * @param {{ now?: number, afterStep?: number|null }} [options]
+ * @returns {number|null} the matching step, or null
+ */
+function verifyTotp(secret, code, { now = Date.now(), afterStep = null } = {}) {
+    const digits = String(code).replace(/\s/g, '');
+    if (!/^\d{6}$/.test(digits)) return null;
+
+    const step = currentStep(now);
+    for (const candidate of [step - 1, step, step + 1]) {
+        if (afterStep !== null && candidate <= afterStep) continue;
+        const expected = hotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return candidate;
+    }
+    return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps import (usually from a QR code).
+ * @param {{ secret: string, account: string, issuer: string }} params
+ * @returns {string}
+ */
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    currentStep,
+    verifyTotp,
+    otpauthUri,
+};
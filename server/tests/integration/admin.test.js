@@ -4,6 +4,7 @@
  * - Promotion endpoint authorization
  * - Security: isAdmin in registration payload ignored
  * - Admin login flow (403 for non-admin, 200 for admin)
+ * - Working-time compliance report
  */
 const request = require('supertest');
 const mongoose = require('mongoose');
@@ -12,6 +13,8 @@ const app = require('../../src/index');
 const User = require('../../src/models/User');
 const AdminInvite = require('../../src/models/AdminInvite');
 const AuditLog = require('../../src/models/AuditLog');
+const Session = require('../../src/models/Session');
+const OrgSettings = require('../../src/models/OrgSettings');
 
 let mongoServer;
 
@@ -29,6 +32,8 @@ afterEach(async () => {
     await User.deleteMany({});
     await AdminInvite.deleteMany({});
     await AuditLog.deleteMany({});
+    await Session.deleteMany({});
+    await OrgSettings.deleteMany({});
 });
 
 // Helper: register a user and return cookie
@@ -317,6 +322,31 @@ describe('Admin Users Endpoint', () => {
         expect(res.body.users.length).toBe(3); // admin + 2 employees
     });
 
+    test('closes forgotten sessions of the listed users only', async () => {
+        const { cookie } = await createAdmin();
+        await registerUser({ name: 'Emp1', email: 'emp1@test.com', password: 'pass123' });
+        await registerUser({
+            name: 'Outsider', email: 'outsider@test.com', password: 'pass123', organizationName: 'Elsewhere',
+        });
+        const twoDaysAgo = new Date(Date.now() - 48 * 3600000);
+        const [emp, outsider] = await Promise.all([
+            User.findOne({ email: 'emp1@test.com' }),
+            User.findOne({ email: 'outsider@test.com' }),
+        ]);
+        await Session.create([
+            { userId: emp._id, startAt: twoDaysAgo },
+            { userId: outsider._id, startAt: twoDaysAgo },
+        ]);
+
+        const res = await request(app)
+            .get('/api/admin/users')
+            .set('Cookie', cookie);
+
+        expect(res.body.users.find((u) => u.email === 'emp1@test.com').isOnline).toBe(false);
+        expect((await Session.findOne({ userId: emp._id })).autoClosed).toBe(true);
+        expect((await Session.findOne({ userId: outsider._id })).endAt).toBeNull();
+    });
+
     test('non-admin cannot access users list', async () => {
         const { cookie } = await registerUser({
             name: 'Regular',
@@ -346,3 +376,82 @@ describe('Admin Audit Log', () => {
         expect(res.body.pagination).toBeDefined();
     });
 });
+
+describe('Compliance Report', () => {
+    const date = '2026-03-02';
+
+    // An 11-hour day with no break for a UTC employee
+    async function createLongDay() {
+        await registerUser({ name: 'Worker', email: 'worker@test.com', password: 'pass123', timezone: 'UTC' });
+        const worker = await User.findOne({ email: 'worker@test.com' });
+        await Session.create({
+            userId: worker._id,
+            startAt: new Date(`${date}T07:00:00Z`),
+            endAt: new Date(`${date}T18:00:00Z`),
+        });
+    }
+
+    test('lists each violated rule per user and day', async () => {
+        const { cookie } = await createAdmin();
+        await createLongDay();
+
+        const res = await request(app)
+            .get('/api/admin/compliance')
+            .query({ from: date, to: date })
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.counts).toEqual({ maxDailyHours: 1, minRest: 0, breakRequired: 1 });
+        expect(res.body.violations).toEqual(expect.arrayContaining([
+            expect.objectContaining({ email: 'worker@test.com', date, rule: 'maxDailyHours', actual: 11 }),
+            expect.objectContaining({ email: 'worker@test.com', date, rule: 'breakRequired', actual: 0 }),
+        ]));
+    });
+
+    test('rules follow the org settings', async () => {
+        const { cookie } = await createAdmin();
+        await createLongDay();
+
+        const settings = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', cookie)
+            .send({ compliance: { maxDailyHours: 12, breakAfterHours: null } });
+        expect(settings.status).toBe(200);
+
+        const res = await request(app)
+            .get('/api/admin/compliance')
+            .query({ from: date, to: date })
+            .set('Cookie', cookie);
+        expect(res.body.violations).toEqual([]);
+    });
+
+    test('rejects ranges that are backwards or too long', async () => {
+        const { cookie } = await createAdmin();
+
+        const backwards = await request(app)
+            .get('/api/admin/compliance')
+            .query({ from: '2026-03-10', to: '2026-03-01' })
+            .set('Cookie', cookie);
+        expect(backwards.status).toBe(400);
+
+        const tooLong = await request(app)
+            .get('/api/admin/compliance')
+            .query({ from: '2026-01-01', to: '2026-12-31' })
+            .set('Cookie', cookie);
+        expect(tooLong.status).toBe(400);
+
+        const huge = await request(app)
+            .get('/api/admin/compliance')
+            .query({ from: '0001-01-01', to: '9999-12-31' })
+            .set('Cookie', cookie);
+        expect(huge.status).toBe(400);
+        expect(huge.body.error).toMatch(/at most 92 days/);
+    });
+
+    test('non-admin cannot see the report', async () => {
+        const { cookie } = await registerUser({ name: 'Regular', email: 'regular@test.com', password: 'pass123' });
+
+        const res = await request(app).get('/api/admin/compliance').set('Cookie', cookie);
+        expect(res.status).toBe(403);
+    });
+});
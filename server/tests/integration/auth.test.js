@@ -109,3 +109,83 @@ describe('Auth Flow', () => {
         expect(res.body.message).toBe('Logged out');
     });
 });
+
+describe('Profile updates', () => {
+    const testUser = {
+        name: 'Profile User',
+        email: 'profile@example.com',
+        password: 'password123',
+        timezone: 'UTC',
+    };
+
+    test('PATCH /api/user/me — updates name, timezone and default goal', async () => {
+        const registerRes = await request.post('/api/auth/register').send(testUser);
+        const cookie = registerRes.headers['set-cookie'];
+
+        const res = await request
+            .patch('/api/user/me')
+            .set('Cookie', cookie)
+            .send({ name: 'Renamed', timezone: 'America/New_York', defaultDailyGoal: 7.5 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.user.name).toBe('Renamed');
+        expect(res.body.user.timezone).toBe('America/New_York');
+        expect(res.body.user.defaultDailyGoal).toBe(7.5);
+
+        const me = await request.get('/api/user/me').set('Cookie', cookie);
+        expect(me.body.user.timezone).toBe('America/New_York');
+    });
+
+    test('PATCH /api/user/me — rejects unknown timezones', async () => {
+        const registerRes = await request.post('/api/auth/register').send(testUser);
+        const cookie = registerRes.headers['set-cookie'];
+
+        const res = await request
+            .patch('/api/user/me')
+            .set('Cookie', cookie)
+            .send({ timezone: 'Mars/Olympus_Mons' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('PATCH /api/user/me — ignores fields other than the profile', async () => {
+        const registerRes = await request.post('/api/auth/register').send(testUser);
+        const cookie = registerRes.headers['set-cookie'];
+
+        const res = await request
+            .patch('/api/user/me')
+            .set('Cookie', cookie)
+            .send({ isAdmin: true, email: 'other@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.user.isAdmin).toBe(false);
+        expect(res.body.user.email).toBe(testUser.email);
+    });
+
+    test('PATCH /api/user/me — timezone cannot change during a running session', async () => {
+        const registerRes = await request.post('/api/auth/register').send(testUser);
+        const cookie = registerRes.headers['set-cookie'];
+        await request.post('/api/sessions/start').set('Cookie', cookie).send({});
+
+        const blocked = await request
+            .patch('/api/user/me')
+            .set('Cookie', cookie)
+            .send({ timezone: 'Europe/Berlin' });
+        expect(blocked.status).toBe(409);
+
+        // Other fields can still change
+        const renamed = await request
+            .patch('/api/user/me')
+            .set('Cookie', cookie)
+            .send({ name: 'Still Working', timezone: 'UTC' });
+        expect(renamed.status).toBe(200);
+        expect(renamed.body.user.name).toBe('Still Working');
+    });
+
+    test('POST /api/auth/register — rejects unknown timezones', async () => {
+        const res = await request
+            .post('/api/auth/register')
+            .send({ ...testUser, timezone: 'Not/AZone' });
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,317 @@
+/**
+ * Integration tests for session correction requests:
+ * - Employees propose added/changed/removed sessions with a reason
+ * - Admin review queue, approve (applied atomically) and reject
+ * - Org policy that forces time edits through corrections
+ * - Audit trail with before/after values
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { DateTime } = require('luxon');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+let userId;
+
+const date = DateTime.utc().minus({ days: 3 }).toISODate();
+const at = (time) => DateTime.fromISO(`${date}T${time}`, { zone: 'UTC' }).toJSDate();
+
+beforeAll(async () => {
+    // Standalone, so approval runs without a transaction (see
+    // correctionTransaction.test.js for a replica set)
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Correction Admin',
+        email: 'cadmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'cadmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    const userRes = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Forgetful', email: 'forgetful@test.com', password: 'pass123', timezone: 'UTC' });
+    userCookie = userRes.headers['set-cookie'];
+    userId = userRes.body.user._id;
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Correction requests', () => {
+    let morningId;
+    let afternoonId;
+    let correctionId;
+
+    beforeAll(async () => {
+        const [morning, afternoon] = await Session.create([
+            { userId, startAt: at('09:00'), endAt: at('12:00') },
+            { userId, startAt: at('13:00'), endAt: at('17:00') },
+        ]);
+        morningId = String(morning._id);
+        afternoonId = String(afternoon._id);
+    });
+
+    test('requires a reason and at least one change', async () => {
+        const res = await request(app)
+            .post('/api/corrections')
+            .set('Cookie', userCookie)
+            .send({ date, changes: [] });
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects a proposal that would overlap', async () => {
+        const res = await request(app)
+            .post('/api/corrections')
+            .set('Cookie', userCookie)
+            .send({
+                date,
+                reason: 'Forgot to clock in',
+                changes: [{ type: 'add', startTime: '11:00', endTime: '14:00' }],
+            });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/overlap/i);
+    });
+
+    test('employee submits a correction without changing anything yet', async () => {
+        const res = await request(app)
+            .post('/api/corrections')
+            .set('Cookie', userCookie)
+            .send({
+                date,
+                reason: 'Forgot to clock in after lunch, and the morning ran late',
+                changes: [
+                    { type: 'update', sessionId: morningId, endTime: '12:30' },
+                    { type: 'remove', sessionId: afternoonId },
+                    { type: 'add', startTime: '13:30', endTime: '18:00' },
+                ],
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.correction.status).toBe('pending');
+        correctionId = res.body.correction._id;
+
+        expect(await Session.countDocuments({ userId })).toBe(2);
+    });
+
+    test('admin sees the request with the current sessions', async () => {
+        const denied = await request(app).get('/api/corrections/review').set('Cookie', userCookie);
+        expect(denied.status).toBe(403);
+
+        const res = await request(app).get('/api/corrections/review').set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.corrections).toHaveLength(1);
+        expect(res.body.corrections[0].userId.email).toBe('forgetful@test.com');
+        expect(res.body.corrections[0].currentSessions).toHaveLength(2);
+    });
+
+    test('approval applies every change and audits before/after', async () => {
+        const res = await request(app)
+            .patch(`/api/corrections/${correctionId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'approve' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.correction.status).toBe('approved');
+
+        const sessions = await Session.find({ userId }).sort({ startAt: 1 });
+        expect(sessions).toHaveLength(2);
+        expect(sessions[0].endAt).toEqual(at('12:30'));
+        expect(sessions[1].startAt).toEqual(at('13:30'));
+        expect(sessions[1].isManual).toBe(true);
+        expect(await Session.exists({ _id: afternoonId })).toBeNull();
+
+        const log = await AuditLog.findOne({ action: 'CORRECTION_APPROVED' });
+        expect(String(log.targetUserId)).toBe(userId);
+        expect(log.details.before).toHaveLength(2);
+        expect(log.details.after).toHaveLength(2);
+
+        const again = await request(app)
+            .patch(`/api/corrections/${correctionId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'approve' });
+        expect(again.status).toBe(409);
+    });
+
+    test('admin rejects with a comment', async () => {
+        const created = await request(app)
+            .post('/api/corrections')
+            .set('Cookie', userCookie)
+            .send({
+                date,
+                reason: 'Worked late',
+                changes: [{ type: 'add', startTime: '19:00', endTime: '23:00' }],
+            });
+        expect(created.status).toBe(201);
+
+        const noComment = await request(app)
+            .patch(`/api/corrections/${created.body.correction._id}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject' });
+        expect(noComment.status).toBe(400);
+
+        const res = await request(app)
+            .patch(`/api/corrections/${created.body.correction._id}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject', comment: 'No record of late work' });
+        expect(res.status).toBe(200);
+        expect(res.body.correction.status).toBe('rejected');
+        expect(await Session.countDocuments({ userId })).toBe(2);
+
+        const mine = await request(app).get('/api/corrections').set('Cookie', userCookie);
+        expect(mine.body.corrections.map((c) => c.status)).toEqual(['rejected', 'approved']);
+    });
+
+    test('approval fails if the day changed so the request no longer fits', async () => {
+        const created = await request(app)
+            .post('/api/corrections')
+            .set('Cookie', userCookie)
+            .send({
+                date,
+                reason: 'Evening call',
+                changes: [{ type: 'add', startTime: '20:00', endTime: '21:00' }],
+            });
+        expect(created.status).toBe(201);
+
+        await request(app)
+            .post('/api/sessions/manual')
+            .set('Cookie', userCookie)
+            .send({ date, startTime: '19:30', endTime: '20:30' });
+
+        const res = await request(app)
+            .patch(`/api/corrections/${created.body.correction._id}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'approve' });
+        expect(res.status).toBe(409);
+        expect(await Session.countDocuments({ userId })).toBe(3);
+    });
+
+    test('a failed write puts the request back to pending', async () => {
+        const evening = await Session.findOne({ userId, startAt: at('19:30') });
+        const created = await request(app)
+            .post('/api/corrections')
+            .set('Cookie', userCookie)
+            .send({
+                date,
+                reason: 'Moved the call to the morning',
+                changes: [
+                    { type: 'remove', sessionId: String(evening._id) },
+                    { type: 'add', startTime: '06:00', endTime: '07:00' },
+                ],
+            });
+        expect(created.status).toBe(201);
+
+        const spy = jest.spyOn(Session, 'bulkWrite').mockRejectedValueOnce(new Error('Write failed'));
+        try {
+            const res = await request(app)
+                .patch(`/api/corrections/${created.body.correction._id}/review`)
+                .set('Cookie', adminCookie)
+                .send({ action: 'approve' });
+            expect(res.status).toBe(500);
+        } finally {
+            spy.mockRestore();
+        }
+
+        expect(await Session.exists({ _id: evening._id })).toBeTruthy();
+        expect(await Session.exists({ userId, startAt: at('06:00') })).toBeNull();
+        const mine = await request(app).get('/api/corrections').set('Cookie', userCookie);
+        expect(mine.body.corrections.find((c) => c._id === created.body.correction._id).status).toBe('pending');
+    });
+});
+
+describe('Correction approval policy', () => {
+    beforeAll(async () => {
+        await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ corrections: { requireApproval: true } });
+    });
+
+    afterAll(async () => {
+        await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ corrections: { requireApproval: false } });
+    });
+
+    test('blocks direct manual entries, time edits and deletes', async () => {
+        const session = await Session.findOne({ userId });
+
+        const manual = await request(app)
+            .post('/api/sessions/manual')
+            .set('Cookie', userCookie)
+            .send({ date, startTime: '06:00', endTime: '07:00' });
+        expect(manual.status).toBe(403);
+
+        const edit = await request(app)
+            .patch(`/api/sessions/${session._id}`)
+            .set('Cookie', userCookie)
+            .send({ startTime: '08:00' });
+        expect(edit.status).toBe(403);
+
+        const del = await request(app)
+            .delete(`/api/sessions/${session._id}`)
+            .set('Cookie', userCookie);
+        expect(del.status).toBe(403);
+    });
+
+    test('blocks moving the start or changing the project of the active session', async () => {
+        const started = await request(app).post('/api/sessions/start').set('Cookie', userCookie).send({});
+        expect(started.status).toBe(201);
+        const { _id: activeId } = started.body.session;
+
+        try {
+            const backdated = await request(app)
+                .patch(`/api/sessions/${activeId}`)
+                .set('Cookie', userCookie)
+                .send({ startTime: '00:00' });
+            expect(backdated.status).toBe(403);
+            expect(backdated.body.error).toMatch(/correction request/);
+
+            const project = await request(app)
+                .patch(`/api/sessions/${activeId}`)
+                .set('Cookie', userCookie)
+                .send({ projectId: null });
+            expect(project.status).toBe(403);
+
+            const notes = await request(app)
+                .patch(`/api/sessions/${activeId}`)
+                .set('Cookie', userCookie)
+                .send({ notes: 'On call #support' });
+            expect(notes.status).toBe(200);
+            expect(notes.body.session.tags).toEqual(['support']);
+            expect(new Date(notes.body.session.startAt)).toEqual(new Date(started.body.session.startAt));
+        } finally {
+            await Session.deleteOne({ _id: activeId });
+        }
+    });
+
+    test('still allows editing notes', async () => {
+        const session = await Session.findOne({ userId });
+        const res = await request(app)
+            .patch(`/api/sessions/${session._id}`)
+            .set('Cookie', userCookie)
+            .send({ notes: 'Sprint planning' });
+        expect(res.status).toBe(200);
+    });
+
+    test('summary reports the policy', async () => {
+        const res = await request(app)
+            .get('/api/sessions/today/summary')
+            .set('Cookie', userCookie);
+        expect(res.body.correctionsRequireApproval).toBe(true);
+    });
+});
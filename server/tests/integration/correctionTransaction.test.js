@@ -0,0 +1,108 @@
+/**
+ * Integration tests for approving correction requests on a replica set, where
+ * the session writes and the status change share a transaction (the rest of
+ * the feature is in correction.test.js, on a standalone server).
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { DateTime } = require('luxon');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+let userId;
+
+const date = DateTime.utc().minus({ days: 3 }).toISODate();
+const at = (time) => DateTime.fromISO(`${date}T${time}`, { zone: 'UTC' }).toJSDate();
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Transaction Admin',
+        email: 'tadmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'tadmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    const userRes = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Late Caller', email: 'late@test.com', password: 'pass123', timezone: 'UTC' });
+    userCookie = userRes.headers['set-cookie'];
+    userId = userRes.body.user._id;
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+/** Propose moving the evening session to the morning; returns the request id. */
+async function proposeMove(evening) {
+    const created = await request(app)
+        .post('/api/corrections')
+        .set('Cookie', userCookie)
+        .send({
+            date,
+            reason: 'Moved the call to the morning',
+            changes: [
+                { type: 'remove', sessionId: String(evening._id) },
+                { type: 'add', startTime: '06:00', endTime: '07:00' },
+            ],
+        });
+    expect(created.status).toBe(201);
+    return created.body.correction._id;
+}
+
+const approve = (id) => request(app)
+    .patch(`/api/corrections/${id}/review`)
+    .set('Cookie', adminCookie)
+    .send({ action: 'approve' });
+
+describe('Approval in a transaction', () => {
+    let evening;
+
+    beforeAll(async () => {
+        evening = await Session.create({ userId, startAt: at('19:30'), endAt: at('20:30') });
+    });
+
+    test('a failed write leaves the sessions and the request untouched', async () => {
+        const correctionId = await proposeMove(evening);
+
+        // Every change is written, then the write fails
+        const bulkWrite = Session.bulkWrite.bind(Session);
+        const spy = jest.spyOn(Session, 'bulkWrite').mockImplementationOnce(async (ops, options) => {
+            await bulkWrite(ops, options);
+            throw new Error('Write failed');
+        });
+        try {
+            expect((await approve(correctionId)).status).toBe(500);
+        } finally {
+            spy.mockRestore();
+        }
+
+        expect(await Session.exists({ _id: evening._id })).toBeTruthy();
+        expect(await Session.exists({ userId, startAt: at('06:00') })).toBeNull();
+        const mine = await request(app).get('/api/corrections').set('Cookie', userCookie);
+        expect(mine.body.corrections.find((c) => c._id === correctionId).status).toBe('pending');
+    });
+
+    test('the request can then be approved', async () => {
+        const pending = await request(app).get('/api/corrections').set('Cookie', userCookie);
+        const res = await approve(pending.body.corrections[0]._id);
+        expect(res.status).toBe(200);
+        expect(res.body.correction.status).toBe('approved');
+
+        expect(await Session.exists({ _id: evening._id })).toBeNull();
+        expect(await Session.exists({ userId, startAt: at('06:00') })).toBeTruthy();
+    });
+});
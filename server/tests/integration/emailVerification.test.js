@@ -0,0 +1,201 @@
+/**
+ * Integration tests for email verification:
+ * - Registration mails a single-use link; the user is signed in but restricted
+ * - Following the link (signed in or not) verifies the address, audited
+ * - A refreshed session lifts the restrictions; resending retires old links
+ * - Admins see who is verified
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const { setTransport } = require('../../src/utils/mailer');
+
+let mongoServer;
+const outbox = [];
+
+// The verification token from the last link mailed to this address
+function lastVerifyToken(email) {
+    const message = outbox.filter((m) => m.to === email).pop();
+    return message.text.match(/verify-email\?token=([0-9a-f]+)/)[1];
+}
+
+function register(email, extra = {}) {
+    return request(app)
+        .post('/api/auth/register')
+        .send({ name: email.split('@')[0], email, password: 'pass123', ...extra });
+}
+
+const verify = (token) => request(app).post('/api/auth/verify-email').send({ token });
+
+// New cookies from a refresh, which re-reads the verification claim
+async function refreshed(cookie) {
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    return res.headers['set-cookie'];
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    setTransport(async (message) => outbox.push(message));
+    // Off for the other suites (tests/setup.js)
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+});
+
+afterAll(async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
+    setTransport(null);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Registration', () => {
+    test('mails a verification link and flags the account', async () => {
+        const res = await register('new@verify.test');
+        expect(res.status).toBe(201);
+        expect(res.body.user.emailVerifiedAt).toBeNull();
+        expect(res.body.user.mustVerifyEmail).toBe(true);
+
+        expect(outbox.filter((m) => m.to === 'new@verify.test')).toHaveLength(1);
+        expect(lastVerifyToken('new@verify.test')).toHaveLength(64);
+    });
+
+    test('an unverified user is signed in but restricted', async () => {
+        const res = await register('limited@verify.test');
+        const cookie = res.headers['set-cookie'];
+
+        expect((await request(app).get('/api/user/me').set('Cookie', cookie)).status).toBe(200);
+        expect((await request(app).get('/api/auth/sessions').set('Cookie', cookie)).status).toBe(200);
+
+        const blocked = await request(app).get('/api/user/schedule').set('Cookie', cookie);
+        expect(blocked.status).toBe(403);
+        expect(blocked.body.error).toMatch(/verify your email/);
+    });
+
+    test('without REQUIRE_EMAIL_VERIFICATION nothing is restricted', async () => {
+        const res = await register('relaxed@verify.test');
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
+        try {
+            const me = await request(app).get('/api/user/me').set('Cookie', res.headers['set-cookie']);
+            expect(me.body.user.mustVerifyEmail).toBe(false);
+            const schedule = await request(app).get('/api/user/schedule').set('Cookie', res.headers['set-cookie']);
+            expect(schedule.status).toBe(200);
+        } finally {
+            process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+        }
+    });
+});
+
+describe('Verifying', () => {
+    test('the link verifies the address once, and a refresh lifts the restrictions', async () => {
+        const res = await register('follow@verify.test');
+        const cookie = res.headers['set-cookie'];
+
+        const verified = await verify(lastVerifyToken('follow@verify.test'));
+        expect(verified.status).toBe(200);
+
+        const user = await User.findOne({ email: 'follow@verify.test' });
+        expect(user.emailVerifiedAt).toBeTruthy();
+        expect(await AuditLog.exists({ action: 'EMAIL_VERIFIED', targetUserId: user._id })).toBeTruthy();
+
+        // The access token still says unverified until it is refreshed
+        expect((await request(app).get('/api/user/schedule').set('Cookie', cookie)).status).toBe(403);
+        const fresh = await refreshed(cookie);
+        expect((await request(app).get('/api/user/schedule').set('Cookie', fresh)).status).toBe(200);
+
+        expect((await verify(lastVerifyToken('follow@verify.test'))).status).toBe(400);
+    });
+
+    test('signing in again after verifying is not restricted', async () => {
+        await register('later@verify.test');
+        await verify(lastVerifyToken('later@verify.test'));
+
+        const login = await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'later@verify.test', password: 'pass123' });
+        expect(login.body.user.mustVerifyEmail).toBe(false);
+        const res = await request(app).get('/api/user/schedule').set('Cookie', login.headers['set-cookie']);
+        expect(res.status).toBe(200);
+    });
+
+    test('unknown and expired links are rejected', async () => {
+        expect((await verify('0'.repeat(64))).status).toBe(400);
+        expect((await verify('not-a-token')).status).toBe(400);
+
+        await register('slow@verify.test');
+        const token = lastVerifyToken('slow@verify.test');
+        await mongoose.model('UserToken').updateMany(
+            { purpose: 'email-verification', usedAt: null },
+            { expiresAt: new Date(Date.now() - 1000) }
+        );
+        expect((await verify(token)).status).toBe(400);
+    });
+
+    test('a reset password link also verifies the address', async () => {
+        await register('reset@verify.test');
+        await request(app).post('/api/auth/forgot-password').send({ email: 'reset@verify.test' });
+        const message = outbox.filter((m) => m.to === 'reset@verify.test').pop();
+        const token = message.text.match(/reset-password\?token=([0-9a-f]+)/)[1];
+
+        await request(app).post('/api/auth/reset-password').send({ token, password: 'newpass123' });
+        const user = await User.findOne({ email: 'reset@verify.test' });
+        expect(user.emailVerifiedAt).toBeTruthy();
+    });
+});
+
+describe('Resending', () => {
+    test('a new link retires the old one', async () => {
+        const res = await register('resend@verify.test');
+        const first = lastVerifyToken('resend@verify.test');
+
+        const resent = await request(app)
+            .post('/api/auth/verify-email/resend')
+            .set('Cookie', res.headers['set-cookie']);
+        expect(resent.status).toBe(200);
+
+        const second = lastVerifyToken('resend@verify.test');
+        expect(second).not.toBe(first);
+        expect((await verify(first)).status).toBe(400);
+        expect((await verify(second)).status).toBe(200);
+    });
+
+    test('is refused once verified, and requires sign-in', async () => {
+        const res = await register('done@verify.test');
+        await verify(lastVerifyToken('done@verify.test'));
+
+        const again = await request(app)
+            .post('/api/auth/verify-email/resend')
+            .set('Cookie', res.headers['set-cookie']);
+        expect(again.status).toBe(400);
+
+        expect((await request(app).post('/api/auth/verify-email/resend')).status).toBe(401);
+    });
+});
+
+describe('Admins', () => {
+    test('an unverified organization creator cannot use the admin API yet', async () => {
+        const res = await register('founder@verify.test', { organizationName: 'Verify Co' });
+        const blocked = await request(app).get('/api/admin/users').set('Cookie', res.headers['set-cookie']);
+        expect(blocked.status).toBe(403);
+    });
+
+    test('the user list shows who is verified', async () => {
+        const admin = await register('boss@verify.test', { organizationName: 'Verified Co' });
+        await verify(lastVerifyToken('boss@verify.test'));
+        const adminCookie = await refreshed(admin.headers['set-cookie']);
+
+        const invite = await request(app)
+            .post('/api/admin/invite')
+            .set('Cookie', adminCookie)
+            .send({ email: 'staff@verify.test', asAdmin: false });
+        await register('staff@verify.test', { inviteToken: invite.body.invite.token });
+
+        const res = await request(app).get('/api/admin/users').set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+        const byEmail = Object.fromEntries(res.body.users.map((u) => [u.email, u]));
+        expect(byEmail['boss@verify.test'].emailVerifiedAt).toBeTruthy();
+        expect(byEmail['staff@verify.test'].emailVerifiedAt).toBeNull();
+    });
+});
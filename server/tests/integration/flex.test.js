@@ -0,0 +1,131 @@
+/**
+ * Integration tests for flex-time balances:
+ * - Balance is worked minus goal over finished days since tracking started
+ * - Admin carry-over settings
+ * - Balance in the admin user table and CSV export
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { DateTime } = require('luxon');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+let employee;
+
+// Last week's Monday, in UTC (the employee's timezone)
+const lastMonday = DateTime.utc().startOf('week').minus({ weeks: 1 });
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Flex Admin',
+        email: 'fadmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'fadmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    const userRes = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Flexer', email: 'flexer@test.com', password: 'pass123', timezone: 'UTC' });
+    userCookie = userRes.headers['set-cookie'];
+
+    // Pretend the employee joined last Monday (createdAt is immutable through Mongoose)
+    employee = await User.findOne({ email: 'flexer@test.com' });
+    await User.collection.updateOne({ _id: employee._id }, { $set: { createdAt: lastMonday.toJSDate() } });
+
+    // 10 hours last Monday, nothing since
+    await Session.create({
+        userId: employee._id,
+        startAt: lastMonday.set({ hour: 8 }).toJSDate(),
+        endAt: lastMonday.set({ hour: 18 }).toJSDate(),
+    });
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+// Every finished weekday since last Monday has an 8h goal
+function expectedBalance() {
+    const today = DateTime.utc().startOf('day');
+    let workdays = 0;
+    for (let d = lastMonday; d < today; d = d.plus({ days: 1 })) {
+        if (d.weekday <= 5) workdays += 1;
+    }
+    return 10 - workdays * 8;
+}
+
+describe('Flex balance', () => {
+    test('GET /api/user/flex returns worked minus goal since sign-up', async () => {
+        const res = await request(app).get('/api/user/flex').set('Cookie', userCookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.trackedFrom).toBe(lastMonday.toISODate());
+        expect(res.body.balanceHours).toBe(expectedBalance());
+        expect(res.body.rules).toEqual({ resetPeriod: 'none', maxCarryOverHours: null, carryOverDeficit: true });
+    });
+
+    test('an org start date after sign-up shortens the tracked range', async () => {
+        const today = DateTime.utc().toISODate();
+        const settings = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ flex: { startDate: today } });
+        expect(settings.status).toBe(200);
+
+        const res = await request(app).get('/api/user/flex').set('Cookie', userCookie);
+        expect(res.body.trackedFrom).toBe(today);
+        expect(res.body.balanceHours).toBe(0);
+
+        await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ flex: { startDate: null } });
+    });
+
+    test('rejects unknown reset periods', async () => {
+        const res = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ flex: { resetPeriod: 'week' } });
+        expect(res.status).toBe(400);
+    });
+
+    test('admin user table includes the balance', async () => {
+        const res = await request(app).get('/api/admin/users').set('Cookie', adminCookie);
+
+        const row = res.body.users.find((u) => u.email === 'flexer@test.com');
+        expect(row.flexBalanceHours).toBe(expectedBalance());
+    });
+
+    test('balances loaded together stay per user', async () => {
+        await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Newcomer', email: 'newcomer@test.com', password: 'pass123', timezone: 'UTC' });
+        const res = await request(app).get('/api/admin/users').set('Cookie', adminCookie);
+
+        const byEmail = new Map(res.body.users.map((u) => [u.email, u.flexBalanceHours]));
+        expect(byEmail.get('flexer@test.com')).toBe(expectedBalance());
+        expect(byEmail.get('newcomer@test.com')).toBe(0);
+    });
+
+    test('CSV export includes the balance', async () => {
+        const res = await request(app).get('/api/admin/export').set('Cookie', adminCookie);
+
+        expect(res.status).toBe(200);
+        expect(res.text.split('\n')[0]).toContain('"Flex Balance"');
+        expect(res.text).toContain(`"${expectedBalance().toFixed(2)}"`);
+    });
+});
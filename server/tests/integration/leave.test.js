@@ -0,0 +1,259 @@
+/**
+ * Integration tests for leave and the holiday calendar:
+ * - Employees request vacation, sick and half-day leave
+ * - Admin approve/reject, employee cancellation
+ * - Admin-managed org holidays
+ * - Goals drop to zero (or half) on those days
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { DateTime } = require('luxon');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+
+// A future week, in UTC (the employee's timezone)
+const monday = DateTime.utc().plus({ weeks: 3 }).startOf('week');
+const day = (offset) => monday.plus({ days: offset }).toISODate();
+
+const goalOn = (date) => request(app).get('/api/goals').query({ date }).set('Cookie', userCookie);
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Leave Admin',
+        email: 'ladmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'ladmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    const userRes = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Traveller', email: 'traveller@test.com', password: 'pass123', timezone: 'UTC' });
+    userCookie = userRes.headers['set-cookie'];
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Leave requests', () => {
+    let vacationId;
+    let halfDayId;
+
+    test('employee requests vacation; it stays pending', async () => {
+        const res = await request(app)
+            .post('/api/leave')
+            .set('Cookie', userCookie)
+            .send({ type: 'vacation', startDate: day(0), endDate: day(1), reason: 'Trip' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.leave.status).toBe('pending');
+        vacationId = res.body.leave._id;
+
+        const goal = await goalOn(day(0));
+        expect(goal.body.goalHours).toBe(8);
+    });
+
+    test('rejects overlapping requests', async () => {
+        const res = await request(app)
+            .post('/api/leave')
+            .set('Cookie', userCookie)
+            .send({ type: 'sick', startDate: day(1), endDate: day(2) });
+        expect(res.status).toBe(409);
+    });
+
+    test('a half day must be a single date', async () => {
+        const res = await request(app)
+            .post('/api/leave')
+            .set('Cookie', userCookie)
+            .send({ type: 'half-day', startDate: day(2), endDate: day(3) });
+        expect(res.status).toBe(400);
+    });
+
+    test('a range longer than the limit is refused', async () => {
+        const res = await request(app)
+            .post('/api/leave')
+            .set('Cookie', userCookie)
+            .send({ type: 'vacation', startDate: '0001-01-01', endDate: '9999-12-31' });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/at most 60 days/);
+    });
+
+    test('the review queue is admin only', async () => {
+        const denied = await request(app).get('/api/leave/review').set('Cookie', userCookie);
+        expect(denied.status).toBe(403);
+
+        const res = await request(app).get('/api/leave/review').set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.leaves.map((l) => l._id)).toContain(vacationId);
+        expect(res.body.leaves[0].userId.name).toBe('Traveller');
+    });
+
+    test('rejecting requires a comment', async () => {
+        const res = await request(app)
+            .patch(`/api/leave/${vacationId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject' });
+        expect(res.status).toBe(400);
+    });
+
+    test('approved leave removes the goal for each day', async () => {
+        const res = await request(app)
+            .patch(`/api/leave/${vacationId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'approve' });
+        expect(res.status).toBe(200);
+        expect(res.body.leave.status).toBe('approved');
+
+        for (const date of [day(0), day(1)]) {
+            const goal = await goalOn(date);
+            expect(goal.body.goalHours).toBe(0);
+            expect(goal.body.dayType).toBe('leave');
+            expect(goal.body.dayLabel).toBe('vacation');
+        }
+
+        const log = await AuditLog.findOne({ action: 'LEAVE_APPROVED' });
+        expect(log.details.startDate).toBe(day(0));
+    });
+
+    test('an approved half day halves the goal', async () => {
+        const created = await request(app)
+            .post('/api/leave')
+            .set('Cookie', userCookie)
+            .send({ type: 'half-day', startDate: day(2), endDate: day(2) });
+        halfDayId = created.body.leave._id;
+
+        await request(app)
+            .patch(`/api/leave/${halfDayId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'approve' });
+
+        const goal = await goalOn(day(2));
+        expect(goal.body.goalHours).toBe(4);
+        expect(goal.body.dayType).toBe('half-day');
+    });
+
+    test('reviewing twice is a conflict', async () => {
+        const res = await request(app)
+            .patch(`/api/leave/${halfDayId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject', comment: 'Changed my mind' });
+        expect(res.status).toBe(409);
+    });
+
+    test('employee can cancel leave that has not started', async () => {
+        const res = await request(app)
+            .patch(`/api/leave/${halfDayId}/cancel`)
+            .set('Cookie', userCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.leave.status).toBe('cancelled');
+
+        const goal = await goalOn(day(2));
+        expect(goal.body.goalHours).toBe(8);
+
+        const list = await request(app).get('/api/leave').set('Cookie', userCookie);
+        expect(list.body.leaves).toHaveLength(2);
+    });
+
+    test('monthly summary marks leave and weekends', async () => {
+        const res = await request(app)
+            .get('/api/sessions/monthly-summary')
+            .query({ month: monday.toFormat('yyyy-MM') })
+            .set('Cookie', userCookie);
+        expect(res.status).toBe(200);
+
+        expect(res.body.days[day(0)]).toMatchObject({ goalHours: 0, dayType: 'leave' });
+        const saturday = Object.keys(res.body.days)
+            .find((d) => DateTime.fromISO(d).weekday === 6);
+        expect(res.body.days[saturday]).toMatchObject({ goalHours: 0, dayType: 'weekend' });
+    });
+});
+
+describe('Holiday calendar', () => {
+    let holidayId;
+
+    test('only admins can add holidays', async () => {
+        const res = await request(app)
+            .post('/api/holidays')
+            .set('Cookie', userCookie)
+            .send({ date: day(3), name: 'Company Day' });
+        expect(res.status).toBe(403);
+    });
+
+    test('admin adds a holiday; nobody has a goal that day', async () => {
+        const res = await request(app)
+            .post('/api/holidays')
+            .set('Cookie', adminCookie)
+            .send({ date: day(3), name: 'Company Day' });
+        expect(res.status).toBe(201);
+        holidayId = res.body.holiday._id;
+
+        const goal = await goalOn(day(3));
+        expect(goal.body).toMatchObject({ goalHours: 0, dayType: 'holiday', dayLabel: 'Company Day' });
+    });
+
+    test('one holiday per date', async () => {
+        const res = await request(app)
+            .post('/api/holidays')
+            .set('Cookie', adminCookie)
+            .send({ date: day(3), name: 'Duplicate' });
+        expect(res.status).toBe(409);
+    });
+
+    test('everyone can read the calendar for a year', async () => {
+        const res = await request(app)
+            .get('/api/holidays')
+            .query({ year: day(3).slice(0, 4) })
+            .set('Cookie', userCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.holidays.map((h) => h.name)).toContain('Company Day');
+    });
+
+    test('removing a holiday restores the goal and is audited', async () => {
+        const res = await request(app)
+            .delete(`/api/holidays/${holidayId}`)
+            .set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+
+        const goal = await goalOn(day(3));
+        expect(goal.body.goalHours).toBe(8);
+
+        const actions = (await AuditLog.find({ action: /^HOLIDAY_/ })).map((l) => l.action);
+        expect(actions).toEqual(expect.arrayContaining(['HOLIDAY_CREATED', 'HOLIDAY_DELETED']));
+    });
+});
+
+describe('Work week setting', () => {
+    test('admin can change which weekdays carry the default goal', async () => {
+        const res = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ calendar: { workDays: [1, 2, 3, 4, 5, 6] } });
+        expect(res.status).toBe(200);
+        expect(res.body.settings.calendar.workDays).toEqual([1, 2, 3, 4, 5, 6]);
+
+        const goal = await goalOn(day(5));
+        expect(goal.body).toMatchObject({ goalHours: 8, dayType: 'workday' });
+    });
+
+    test('rejects invalid weekdays', async () => {
+        const res = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ calendar: { workDays: [0, 8] } });
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Integration tests for per-account brute-force protection:
+ * - Repeated failures slow down, then lock the account (audited)
+ * - A locked account refuses even the right password
+ * - Locks expire; admins can lift them; a password reset lifts them
+ * Delays are skipped by moving the recorded timestamps back.
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+let workerCookie;
+let workerId;
+
+const EMAIL = 'target@lockout.test';
+
+const login = (password, email = EMAIL) => request(app).post('/api/auth/login').send({ email, password });
+
+// Pretend the last failure (and any lock) happened long enough ago
+async function skipDelay() {
+    await User.updateOne({ email: EMAIL }, { 'loginFailures.lastFailedAt': new Date(Date.now() - 5 * 60 * 1000) });
+}
+
+async function failTimes(n) {
+    let res;
+    for (let i = 0; i < n; i++) {
+        res = await login('wrong-password');
+        await skipDelay();
+    }
+    return res;
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const admin = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Lock Admin', email: 'admin@lockout.test', password: 'pass123', organizationName: 'Lockout Co' });
+    adminCookie = admin.headers['set-cookie'];
+
+    for (const email of [EMAIL, 'worker@lockout.test']) {
+        const invite = await request(app)
+            .post('/api/admin/invite')
+            .set('Cookie', adminCookie)
+            .send({ email, asAdmin: false });
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ name: email.split('@')[0], email, password: 'pass123', inviteToken: invite.body.invite.token });
+        if (email === EMAIL) workerId = res.body.user._id;
+        else workerCookie = res.headers['set-cookie'];
+    }
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await User.updateOne({ email: EMAIL }, { loginFailures: { count: 0, lastFailedAt: null, lockedUntil: null } });
+});
+
+describe('Failed sign-ins', () => {
+    test('the first failures are answered normally', async () => {
+        expect((await login('wrong-password')).status).toBe(401);
+        expect((await login('wrong-password')).status).toBe(401);
+    });
+
+    test('after that, attempts must wait', async () => {
+        await login('wrong-password');
+        await login('wrong-password');
+        await login('wrong-password');
+
+        const res = await login('pass123');
+        expect(res.status).toBe(429);
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(res.body.error).toMatch(/Try again in/);
+
+        await skipDelay();
+        expect((await login('pass123')).status).toBe(200);
+    });
+
+    test('a successful sign-in forgets earlier failures', async () => {
+        await failTimes(3);
+        expect((await login('pass123')).status).toBe(200);
+
+        const user = await User.findById(workerId);
+        expect(user.loginFailures.count).toBe(0);
+    });
+
+    test('old failures are forgotten', async () => {
+        await failTimes(4);
+        await User.updateOne({ email: EMAIL }, { 'loginFailures.lastFailedAt': new Date(Date.now() - 60 * 60 * 1000) });
+
+        await login('wrong-password');
+        const user = await User.findById(workerId);
+        expect(user.loginFailures.count).toBe(1);
+    });
+
+    test('other accounts are not affected', async () => {
+        await failTimes(5);
+        expect((await login('pass123', 'worker@lockout.test')).status).toBe(200);
+    });
+});
+
+describe('Lockout', () => {
+    test('the fifth failure locks the account, which is audited', async () => {
+        await failTimes(4);
+        const res = await login('wrong-password');
+        expect(res.status).toBe(429);
+        expect(res.body.error).toMatch(/locked for 15 more minutes/);
+
+        const log = await AuditLog.findOne({ action: 'ACCOUNT_LOCKED' });
+        expect(String(log.targetUserId)).toBe(String(workerId));
+        expect(log.details.failures).toBe(5);
+    });
+
+    test('a locked account refuses the right password too', async () => {
+        await failTimes(5);
+        const res = await login('pass123');
+        expect(res.status).toBe(429);
+        expect(res.body.retryAfter).toBeGreaterThan(14 * 60);
+    });
+
+    test('the lock expires', async () => {
+        await failTimes(5);
+        await User.updateOne({ email: EMAIL }, { 'loginFailures.lockedUntil': new Date(Date.now() - 1000) });
+        expect((await login('pass123')).status).toBe(200);
+    });
+
+    test('an admin can unlock the account, which is audited', async () => {
+        await failTimes(5);
+
+        const users = await request(app).get('/api/admin/users').set('Cookie', adminCookie);
+        expect(users.body.users.find((u) => u.email === EMAIL).lockedUntil).toBeTruthy();
+
+        const res = await request(app).post(`/api/admin/users/${workerId}/unlock`).set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+        expect((await login('pass123')).status).toBe(200);
+        expect(await AuditLog.exists({ action: 'ACCOUNT_UNLOCKED', targetUserId: workerId })).toBeTruthy();
+    });
+
+    test('unlocking an account without failures is refused', async () => {
+        const res = await request(app).post(`/api/admin/users/${workerId}/unlock`).set('Cookie', adminCookie);
+        expect(res.status).toBe(400);
+    });
+
+    test('non-admins cannot unlock accounts', async () => {
+        await failTimes(5);
+        const res = await request(app).post(`/api/admin/users/${workerId}/unlock`).set('Cookie', workerCookie);
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Integration tests for login sessions:
+ * - Sign-in sets a short-lived access token and a rotating refresh token
+ * - Reusing a replaced refresh token revokes the session
+ * - Logout, per-device sign-out and admin force-logout take effect at once
+ * - Demotion and password changes end sessions
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const LoginSession = require('../../src/models/LoginSession');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+let workerId;
+
+const login = (email, password, userAgent = 'jest') =>
+    request(app).post('/api/auth/login').set('User-Agent', userAgent).send({ email, password });
+
+const signIn = async (userAgent) => (await login('worker@sessions.test', 'pass123', userAgent)).headers['set-cookie'];
+
+const me = (cookie) => request(app).get('/api/user/me').set('Cookie', cookie);
+
+/** The named cookie's `name=value` pair from a Set-Cookie list. */
+function cookieValue(setCookie, name) {
+    const header = setCookie.find((c) => c.startsWith(`${name}=`));
+    return header && header.split(';')[0];
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const admin = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Session Admin', email: 'admin@sessions.test', password: 'pass123', organizationName: 'Sessions Co' });
+    adminCookie = admin.headers['set-cookie'];
+
+    const invite = await request(app)
+        .post('/api/admin/invite')
+        .set('Cookie', adminCookie)
+        .send({ email: 'worker@sessions.test', asAdmin: false });
+    const worker = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Worker', email: 'worker@sessions.test', password: 'pass123', inviteToken: invite.body.invite.token });
+    workerId = worker.body.user._id;
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Sign-in cookies', () => {
+    test('sign-in sets an access token and an HttpOnly refresh token scoped to /api/auth', async () => {
+        const res = await login('worker@sessions.test', 'pass123');
+        const refresh = res.headers['set-cookie'].find((c) => c.startsWith('refreshToken='));
+        expect(cookieValue(res.headers['set-cookie'], 'token')).toBeTruthy();
+        expect(refresh).toMatch(/Path=\/api\/auth/);
+        expect(refresh).toMatch(/HttpOnly/);
+
+        const stored = await LoginSession.findOne({ userId: workerId }).sort({ createdAt: -1 });
+        expect(stored.refreshTokenHash).not.toBe(cookieValue(res.headers['set-cookie'], 'refreshToken').split('=')[1]);
+    });
+
+    test('access tokens without a login session are refused', async () => {
+        const user = await User.findById(workerId);
+        const token = jwt.sign({ userId: user._id, orgId: user.orgId, isAdmin: false }, process.env.JWT_SECRET);
+        expect((await me(`token=${token}`)).status).toBe(401);
+    });
+});
+
+describe('Refreshing', () => {
+    test('a refresh rotates the refresh token and issues a working access token', async () => {
+        const cookie = await signIn();
+        const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+        expect(res.status).toBe(200);
+        expect(res.body.user.email).toBe('worker@sessions.test');
+
+        const rotated = cookieValue(res.headers['set-cookie'], 'refreshToken');
+        expect(rotated).not.toBe(cookieValue(cookie, 'refreshToken'));
+        expect((await me(cookieValue(res.headers['set-cookie'], 'token'))).status).toBe(200);
+    });
+
+    test('a replaced refresh token is tolerated briefly, for racing tabs', async () => {
+        const cookie = await signIn();
+        await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+        const raced = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+        expect(raced.status).toBe(200);
+        expect(raced.headers['set-cookie']).toBeUndefined();
+    });
+
+    test('reusing a replaced refresh token later revokes the session', async () => {
+        const cookie = await signIn();
+        const first = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+        const latest = first.headers['set-cookie'];
+        await LoginSession.updateMany({}, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+
+        const replay = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+        expect(replay.status).toBe(401);
+
+        // The legitimate holder is signed out as well
+        expect((await me(cookieValue(latest, 'token'))).status).toBe(401);
+        expect((await request(app).post('/api/auth/refresh').set('Cookie', latest)).status).toBe(401);
+        expect(await AuditLog.exists({ action: 'REFRESH_TOKEN_REUSED', targetUserId: workerId })).toBeTruthy();
+    });
+
+    test('a refresh picks up a new admin status', async () => {
+        const cookie = await signIn();
+        await request(app).post('/api/admin/promote').set('Cookie', adminCookie).send({ userId: workerId, makeAdmin: true });
+
+        const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+        const { isAdmin } = jwt.decode(cookieValue(res.headers['set-cookie'], 'token').split('=')[1]);
+        expect(isAdmin).toBe(true);
+    });
+
+    test('demoting signs the user out everywhere', async () => {
+        const cookie = await signIn();
+        await request(app).post('/api/admin/promote').set('Cookie', adminCookie).send({ userId: workerId, makeAdmin: false });
+
+        expect((await me(cookie)).status).toBe(401);
+        expect((await request(app).post('/api/auth/refresh').set('Cookie', cookie)).status).toBe(401);
+    });
+});
+
+describe('Signing out', () => {
+    test('logout ends the session, not just the cookie', async () => {
+        const cookie = await signIn();
+        const res = await request(app).post('/api/auth/logout').set('Cookie', cookie);
+        expect(res.status).toBe(200);
+
+        expect((await me(cookie)).status).toBe(401);
+        expect((await request(app).post('/api/auth/refresh').set('Cookie', cookie)).status).toBe(401);
+    });
+
+    test('devices are listed and another one can be signed out', async () => {
+        await LoginSession.deleteMany({ userId: workerId });
+        const laptop = await signIn('Laptop');
+        const phone = await signIn('Phone');
+
+        const list = await request(app).get('/api/auth/sessions').set('Cookie', laptop);
+        expect(list.status).toBe(200);
+        expect(list.body.sessions).toHaveLength(2);
+        const current = list.body.sessions.find((s) => s.current);
+        const other = list.body.sessions.find((s) => !s.current);
+        expect(current.userAgent).toBe('Laptop');
+        expect(other.userAgent).toBe('Phone');
+
+        const self = await request(app).delete(`/api/auth/sessions/${current._id}`).set('Cookie', laptop);
+        expect(self.status).toBe(400);
+
+        const res = await request(app).delete(`/api/auth/sessions/${other._id}`).set('Cookie', laptop);
+        expect(res.status).toBe(200);
+        expect((await me(phone)).status).toBe(401);
+        expect((await me(laptop)).status).toBe(200);
+    });
+
+    test('another user\'s session cannot be signed out', async () => {
+        const workerCookie = await signIn();
+        const adminSession = await LoginSession.findOne({ userId: { $ne: workerId }, revokedAt: null });
+        const res = await request(app).delete(`/api/auth/sessions/${adminSession._id}`).set('Cookie', workerCookie);
+        expect(res.status).toBe(404);
+    });
+
+    test('changing the password signs out the other devices only', async () => {
+        const kept = await signIn('Kept');
+        const other = await signIn('Other');
+
+        const res = await request(app)
+            .post('/api/auth/change-password')
+            .set('Cookie', kept)
+            .send({ currentPassword: 'pass123', newPassword: 'pass456' });
+        expect(res.status).toBe(200);
+        expect((await me(kept)).status).toBe(200);
+        expect((await me(other)).status).toBe(401);
+
+        await request(app)
+            .post('/api/auth/change-password')
+            .set('Cookie', kept)
+            .send({ currentPassword: 'pass456', newPassword: 'pass123' });
+    });
+});
+
+describe('Admin force logout', () => {
+    test('non-admins cannot force a logout', async () => {
+        const cookie = await signIn();
+        const admin = await User.findOne({ email: 'admin@sessions.test' });
+        const res = await request(app).post(`/api/admin/users/${admin._id}/logout`).set('Cookie', cookie);
+        expect(res.status).toBe(403);
+    });
+
+    test('an admin signs a user out on every device, which is audited', async () => {
+        const first = await signIn('One');
+        const second = await signIn('Two');
+
+        const res = await request(app).post(`/api/admin/users/${workerId}/logout`).set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.count).toBeGreaterThanOrEqual(2);
+
+        expect((await me(first)).status).toBe(401);
+        expect((await me(second)).status).toBe(401);
+        expect((await request(app).post('/api/auth/refresh').set('Cookie', second)).status).toBe(401);
+
+        const log = await AuditLog.findOne({ action: 'FORCE_LOGOUT' });
+        expect(String(log.targetUserId)).toBe(String(workerId));
+
+        // Signing in again works
+        expect((await me(await signIn())).status).toBe(200);
+    });
+});
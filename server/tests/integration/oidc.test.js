@@ -0,0 +1,301 @@
+/**
+ * Integration tests for OpenID Connect single sign-on, against the mock IdP:
+ * - The flow: redirect with PKCE, callback, session cookies
+ * - Just-in-time provisioning and linking of existing accounts
+ * - Admin status from the IdP group claim
+ * - Two-factor authentication and lockout still apply
+ * - Tampered or cancelled sign-ins are refused
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const Organization = require('../../src/models/Organization');
+const OrgSettings = require('../../src/models/OrgSettings');
+const AuditLog = require('../../src/models/AuditLog');
+const { clearOidcCache } = require('../../src/utils/oidc');
+const { hotp, currentStep } = require('../../src/utils/totp');
+const { setTransport } = require('../../src/utils/mailer');
+const { startMockIdp } = require('../../mock-idp');
+
+let mongoServer;
+let idp;
+const outbox = [];
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+/**
+ * Walk through the sign-in as a browser would, picking `user` at the IdP.
+ * @returns {Promise<{ location: URL, cookie: string[] }>} where the callback
+ *          sends the browser, and the cookies it sets
+ */
+async function ssoSignIn(user, { adminLogin = false, tamper } = {}) {
+    const start = await request(app).get(`/api/auth/oidc/login${adminLogin ? '?adminLogin=true' : ''}`);
+    expect(start.status).toBe(302);
+    const flowCookie = start.headers['set-cookie'];
+
+    const atIdp = await fetch(`${start.headers.location}&login_hint=${user}`, { redirect: 'manual' });
+    const callback = new URL(atIdp.headers.get('location'));
+    if (tamper) tamper(callback.searchParams);
+
+    const res = await request(app)
+        .get(`/api/auth/oidc/callback?${callback.searchParams}`)
+        .set('Cookie', flowCookie);
+    expect(res.status).toBe(302);
+    return { location: new URL(res.headers.location), cookie: res.headers['set-cookie'] };
+}
+
+const ssoError = ({ location }) => location.searchParams.get('ssoError');
+// The second step handed to the login page, in the fragment
+const secondStep = ({ location }) => Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+const hasSession = ({ cookie }) => Boolean(cookie?.some((c) => c.startsWith('token=')));
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    setTransport(async (message) => outbox.push(message));
+
+    idp = await startMockIdp();
+    process.env.OIDC_ISSUER = idp.issuer;
+    process.env.OIDC_CLIENT_ID = 'workhourtracker';
+    process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+    process.env.OIDC_ADMIN_GROUP = 'tracker-admins';
+});
+
+afterAll(async () => {
+    ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_ADMIN_GROUP'].forEach((name) => {
+        delete process.env[name];
+    });
+    clearOidcCache();
+    setTransport(null);
+    await idp.close();
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Setup', () => {
+    test('the login page learns that SSO is available', async () => {
+        const res = await request(app).get('/api/auth/oidc/config');
+        expect(res.body).toEqual({ enabled: true, label: 'Sign in with SSO' });
+    });
+
+    test('without configuration SSO is off', async () => {
+        const issuer = process.env.OIDC_ISSUER;
+        delete process.env.OIDC_ISSUER;
+        try {
+            expect((await request(app).get('/api/auth/oidc/config')).body).toEqual({ enabled: false });
+            expect((await request(app).get('/api/auth/oidc/login')).status).toBe(404);
+        } finally {
+            process.env.OIDC_ISSUER = issuer;
+        }
+    });
+
+    test('sign-in redirects to the IdP with PKCE', async () => {
+        const res = await request(app).get('/api/auth/oidc/login');
+        const url = new URL(res.headers.location);
+        expect(url.origin).toBe(idp.issuer);
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('code_challenge')).toBeTruthy();
+        expect(url.searchParams.get('state')).toBeTruthy();
+        expect(url.searchParams.get('nonce')).toBeTruthy();
+        expect(res.headers['set-cookie'][0]).toMatch(/^oidcFlow=.*HttpOnly/);
+    });
+});
+
+describe('Signing in', () => {
+    test('a new IdP user is provisioned and signed in', async () => {
+        const { location, cookie } = await ssoSignIn('mock-bob');
+        expect(location.href).toBe(`${CLIENT_URL}/dashboard`);
+
+        const me = await request(app).get('/api/user/me').set('Cookie', cookie);
+        expect(me.status).toBe(200);
+        expect(me.body.user).toMatchObject({ email: 'bob@idp.example', name: 'Bob Builder', isAdmin: false });
+        expect(me.body.user.emailVerifiedAt).toBeTruthy();
+        expect(me.body.user.sso).toEqual({ issuer: idp.issuer, subject: 'mock-bob' });
+
+        const user = await User.findOne({ email: 'bob@idp.example' });
+        expect(await AuditLog.exists({ action: 'SSO_USER_PROVISIONED', targetUserId: user._id })).toBeTruthy();
+    });
+
+    test('signing in again finds the same user', async () => {
+        await ssoSignIn('mock-bob');
+        expect(await User.countDocuments({ email: 'bob@idp.example' })).toBe(1);
+    });
+
+    test('an unverified IdP email is provisioned unverified and mailed a link', async () => {
+        await ssoSignIn('mock-carol');
+        const user = await User.findOne({ email: 'carol@idp.example' });
+        expect(user.emailVerifiedAt).toBeNull();
+        expect(outbox.some((m) => m.to === 'carol@idp.example' && /verify-email\?token=/.test(m.text))).toBe(true);
+    });
+
+    test('an existing account with the same verified email is linked', async () => {
+        idp.users.push({ sub: 'mock-dave', email: 'dave@idp.example', email_verified: true, name: 'Dave', groups: [] });
+        await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Dave Local', email: 'dave@idp.example', password: 'pass123' });
+
+        const { location } = await ssoSignIn('mock-dave');
+        expect(location.pathname).toBe('/dashboard');
+
+        const user = await User.findOne({ email: 'dave@idp.example' });
+        expect(user.name).toBe('Dave Local');
+        expect(user.sso.subject).toBe('mock-dave');
+        expect(await AuditLog.exists({ action: 'SSO_ACCOUNT_LINKED', targetUserId: user._id })).toBeTruthy();
+    });
+
+    test('an existing account is not linked on an unverified IdP email', async () => {
+        idp.users.push({ sub: 'mock-erin', email: 'erin@idp.example', email_verified: false, name: 'Erin', groups: [] });
+        await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Erin Local', email: 'erin@idp.example', password: 'pass123' });
+
+        const result = await ssoSignIn('mock-erin');
+        expect(result.location.pathname).toBe('/login');
+        expect(ssoError(result)).toMatch(/not verified/);
+        expect((await User.findOne({ email: 'erin@idp.example' })).sso.subject).toBeNull();
+    });
+
+    test('accounts in another organization are not linked', async () => {
+        idp.users.push({ sub: 'mock-fay', email: 'fay@idp.example', email_verified: true, name: 'Fay', groups: [] });
+        await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Fay', email: 'fay@idp.example', password: 'pass123', organizationName: 'Elsewhere' });
+
+        expect(ssoError(await ssoSignIn('mock-fay'))).toMatch(/another organization/);
+    });
+
+    test('an admin account is not linked by email', async () => {
+        idp.users.push({ sub: 'mock-hal', email: 'hal@idp.example', email_verified: true, name: 'Hal', groups: [] });
+        await User.create({
+            name: 'Hal Admin',
+            email: 'hal@idp.example',
+            passwordHash: 'pass123',
+            orgId: (await Organization.getDefault())._id,
+            isAdmin: true,
+        });
+
+        const result = await ssoSignIn('mock-hal');
+        expect(ssoError(result)).toMatch(/Admin accounts cannot be linked/);
+        expect(hasSession(result)).toBe(false);
+        expect((await User.findOne({ email: 'hal@idp.example' })).sso.subject).toBeNull();
+    });
+});
+
+describe('Admin group', () => {
+    test('members of OIDC_ADMIN_GROUP become admins', async () => {
+        const { location, cookie } = await ssoSignIn('mock-alice', { adminLogin: true });
+        expect(location.pathname).toBe('/admin-dashboard');
+
+        const me = await request(app).get('/api/user/me').set('Cookie', cookie);
+        expect(me.body.user.isAdmin).toBe(true);
+        expect((await request(app).get('/api/admin/users').set('Cookie', cookie)).status).toBe(200);
+
+        const log = await AuditLog.findOne({ action: 'PROMOTE', 'details.via': 'sso' });
+        expect(log.details.group).toBe('tracker-admins');
+    });
+
+    test('leaving the group removes admin at the next sign-in', async () => {
+        const before = await ssoSignIn('mock-alice');
+        idp.users.find((u) => u.sub === 'mock-alice').groups = ['staff'];
+
+        await ssoSignIn('mock-alice');
+        expect((await User.findOne({ email: 'alice@idp.example' })).isAdmin).toBe(false);
+        expect(await AuditLog.exists({ action: 'DEMOTE', 'details.via': 'sso' })).toBeTruthy();
+
+        // Earlier sessions end, as with any demotion
+        expect((await request(app).get('/api/user/me').set('Cookie', before.cookie)).status).toBe(401);
+    });
+
+    test('admin sign-in is refused for non-admins', async () => {
+        const result = await ssoSignIn('mock-bob', { adminLogin: true });
+        expect(ssoError(result)).toMatch(/Admin access denied/);
+        expect(hasSession(result)).toBe(false);
+    });
+});
+
+describe('Second factor and lockout', () => {
+    test('two-factor users enter a code after the IdP', async () => {
+        const { cookie } = await ssoSignIn('mock-bob');
+        const { body: setup } = await request(app).post('/api/auth/2fa/setup').set('Cookie', cookie);
+        await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Cookie', cookie)
+            .send({ code: hotp(setup.secret, currentStep()) });
+
+        const result = await ssoSignIn('mock-bob');
+        expect(result.location.pathname).toBe('/login');
+        expect(hasSession(result)).toBe(false);
+        const { twoFactor, challengeToken } = secondStep(result);
+        expect(twoFactor).toBe('verify');
+
+        // The next time step, as the one above has been used
+        const res = await request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken, code: hotp(setup.secret, currentStep() + 1) });
+        expect(res.status).toBe(200);
+        expect(res.body.user.email).toBe('bob@idp.example');
+        expect(res.headers['set-cookie'].some((c) => c.startsWith('token='))).toBe(true);
+    });
+
+    test('admins who must use 2FA enroll after the IdP', async () => {
+        idp.users.push({ sub: 'mock-gina', email: 'gina@idp.example', email_verified: true, name: 'Gina', groups: ['tracker-admins'] });
+        const orgId = (await Organization.getDefault())._id;
+        await OrgSettings.getSettings(orgId);
+        await OrgSettings.updateOne({ orgId }, { 'security.requireTwoFactorForAdmins': true });
+        try {
+            const result = await ssoSignIn('mock-gina', { adminLogin: true });
+            expect(hasSession(result)).toBe(false);
+            const { twoFactor, challengeToken } = secondStep(result);
+            expect(twoFactor).toBe('enroll');
+
+            const setup = await request(app).post('/api/auth/login/2fa/setup').send({ challengeToken });
+            expect(setup.status).toBe(200);
+            expect(setup.body.secret).toBeTruthy();
+        } finally {
+            await OrgSettings.updateOne({ orgId }, { 'security.requireTwoFactorForAdmins': false });
+        }
+    });
+
+    test('a locked account is refused and stays locked', async () => {
+        const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+        await User.updateOne({ email: 'dave@idp.example' }, { 'loginFailures.lockedUntil': lockedUntil });
+
+        const result = await ssoSignIn('mock-dave');
+        expect(ssoError(result)).toMatch(/locked/);
+        expect(hasSession(result)).toBe(false);
+        expect((await User.findOne({ email: 'dave@idp.example' })).loginFailures.lockedUntil).toEqual(lockedUntil);
+    });
+});
+
+describe('Refused sign-ins', () => {
+    test('a state that does not match is refused', async () => {
+        const result = await ssoSignIn('mock-bob', { tamper: (params) => params.set('state', 'forged') });
+        expect(ssoError(result)).toMatch(/expired/);
+    });
+
+    test('a callback without the flow cookie is refused', async () => {
+        const start = await request(app).get('/api/auth/oidc/login');
+        const atIdp = await fetch(`${start.headers.location}&login_hint=mock-bob`, { redirect: 'manual' });
+        const callback = new URL(atIdp.headers.get('location'));
+
+        const res = await request(app).get(`/api/auth/oidc/callback?${callback.searchParams}`);
+        expect(new URL(res.headers.location).searchParams.get('ssoError')).toMatch(/expired/);
+    });
+
+    test('a forged code fails the token exchange', async () => {
+        const result = await ssoSignIn('mock-bob', { tamper: (params) => params.set('code', 'forged') });
+        expect(ssoError(result)).toMatch(/failed/);
+    });
+
+    test('cancelling at the IdP comes back as an error', async () => {
+        const result = await ssoSignIn('mock-bob', {
+            tamper: (params) => {
+                params.delete('code');
+                params.set('error', 'access_denied');
+            },
+        });
+        expect(ssoError(result)).toMatch(/cancelled/);
+    });
+});
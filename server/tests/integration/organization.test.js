@@ -0,0 +1,167 @@
+/**
+ * Integration tests for organizations:
+ * - Signing up with an organization name creates it with the user as admin
+ * - Invites place users in the inviter's organization, as admin or member
+ * - Admins only see their own organization's users, holidays and audit log
+ * - The organization's default timezone applies to new users
+ */
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+
+let mongoServer;
+let acmeCookie;
+let globexCookie;
+
+async function signup(body) {
+    return request(app)
+        .post('/api/auth/register')
+        .send({ password: 'pass123', timezone: 'UTC', ...body });
+}
+
+async function invite(cookie, email, asAdmin) {
+    const res = await request(app)
+        .post('/api/admin/invite')
+        .set('Cookie', cookie)
+        .send({ email, asAdmin });
+    return res.body.invite.token;
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Organizations', () => {
+    test('signing up with an organization name creates it and makes the user its admin', async () => {
+        const acme = await signup({ name: 'Acme Owner', email: 'owner@acme.test', organizationName: 'Acme' });
+        expect(acme.status).toBe(201);
+        expect(acme.body.user.isAdmin).toBe(true);
+        expect(acme.body.user.organization).toBe('Acme');
+        acmeCookie = acme.headers['set-cookie'];
+
+        const globex = await signup({ name: 'Globex Owner', email: 'owner@globex.test', organizationName: 'Globex' });
+        expect(globex.body.user.isAdmin).toBe(true);
+        globexCookie = globex.headers['set-cookie'];
+    });
+
+    test('an organization name and an invite cannot be combined', async () => {
+        const token = await invite(acmeCookie, 'mixed@acme.test', false);
+        const res = await signup({
+            name: 'Mixed',
+            email: 'mixed@acme.test',
+            organizationName: 'Elsewhere',
+            inviteToken: token,
+        });
+        expect(res.status).toBe(400);
+    });
+
+    test('a member invite joins the inviter\'s organization as an employee', async () => {
+        const token = await invite(acmeCookie, 'worker@acme.test', false);
+        const res = await signup({ name: 'Acme Worker', email: 'worker@acme.test', inviteToken: token });
+        expect(res.status).toBe(201);
+        expect(res.body.user.isAdmin).toBe(false);
+        expect(res.body.user.organization).toBe('Acme');
+    });
+
+    test('an admin invite joins as admin', async () => {
+        const token = await invite(globexCookie, 'admin@globex.test', true);
+        const res = await signup({ name: 'Globex Admin', email: 'admin@globex.test', inviteToken: token });
+        expect(res.body.user.isAdmin).toBe(true);
+        expect(res.body.user.organization).toBe('Globex');
+    });
+
+    test('admins only see users of their own organization', async () => {
+        const acme = await request(app).get('/api/admin/users').set('Cookie', acmeCookie);
+        expect(acme.body.users.map((u) => u.email).sort()).toEqual(['owner@acme.test', 'worker@acme.test']);
+
+        const globex = await request(app).get('/api/admin/users').set('Cookie', globexCookie);
+        expect(globex.body.users.map((u) => u.email)).not.toContain('worker@acme.test');
+    });
+
+    test('users of another organization are not found', async () => {
+        const worker = await User.findOne({ email: 'worker@acme.test' });
+        const res = await request(app)
+            .get(`/api/admin/users/${worker._id}/sessions`)
+            .set('Cookie', globexCookie);
+        expect(res.status).toBe(404);
+
+        const promote = await request(app)
+            .post('/api/admin/promote')
+            .set('Cookie', globexCookie)
+            .send({ userId: String(worker._id), makeAdmin: true });
+        expect(promote.status).toBe(404);
+    });
+
+    test('holidays are per organization', async () => {
+        const created = await request(app)
+            .post('/api/holidays')
+            .set('Cookie', acmeCookie)
+            .send({ date: '2026-12-25', name: 'Christmas' });
+        expect(created.status).toBe(201);
+
+        // The same date is free in another organization
+        const other = await request(app)
+            .post('/api/holidays')
+            .set('Cookie', globexCookie)
+            .send({ date: '2026-12-25', name: 'Winter Break' });
+        expect(other.status).toBe(201);
+
+        const list = await request(app)
+            .get('/api/holidays?year=2026')
+            .set('Cookie', globexCookie);
+        expect(list.body.holidays.map((h) => h.name)).toEqual(['Winter Break']);
+
+        const remove = await request(app)
+            .delete(`/api/holidays/${created.body.holiday._id}`)
+            .set('Cookie', globexCookie);
+        expect(remove.status).toBe(404);
+    });
+
+    test('the audit log only shows the caller\'s organization', async () => {
+        const res = await request(app).get('/api/admin/audit').set('Cookie', globexCookie);
+        expect(res.status).toBe(200);
+        const worker = await User.findOne({ email: 'worker@acme.test' });
+        expect(res.body.logs.every((log) => String(log.targetUserId?._id ?? log.targetUserId) !== String(worker._id)))
+            .toBe(true);
+        expect(res.body.logs.some((log) => log.action === 'ORG_CREATED')).toBe(true);
+    });
+
+    test('new users get the organization\'s default timezone', async () => {
+        const settings = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', globexCookie)
+            .send({ general: { defaultTimezone: 'Europe/Berlin' } });
+        expect(settings.status).toBe(200);
+        expect(settings.body.settings.general.defaultTimezone).toBe('Europe/Berlin');
+
+        const token = await invite(globexCookie, 'berlin@globex.test', false);
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Berliner', email: 'berlin@globex.test', password: 'pass123', inviteToken: token });
+        expect(res.body.user.timezone).toBe('Europe/Berlin');
+    });
+
+    test('an invalid default timezone is rejected', async () => {
+        const res = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', globexCookie)
+            .send({ general: { defaultTimezone: 'Mars/Olympus' } });
+        expect(res.status).toBe(400);
+    });
+
+    test('tokens issued before organizations existed are rejected', async () => {
+        const worker = await User.findOne({ email: 'worker@acme.test' });
+        const legacy = jwt.sign({ userId: worker._id, isAdmin: false }, process.env.JWT_SECRET);
+        const res = await request(app).get('/api/user/me').set('Cookie', `token=${legacy}`);
+        expect(res.status).toBe(401);
+    });
+});
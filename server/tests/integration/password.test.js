@@ -0,0 +1,118 @@
+/**
+ * Integration tests for passwords:
+ * - Changing the password requires the current one
+ * - Forgot password mails a single-use, expiring reset link
+ * - Only the token's hash is stored
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const UserToken = require('../../src/models/UserToken');
+const { setTransport } = require('../../src/utils/mailer');
+
+let mongoServer;
+let cookie;
+const outbox = [];
+
+const login = (password) =>
+    request(app).post('/api/auth/login').send({ email: 'pw@test.com', password });
+
+// The reset token from the last mailed link
+function lastResetToken() {
+    const match = outbox[outbox.length - 1].text.match(/reset-password\?token=([0-9a-f]+)/);
+    return match[1];
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    setTransport(async (message) => outbox.push(message));
+
+    const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Pat Word', email: 'pw@test.com', password: 'first123', timezone: 'UTC' });
+    cookie = res.headers['set-cookie'];
+    outbox.length = 0; // the email verification link
+});
+
+afterAll(async () => {
+    setTransport(null);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Passwords', () => {
+    test('change password requires the current password', async () => {
+        const wrong = await request(app)
+            .post('/api/auth/change-password')
+            .set('Cookie', cookie)
+            .send({ currentPassword: 'nope', newPassword: 'second123' });
+        expect(wrong.status).toBe(400);
+
+        const res = await request(app)
+            .post('/api/auth/change-password')
+            .set('Cookie', cookie)
+            .send({ currentPassword: 'first123', newPassword: 'second123' });
+        expect(res.status).toBe(200);
+        expect((await login('second123')).status).toBe(200);
+    });
+
+    test('change password requires sign-in', async () => {
+        const res = await request(app)
+            .post('/api/auth/change-password')
+            .send({ currentPassword: 'second123', newPassword: 'third123' });
+        expect(res.status).toBe(401);
+    });
+
+    test('forgot password answers the same for unknown emails and sends nothing', async () => {
+        const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@test.com' });
+        expect(res.status).toBe(200);
+        expect(outbox).toHaveLength(0);
+    });
+
+    test('a mailed reset link sets a new password once', async () => {
+        const res = await request(app).post('/api/auth/forgot-password').send({ email: 'pw@test.com' });
+        expect(res.status).toBe(200);
+        expect(outbox).toHaveLength(1);
+        expect(outbox[0].to).toBe('pw@test.com');
+
+        const token = lastResetToken();
+        const stored = await UserToken.findOne({ purpose: 'password-reset' });
+        expect(stored.tokenHash).not.toBe(token);
+
+        const reset = await request(app)
+            .post('/api/auth/reset-password')
+            .send({ token, password: 'reset1234' });
+        expect(reset.status).toBe(200);
+        expect((await login('reset1234')).status).toBe(200);
+        expect((await login('second123')).status).toBe(401);
+
+        const reused = await request(app)
+            .post('/api/auth/reset-password')
+            .send({ token, password: 'another123' });
+        expect(reused.status).toBe(400);
+    });
+
+    test('a newer reset link retires the older one', async () => {
+        await request(app).post('/api/auth/forgot-password').send({ email: 'pw@test.com' });
+        const first = lastResetToken();
+        await request(app).post('/api/auth/forgot-password').send({ email: 'pw@test.com' });
+
+        const res = await request(app)
+            .post('/api/auth/reset-password')
+            .send({ token: first, password: 'stale1234' });
+        expect(res.status).toBe(400);
+    });
+
+    test('expired reset links are rejected', async () => {
+        await request(app).post('/api/auth/forgot-password').send({ email: 'pw@test.com' });
+        const token = lastResetToken();
+        await UserToken.updateMany({ usedAt: null }, { expiresAt: new Date(Date.now() - 1000) });
+
+        const res = await request(app)
+            .post('/api/auth/reset-password')
+            .send({ token, password: 'late12345' });
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Integration tests for projects and clients:
+ * - Admin-only project/client management
+ * - Project visibility and user restrictions
+ * - Starting sessions against a project
+ * - Per-project breakdowns in summaries
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+let userId;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Project Admin',
+        email: 'padmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'padmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    const userRes = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Worker', email: 'worker@test.com', password: 'pass123' });
+    userCookie = userRes.headers['set-cookie'];
+    userId = userRes.body.user._id;
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Project Management', () => {
+    let clientId;
+    let projectId;
+    let restrictedId;
+
+    test('admin can create a client and a project', async () => {
+        const clientRes = await request(app)
+            .post('/api/projects/clients')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Acme Corp' });
+        expect(clientRes.status).toBe(201);
+        clientId = clientRes.body.client._id;
+
+        const res = await request(app)
+            .post('/api/projects')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Website', clientId });
+        expect(res.status).toBe(201);
+        expect(res.body.project.clientId).toBe(clientId);
+        projectId = res.body.project._id;
+    });
+
+    test('non-admin cannot create projects', async () => {
+        const res = await request(app)
+            .post('/api/projects')
+            .set('Cookie', userCookie)
+            .send({ name: 'Sneaky' });
+        expect(res.status).toBe(403);
+    });
+
+    test('restricted projects are hidden from other users', async () => {
+        const adminUser = await User.findOne({ email: 'padmin@test.com' });
+        const res = await request(app)
+            .post('/api/projects')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Secret', allowedUserIds: [adminUser._id.toString()] });
+        restrictedId = res.body.project._id;
+
+        const list = await request(app).get('/api/projects').set('Cookie', userCookie);
+        const names = list.body.projects.map((p) => p.name);
+        expect(names).toContain('Website');
+        expect(names).not.toContain('Secret');
+    });
+
+    test('cannot start a session on a restricted project', async () => {
+        const res = await request(app)
+            .post('/api/sessions/start')
+            .set('Cookie', userCookie)
+            .send({ projectId: restrictedId });
+        expect(res.status).toBe(400);
+    });
+
+    test('session time is broken down per project', async () => {
+        await request(app)
+            .post('/api/sessions/manual')
+            .set('Cookie', userCookie)
+            .send({ date: '2026-01-15', startTime: '09:00', endTime: '11:00', projectId });
+        await request(app)
+            .post('/api/sessions/manual')
+            .set('Cookie', userCookie)
+            .send({ date: '2026-01-15', startTime: '12:00', endTime: '13:00' });
+
+        const day = await request(app)
+            .get('/api/sessions/today/summary')
+            .query({ date: '2026-01-15' })
+            .set('Cookie', userCookie);
+        expect(day.body.projects).toEqual([
+            expect.objectContaining({ projectId, name: 'Website', clientName: 'Acme Corp', totalMs: 2 * 3600000 }),
+            expect.objectContaining({ projectId: null, name: 'No project', totalMs: 3600000 }),
+        ]);
+
+        const month = await request(app)
+            .get('/api/sessions/monthly-summary')
+            .query({ month: '2026-01' })
+            .set('Cookie', userCookie);
+        expect(month.body.projects[0].totalMs).toBe(2 * 3600000);
+    });
+
+    test('archived projects no longer accept time', async () => {
+        const res = await request(app)
+            .patch(`/api/projects/${projectId}`)
+            .set('Cookie', adminCookie)
+            .send({ isArchived: true });
+        expect(res.status).toBe(200);
+
+        const start = await request(app)
+            .post('/api/sessions/start')
+            .set('Cookie', userCookie)
+            .send({ projectId });
+        expect(start.status).toBe(400);
+    });
+
+    test('allowed user can log to a restricted project', async () => {
+        await request(app)
+            .patch(`/api/projects/${restrictedId}`)
+            .set('Cookie', adminCookie)
+            .send({ allowedUserIds: [userId] });
+
+        const start = await request(app)
+            .post('/api/sessions/start')
+            .set('Cookie', userCookie)
+            .send({ projectId: restrictedId });
+        expect(start.status).toBe(201);
+        expect(start.body.session.projectId).toBe(restrictedId);
+    });
+
+    test('allowed users must belong to the organization', async () => {
+        const outsider = await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Outsider', email: 'outsider@test.com', password: 'pass123', organizationName: 'Elsewhere' });
+        const outsiderId = outsider.body.user._id;
+
+        const create = await request(app)
+            .post('/api/projects')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Cross-org', allowedUserIds: [outsiderId] });
+        expect(create.status).toBe(400);
+
+        const update = await request(app)
+            .patch(`/api/projects/${restrictedId}`)
+            .set('Cookie', adminCookie)
+            .send({ allowedUserIds: [userId, outsiderId] });
+        expect(update.status).toBe(400);
+
+        const missing = await request(app)
+            .patch(`/api/projects/${restrictedId}`)
+            .set('Cookie', adminCookie)
+            .send({ allowedUserIds: [new mongoose.Types.ObjectId().toString()] });
+        expect(missing.status).toBe(400);
+    });
+});
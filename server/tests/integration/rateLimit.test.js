@@ -0,0 +1,47 @@
+/**
+ * Integration tests for rate limiting of authentication routes:
+ * - Requests over AUTH_RATE_LIMIT get 429
+ * - Each group of routes counts separately
+ *
+ * The requests fail validation, so no database is needed.
+ */
+const request = require('supertest');
+const app = require('../../src/index');
+
+const LIMIT = 3;
+let previousLimit;
+
+beforeAll(() => {
+    previousLimit = process.env.AUTH_RATE_LIMIT;
+    process.env.AUTH_RATE_LIMIT = String(LIMIT);
+});
+
+afterAll(() => {
+    process.env.AUTH_RATE_LIMIT = previousLimit;
+});
+
+describe('Auth rate limits', () => {
+    test('requests over the limit are refused', async () => {
+        for (let i = 0; i < LIMIT; i++) {
+            const res = await request(app).post('/api/auth/login/2fa').send({});
+            expect(res.status).not.toBe(429);
+        }
+
+        const res = await request(app).post('/api/auth/login/2fa').send({});
+        expect(res.status).toBe(429);
+        expect(res.body.error).toMatch(/Too many requests/);
+    });
+
+    test('using up one group leaves the others open', async () => {
+        const reset = await request(app).post('/api/auth/forgot-password').send({ email: 'not-an-email' });
+        expect(reset.status).toBe(400);
+
+        const login = await request(app).post('/api/auth/login').send({});
+        expect(login.status).toBe(400);
+    });
+
+    test('every two-factor step shares one limit', async () => {
+        const res = await request(app).post('/api/auth/login/2fa/enable').send({});
+        expect(res.status).toBe(429);
+    });
+});
@@ -0,0 +1,229 @@
+/**
+ * Integration tests for roles and permissions:
+ * - Admin role CRUD
+ * - Admin routes require the permission they declare
+ * - Permissions are re-checked against the current roles
+ * - No privilege escalation through role assignment or promotion
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+const ids = {};
+
+async function register(name, email) {
+    const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name, email, password: 'pass123', timezone: 'UTC' });
+    ids[name] = res.body.user._id;
+    return res.headers['set-cookie'];
+}
+
+// Sign in; returns the cookie and the profile with its permissions
+async function login(email) {
+    const res = await request(app).post('/api/auth/login').send({ email, password: 'pass123' });
+    return { cookie: res.headers['set-cookie'], user: res.body.user };
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Role Admin',
+        email: 'radmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'radmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    await register('Auditor', 'auditor@test.com');
+    await register('Lead', 'lead@test.com');
+    await register('Worker', 'worker@test.com');
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Roles', () => {
+    let auditorRoleId;
+    let leadRoleId;
+
+    test('admins hold every permission', async () => {
+        const me = await request(app).get('/api/user/me').set('Cookie', adminCookie);
+        expect(me.body.user.permissions).toEqual([
+            'view-hours',
+            'edit-sessions',
+            'manage-invites',
+            'view-audit',
+            'promote-users',
+            'export',
+        ]);
+    });
+
+    test('admin creates roles', async () => {
+        const auditor = await request(app)
+            .post('/api/roles')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Auditor', permissions: ['view-audit', 'export'] });
+        expect(auditor.status).toBe(201);
+        auditorRoleId = auditor.body.role._id;
+
+        const lead = await request(app)
+            .post('/api/roles')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Lead', permissions: ['view-hours', 'promote-users'] });
+        leadRoleId = lead.body.role._id;
+
+        const log = await AuditLog.findOne({ action: 'ROLE_CREATED' });
+        expect(log.details.name).toBe('Auditor');
+    });
+
+    test('rejects duplicate names and unknown permissions', async () => {
+        const duplicate = await request(app)
+            .post('/api/roles')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Auditor', permissions: [] });
+        expect(duplicate.status).toBe(409);
+
+        const unknown = await request(app)
+            .post('/api/roles')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Root', permissions: ['everything'] });
+        expect(unknown.status).toBe(400);
+    });
+
+    test('users without roles get 403 on admin routes', async () => {
+        const { cookie, user } = await login('worker@test.com');
+        expect(user.permissions).toEqual([]);
+
+        for (const path of ['/api/admin/users', '/api/admin/audit', '/api/admin/export', '/api/roles']) {
+            const res = await request(app).get(path).set('Cookie', cookie);
+            expect(res.status).toBe(403);
+        }
+    });
+
+    test('a role grants exactly its permissions', async () => {
+        await request(app)
+            .put(`/api/roles/${auditorRoleId}/members`)
+            .set('Cookie', adminCookie)
+            .send({ userIds: [ids.Auditor] });
+
+        const { cookie, user } = await login('auditor@test.com');
+        expect(user.permissions).toEqual(['view-audit', 'export']);
+
+        const audit = await request(app).get('/api/admin/audit').set('Cookie', cookie);
+        expect(audit.status).toBe(200);
+
+        const exported = await request(app).get('/api/admin/export').set('Cookie', cookie);
+        expect(exported.status).toBe(200);
+        expect(exported.text).toContain('worker@test.com');
+
+        const users = await request(app).get('/api/admin/users').set('Cookie', cookie);
+        expect(users.status).toBe(403);
+        expect(users.body.permission).toBe('view-hours');
+
+        const settings = await request(app).get('/api/admin/settings').set('Cookie', cookie);
+        expect(settings.status).toBe(403);
+    });
+
+    test('granting and removing a role applies without signing in again', async () => {
+        const cookie = await register('Newcomer', 'newcomer@test.com');
+        expect((await request(app).get('/api/admin/audit').set('Cookie', cookie)).status).toBe(403);
+
+        await request(app)
+            .put(`/api/roles/${auditorRoleId}/members`)
+            .set('Cookie', adminCookie)
+            .send({ userIds: [ids.Auditor, ids.Newcomer] });
+
+        expect((await request(app).get('/api/admin/audit').set('Cookie', cookie)).status).toBe(200);
+
+        await request(app)
+            .put(`/api/roles/${auditorRoleId}/members`)
+            .set('Cookie', adminCookie)
+            .send({ userIds: [ids.Auditor] });
+        expect((await request(app).get('/api/admin/audit').set('Cookie', cookie)).status).toBe(403);
+    });
+
+    test('changing a role applies to its members right away', async () => {
+        const { cookie } = await login('auditor@test.com');
+
+        await request(app)
+            .patch(`/api/roles/${auditorRoleId}`)
+            .set('Cookie', adminCookie)
+            .send({ permissions: ['export'] });
+
+        const audit = await request(app).get('/api/admin/audit').set('Cookie', cookie);
+        expect(audit.status).toBe(403);
+    });
+
+    test('promote-users holders assign roles within their own permissions', async () => {
+        await request(app)
+            .put(`/api/roles/${leadRoleId}/members`)
+            .set('Cookie', adminCookie)
+            .send({ userIds: [ids.Lead] });
+        const { cookie } = await login('lead@test.com');
+
+        const users = await request(app).get('/api/admin/users').set('Cookie', cookie);
+        const worker = users.body.users.find((u) => u.email === 'worker@test.com');
+        expect(worker.roles).toEqual([]);
+
+        const allowed = await request(app)
+            .put(`/api/roles/${leadRoleId}/members`)
+            .set('Cookie', cookie)
+            .send({ userIds: [ids.Lead, ids.Worker] });
+        expect(allowed.status).toBe(200);
+
+        // Auditor grants export, which the lead does not hold
+        const escalation = await request(app)
+            .put(`/api/roles/${auditorRoleId}/members`)
+            .set('Cookie', cookie)
+            .send({ userIds: [ids.Auditor, ids.Lead] });
+        expect(escalation.status).toBe(403);
+    });
+
+    test('only admins can change admin status or define roles', async () => {
+        const { cookie } = await login('lead@test.com');
+        const me = await request(app).get('/api/user/me').set('Cookie', cookie);
+        expect(me.body.user.permissions).toContain('promote-users');
+
+        // promote-users assigns roles; it does not make admins
+        for (const userId of [ids.Lead, ids.Worker]) {
+            const promote = await request(app)
+                .post('/api/admin/promote')
+                .set('Cookie', cookie)
+                .send({ userId, makeAdmin: true });
+            expect(promote.status).toBe(403);
+            expect((await User.findById(userId)).isAdmin).toBe(false);
+        }
+
+        const create = await request(app)
+            .post('/api/roles')
+            .set('Cookie', cookie)
+            .send({ name: 'Everything', permissions: ['view-audit'] });
+        expect(create.status).toBe(403);
+    });
+
+    test('deleting a role takes it away from its members', async () => {
+        const res = await request(app).delete(`/api/roles/${leadRoleId}`).set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+
+        const worker = await User.findById(ids.Worker);
+        expect(worker.roles).toEqual([]);
+
+        const list = await request(app).get('/api/roles').set('Cookie', adminCookie);
+        expect(list.body.roles).toEqual([
+            expect.objectContaining({ name: 'Auditor', memberCount: 1 }),
+        ]);
+    });
+});
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const supertest = require('supertest');
 const app = require('../../src/index');
+const AuditLog = require('../../src/models/AuditLog');
+const Session = require('../../src/models/Session');
 
 let mongoServer;
 let request;
@@ -97,15 +99,73 @@ describe('Session Flow', () => {
     });
 });
 
+describe('Pause and Resume', () => {
+    test('PATCH /api/sessions/pause — 400 without an active session', async () => {
+        const res = await request
+            .patch('/api/sessions/pause')
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(400);
+    });
+
+    test('pause, resume and end track a break', async () => {
+        await request.post('/api/sessions/start').set('Cookie', cookie);
+
+        const pauseRes = await request.patch('/api/sessions/pause').set('Cookie', cookie);
+        expect(pauseRes.status).toBe(200);
+        expect(pauseRes.body.session.breaks).toHaveLength(1);
+        expect(pauseRes.body.session.breaks[0].endAt).toBeNull();
+
+        const pausedAgain = await request.patch('/api/sessions/pause').set('Cookie', cookie);
+        expect(pausedAgain.status).toBe(400);
+
+        const summary = await request.get('/api/sessions/today/summary').set('Cookie', cookie);
+        expect(summary.body.isPaused).toBe(true);
+        expect(typeof summary.body.breakMs).toBe('number');
+
+        const resumeRes = await request.patch('/api/sessions/resume').set('Cookie', cookie);
+        expect(resumeRes.status).toBe(200);
+        expect(resumeRes.body.session.breaks[0].endAt).not.toBeNull();
+
+        const resumedAgain = await request.patch('/api/sessions/resume').set('Cookie', cookie);
+        expect(resumedAgain.status).toBe(400);
+
+        const endRes = await request.patch('/api/sessions/end').set('Cookie', cookie);
+        expect(endRes.status).toBe(200);
+    });
+
+    test('ending a paused session closes the open break', async () => {
+        await request.post('/api/sessions/start').set('Cookie', cookie);
+        await request.patch('/api/sessions/pause').set('Cookie', cookie);
+
+        const res = await request.patch('/api/sessions/end').set('Cookie', cookie);
+        expect(res.status).toBe(200);
+        expect(res.body.session.breaks[0].endAt).toBe(res.body.session.endAt);
+    });
+});
+
 describe('Goal Flow', () => {
-    test('GET /api/goals — returns default goal', async () => {
+    test('GET /api/goals — returns default goal on a workday', async () => {
         const res = await request
             .get('/api/goals')
+            .query({ date: '2026-02-09' }) // a Monday
             .set('Cookie', cookie);
 
         expect(res.status).toBe(200);
         expect(res.body.goalHours).toBe(8);
         expect(res.body.isDefault).toBe(true);
+        expect(res.body.dayType).toBe('workday');
+    });
+
+    test('GET /api/goals — weekends have no default goal', async () => {
+        const res = await request
+            .get('/api/goals')
+            .query({ date: '2026-02-14' }) // a Saturday
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.goalHours).toBe(0);
+        expect(res.body.dayType).toBe('weekend');
     });
 
     test('PUT /api/goals — sets custom goal', async () => {
@@ -140,3 +200,555 @@ describe('Goal Flow', () => {
         expect(res.status).toBe(400);
     });
 });
+
+describe('Weekly Schedule', () => {
+    // 2026-02-09 is a Monday
+    const friday = '2026-02-13';
+    const saturday = '2026-02-14';
+
+    test('PUT /api/user/schedule — sets per-weekday goals', async () => {
+        const res = await request
+            .put('/api/user/schedule')
+            .set('Cookie', cookie)
+            .send({
+                days: [
+                    { weekday: 1, goalHours: 8, startTime: '09:00', endTime: '17:00' },
+                    { weekday: 2, goalHours: 8 },
+                    { weekday: 3, goalHours: 8 },
+                    { weekday: 4, goalHours: 8 },
+                    { weekday: 5, goalHours: 4, startTime: '09:00', endTime: '13:00' },
+                ],
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.body.schedule).toHaveLength(5);
+        expect(res.body.defaultDailyGoal).toBe(8);
+    });
+
+    test('GET /api/goals — falls back to the scheduled hours', async () => {
+        const res = await request
+            .get('/api/goals')
+            .query({ date: friday })
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            goalHours: 4, isDefault: true, dayType: 'workday', expectedStart: '09:00', expectedEnd: '13:00',
+        });
+    });
+
+    test('GET /api/goals — unscheduled weekdays are days off', async () => {
+        const res = await request
+            .get('/api/goals')
+            .query({ date: saturday })
+            .set('Cookie', cookie);
+
+        expect(res.body.goalHours).toBe(0);
+        expect(res.body.dayType).toBe('weekend');
+    });
+
+    test('GET /api/sessions/today/summary — uses the schedule', async () => {
+        const res = await request
+            .get('/api/sessions/today/summary')
+            .query({ date: friday })
+            .set('Cookie', cookie);
+
+        expect(res.body.goalHours).toBe(4);
+        expect(res.body.expectedEnd).toBe('13:00');
+    });
+
+    test('PUT /api/user/schedule — rejects duplicate weekdays and bad windows', async () => {
+        const duplicate = await request
+            .put('/api/user/schedule')
+            .set('Cookie', cookie)
+            .send({ days: [{ weekday: 1, goalHours: 8 }, { weekday: 1, goalHours: 4 }] });
+        expect(duplicate.status).toBe(400);
+
+        const backwards = await request
+            .put('/api/user/schedule')
+            .set('Cookie', cookie)
+            .send({ days: [{ weekday: 1, goalHours: 8, startTime: '17:00', endTime: '09:00' }] });
+        expect(backwards.status).toBe(400);
+    });
+
+    test('PUT /api/user/schedule — an empty schedule restores the default', async () => {
+        const res = await request
+            .put('/api/user/schedule')
+            .set('Cookie', cookie)
+            .send({ days: [] });
+        expect(res.status).toBe(200);
+
+        const goal = await request
+            .get('/api/goals')
+            .query({ date: friday })
+            .set('Cookie', cookie);
+        expect(goal.body.goalHours).toBe(8);
+    });
+});
+
+describe('Bulk Goals', () => {
+    // Every Friday in March 2026: 6, 13, 20, 27
+    const range = { startDate: '2026-03-01', endDate: '2026-03-31', goalHours: 5, weekdays: [5] };
+
+    test('POST /api/goals/bulk/preview — lists dates without writing', async () => {
+        await request
+            .put('/api/goals')
+            .set('Cookie', cookie)
+            .send({ date: '2026-03-13', goalHours: 7 });
+
+        const res = await request
+            .post('/api/goals/bulk/preview')
+            .set('Cookie', cookie)
+            .send(range);
+
+        expect(res.status).toBe(200);
+        expect(res.body.dates.map((d) => d.date)).toEqual(['2026-03-06', '2026-03-13', '2026-03-20', '2026-03-27']);
+        expect(res.body.counts).toEqual({ create: 3, overwrite: 1, unchanged: 0, locked: 0 });
+        expect(res.body.dates[1]).toMatchObject({ action: 'overwrite', previousGoalHours: 7 });
+
+        const goal = await request.get('/api/goals').query({ date: '2026-03-06' }).set('Cookie', cookie);
+        expect(goal.body.isDefault).toBe(true);
+    });
+
+    test('PUT /api/goals/bulk — sets the goal on every matching date', async () => {
+        const res = await request
+            .put('/api/goals/bulk')
+            .set('Cookie', cookie)
+            .send(range);
+
+        expect(res.status).toBe(200);
+        expect(res.body.counts.create).toBe(3);
+
+        for (const date of ['2026-03-06', '2026-03-13', '2026-03-27']) {
+            const goal = await request.get('/api/goals').query({ date }).set('Cookie', cookie);
+            expect(goal.body.goalHours).toBe(5);
+        }
+        const thursday = await request.get('/api/goals').query({ date: '2026-03-05' }).set('Cookie', cookie);
+        expect(thursday.body.isDefault).toBe(true);
+    });
+
+    test('PUT /api/goals/bulk — rejects ranges over a year', async () => {
+        const res = await request
+            .put('/api/goals/bulk')
+            .set('Cookie', cookie)
+            .send({ startDate: '2026-01-01', endDate: '2027-06-01', goalHours: 6 });
+        expect(res.status).toBe(400);
+    });
+
+    test('POST /api/goals/bulk/preview — refuses a huge range without listing it', async () => {
+        const res = await request
+            .post('/api/goals/bulk/preview')
+            .set('Cookie', cookie)
+            .send({ startDate: '0001-01-01', endDate: '9999-12-31', goalHours: 6 });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/at most 366 days/);
+    });
+});
+
+describe('Period Goals', () => {
+    test('GET /api/goals/period — sums daily goals when no target is set', async () => {
+        const res = await request
+            .get('/api/goals/period')
+            .query({ date: '2026-02-11' })
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.week).toMatchObject({
+            startDate: '2026-02-09', endDate: '2026-02-15', source: 'daily', targetHours: 40,
+        });
+        expect(res.body.month).toMatchObject({ startDate: '2026-02-01', endDate: '2026-02-28', source: 'daily' });
+        expect(res.body.targets).toEqual({ weeklyHours: null, monthlyHours: null });
+    });
+
+    test('PUT /api/goals/period — sets explicit targets', async () => {
+        const res = await request
+            .put('/api/goals/period')
+            .set('Cookie', cookie)
+            .send({ weeklyHours: 36, monthlyHours: 150 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.targets).toEqual({ weeklyHours: 36, monthlyHours: 150 });
+
+        const period = await request
+            .get('/api/goals/period')
+            .query({ date: '2026-02-11' })
+            .set('Cookie', cookie);
+        expect(period.body.week).toMatchObject({ source: 'target', targetHours: 36 });
+        expect(period.body.month).toMatchObject({ source: 'target', targetHours: 150 });
+        // A past week has no workdays left
+        expect(period.body.week.remainingWorkdays).toBe(0);
+    });
+
+    test('PUT /api/goals/period — validates and clears targets', async () => {
+        const invalid = await request
+            .put('/api/goals/period')
+            .set('Cookie', cookie)
+            .send({ weeklyHours: 500 });
+        expect(invalid.status).toBe(400);
+
+        const cleared = await request
+            .put('/api/goals/period')
+            .set('Cookie', cookie)
+            .send({ weeklyHours: null, monthlyHours: null });
+        expect(cleared.body.targets).toEqual({ weeklyHours: null, monthlyHours: null });
+    });
+});
+
+describe('Manual Session Entry', () => {
+    test('POST /api/sessions/manual — creates a completed past session', async () => {
+        const res = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-10', startTime: '09:00', endTime: '12:30' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.session.isManual).toBe(true);
+        // 09:00 IST = 03:30 UTC
+        expect(res.body.session.startAt).toBe('2026-01-10T03:30:00.000Z');
+        expect(res.body.session.endAt).toBe('2026-01-10T07:00:00.000Z');
+    });
+
+    test('POST /api/sessions/manual — end before start rolls over to next day', async () => {
+        const res = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-11', startTime: '23:00', endTime: '01:00' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.session.endAt).toBe('2026-01-11T19:30:00.000Z');
+    });
+
+    test('POST /api/sessions/manual — rejects overlapping sessions', async () => {
+        const res = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-10', startTime: '12:00', endTime: '13:00' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toMatch(/overlaps/i);
+    });
+
+    test('POST /api/sessions/manual — rejects future sessions', async () => {
+        const res = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2099-01-01', startTime: '09:00', endTime: '10:00' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/future/i);
+    });
+
+    test('POST /api/sessions/manual — validates time format', async () => {
+        const res = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-10', startTime: '9am', endTime: '10:00' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('Edit and Delete Sessions', () => {
+    let sessionId;
+
+    beforeAll(async () => {
+        const res = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-12', startTime: '10:00', endTime: '14:00' });
+        sessionId = res.body.session._id;
+    });
+
+    test('PATCH /api/sessions/:id — trims the end time', async () => {
+        const res = await request
+            .patch(`/api/sessions/${sessionId}`)
+            .set('Cookie', cookie)
+            .send({ endTime: '12:00' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.session.endAt).toBe('2026-01-12T06:30:00.000Z');
+    });
+
+    test('PATCH /api/sessions/:id — records original times in the audit log', async () => {
+        const log = await AuditLog.findOne({ action: 'SESSION_UPDATED' });
+        expect(log).not.toBeNull();
+        expect(new Date(log.details.before.endAt).toISOString()).toBe('2026-01-12T08:30:00.000Z');
+        expect(new Date(log.details.after.endAt).toISOString()).toBe('2026-01-12T06:30:00.000Z');
+    });
+
+    test('PATCH /api/sessions/:id — rejects start after end', async () => {
+        const res = await request
+            .patch(`/api/sessions/${sessionId}`)
+            .set('Cookie', cookie)
+            .send({ startTime: '13:00' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('PATCH /api/sessions/:id — rejects overlaps with other sessions', async () => {
+        await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-12', startTime: '13:00', endTime: '15:00' });
+
+        const res = await request
+            .patch(`/api/sessions/${sessionId}`)
+            .set('Cookie', cookie)
+            .send({ endTime: '13:30' });
+
+        expect(res.status).toBe(409);
+    });
+
+    test('other users cannot edit or delete the session', async () => {
+        const other = await request.post('/api/auth/register').send({
+            name: 'Other User',
+            email: 'other@example.com',
+            password: 'password123',
+        });
+        const otherCookie = other.headers['set-cookie'];
+
+        const patchRes = await request
+            .patch(`/api/sessions/${sessionId}`)
+            .set('Cookie', otherCookie)
+            .send({ endTime: '11:00' });
+        expect(patchRes.status).toBe(404);
+
+        const deleteRes = await request
+            .delete(`/api/sessions/${sessionId}`)
+            .set('Cookie', otherCookie);
+        expect(deleteRes.status).toBe(404);
+    });
+
+    test('DELETE /api/sessions/:id — deletes and logs the session', async () => {
+        const res = await request
+            .delete(`/api/sessions/${sessionId}`)
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+
+        const log = await AuditLog.findOne({ action: 'SESSION_DELETED' });
+        expect(log.details.sessionId.toString()).toBe(sessionId);
+    });
+});
+
+describe('Notes and Tags', () => {
+    test('PATCH /api/sessions/end — stores notes and parses tags', async () => {
+        await request.post('/api/sessions/start').set('Cookie', cookie);
+
+        const res = await request
+            .patch('/api/sessions/end')
+            .set('Cookie', cookie)
+            .send({ notes: 'Code review #OnCall #backend' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.session.notes).toBe('Code review #OnCall #backend');
+        expect(res.body.session.tags).toEqual(['oncall', 'backend']);
+    });
+
+    test('PATCH /api/sessions/:id — editing notes re-derives tags', async () => {
+        const created = await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-01-20', startTime: '09:00', endTime: '10:00', notes: 'standup #meetings' });
+        expect(created.body.session.tags).toEqual(['meetings']);
+
+        const res = await request
+            .patch(`/api/sessions/${created.body.session._id}`)
+            .set('Cookie', cookie)
+            .send({ notes: 'incident #oncall' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.session.tags).toEqual(['oncall']);
+    });
+
+    test('GET /api/sessions?tag= — filters sessions by tag', async () => {
+        const res = await request
+            .get('/api/sessions')
+            .query({ tag: '#OnCall' })
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.tag).toBe('oncall');
+        expect(res.body.sessions.length).toBe(2);
+        expect(res.body.sessions.every((s) => s.tags.includes('oncall'))).toBe(true);
+    });
+
+    test('GET /api/sessions/monthly-summary — aggregates time per tag', async () => {
+        const res = await request
+            .get('/api/sessions/monthly-summary')
+            .query({ month: '2026-01' })
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.tags).toEqual([
+            expect.objectContaining({ tag: 'oncall', totalMs: 3600000 }),
+        ]);
+    });
+});
+
+describe('Auto-close forgotten sessions', () => {
+    let sessionId;
+
+    test('closes an active session that ran past the max length', async () => {
+        const start = await request.post('/api/sessions/start').set('Cookie', cookie);
+        expect(start.status).toBe(201);
+        sessionId = start.body.session._id;
+
+        // Pretend the session was started 20 hours ago and forgotten
+        const startAt = new Date(Date.now() - 20 * 3600000);
+        await Session.updateOne({ _id: sessionId }, { startAt });
+
+        const res = await request.get('/api/sessions/today/summary').set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.activeSession).toBeNull();
+        expect(res.body.pendingConfirmations).toHaveLength(1);
+
+        const closed = res.body.pendingConfirmations[0];
+        expect(closed._id).toBe(sessionId);
+        expect(closed.autoClosed).toBe(true);
+        // Default org policy: 12 hours
+        expect(new Date(closed.endAt) - new Date(closed.startAt)).toBe(12 * 3600000);
+    });
+
+    test('PATCH /api/sessions/:id/confirm — clears the pending confirmation', async () => {
+        const res = await request
+            .patch(`/api/sessions/${sessionId}/confirm`)
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.session.confirmedAt).toBeDefined();
+
+        const summary = await request.get('/api/sessions/today/summary').set('Cookie', cookie);
+        expect(summary.body.pendingConfirmations).toHaveLength(0);
+    });
+
+    test('PATCH /api/sessions/:id/confirm — 404 for sessions that were not auto-closed', async () => {
+        const manual = await Session.findOne({ autoClosed: false });
+        const res = await request
+            .patch(`/api/sessions/${manual._id}/confirm`)
+            .set('Cookie', cookie);
+
+        expect(res.status).toBe(404);
+    });
+
+    test('PUT /api/user/auto-close — per-user override wins over the org default', async () => {
+        const res = await request
+            .put('/api/user/auto-close')
+            .set('Cookie', cookie)
+            .send({ maxSessionHours: 2 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.own.maxSessionHours).toBe(2);
+        expect(res.body.org.maxSessionHours).toBe(12);
+        expect(res.body.effective.maxSessionHours).toBe(2);
+
+        await request.post('/api/sessions/start').set('Cookie', cookie);
+        await Session.updateOne({ endAt: null }, { startAt: new Date(Date.now() - 3 * 3600000) });
+
+        const list = await request.get('/api/sessions').set('Cookie', cookie);
+        expect(list.status).toBe(200);
+
+        const closed = await Session.findOne({ autoClosed: true, confirmedAt: null });
+        expect(closed).not.toBeNull();
+        expect(closed.endAt - closed.startAt).toBe(2 * 3600000);
+    });
+
+    test('PUT /api/user/auto-close — rejects an invalid cutoff', async () => {
+        const res = await request
+            .put('/api/user/auto-close')
+            .set('Cookie', cookie)
+            .send({ dailyCutoffTime: '25:00' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('Idle time', () => {
+    const startBackdated = async (minutesAgo) => {
+        const res = await request.post('/api/sessions/start').set('Cookie', cookie);
+        await Session.updateOne(
+            { _id: res.body.session._id },
+            { startAt: new Date(Date.now() - minutesAgo * 60000) }
+        );
+        return res.body.session._id;
+    };
+
+    test('stop — ends the session when idleness began', async () => {
+        const sessionId = await startBackdated(60);
+        const idleStartedAt = new Date(Date.now() - 30 * 60000).toISOString();
+
+        const res = await request
+            .post('/api/sessions/active/idle')
+            .set('Cookie', cookie)
+            .send({ idleStartedAt, action: 'stop' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.session._id).toBe(sessionId);
+        expect(res.body.session.endAt).toBe(idleStartedAt);
+        expect(res.body.nextSession).toBeNull();
+    });
+
+    test('discard — splits the session around the idle gap', async () => {
+        const sessionId = await startBackdated(60);
+        const idleStartedAt = new Date(Date.now() - 30 * 60000).toISOString();
+
+        const res = await request
+            .post('/api/sessions/active/idle')
+            .set('Cookie', cookie)
+            .send({ idleStartedAt, action: 'discard' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.session._id).toBe(sessionId);
+        expect(res.body.session.endAt).toBe(idleStartedAt);
+        expect(res.body.nextSession.endAt).toBeNull();
+        expect(new Date(res.body.nextSession.startAt) - new Date(idleStartedAt))
+            .toBeGreaterThanOrEqual(30 * 60000);
+
+        await request.patch('/api/sessions/end').set('Cookie', cookie);
+    });
+
+    test('rejects an idle start before the session started', async () => {
+        await startBackdated(10);
+
+        const res = await request
+            .post('/api/sessions/active/idle')
+            .set('Cookie', cookie)
+            .send({ idleStartedAt: new Date(Date.now() - 60 * 60000).toISOString(), action: 'stop' });
+
+        expect(res.status).toBe(400);
+        await request.patch('/api/sessions/end').set('Cookie', cookie);
+    });
+
+    test('rejects an unknown action', async () => {
+        const res = await request
+            .post('/api/sessions/active/idle')
+            .set('Cookie', cookie)
+            .send({ idleStartedAt: new Date().toISOString(), action: 'keep' });
+
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('Compliance in the day summary', () => {
+    test('reports rule violations for the day', async () => {
+        await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-04-06', startTime: '08:00', endTime: '19:00' });
+        await request
+            .post('/api/sessions/manual')
+            .set('Cookie', cookie)
+            .send({ date: '2026-04-07', startTime: '03:00', endTime: '05:00' });
+
+        const long = await request.get('/api/sessions/today/summary?date=2026-04-06').set('Cookie', cookie);
+        expect(long.body.compliance.violations.map((v) => v.rule)).toEqual(['maxDailyHours', 'breakRequired']);
+        // Warnings are only for a running session today
+        expect(long.body.compliance.warnings).toEqual([]);
+
+        const early = await request.get('/api/sessions/today/summary?date=2026-04-07').set('Cookie', cookie);
+        expect(early.body.compliance.violations).toEqual([
+            expect.objectContaining({ rule: 'minRest', actual: 8, limit: 11 }),
+        ]);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Integration tests for teams and the manager role:
+ * - Admin team CRUD and membership
+ * - Managers see only their teams' members in the admin user list,
+ *   session drill-down and CSV export
+ * - Admin-only endpoints stay closed to managers
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+let managerCookie;
+const ids = {};
+
+async function register(name, email) {
+    const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name, email, password: 'pass123', timezone: 'UTC' });
+    ids[name] = res.body.user._id;
+    return res.headers['set-cookie'];
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Team Admin',
+        email: 'tadmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'tadmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    managerCookie = await register('Manager', 'manager@test.com');
+    await register('Alice', 'alice@test.com');
+    await register('Bob', 'bob@test.com');
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Teams', () => {
+    let teamId;
+
+    test('a user without a team is not a manager', async () => {
+        const me = await request(app).get('/api/user/me').set('Cookie', managerCookie);
+        expect(me.body.user.isManager).toBe(false);
+
+        const res = await request(app).get('/api/admin/users').set('Cookie', managerCookie);
+        expect(res.status).toBe(403);
+    });
+
+    test('admin creates a team with a manager', async () => {
+        const res = await request(app)
+            .post('/api/teams')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Platform', managerIds: [ids.Manager] });
+
+        expect(res.status).toBe(201);
+        teamId = res.body.team._id;
+
+        const log = await AuditLog.findOne({ action: 'TEAM_CREATED' });
+        expect(log.details.name).toBe('Platform');
+    });
+
+    test('rejects duplicate names and unknown managers', async () => {
+        const duplicate = await request(app)
+            .post('/api/teams')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Platform' });
+        expect(duplicate.status).toBe(409);
+
+        const unknown = await request(app)
+            .post('/api/teams')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Ghosts', managerIds: [new mongoose.Types.ObjectId().toString()] });
+        expect(unknown.status).toBe(400);
+    });
+
+    test('admin sets the team members', async () => {
+        const res = await request(app)
+            .put(`/api/teams/${teamId}/members`)
+            .set('Cookie', adminCookie)
+            .send({ userIds: [ids.Alice] });
+        expect(res.status).toBe(200);
+
+        const list = await request(app).get('/api/teams').set('Cookie', adminCookie);
+        expect(list.body.teams).toEqual([
+            expect.objectContaining({
+                name: 'Platform',
+                memberCount: 1,
+                managers: [expect.objectContaining({ email: 'manager@test.com' })],
+            }),
+        ]);
+    });
+
+    test('managers cannot change teams', async () => {
+        const res = await request(app)
+            .put(`/api/teams/${teamId}/members`)
+            .set('Cookie', managerCookie)
+            .send({ userIds: [ids.Alice, ids.Bob] });
+        expect(res.status).toBe(403);
+    });
+
+    test('the manager sees only their team', async () => {
+        const me = await request(app).get('/api/user/me').set('Cookie', managerCookie);
+        expect(me.body.user.isManager).toBe(true);
+
+        const teams = await request(app).get('/api/teams').set('Cookie', managerCookie);
+        expect(teams.body.teams.map((t) => t.name)).toEqual(['Platform']);
+
+        const users = await request(app).get('/api/admin/users').set('Cookie', managerCookie);
+        expect(users.status).toBe(200);
+        expect(users.body.users.map((u) => u.email)).toEqual(['alice@test.com']);
+        expect(users.body.users[0].teamName).toBe('Platform');
+    });
+
+    test('the manager can drill into team members only', async () => {
+        const alice = await request(app)
+            .get(`/api/admin/users/${ids.Alice}/sessions`)
+            .set('Cookie', managerCookie);
+        expect(alice.status).toBe(200);
+
+        const bob = await request(app)
+            .get(`/api/admin/users/${ids.Bob}/sessions`)
+            .set('Cookie', managerCookie);
+        expect(bob.status).toBe(404);
+    });
+
+    test('the manager export only covers their team', async () => {
+        const res = await request(app).get('/api/admin/export').set('Cookie', managerCookie);
+
+        expect(res.status).toBe(200);
+        expect(res.text).toContain('alice@test.com');
+        expect(res.text).not.toContain('bob@test.com');
+    });
+
+    test('admins keep global access and can filter by team', async () => {
+        const all = await request(app).get('/api/admin/users').set('Cookie', adminCookie);
+        expect(all.body.users).toHaveLength(4);
+
+        const team = await request(app)
+            .get('/api/admin/users')
+            .query({ teamId })
+            .set('Cookie', adminCookie);
+        expect(team.body.users.map((u) => u.email)).toEqual(['alice@test.com']);
+    });
+
+    test('a manager cannot filter by a team they do not manage', async () => {
+        const other = await request(app)
+            .post('/api/teams')
+            .set('Cookie', adminCookie)
+            .send({ name: 'Sales' });
+
+        const res = await request(app)
+            .get('/api/admin/users')
+            .query({ teamId: other.body.team._id })
+            .set('Cookie', managerCookie);
+        expect(res.status).toBe(404);
+    });
+
+    test('admin-only endpoints stay closed to managers', async () => {
+        for (const path of ['/api/admin/settings', '/api/admin/audit', '/api/admin/compliance']) {
+            const res = await request(app).get(path).set('Cookie', managerCookie);
+            expect(res.status).toBe(403);
+        }
+    });
+
+    test('deleting a team leaves its members without a team', async () => {
+        const res = await request(app).delete(`/api/teams/${teamId}`).set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+
+        const alice = await User.findById(ids.Alice);
+        expect(alice.teamId).toBeNull();
+
+        const users = await request(app).get('/api/admin/users').set('Cookie', managerCookie);
+        expect(users.status).toBe(403);
+    });
+});
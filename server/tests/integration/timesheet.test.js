@@ -0,0 +1,259 @@
+/**
+ * Integration tests for weekly timesheets:
+ * - Employee submission and resubmission after rejection
+ * - Admin approve/reject with comments
+ * - Locking of sessions and goals in approved weeks
+ * - Audit trail of every state transition
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { DateTime } = require('luxon');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const OrgSettings = require('../../src/models/OrgSettings');
+const AuditLog = require('../../src/models/AuditLog');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+let userId;
+
+// A full week in the past, in UTC (the worker's timezone)
+const weekStart = DateTime.utc().minus({ weeks: 2 }).startOf('week').toISODate();
+const tuesday = DateTime.fromISO(weekStart).plus({ days: 1 }).toISODate();
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    await new User({
+        name: 'Timesheet Admin',
+        email: 'tadmin@test.com',
+        passwordHash: 'admin123',
+        isAdmin: true,
+    }).save();
+    const adminRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'tadmin@test.com', password: 'admin123' });
+    adminCookie = adminRes.headers['set-cookie'];
+
+    const userRes = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Worker', email: 'tworker@test.com', password: 'pass123', timezone: 'UTC' });
+    userCookie = userRes.headers['set-cookie'];
+    userId = userRes.body.user._id;
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Timesheet workflow', () => {
+    let sessionId;
+    let timesheetId;
+
+    test('week starts as draft with per-day totals', async () => {
+        const manual = await request(app)
+            .post('/api/sessions/manual')
+            .set('Cookie', userCookie)
+            .send({ date: tuesday, startTime: '09:00', endTime: '17:00' });
+        expect(manual.status).toBe(201);
+        sessionId = manual.body.session._id;
+
+        const res = await request(app)
+            .get(`/api/timesheets/week?weekStart=${weekStart}`)
+            .set('Cookie', userCookie);
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('draft');
+        expect(res.body.days).toHaveLength(7);
+        expect(res.body.days[1].totalMs).toBe(8 * 3600000);
+        expect(res.body.totalMs).toBe(8 * 3600000);
+    });
+
+    test('rejects a weekStart that is not a Monday', async () => {
+        const res = await request(app)
+            .post('/api/timesheets/submit')
+            .set('Cookie', userCookie)
+            .send({ weekStart: tuesday });
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects submitting a future week', async () => {
+        const future = DateTime.utc().plus({ weeks: 1 }).startOf('week').toISODate();
+        const res = await request(app)
+            .post('/api/timesheets/submit')
+            .set('Cookie', userCookie)
+            .send({ weekStart: future });
+        expect(res.status).toBe(400);
+    });
+
+    test('employee submits the week', async () => {
+        const res = await request(app)
+            .post('/api/timesheets/submit')
+            .set('Cookie', userCookie)
+            .send({ weekStart });
+
+        expect(res.status).toBe(201);
+        expect(res.body.timesheet.status).toBe('submitted');
+        expect(res.body.timesheet.totalMs).toBe(8 * 3600000);
+        timesheetId = res.body.timesheet._id;
+
+        const again = await request(app)
+            .post('/api/timesheets/submit')
+            .set('Cookie', userCookie)
+            .send({ weekStart });
+        expect(again.status).toBe(409);
+    });
+
+    test('only admins can see the review queue', async () => {
+        const denied = await request(app).get('/api/timesheets/review').set('Cookie', userCookie);
+        expect(denied.status).toBe(403);
+
+        const res = await request(app).get('/api/timesheets/review').set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.timesheets).toHaveLength(1);
+        expect(res.body.timesheets[0].userId.email).toBe('tworker@test.com');
+    });
+
+    test('rejecting requires a comment', async () => {
+        const res = await request(app)
+            .patch(`/api/timesheets/${timesheetId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject' });
+        expect(res.status).toBe(400);
+    });
+
+    test('admin rejects, employee fixes and resubmits', async () => {
+        const rejected = await request(app)
+            .patch(`/api/timesheets/${timesheetId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject', comment: 'Tuesday looks too long' });
+        expect(rejected.status).toBe(200);
+        expect(rejected.body.timesheet.status).toBe('rejected');
+        expect(rejected.body.timesheet.comment).toBe('Tuesday looks too long');
+
+        // Rejected weeks are still editable
+        const edit = await request(app)
+            .patch(`/api/sessions/${sessionId}`)
+            .set('Cookie', userCookie)
+            .send({ endTime: '16:00' });
+        expect(edit.status).toBe(200);
+
+        const resubmit = await request(app)
+            .post('/api/timesheets/submit')
+            .set('Cookie', userCookie)
+            .send({ weekStart });
+        expect(resubmit.status).toBe(201);
+        expect(resubmit.body.timesheet._id).toBe(timesheetId);
+        expect(resubmit.body.timesheet.totalMs).toBe(7 * 3600000);
+        expect(resubmit.body.timesheet.comment).toBe('');
+    });
+
+    test('admin approves the timesheet', async () => {
+        const res = await request(app)
+            .patch(`/api/timesheets/${timesheetId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'approve' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.timesheet.status).toBe('approved');
+
+        const again = await request(app)
+            .patch(`/api/timesheets/${timesheetId}/review`)
+            .set('Cookie', adminCookie)
+            .send({ action: 'reject', comment: 'changed my mind' });
+        expect(again.status).toBe(409);
+    });
+
+    test('approved week locks sessions and goals', async () => {
+        const edit = await request(app)
+            .patch(`/api/sessions/${sessionId}`)
+            .set('Cookie', userCookie)
+            .send({ notes: 'too late' });
+        expect(edit.status).toBe(403);
+
+        const del = await request(app)
+            .delete(`/api/sessions/${sessionId}`)
+            .set('Cookie', userCookie);
+        expect(del.status).toBe(403);
+
+        const manual = await request(app)
+            .post('/api/sessions/manual')
+            .set('Cookie', userCookie)
+            .send({ date: tuesday, startTime: '18:00', endTime: '19:00' });
+        expect(manual.status).toBe(403);
+
+        const goal = await request(app)
+            .put('/api/goals')
+            .set('Cookie', userCookie)
+            .send({ date: tuesday, goalHours: 6 });
+        expect(goal.status).toBe(403);
+
+        const summary = await request(app)
+            .get(`/api/sessions/today/summary?date=${tuesday}`)
+            .set('Cookie', userCookie);
+        expect(summary.body.locked).toBe(true);
+    });
+
+    test('approved week locks pausing, resuming, ending and idle time of its active session', async () => {
+        // A session left running from the approved week, not auto-closed
+        const { orgId } = await User.findById(userId);
+        await OrgSettings.getSettings(orgId);
+        await OrgSettings.updateOne({ orgId }, { 'autoClose.maxSessionHours': null, 'autoClose.dailyCutoffTime': null });
+        const session = await Session.create({
+            userId,
+            startAt: DateTime.fromISO(`${tuesday}T20:00`, { zone: 'UTC' }).toJSDate(),
+        });
+
+        const pause = await request(app).patch('/api/sessions/pause').set('Cookie', userCookie);
+        expect(pause.status).toBe(403);
+
+        await Session.updateOne({ _id: session._id }, { breaks: [{ startAt: session.startAt }] });
+        const resume = await request(app).patch('/api/sessions/resume').set('Cookie', userCookie);
+        expect(resume.status).toBe(403);
+
+        await Session.updateOne({ _id: session._id }, { breaks: [] });
+        const idle = await request(app)
+            .post('/api/sessions/active/idle')
+            .set('Cookie', userCookie)
+            .send({ idleStartedAt: DateTime.fromISO(`${tuesday}T21:00`, { zone: 'UTC' }).toISO(), action: 'discard' });
+        expect(idle.status).toBe(403);
+
+        const end = await request(app).patch('/api/sessions/end').set('Cookie', userCookie).send({});
+        expect(end.status).toBe(403);
+
+        const unchanged = await Session.findById(session._id);
+        expect(unchanged.endAt).toBeNull();
+        expect(await Session.countDocuments({ userId, endAt: null })).toBe(1);
+
+        await Session.deleteOne({ _id: session._id });
+        await OrgSettings.deleteOne({ orgId });
+    });
+
+    test('bulk goal updates skip the approved week', async () => {
+        const nextWeekMonday = DateTime.fromISO(weekStart).plus({ weeks: 1 }).toISODate();
+        const res = await request(app)
+            .put('/api/goals/bulk')
+            .set('Cookie', userCookie)
+            .send({ startDate: weekStart, endDate: nextWeekMonday, goalHours: 6 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.counts.locked).toBe(7);
+        expect(res.body.dates.find((d) => d.date === nextWeekMonday).action).toBe('create');
+    });
+
+    test('every transition is audited', async () => {
+        const logs = await AuditLog.find({ targetUserId: userId, action: /^TIMESHEET_/ })
+            .sort({ timestamp: 1, _id: 1 });
+        expect(logs.map((l) => l.action)).toEqual([
+            'TIMESHEET_SUBMITTED',
+            'TIMESHEET_REJECTED',
+            'TIMESHEET_SUBMITTED',
+            'TIMESHEET_APPROVED',
+        ]);
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Integration tests for two-factor authentication:
+ * - Enrollment from settings, then a second login step
+ * - Recovery codes work once
+ * - Organizations can require 2FA for admins (enrollment during sign-in)
+ * - Admin reset, and the AuditLog trail
+ */
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/index');
+const User = require('../../src/models/User');
+const AuditLog = require('../../src/models/AuditLog');
+const { hotp, currentStep } = require('../../src/utils/totp');
+
+let mongoServer;
+let adminCookie;
+let userCookie;
+let secret;
+let recoveryCodes;
+
+// A used time step is refused afterwards, so the second code of a test comes
+// from the next step (still inside the accepted drift window)
+const codeAt = (key, ahead = 0) => hotp(key, currentStep() + ahead);
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const admin = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Sec Admin', email: 'admin@2fa.test', password: 'pass123', organizationName: 'Secure Co' });
+    adminCookie = admin.headers['set-cookie'];
+
+    const inviteRes = await request(app)
+        .post('/api/admin/invite')
+        .set('Cookie', adminCookie)
+        .send({ email: 'user@2fa.test', asAdmin: false });
+    const user = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Sec User', email: 'user@2fa.test', password: 'pass123', inviteToken: inviteRes.body.invite.token });
+    userCookie = user.headers['set-cookie'];
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+describe('Two-factor enrollment', () => {
+    test('setup hands out a secret and an otpauth URI, without turning 2FA on', async () => {
+        const res = await request(app).post('/api/auth/2fa/setup').set('Cookie', userCookie);
+        expect(res.status).toBe(200);
+        expect(res.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+        secret = res.body.secret;
+
+        const status = await request(app).get('/api/auth/2fa').set('Cookie', userCookie);
+        expect(status.body.enabled).toBe(false);
+    });
+
+    test('a wrong code does not enable it', async () => {
+        const res = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Cookie', userCookie)
+            .send({ code: '000000' });
+        expect(res.status).toBe(400);
+    });
+
+    test('a code from the secret enables it and returns recovery codes once', async () => {
+        const res = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Cookie', userCookie)
+            .send({ code: codeAt(secret) });
+        expect(res.status).toBe(200);
+        expect(res.body.recoveryCodes).toHaveLength(10);
+        recoveryCodes = res.body.recoveryCodes;
+
+        const me = await request(app).get('/api/user/me').set('Cookie', userCookie);
+        expect(me.body.user.twoFactor).toEqual({ enabled: true, enabledAt: expect.any(String) });
+        expect(JSON.stringify(me.body)).not.toContain(secret);
+
+        expect(await AuditLog.exists({ action: 'TWO_FACTOR_ENABLED' })).toBeTruthy();
+    });
+});
+
+describe('Two-factor login', () => {
+    test('the password alone only yields a challenge, not a session', async () => {
+        const res = await login('user@2fa.test', 'pass123');
+        expect(res.status).toBe(200);
+        expect(res.body.twoFactor).toBe('verify');
+        expect(res.body.challengeToken).toBeTruthy();
+        expect(res.body.user).toBeUndefined();
+        expect(res.headers['set-cookie']).toBeUndefined();
+    });
+
+    test('the challenge token is not a session', async () => {
+        const { body } = await login('user@2fa.test', 'pass123');
+        const res = await request(app).get('/api/user/me').set('Cookie', `token=${body.challengeToken}`);
+        expect(res.status).toBe(401);
+    });
+
+    test('a wrong code is refused', async () => {
+        const { body } = await login('user@2fa.test', 'pass123');
+        const res = await request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken: body.challengeToken, code: '000000' });
+        expect(res.status).toBe(401);
+    });
+
+    test('the right code signs in', async () => {
+        const { body } = await login('user@2fa.test', 'pass123');
+        const res = await request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken: body.challengeToken, code: codeAt(secret, 1) });
+        expect(res.status).toBe(200);
+        expect(res.body.user.email).toBe('user@2fa.test');
+        expect(res.headers['set-cookie'][0]).toMatch(/^token=/);
+    });
+
+    test('a recovery code signs in once', async () => {
+        const first = await login('user@2fa.test', 'pass123');
+        const ok = await request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken: first.body.challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(ok.status).toBe(200);
+
+        const second = await login('user@2fa.test', 'pass123');
+        const reused = await request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken: second.body.challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(reused.status).toBe(401);
+
+        const status = await request(app).get('/api/auth/2fa').set('Cookie', ok.headers['set-cookie']);
+        expect(status.body.recoveryCodesLeft).toBe(9);
+    });
+});
+
+describe('Admins', () => {
+    test('requiring 2FA for admins makes them enroll while signing in', async () => {
+        const settings = await request(app)
+            .put('/api/admin/settings')
+            .set('Cookie', adminCookie)
+            .send({ security: { requireTwoFactorForAdmins: true } });
+        expect(settings.status).toBe(200);
+
+        const res = await login('admin@2fa.test', 'pass123');
+        expect(res.body.twoFactor).toBe('enroll');
+        const { challengeToken } = res.body;
+
+        const setup = await request(app).post('/api/auth/login/2fa/setup').send({ challengeToken });
+        expect(setup.status).toBe(200);
+
+        const enable = await request(app)
+            .post('/api/auth/login/2fa/enable')
+            .send({ challengeToken, code: codeAt(setup.body.secret) });
+        expect(enable.status).toBe(200);
+        expect(enable.body.recoveryCodes).toHaveLength(10);
+        expect(enable.body.user.isAdmin).toBe(true);
+        adminCookie = enable.headers['set-cookie'];
+    });
+
+    test('required 2FA cannot be turned off', async () => {
+        const res = await request(app)
+            .post('/api/auth/2fa/disable')
+            .set('Cookie', adminCookie)
+            .send({ password: 'pass123', code: '123456' });
+        expect(res.status).toBe(403);
+    });
+
+    test('employees are not affected by the admin requirement', async () => {
+        const user = await User.findOne({ email: 'user@2fa.test' });
+        expect(await user.isTwoFactorRequired()).toBe(false);
+    });
+
+    test('an admin can reset a member\'s 2FA, which is audited', async () => {
+        const user = await User.findOne({ email: 'user@2fa.test' });
+        const res = await request(app)
+            .post(`/api/admin/users/${user._id}/2fa/reset`)
+            .set('Cookie', adminCookie);
+        expect(res.status).toBe(200);
+
+        const signIn = await login('user@2fa.test', 'pass123');
+        expect(signIn.body.user.email).toBe('user@2fa.test');
+
+        const log = await AuditLog.findOne({ action: 'TWO_FACTOR_RESET' });
+        expect(String(log.targetUserId)).toBe(String(user._id));
+    });
+
+    test('non-admins cannot reset 2FA', async () => {
+        const admin = await User.findOne({ email: 'admin@2fa.test' });
+        const res = await request(app)
+            .post(`/api/admin/users/${admin._id}/2fa/reset`)
+            .set('Cookie', userCookie);
+        expect(res.status).toBe(403);
+    });
+});
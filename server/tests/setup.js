@@ -0,0 +1,11 @@
+/**
+ * Settings for every test file, applied before it loads the app. Tests of
+ * the features below set their own values.
+ */
+
+// Every request comes from the same address, so leave room for whole suites
+process.env.AUTH_RATE_LIMIT = '1000';
+
+// Accounts created directly in tests have no verified email; the email
+// verification tests turn this back on
+process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
@@ -0,0 +1,59 @@
+const { getEffectivePolicy, computeAutoCloseTime } = require('../../src/utils/autoClose');
+
+describe('getEffectivePolicy', () => {
+    const org = { autoClose: { maxSessionHours: 12, dailyCutoffTime: '23:00' } };
+
+    test('falls back to org settings when the user has no override', () => {
+        expect(getEffectivePolicy({}, org)).toEqual({ maxSessionHours: 12, dailyCutoffTime: '23:00' });
+        expect(getEffectivePolicy({ autoClose: { maxSessionHours: null, dailyCutoffTime: null } }, org))
+            .toEqual({ maxSessionHours: 12, dailyCutoffTime: '23:00' });
+    });
+
+    test('user overrides win per field', () => {
+        const user = { autoClose: { maxSessionHours: 16, dailyCutoffTime: null } };
+        expect(getEffectivePolicy(user, org)).toEqual({ maxSessionHours: 16, dailyCutoffTime: '23:00' });
+    });
+});
+
+describe('computeAutoCloseTime', () => {
+    const tz = 'Asia/Kolkata';
+    // 09:00 IST on 2024-01-15
+    const session = { startAt: new Date('2024-01-15T03:30:00Z') };
+
+    test('returns null when no rule applies', () => {
+        const policy = { maxSessionHours: null, dailyCutoffTime: null };
+        expect(computeAutoCloseTime(session, policy, tz, new Date('2024-02-01T00:00:00Z'))).toBeNull();
+    });
+
+    test('returns null while the session is within the limit', () => {
+        const policy = { maxSessionHours: 12, dailyCutoffTime: null };
+        expect(computeAutoCloseTime(session, policy, tz, new Date('2024-01-15T10:00:00Z'))).toBeNull();
+    });
+
+    test('closes at start + max length once it has passed', () => {
+        const policy = { maxSessionHours: 12, dailyCutoffTime: null };
+        const closeAt = computeAutoCloseTime(session, policy, tz, new Date('2024-01-16T00:00:00Z'));
+        expect(closeAt.toISOString()).toBe('2024-01-15T15:30:00.000Z');
+    });
+
+    test('closes at the daily cutoff in the user timezone', () => {
+        const policy = { maxSessionHours: null, dailyCutoffTime: '18:00' };
+        const closeAt = computeAutoCloseTime(session, policy, tz, new Date('2024-01-16T00:00:00Z'));
+        // 18:00 IST = 12:30 UTC
+        expect(closeAt.toISOString()).toBe('2024-01-15T12:30:00.000Z');
+    });
+
+    test('uses the next day cutoff for sessions started after it', () => {
+        // 23:30 IST on 2024-01-15
+        const late = { startAt: new Date('2024-01-15T18:00:00Z') };
+        const policy = { maxSessionHours: null, dailyCutoffTime: '23:00' };
+        const closeAt = computeAutoCloseTime(late, policy, tz, new Date('2024-01-17T00:00:00Z'));
+        expect(closeAt.toISOString()).toBe('2024-01-16T17:30:00.000Z');
+    });
+
+    test('picks whichever rule triggers first', () => {
+        const policy = { maxSessionHours: 4, dailyCutoffTime: '18:00' };
+        const closeAt = computeAutoCloseTime(session, policy, tz, new Date('2024-01-16T00:00:00Z'));
+        expect(closeAt.toISOString()).toBe('2024-01-15T07:30:00.000Z');
+    });
+});
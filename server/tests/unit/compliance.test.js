@@ -0,0 +1,153 @@
+const {
+    computeDayGapTotal,
+    evaluateCompliance,
+    getLiveWarnings,
+} = require('../../src/utils/compliance');
+
+const tz = 'UTC';
+const at = (iso) => new Date(`${iso}Z`);
+const session = (start, end, breaks = []) => ({
+    startAt: at(start),
+    endAt: end ? at(end) : null,
+    breaks: breaks.map(([s, e]) => ({ startAt: at(s), endAt: at(e) })),
+});
+
+describe('computeDayGapTotal', () => {
+    test('adds up the time between sessions on the day', () => {
+        const sessions = [
+            session('2026-03-02T08:00', '2026-03-02T12:00'),
+            session('2026-03-02T12:30', '2026-03-02T15:00'),
+            session('2026-03-02T15:15', '2026-03-02T17:00'),
+        ];
+        expect(computeDayGapTotal(sessions, '2026-03-02', tz)).toBe(45 * 60000);
+    });
+
+    test('rest before the first and after the last session of the day is not a break', () => {
+        const sessions = [
+            session('2026-03-01T20:00', '2026-03-01T23:00'),
+            session('2026-03-02T01:00', '2026-03-02T03:00'),
+            session('2026-03-03T08:00', '2026-03-03T17:00'),
+        ];
+        expect(computeDayGapTotal(sessions, '2026-03-01', tz)).toBe(0);
+        expect(computeDayGapTotal(sessions, '2026-03-02', tz)).toBe(0);
+    });
+
+    test('a session across midnight starts the day at midnight', () => {
+        const sessions = [
+            session('2026-03-01T22:00', '2026-03-02T02:00'),
+            session('2026-03-02T02:30', '2026-03-02T06:00'),
+            session('2026-03-02T20:00', '2026-03-03T01:00'),
+        ];
+        expect(computeDayGapTotal(sessions, '2026-03-02', tz)).toBe((30 + 14 * 60) * 60000);
+        expect(computeDayGapTotal(sessions, '2026-03-01', tz)).toBe(0);
+    });
+});
+
+describe('evaluateCompliance', () => {
+    const date = '2026-03-02';
+
+    test('a normal day has no violations', () => {
+        const sessions = [
+            session('2026-03-01T09:00', '2026-03-01T17:00'),
+            session('2026-03-02T09:00', '2026-03-02T17:30', [['2026-03-02T12:00', '2026-03-02T12:30']]),
+        ];
+        expect(evaluateCompliance(sessions, [date], tz).get(date)).toEqual([]);
+    });
+
+    test('flags more than the daily maximum', () => {
+        const sessions = [
+            session('2026-03-02T07:00', '2026-03-02T18:30', [['2026-03-02T12:00', '2026-03-02T12:30']]),
+        ];
+        const [violation] = evaluateCompliance(sessions, [date], tz).get(date);
+        expect(violation).toMatchObject({ date, rule: 'maxDailyHours', actual: 11, limit: 10 });
+    });
+
+    test('uses the per-day split for sessions across midnight', () => {
+        // 6h before midnight and 6h after: neither day is over the limit
+        const sessions = [
+            session('2026-03-01T18:00', '2026-03-02T06:00', [
+                ['2026-03-01T21:00', '2026-03-01T21:30'],
+                ['2026-03-02T03:00', '2026-03-02T03:30'],
+            ]),
+        ];
+        const result = evaluateCompliance(sessions, ['2026-03-01', date], tz);
+        expect(result.get('2026-03-01')).toEqual([]);
+        expect(result.get(date)).toEqual([]);
+    });
+
+    test('flags too little rest since the previous day', () => {
+        const sessions = [
+            session('2026-03-01T14:00', '2026-03-01T22:00'),
+            session('2026-03-02T06:00', '2026-03-02T10:00'),
+        ];
+        const [violation] = evaluateCompliance(sessions, [date], tz).get(date);
+        expect(violation).toMatchObject({ rule: 'minRest', actual: 8, limit: 11 });
+    });
+
+    test('gaps within the same day are not rest periods', () => {
+        const sessions = [
+            session('2026-03-02T06:00', '2026-03-02T08:00'),
+            session('2026-03-02T09:00', '2026-03-02T11:00'),
+        ];
+        expect(evaluateCompliance(sessions, [date], tz).get(date)).toEqual([]);
+    });
+
+    test('flags a long day without enough break', () => {
+        const sessions = [
+            session('2026-03-02T08:00', '2026-03-02T15:00', [['2026-03-02T12:00', '2026-03-02T12:10']]),
+        ];
+        const [violation] = evaluateCompliance(sessions, [date], tz).get(date);
+        expect(violation).toMatchObject({ rule: 'breakRequired', actual: 10, limit: 30 });
+    });
+
+    test('a gap between sessions counts as a break', () => {
+        const sessions = [
+            session('2026-03-02T08:00', '2026-03-02T12:00'),
+            session('2026-03-02T12:30', '2026-03-02T15:30'),
+        ];
+        expect(evaluateCompliance(sessions, [date], tz).get(date)).toEqual([]);
+    });
+
+    test('the night before the next working day is not a break', () => {
+        const days = ['2026-03-02', '2026-03-03', '2026-03-04'];
+        const sessions = days.map((day) => session(`${day}T08:00`, `${day}T17:00`));
+
+        const result = evaluateCompliance(sessions, days, tz);
+        for (const day of days) {
+            expect(result.get(day)).toEqual([
+                expect.objectContaining({ rule: 'breakRequired', actual: 0, limit: 30 }),
+            ]);
+        }
+    });
+
+    test('a null limit turns the rule off', () => {
+        const sessions = [session('2026-03-02T06:00', '2026-03-02T18:00')];
+        const rules = { maxDailyHours: null, breakAfterHours: null };
+        expect(evaluateCompliance(sessions, [date], tz, rules).get(date)).toEqual([]);
+    });
+});
+
+describe('getLiveWarnings', () => {
+    const HOUR = 3600000;
+
+    test('warns as the daily limit approaches', () => {
+        const warnings = getLiveWarnings({ workedMs: 9.75 * HOUR, breakMs: 30 * 60000, isActive: true });
+        expect(warnings).toEqual([
+            expect.objectContaining({ rule: 'maxDailyHours', minutesLeft: 15 }),
+        ]);
+    });
+
+    test('warns to take a break before the threshold', () => {
+        const warnings = getLiveWarnings({ workedMs: 5.5 * HOUR, breakMs: 10 * 60000, isActive: true });
+        expect(warnings).toEqual([
+            expect.objectContaining({ rule: 'breakRequired', minutesLeft: 30 }),
+        ]);
+        expect(warnings[0].message).toMatch(/20 min break/);
+    });
+
+    test('no warnings far from the limits, after the break or when not working', () => {
+        expect(getLiveWarnings({ workedMs: 3 * HOUR, breakMs: 0, isActive: true })).toEqual([]);
+        expect(getLiveWarnings({ workedMs: 5.5 * HOUR, breakMs: 30 * 60000, isActive: true })).toEqual([]);
+        expect(getLiveWarnings({ workedMs: 9.75 * HOUR, breakMs: 0, isActive: false })).toEqual([]);
+    });
+});
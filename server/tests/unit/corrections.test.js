@@ -0,0 +1,100 @@
+const { planCorrection } = require('../../src/utils/corrections');
+
+const tz = 'UTC';
+const date = '2026-02-10';
+const userId = 'user1';
+const now = new Date('2026-02-14T12:00:00Z');
+
+const morning = {
+    _id: 's1',
+    startAt: new Date('2026-02-10T09:00:00Z'),
+    endAt: new Date('2026-02-10T12:00:00Z'),
+    projectId: null,
+    breaks: [{ startAt: new Date('2026-02-10T10:00:00Z'), endAt: new Date('2026-02-10T10:30:00Z') }],
+};
+const afternoon = {
+    _id: 's2',
+    startAt: new Date('2026-02-10T13:00:00Z'),
+    endAt: new Date('2026-02-10T17:00:00Z'),
+    projectId: null,
+    breaks: [],
+};
+
+const plan = (changes, sessions = [morning, afternoon]) =>
+    planCorrection({ userId, date, timezone: tz, changes, sessions, now });
+
+describe('planCorrection', () => {
+    test('adds a missed session', () => {
+        const result = plan([{ type: 'add', startTime: '18:00', endTime: '19:30' }]);
+        expect(result.errors).toEqual([]);
+        expect(result.ops).toHaveLength(1);
+        expect(result.ops[0].insertOne.document).toMatchObject({
+            userId,
+            startAt: new Date('2026-02-10T18:00:00Z'),
+            endAt: new Date('2026-02-10T19:30:00Z'),
+            isManual: true,
+        });
+        expect(result.before).toEqual([]);
+        expect(result.after).toHaveLength(1);
+    });
+
+    test('updates times and clips breaks to the new range', () => {
+        const result = plan([{ type: 'update', sessionId: 's1', startTime: '10:15' }]);
+        expect(result.errors).toEqual([]);
+        const { $set } = result.ops[0].updateOne.update;
+        expect($set.startAt).toEqual(new Date('2026-02-10T10:15:00Z'));
+        expect($set.endAt).toEqual(morning.endAt);
+        expect($set.breaks).toEqual([
+            { startAt: new Date('2026-02-10T10:15:00Z'), endAt: new Date('2026-02-10T10:30:00Z') },
+        ]);
+        expect(result.before[0].startAt).toEqual(morning.startAt);
+        expect(result.after[0].startAt).toEqual($set.startAt);
+    });
+
+    test('removes a session', () => {
+        const result = plan([{ type: 'remove', sessionId: 's2' }]);
+        expect(result.errors).toEqual([]);
+        expect(result.ops).toEqual([{ deleteOne: { filter: { _id: 's2', userId } } }]);
+        expect(result.before[0].sessionId).toBe('s2');
+    });
+
+    test('rejects changes that would overlap', () => {
+        const result = plan([{ type: 'add', startTime: '11:00', endTime: '14:00' }]);
+        expect(result.errors).toEqual(['The corrected sessions would overlap']);
+    });
+
+    test('allows an overlap that the same request resolves', () => {
+        const result = plan([
+            { type: 'remove', sessionId: 's2' },
+            { type: 'add', startTime: '12:00', endTime: '18:00' },
+        ]);
+        expect(result.errors).toEqual([]);
+        expect(result.ops).toHaveLength(2);
+    });
+
+    test('rejects unknown sessions, active sessions and duplicate changes', () => {
+        const active = { _id: 's3', startAt: new Date('2026-02-10T20:00:00Z'), endAt: null, breaks: [] };
+        const result = plan(
+            [
+                { type: 'remove', sessionId: 'missing' },
+                { type: 'remove', sessionId: 's3' },
+                { type: 'remove', sessionId: 's1' },
+                { type: 'update', sessionId: 's1', endTime: '11:00' },
+            ],
+            [morning, afternoon, active]
+        );
+        expect(result.errors).toHaveLength(3);
+    });
+
+    test('rejects sessions that end in the future', () => {
+        const result = planCorrection({
+            userId,
+            date: '2026-02-14',
+            timezone: tz,
+            changes: [{ type: 'add', startTime: '11:00', endTime: '13:00' }],
+            sessions: [],
+            now,
+        });
+        expect(result.errors).toEqual(['Change 1: sessions cannot end in the future']);
+    });
+});
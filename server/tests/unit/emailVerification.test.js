@@ -0,0 +1,22 @@
+const { isEmailVerificationRequired } = require('../../src/utils/emailVerification');
+
+const { REQUIRE_EMAIL_VERIFICATION } = process.env;
+
+afterEach(() => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = REQUIRE_EMAIL_VERIFICATION;
+});
+
+describe('isEmailVerificationRequired', () => {
+    test('is on by default', () => {
+        delete process.env.REQUIRE_EMAIL_VERIFICATION;
+        expect(isEmailVerificationRequired()).toBe(true);
+    });
+
+    test('follows REQUIRE_EMAIL_VERIFICATION', () => {
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+        expect(isEmailVerificationRequired()).toBe(true);
+
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'false';
+        expect(isEmailVerificationRequired()).toBe(false);
+    });
+});
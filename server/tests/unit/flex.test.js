@@ -0,0 +1,99 @@
+const { carryOver, computeFlexBalance } = require('../../src/utils/flex');
+
+const HOUR = 3600000;
+
+// A goal map with the same goal on every date
+const goalsFor = (dates, goalHours) => new Map(dates.map((d) => [d, { goalHours }]));
+
+describe('carryOver', () => {
+    test('keeps the whole balance without a cap', () => {
+        expect(carryOver(30 * HOUR, { maxCarryOverHours: null, carryOverDeficit: true })).toBe(30 * HOUR);
+        expect(carryOver(-30 * HOUR, { maxCarryOverHours: null, carryOverDeficit: true })).toBe(-30 * HOUR);
+    });
+
+    test('caps overtime and undertime at the limit', () => {
+        const rules = { maxCarryOverHours: 10, carryOverDeficit: true };
+        expect(carryOver(30 * HOUR, rules)).toBe(10 * HOUR);
+        expect(carryOver(-30 * HOUR, rules)).toBe(-10 * HOUR);
+        expect(carryOver(4 * HOUR, rules)).toBe(4 * HOUR);
+    });
+
+    test('forgives undertime when deficits do not carry over', () => {
+        expect(carryOver(-5 * HOUR, { maxCarryOverHours: null, carryOverDeficit: false })).toBe(0);
+    });
+
+    test('a zero cap resets the balance', () => {
+        expect(carryOver(5 * HOUR, { maxCarryOverHours: 0, carryOverDeficit: true })).toBe(0);
+    });
+});
+
+describe('computeFlexBalance', () => {
+    const dates = ['2026-01-29', '2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02'];
+    const today = '2026-02-02';
+
+    test('sums worked minus goal over finished days and reports today separately', () => {
+        const workedMsByDate = new Map([
+            ['2026-01-29', 10 * HOUR],
+            ['2026-01-30', 7 * HOUR],
+            ['2026-02-02', 3 * HOUR],
+        ]);
+        const goals = new Map([
+            ['2026-01-29', { goalHours: 8 }],
+            ['2026-01-30', { goalHours: 8 }],
+            ['2026-01-31', { goalHours: 0 }],
+            ['2026-02-01', { goalHours: 0 }],
+            ['2026-02-02', { goalHours: 8 }],
+        ]);
+
+        expect(computeFlexBalance({ dates, today, workedMsByDate, goals })).toEqual({
+            balanceHours: 1,
+            todayHours: -5,
+            periodStart: '2026-01-29',
+            carriedOverHours: 0,
+        });
+    });
+
+    test('work on a day without a goal is overtime', () => {
+        const result = computeFlexBalance({
+            dates: ['2026-01-31', today],
+            today,
+            workedMsByDate: new Map([['2026-01-31', 2.5 * HOUR]]),
+            goals: goalsFor(['2026-01-31', today], 0),
+        });
+        expect(result.balanceHours).toBe(2.5);
+    });
+
+    test('applies the carry-over rules at each reset', () => {
+        const workedMsByDate = new Map([['2026-01-29', 20 * HOUR]]);
+        const result = computeFlexBalance({
+            dates,
+            today,
+            workedMsByDate,
+            goals: goalsFor(dates, 0),
+            rules: { resetPeriod: 'month', maxCarryOverHours: 5, carryOverDeficit: true },
+        });
+        expect(result).toMatchObject({ balanceHours: 5, periodStart: '2026-02-01', carriedOverHours: 5 });
+    });
+
+    test('does not reset without a reset period', () => {
+        const result = computeFlexBalance({
+            dates,
+            today,
+            workedMsByDate: new Map([['2026-01-29', 20 * HOUR]]),
+            goals: goalsFor(dates, 0),
+            rules: { maxCarryOverHours: 5 },
+        });
+        expect(result).toMatchObject({ balanceHours: 20, periodStart: '2026-01-29', carriedOverHours: 0 });
+    });
+
+    test('a reset on today still applies to the balance', () => {
+        const result = computeFlexBalance({
+            dates: ['2026-01-31', '2026-02-01'],
+            today: '2026-02-01',
+            workedMsByDate: new Map(),
+            goals: goalsFor(['2026-01-31', '2026-02-01'], 8),
+            rules: { resetPeriod: 'month', carryOverDeficit: false },
+        });
+        expect(result).toMatchObject({ balanceHours: 0, todayHours: -8, periodStart: '2026-02-01' });
+    });
+});
@@ -0,0 +1,199 @@
+const {
+    resolveDayGoal,
+    planBulkGoals,
+    sumGoalHours,
+    computePeriodProgress,
+} = require('../../src/utils/goals');
+
+describe('resolveDayGoal', () => {
+    const workDays = [1, 2, 3, 4, 5];
+    // 2024-01-15 is a Monday, 2024-01-20 a Saturday
+    const monday = '2024-01-15';
+    const saturday = '2024-01-20';
+
+    test('workdays use the default goal', () => {
+        expect(resolveDayGoal({ date: monday, defaultGoal: 8, workDays })).toEqual({
+            goalHours: 8, dayType: 'workday', label: null, isDefault: true, expectedStart: null, expectedEnd: null,
+        });
+    });
+
+    test('a custom goal replaces the default', () => {
+        const goal = resolveDayGoal({ date: monday, defaultGoal: 8, customGoal: 6, workDays });
+        expect(goal.goalHours).toBe(6);
+        expect(goal.isDefault).toBe(false);
+    });
+
+    test('days outside the work week have no goal unless one is set', () => {
+        expect(resolveDayGoal({ date: saturday, defaultGoal: 8, workDays }))
+            .toMatchObject({ goalHours: 0, dayType: 'weekend' });
+        expect(resolveDayGoal({ date: saturday, defaultGoal: 8, customGoal: 4, workDays }))
+            .toMatchObject({ goalHours: 4, dayType: 'weekend' });
+    });
+
+    test('honours a custom work week', () => {
+        expect(resolveDayGoal({ date: saturday, defaultGoal: 8, workDays: [6, 7] }))
+            .toMatchObject({ goalHours: 8, dayType: 'workday' });
+    });
+
+    test('holidays have no goal, even with a custom goal', () => {
+        const holiday = { name: 'Founders Day' };
+        expect(resolveDayGoal({ date: monday, defaultGoal: 8, customGoal: 6, holiday, workDays }))
+            .toMatchObject({ goalHours: 0, dayType: 'holiday', label: 'Founders Day' });
+    });
+
+    test('full-day leave has no goal', () => {
+        for (const type of ['vacation', 'sick']) {
+            expect(resolveDayGoal({ date: monday, defaultGoal: 8, leave: { type }, workDays }))
+                .toMatchObject({ goalHours: 0, dayType: 'leave', label: type });
+        }
+    });
+
+    test('a half day halves the goal', () => {
+        const leave = { type: 'half-day' };
+        expect(resolveDayGoal({ date: monday, defaultGoal: 8, leave, workDays }))
+            .toMatchObject({ goalHours: 4, dayType: 'half-day' });
+        expect(resolveDayGoal({ date: monday, defaultGoal: 8, customGoal: 6, leave, workDays }).goalHours)
+            .toBe(3);
+    });
+
+    describe('with a weekly schedule', () => {
+        // 8h Mon-Thu, 4h Friday; weekends not listed
+        const schedule = [
+            { weekday: 1, goalHours: 8, startTime: '09:00', endTime: '17:00' },
+            { weekday: 2, goalHours: 8 },
+            { weekday: 3, goalHours: 8 },
+            { weekday: 4, goalHours: 8 },
+            { weekday: 5, goalHours: 4, startTime: '09:00', endTime: '13:00' },
+        ];
+        const friday = '2024-01-19';
+
+        test('uses the scheduled hours for the weekday', () => {
+            expect(resolveDayGoal({ date: friday, defaultGoal: 8, schedule, workDays }))
+                .toMatchObject({ goalHours: 4, dayType: 'workday', expectedStart: '09:00', expectedEnd: '13:00' });
+        });
+
+        test('weekdays missing from the schedule are days off, whatever the org work week', () => {
+            expect(resolveDayGoal({ date: saturday, defaultGoal: 8, schedule, workDays: [1, 2, 3, 4, 5, 6] }))
+                .toMatchObject({ goalHours: 0, dayType: 'weekend' });
+        });
+
+        test('a custom goal still wins over the schedule', () => {
+            expect(resolveDayGoal({ date: friday, defaultGoal: 8, customGoal: 6, schedule, workDays }).goalHours)
+                .toBe(6);
+        });
+
+        test('a half day halves the scheduled hours', () => {
+            expect(resolveDayGoal({ date: friday, defaultGoal: 8, schedule, leave: { type: 'half-day' }, workDays })
+                .goalHours).toBe(2);
+        });
+    });
+
+    test('a holiday wins over leave on the same day', () => {
+        const goal = resolveDayGoal({
+            date: monday, defaultGoal: 8, holiday: { name: 'New Year' }, leave: { type: 'vacation' }, workDays,
+        });
+        expect(goal.dayType).toBe('holiday');
+    });
+});
+
+describe('sumGoalHours', () => {
+    const goals = new Map([
+        ['2024-01-15', { goalHours: 8 }],
+        ['2024-01-16', { goalHours: 4 }],
+        ['2024-01-20', { goalHours: 0 }],
+    ]);
+
+    test('sums every resolved date by default', () => {
+        expect(sumGoalHours(goals)).toBe(12);
+    });
+
+    test('sums only the requested dates', () => {
+        expect(sumGoalHours(goals, ['2024-01-16', '2024-01-20'])).toBe(4);
+    });
+});
+
+describe('planBulkGoals', () => {
+    // Monday 2024-01-15 to Sunday 2024-01-28
+    const dates = [
+        '2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18', '2024-01-19', '2024-01-20', '2024-01-21',
+        '2024-01-22', '2024-01-23', '2024-01-24', '2024-01-25', '2024-01-26', '2024-01-27', '2024-01-28',
+    ];
+
+    test('creates a goal for every date when none exist', () => {
+        const plan = planBulkGoals({ dates, goalHours: 6, existing: new Map(), lockedWeeks: new Set() });
+        expect(plan).toHaveLength(14);
+        expect(plan.every((p) => p.action === 'create' && p.previousGoalHours === null)).toBe(true);
+    });
+
+    test('filters by weekday', () => {
+        const plan = planBulkGoals({
+            dates, weekdays: [5], goalHours: 4, existing: new Map(), lockedWeeks: new Set(),
+        });
+        expect(plan.map((p) => p.date)).toEqual(['2024-01-19', '2024-01-26']);
+    });
+
+    test('reports overwrites with the previous value, and unchanged dates', () => {
+        const existing = new Map([['2024-01-15', 8], ['2024-01-16', 6]]);
+        const plan = planBulkGoals({ dates: dates.slice(0, 3), goalHours: 6, existing, lockedWeeks: new Set() });
+        expect(plan).toEqual([
+            { date: '2024-01-15', action: 'overwrite', previousGoalHours: 8 },
+            { date: '2024-01-16', action: 'unchanged', previousGoalHours: 6 },
+            { date: '2024-01-17', action: 'create', previousGoalHours: null },
+        ]);
+    });
+
+    test('marks dates in locked weeks', () => {
+        const plan = planBulkGoals({
+            dates, goalHours: 6, existing: new Map(), lockedWeeks: new Set(['2024-01-15']),
+        });
+        expect(plan.filter((p) => p.action === 'locked')).toHaveLength(7);
+        expect(plan[7]).toMatchObject({ date: '2024-01-22', action: 'create' });
+    });
+});
+
+describe('computePeriodProgress', () => {
+    // Week of Monday 2024-01-15: 8h Mon-Fri, weekend off
+    const dates = ['2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18', '2024-01-19', '2024-01-20', '2024-01-21'];
+    const goals = new Map(dates.map((d, i) => [d, { goalHours: i < 5 ? 8 : 0 }]));
+    const hours = (h) => h * 3600000;
+
+    test('spreads the remaining hours over today and later workdays', () => {
+        const progress = computePeriodProgress({
+            targetHours: 40, workedMs: hours(16), dates, goals, today: '2024-01-17',
+        });
+        expect(progress).toEqual({
+            targetHours: 40,
+            workedHours: 16,
+            remainingHours: 24,
+            remainingWorkdays: 3,
+            hoursNeededPerWorkday: 8,
+            progressPercent: 40,
+        });
+    });
+
+    test('days off are not counted as remaining workdays', () => {
+        const withHoliday = new Map(goals).set('2024-01-19', { goalHours: 0 });
+        const progress = computePeriodProgress({
+            targetHours: 40, workedMs: hours(16), dates, goals: withHoliday, today: '2024-01-17',
+        });
+        expect(progress.remainingWorkdays).toBe(2);
+        expect(progress.hoursNeededPerWorkday).toBe(12);
+    });
+
+    test('nothing more is needed once the target is met', () => {
+        const progress = computePeriodProgress({
+            targetHours: 40, workedMs: hours(42), dates, goals, today: '2024-01-19',
+        });
+        expect(progress.remainingHours).toBe(0);
+        expect(progress.hoursNeededPerWorkday).toBe(0);
+        expect(progress.progressPercent).toBe(100);
+    });
+
+    test('no workdays left means no per-day figure', () => {
+        const progress = computePeriodProgress({
+            targetHours: 40, workedMs: hours(30), dates, goals, today: '2024-01-20',
+        });
+        expect(progress.remainingWorkdays).toBe(0);
+        expect(progress.hoursNeededPerWorkday).toBeNull();
+    });
+});
@@ -0,0 +1,78 @@
+const {
+    getLockoutPolicy,
+    retryDelaySeconds,
+    getLoginBlock,
+    describeLoginBlock,
+} = require('../../src/utils/lockout');
+
+const now = new Date('2026-03-02T12:00:00Z');
+const secondsAgo = (s) => new Date(now.getTime() - s * 1000);
+
+afterEach(() => {
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_MINUTES;
+});
+
+describe('getLockoutPolicy', () => {
+    test('defaults to 5 attempts and 15 minutes', () => {
+        expect(getLockoutPolicy()).toEqual({ maxAttempts: 5, lockoutMinutes: 15 });
+    });
+
+    test('reads the environment', () => {
+        process.env.LOGIN_MAX_ATTEMPTS = '8';
+        process.env.LOGIN_LOCKOUT_MINUTES = '30';
+        expect(getLockoutPolicy()).toEqual({ maxAttempts: 8, lockoutMinutes: 30 });
+    });
+});
+
+describe('retryDelaySeconds', () => {
+    test('the first two failures are free', () => {
+        expect(retryDelaySeconds(0)).toBe(0);
+        expect(retryDelaySeconds(2)).toBe(0);
+    });
+
+    test('then doubles, up to a minute', () => {
+        expect(retryDelaySeconds(3)).toBe(2);
+        expect(retryDelaySeconds(4)).toBe(4);
+        expect(retryDelaySeconds(5)).toBe(8);
+        expect(retryDelaySeconds(20)).toBe(60);
+    });
+});
+
+describe('getLoginBlock', () => {
+    test('no failures, no block', () => {
+        expect(getLoginBlock({}, now)).toBeNull();
+        expect(getLoginBlock({ loginFailures: { count: 0, lastFailedAt: null, lockedUntil: null } }, now)).toBeNull();
+    });
+
+    test('a locked account reports the time left', () => {
+        const user = { loginFailures: { count: 0, lockedUntil: new Date(now.getTime() + 90 * 1000) } };
+        expect(getLoginBlock(user, now)).toEqual({ reason: 'locked', retryAfter: 90 });
+    });
+
+    test('an expired lock no longer blocks', () => {
+        const user = { loginFailures: { count: 0, lockedUntil: secondsAgo(1) } };
+        expect(getLoginBlock(user, now)).toBeNull();
+    });
+
+    test('repeated failures must wait after the latest one', () => {
+        const user = { loginFailures: { count: 4, lastFailedAt: secondsAgo(1), lockedUntil: null } };
+        expect(getLoginBlock(user, now)).toEqual({ reason: 'delay', retryAfter: 3 });
+    });
+
+    test('the delay passes', () => {
+        const user = { loginFailures: { count: 4, lastFailedAt: secondsAgo(5), lockedUntil: null } };
+        expect(getLoginBlock(user, now)).toBeNull();
+    });
+});
+
+describe('describeLoginBlock', () => {
+    test('lockouts are given in minutes, rounded up', () => {
+        expect(describeLoginBlock({ reason: 'locked', retryAfter: 61 })).toMatch(/locked for 2 more minutes/);
+        expect(describeLoginBlock({ reason: 'locked', retryAfter: 30 })).toMatch(/locked for 1 more minute\./);
+    });
+
+    test('delays are given in seconds', () => {
+        expect(describeLoginBlock({ reason: 'delay', retryAfter: 4 })).toMatch(/Try again in 4 seconds/);
+    });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendMail, setTransport, formatMessage } = require('../../src/utils/mailer');
+
+const message = { to: 'ada@example.com', subject: 'Hello', text: 'Line one\nLine two' };
+
+afterEach(() => {
+    setTransport(null);
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_DIR;
+});
+
+describe('formatMessage', () => {
+    test('puts the headers before a blank line and the body', () => {
+        const out = formatMessage({ from: 'App <app@example.com>', ...message });
+        const [headers, body] = out.split('\n\n');
+        expect(headers).toContain('From: App <app@example.com>');
+        expect(headers).toContain('To: ada@example.com');
+        expect(headers).toContain('Subject: Hello');
+        expect(body).toBe('Line one\nLine two');
+    });
+});
+
+describe('sendMail', () => {
+    test('hands the message to a custom transport', async () => {
+        const sent = [];
+        setTransport(async (m) => sent.push(m));
+        await sendMail(message);
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject(message);
+        expect(sent[0].from).toBeTruthy();
+    });
+
+    test('the file transport writes an .eml file to MAIL_DIR', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+        process.env.MAIL_TRANSPORT = 'file';
+        process.env.MAIL_DIR = dir;
+
+        await sendMail(message);
+
+        const files = fs.readdirSync(dir);
+        expect(files).toHaveLength(1);
+        expect(files[0]).toMatch(/ada_example_com\.eml$/);
+        expect(fs.readFileSync(path.join(dir, files[0]), 'utf8')).toContain('Subject: Hello');
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    test('rejects an unknown transport', async () => {
+        process.env.MAIL_TRANSPORT = 'pigeon';
+        await expect(sendMail(message)).rejects.toThrow('Unknown MAIL_TRANSPORT');
+    });
+});
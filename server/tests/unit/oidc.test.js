@@ -0,0 +1,164 @@
+const jwt = require('jsonwebtoken');
+const { startMockIdp } = require('../../mock-idp');
+const {
+    getOidcConfig,
+    randomToken,
+    pkceChallenge,
+    discover,
+    clearOidcCache,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    isInAdminGroup,
+} = require('../../src/utils/oidc');
+
+const OIDC_VARS = ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_REDIRECT_URI', 'OIDC_ADMIN_GROUP'];
+
+afterEach(() => {
+    OIDC_VARS.forEach((name) => delete process.env[name]);
+});
+
+describe('getOidcConfig', () => {
+    test('is off without an issuer and client id', () => {
+        expect(getOidcConfig()).toBeNull();
+        process.env.OIDC_ISSUER = 'https://idp.example';
+        expect(getOidcConfig()).toBeNull();
+    });
+
+    test('fills in the defaults', () => {
+        process.env.OIDC_ISSUER = 'https://idp.example/';
+        process.env.OIDC_CLIENT_ID = 'tracker';
+        expect(getOidcConfig()).toMatchObject({
+            issuer: 'https://idp.example',
+            clientId: 'tracker',
+            clientSecret: null,
+            redirectUri: `${process.env.CLIENT_URL || 'http://localhost:5173'}/api/auth/oidc/callback`,
+            scopes: 'openid email profile',
+            groupsClaim: 'groups',
+            adminGroup: null,
+        });
+    });
+});
+
+describe('PKCE', () => {
+    test('matches the RFC 7636 example', () => {
+        expect(pkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+            .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    test('random values are long enough to be verifiers', () => {
+        expect(randomToken()).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(randomToken()).not.toBe(randomToken());
+    });
+});
+
+describe('buildAuthorizationUrl', () => {
+    test('asks for a code with an S256 challenge', () => {
+        const config = { clientId: 'tracker', redirectUri: 'http://app/cb', scopes: 'openid email' };
+        const url = new URL(buildAuthorizationUrl(
+            config,
+            { authorization_endpoint: 'https://idp.example/auth?tenant=1' },
+            { state: 's', nonce: 'n', verifier: 'v' }
+        ));
+        expect(url.origin + url.pathname).toBe('https://idp.example/auth');
+        expect(Object.fromEntries(url.searchParams)).toEqual({
+            response_type: 'code',
+            client_id: 'tracker',
+            redirect_uri: 'http://app/cb',
+            scope: 'openid email',
+            state: 's',
+            nonce: 'n',
+            code_challenge: pkceChallenge('v'),
+            code_challenge_method: 'S256',
+        });
+    });
+});
+
+describe('isInAdminGroup', () => {
+    const config = { groupsClaim: 'groups', adminGroup: 'admins' };
+
+    test('is null without an admin group', () => {
+        expect(isInAdminGroup({ groups: ['admins'] }, { ...config, adminGroup: null })).toBeNull();
+    });
+
+    test('reads list and string claims', () => {
+        expect(isInAdminGroup({ groups: ['staff', 'admins'] }, config)).toBe(true);
+        expect(isInAdminGroup({ groups: 'staff admins' }, config)).toBe(true);
+        expect(isInAdminGroup({ groups: ['staff'] }, config)).toBe(false);
+        expect(isInAdminGroup({}, config)).toBe(false);
+    });
+});
+
+describe('against the mock identity provider', () => {
+    let idp;
+    let config;
+    let metadata;
+
+    // Sign in at the IdP as a user; returns the code sent back
+    async function authorize(flow, user = 'mock-bob') {
+        const url = `${buildAuthorizationUrl(config, metadata, flow)}&login_hint=${user}`;
+        const res = await fetch(url, { redirect: 'manual' });
+        return new URL(res.headers.get('location')).searchParams.get('code');
+    }
+
+    beforeAll(async () => {
+        idp = await startMockIdp();
+    });
+
+    afterAll(async () => {
+        clearOidcCache();
+        await idp.close();
+    });
+
+    beforeEach(async () => {
+        process.env.OIDC_ISSUER = idp.issuer;
+        process.env.OIDC_CLIENT_ID = 'workhourtracker';
+        process.env.OIDC_CLIENT_SECRET = 'mock-secret';
+        config = getOidcConfig();
+        metadata = await discover(config.issuer);
+    });
+
+    test('a code and its verifier yield verified claims', async () => {
+        const flow = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+        const code = await authorize(flow);
+
+        const tokens = await exchangeCode(config, metadata, { code, verifier: flow.verifier });
+        const claims = await verifyIdToken(config, metadata, tokens.id_token, flow.nonce);
+        expect(claims).toMatchObject({ sub: 'mock-bob', email: 'bob@idp.example', email_verified: true });
+    });
+
+    test('a code needs its own verifier and works once', async () => {
+        const flow = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+        const code = await authorize(flow);
+
+        await expect(exchangeCode(config, metadata, { code, verifier: randomToken() })).rejects.toThrow(/PKCE/);
+        await expect(exchangeCode(config, metadata, { code, verifier: flow.verifier })).rejects.toThrow(/invalid_grant/);
+    });
+
+    test('ID tokens must carry the nonce and come from the IdP', async () => {
+        const flow = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+        const { id_token: idToken } = await exchangeCode(config, metadata, {
+            code: await authorize(flow),
+            verifier: flow.verifier,
+        });
+
+        await expect(verifyIdToken(config, metadata, idToken, 'another-nonce')).rejects.toThrow(/nonce/);
+        await expect(verifyIdToken({ ...config, clientId: 'other-app' }, metadata, idToken, flow.nonce))
+            .rejects.toThrow(/audience/);
+
+        const { header } = jwt.decode(idToken, { complete: true });
+        const forged = jwt.sign({ sub: 'mock-bob', nonce: flow.nonce }, 'not-the-key', {
+            header: { ...header, alg: 'HS256' },
+            issuer: metadata.issuer,
+            audience: config.clientId,
+        });
+        await expect(verifyIdToken(config, metadata, forged, flow.nonce)).rejects.toThrow();
+    });
+
+    test('a wrong client secret is refused', async () => {
+        const flow = { state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+        const code = await authorize(flow);
+        await expect(exchangeCode({ ...config, clientSecret: 'wrong' }, metadata, { code, verifier: flow.verifier }))
+            .rejects.toThrow(/invalid_client/);
+    });
+});
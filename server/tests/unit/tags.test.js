@@ -0,0 +1,37 @@
+const { normalizeTag, parseTags, mergeTags } = require('../../src/utils/tags');
+
+describe('parseTags', () => {
+    test('extracts hashtags from notes', () => {
+        expect(parseTags('code review #oncall #backend')).toEqual(['oncall', 'backend']);
+    });
+
+    test('lowercases and de-duplicates tags', () => {
+        expect(parseTags('#OnCall then #oncall again')).toEqual(['oncall']);
+    });
+
+    test('supports hyphens, underscores and non-ASCII letters', () => {
+        expect(parseTags('#code-review #team_a #café')).toEqual(['code-review', 'team_a', 'café']);
+    });
+
+    test('returns empty array for empty or tagless notes', () => {
+        expect(parseTags('')).toEqual([]);
+        expect(parseTags(null)).toEqual([]);
+        expect(parseTags('just some notes')).toEqual([]);
+    });
+});
+
+describe('mergeTags', () => {
+    test('merges explicit tags with parsed ones', () => {
+        expect(mergeTags(['oncall'], ['#Meetings', ' oncall '])).toEqual(['oncall', 'meetings']);
+    });
+
+    test('drops empty tags', () => {
+        expect(mergeTags(['#', '  '])).toEqual([]);
+    });
+});
+
+describe('normalizeTag', () => {
+    test('strips the hash and lowercases', () => {
+        expect(normalizeTag('#OnCall')).toBe('oncall');
+    });
+});
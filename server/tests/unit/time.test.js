@@ -1,8 +1,17 @@
 const {
     splitSessionByDay,
     computeDayTotal,
+    computeDayBreakTotal,
+    computeRangeTotalsByKey,
+    computeDailyTotals,
     computeProgressPercent,
     formatDuration,
+    parseLocalDateTime,
+    getWeekStartDate,
+    getWeekBounds,
+    getMonthBounds,
+    listDates,
+    countDates,
 } = require('../../src/utils/time');
 
 describe('splitSessionByDay', () => {
@@ -128,3 +137,156 @@ describe('formatDuration', () => {
         expect(formatDuration(9 * 3600000 + 45 * 60000)).toBe('09:45');
     });
 });
+
+describe('parseLocalDateTime', () => {
+    test('converts a local wall-clock time to UTC', () => {
+        const result = parseLocalDateTime('2026-02-14', '09:00', 'Asia/Kolkata');
+        expect(result.toISOString()).toBe('2026-02-14T03:30:00.000Z');
+    });
+
+    test('returns null for an invalid date', () => {
+        expect(parseLocalDateTime('2026-02-30', '09:00', 'Asia/Kolkata')).toBeNull();
+    });
+});
+
+describe('breaks', () => {
+    const tz = 'Asia/Kolkata';
+
+    test('break time is subtracted from the worked day', () => {
+        const session = {
+            startAt: new Date('2026-02-14T03:30:00Z'), // 09:00 IST
+            endAt: new Date('2026-02-14T11:30:00Z'),   // 17:00 IST
+            breaks: [{
+                startAt: new Date('2026-02-14T07:30:00Z'), // 13:00 IST
+                endAt: new Date('2026-02-14T08:00:00Z'),   // 13:30 IST
+            }],
+        };
+        const result = splitSessionByDay(session, tz);
+        expect(result).toEqual([{ date: '2026-02-14', durationMs: 7.5 * 3600000 }]);
+        expect(computeDayBreakTotal([session], '2026-02-14', tz)).toBe(0.5 * 3600000);
+    });
+
+    test('break crossing midnight is split across both days', () => {
+        const session = {
+            startAt: new Date('2026-02-14T16:30:00Z'), // 22:00 IST Feb 14
+            endAt: new Date('2026-02-14T21:30:00Z'),   // 03:00 IST Feb 15
+            breaks: [{
+                startAt: new Date('2026-02-14T18:00:00Z'), // 23:30 IST
+                endAt: new Date('2026-02-14T19:00:00Z'),   // 00:30 IST
+            }],
+        };
+        const result = splitSessionByDay(session, tz);
+        // Feb 14: 2h minus 30m break; Feb 15: 3h minus 30m break
+        expect(result).toEqual([
+            { date: '2026-02-14', durationMs: 1.5 * 3600000 },
+            { date: '2026-02-15', durationMs: 2.5 * 3600000 },
+        ]);
+        expect(computeDayBreakTotal([session], '2026-02-15', tz)).toBe(0.5 * 3600000);
+    });
+
+    test('open break on an ended session runs until the session end', () => {
+        const session = {
+            startAt: new Date('2026-02-14T03:30:00Z'), // 09:00 IST
+            endAt: new Date('2026-02-14T05:30:00Z'),   // 11:00 IST
+            breaks: [{ startAt: new Date('2026-02-14T04:30:00Z'), endAt: null }],
+        };
+        expect(computeDayTotal([session], '2026-02-14', tz)).toBe(1 * 3600000);
+    });
+
+    test('breaks outside the session are clipped', () => {
+        const session = {
+            startAt: new Date('2026-02-14T03:30:00Z'), // 09:00 IST
+            endAt: new Date('2026-02-14T05:30:00Z'),   // 11:00 IST
+            breaks: [{
+                startAt: new Date('2026-02-14T02:30:00Z'), // 08:00 IST
+                endAt: new Date('2026-02-14T04:00:00Z'),   // 09:30 IST
+            }],
+        };
+        expect(computeDayBreakTotal([session], '2026-02-14', tz)).toBe(0.5 * 3600000);
+    });
+});
+
+describe('computeRangeTotalsByKey', () => {
+    const tz = 'Asia/Kolkata';
+
+    test('groups worked time by key within the range', () => {
+        const sessions = [
+            {
+                projectId: 'a',
+                startAt: new Date('2026-02-14T03:30:00Z'), // 09:00 IST
+                endAt: new Date('2026-02-14T05:30:00Z'),   // 11:00 IST
+            },
+            {
+                projectId: null,
+                startAt: new Date('2026-02-14T17:30:00Z'), // 23:00 IST
+                endAt: new Date('2026-02-14T20:30:00Z'),   // 02:00 IST Feb 15
+            },
+        ];
+        const totals = computeRangeTotalsByKey(sessions, ['2026-02-14'], tz, (s) => s.projectId);
+        expect(totals.get('a')).toBe(2 * 3600000);
+        // Only the hour before midnight falls inside the range
+        expect(totals.get(null)).toBe(1 * 3600000);
+    });
+});
+
+describe('computeDailyTotals', () => {
+    const tz = 'Asia/Kolkata';
+
+    test('splits worked time by day and skips days outside the range', () => {
+        const sessions = [
+            {
+                startAt: new Date('2026-02-14T03:30:00Z'), // 09:00 IST
+                endAt: new Date('2026-02-14T05:30:00Z'),   // 11:00 IST
+            },
+            {
+                startAt: new Date('2026-02-14T17:30:00Z'), // 23:00 IST
+                endAt: new Date('2026-02-14T20:30:00Z'),   // 02:00 IST Feb 15
+            },
+        ];
+        const totals = computeDailyTotals(sessions, ['2026-02-14'], tz);
+        expect(totals.get('2026-02-14')).toBe(3 * 3600000);
+        expect(totals.has('2026-02-15')).toBe(false);
+    });
+});
+
+describe('weeks', () => {
+    test('getWeekStartDate returns the Monday of the week', () => {
+        expect(getWeekStartDate('2026-02-14')).toBe('2026-02-09'); // Saturday
+        expect(getWeekStartDate('2026-02-09')).toBe('2026-02-09'); // Monday
+        expect(getWeekStartDate('2026-02-15')).toBe('2026-02-09'); // Sunday
+    });
+
+    test('getWeekBounds covers Monday–Sunday of the given date in the timezone', () => {
+        const { rangeStart, rangeEnd, dates } = getWeekBounds('Asia/Kolkata', '2026-02-14');
+        expect(dates).toEqual([
+            '2026-02-09', '2026-02-10', '2026-02-11', '2026-02-12',
+            '2026-02-13', '2026-02-14', '2026-02-15',
+        ]);
+        expect(rangeStart.toISOString()).toBe('2026-02-08T18:30:00.000Z');
+        expect(rangeEnd.toISOString()).toBe('2026-02-15T18:30:00.000Z');
+    });
+
+    test('getMonthBounds covers the month of the given date in the timezone', () => {
+        const { rangeStart, rangeEnd, dates } = getMonthBounds('Asia/Kolkata', '2026-02-14');
+        expect(dates).toHaveLength(28);
+        expect(dates[0]).toBe('2026-02-01');
+        expect(dates[27]).toBe('2026-02-28');
+        expect(rangeStart.toISOString()).toBe('2026-01-31T18:30:00.000Z');
+        expect(rangeEnd.toISOString()).toBe('2026-02-28T18:30:00.000Z');
+    });
+
+    test('listDates includes both ends and crosses months', () => {
+        expect(listDates('2026-02-27', '2026-03-02')).toEqual([
+            '2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02',
+        ]);
+        expect(listDates('2026-02-14', '2026-02-14')).toEqual(['2026-02-14']);
+    });
+
+    test('countDates matches listDates without enumerating', () => {
+        expect(countDates('2026-02-27', '2026-03-02')).toBe(4);
+        expect(countDates('2026-03-28', '2026-03-30')).toBe(3); // across a DST change
+        expect(countDates('2026-02-14', '2026-02-14')).toBe(1);
+        expect(countDates('2026-02-15', '2026-02-14')).toBe(0);
+        expect(countDates('0001-01-01', '9999-12-31')).toBe(3652059);
+    });
+});
@@ -0,0 +1,80 @@
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    currentStep,
+    verifyTotp,
+    otpauthUri,
+} = require('../../src/utils/totp');
+
+// RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+    test('round-trips bytes', () => {
+        const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 7]);
+        expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    test('matches the RFC 4648 alphabet', () => {
+        expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    });
+
+    test('rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('ABC1')).toThrow('Invalid base32');
+    });
+});
+
+describe('hotp / verifyTotp', () => {
+    // RFC 6238 appendix B (SHA1), last six digits
+    test.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+    ])('time %i gives %s', (seconds, code) => {
+        expect(hotp(RFC_SECRET, currentStep(seconds * 1000))).toBe(code);
+    });
+
+    test('accepts the neighbouring steps for clock drift', () => {
+        const now = 1234567890 * 1000;
+        const step = currentStep(now);
+        expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+        expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+        expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 2), { now })).toBeNull();
+    });
+
+    test('refuses steps already used', () => {
+        const now = 1234567890 * 1000;
+        const step = currentStep(now);
+        const code = hotp(RFC_SECRET, step);
+        expect(verifyTotp(RFC_SECRET, code, { now, afterStep: step - 1 })).toBe(step);
+        expect(verifyTotp(RFC_SECRET, code, { now, afterStep: step })).toBeNull();
+    });
+
+    test('ignores spaces and rejects malformed codes', () => {
+        const now = 1234567890 * 1000;
+        expect(verifyTotp(RFC_SECRET, '005 924', { now })).not.toBeNull();
+        expect(verifyTotp(RFC_SECRET, '5924', { now })).toBeNull();
+        expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    });
+});
+
+describe('generateSecret / otpauthUri', () => {
+    test('secrets are 160-bit base32', () => {
+        const secret = generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(base32Decode(secret)).toHaveLength(20);
+    });
+
+    test('builds an importable URI', () => {
+        const uri = otpauthUri({ secret: 'ABC', account: 'ada@example.com', issuer: 'WorkHourTracker' });
+        expect(uri).toMatch(/^otpauth:\/\/totp\/WorkHourTracker%3Aada%40example\.com\?/);
+        const params = new URL(uri).searchParams;
+        expect(params.get('secret')).toBe('ABC');
+        expect(params.get('issuer')).toBe('WorkHourTracker');
+        expect(params.get('digits')).toBe('6');
+    });
+});